@@ -0,0 +1,102 @@
+// App-shell service worker: lets the Kairu app open without a connection.
+// Firestore data is cached by Firestore itself (IndexedDB); this worker only caches the page,
+// its scripts/styles, map tiles and uploaded photos.
+
+const SHELL_CACHE = 'kairu-shell-v3';
+const RUNTIME_CACHE = 'kairu-runtime-v1';
+const SHELL_URLS = ['./', './index.html', './manifest.webmanifest', './icon.svg'];
+// Written by `vite build` (build.manifest in vite.config.js); lists the hashed scripts and styles
+const ASSET_MANIFEST_URL = './asset-manifest.json';
+// Map tiles and photos are kept up to this many entries
+const MAX_RUNTIME_ENTRIES = 300;
+
+// The build's scripts, styles and bundled files. The dev server has no manifest, so nothing
+// beyond the shell is precached there.
+const buildAssetUrls = async () => {
+    try {
+        const response = await fetch(ASSET_MANIFEST_URL, { cache: 'no-cache' });
+        if (!response.ok) return [];
+        const manifest = await response.json();
+        const files = Object.values(manifest).flatMap(chunk => [chunk.file, ...(chunk.css || []), ...(chunk.assets || [])]);
+        return [...new Set(files)].map(file => `./${file}`);
+    } catch (error) {
+        return [];
+    }
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll([...SHELL_URLS, ...await buildAssetUrls()]);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE && key !== RUNTIME_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+const trimCache = async (cacheName, maxEntries) => {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+// Pages: network first, falling back to the cached shell when offline. Error pages are passed
+// through but never replace the cached shell.
+const handleNavigation = async (request) => {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            cache.put('./index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await caches.match('./index.html')) || Response.error();
+    }
+};
+
+// Same-origin scripts and styles: serve the cached copy and refresh it in the background
+const staleWhileRevalidate = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request).then((response) => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    }).catch(() => cached || Response.error());
+    return cached || network;
+};
+
+// Map tiles and uploaded photos rarely change: cache first
+const cacheFirst = async (request) => {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    // Opaque (cross-origin, no-cors) responses are cached too; they can't be inspected
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        trimCache(RUNTIME_CACHE, MAX_RUNTIME_ENTRIES);
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.hostname === 'tile.openstreetmap.org' || url.hostname === 'firebasestorage.googleapis.com') {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+    // Everything else (Firestore, Auth, ...) goes straight to the network
+});
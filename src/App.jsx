@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useFirebase } from './firebase';
+import { ADMIN_URL, ARCHIVE_URL, CREATOR_URL, FEED_URL, HOME_URL, contentLink, useRoute } from './routes';
+import { CREATOR_ALIAS, ModerationQueue, useModeration } from './moderation';
+import { StoriesPage } from './stories';
+import { CreatorDashboard } from './creator';
+import { CommunityFeed } from './feed';
+import { profileAlias, profileUrl, useProfile, ProfilePage } from './profiles';
+import { NotificationBell } from './notifications';
+import { TagPage, TrendingTags } from './tags';
+import { SyncStatus } from './offline';
+import { OnlineCount } from './presence';
+import { LanguageSwitcher, useI18n } from './i18n';
+
+// --- App shell: header and navigation, and one page per route (see ./routes) ---
+
+// labelKey: the message key of the link text (see ./messages)
+const NAV_ITEMS = [
+    { labelKey: 'app.stories', href: HOME_URL, views: ['story', 'archive'] },
+    { labelKey: 'app.community', href: FEED_URL, views: ['feed'] },
+];
+
+const navLinkClass = (isActive) => `px-3 py-1.5 rounded-full text-sm font-semibold transition-colors ${isActive ? 'bg-emerald-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`;
+
+const LoadingScreen = () => {
+    const { t } = useI18n();
+    return (
+        <div className="flex items-center justify-center min-h-screen bg-gray-50" role="status">
+            <div className="text-center p-8 bg-white shadow-xl rounded-xl">
+                <svg className="animate-spin mx-auto h-12 w-12 text-blue-600 mb-4" aria-hidden="true" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                </svg>
+                <p className="text-gray-700 font-semibold">{t('app.loading')}</p>
+            </div>
+        </div>
+    );
+};
+
+const App = () => {
+    const { db, storage, userId, isAuthReady, isProfileReady, error } = useFirebase();
+    const route = useRoute();
+    // The whole app re-renders in the new language when the locale changes
+    const { t } = useI18n();
+    const mainRef = useRef(null);
+    const isFirstRoute = useRef(true);
+    const moderation = useModeration(db, userId, isAuthReady);
+    const ownProfile = useProfile(db, userId);
+    const [adminError, setAdminError] = useState(null);
+    const displayAlias = moderation.isCreator ? CREATOR_ALIAS : isProfileReady ? profileAlias(ownProfile, userId) : null;
+
+    // Every route starts at the top of the page (post links scroll on from there). Focus moves to
+    // the new page too, so keyboard and screen reader users don't stay on the link they followed.
+    useEffect(() => {
+        window.scrollTo(0, 0);
+        setAdminError(null);
+        if (isFirstRoute.current) {
+            isFirstRoute.current = false;
+        } else {
+            mainRef.current?.focus({ preventScroll: true });
+        }
+    }, [route]);
+
+    if (!isAuthReady) return <LoadingScreen />;
+
+    const showTrendingTags = ['story', 'archive', 'feed', 'tag'].includes(route.view);
+
+    return (
+        <div className="min-h-screen bg-gray-50 font-sans">
+            <a href="#main-content" onClick={(e) => { e.preventDefault(); mainRef.current?.focus(); }} className="sr-only focus:not-sr-only focus:absolute focus:top-2 focus:left-2 focus:z-30 focus:px-3 focus:py-2 focus:bg-white focus:rounded-lg focus:shadow text-sm font-semibold text-emerald-700">
+                {t('app.skipToContent')}
+            </a>
+            <header className="bg-white shadow-sm border-b border-gray-100 sticky top-0 z-20">
+                <div className="max-w-5xl mx-auto px-4 py-3 sm:px-6 lg:px-8 flex flex-wrap gap-3 justify-between items-center">
+                    <div>
+                        <h1 className="text-2xl font-extrabold text-emerald-700 tracking-tight">
+                            <a href={HOME_URL}>Explore with Kairu</a>
+                        </h1>
+                        <p className="text-xs text-gray-500 font-medium">{t('app.tagline')}</p>
+                    </div>
+                    <nav className="flex items-center gap-1" aria-label={t('app.navigation')}>
+                        {NAV_ITEMS.map(item => {
+                            const isActive = item.views.includes(route.view);
+                            return <a key={item.href} href={item.href} className={navLinkClass(isActive)} aria-current={isActive ? 'page' : undefined}>{t(item.labelKey)}</a>;
+                        })}
+                        {userId && (
+                            <a href={profileUrl(userId)} className={navLinkClass(route.view === 'profile' && route.profileId === userId)}>{t('app.profile')}</a>
+                        )}
+                        {moderation.isCreator && (
+                            <a href={CREATOR_URL} className={navLinkClass(route.view === 'creator')}>{t('app.creator')}</a>
+                        )}
+                        {moderation.isModerator && (
+                            <a href={ADMIN_URL} className={navLinkClass(route.view === 'admin')}>{t('app.admin')}</a>
+                        )}
+                    </nav>
+                    <div className="flex items-center space-x-4">
+                        <LanguageSwitcher />
+                        <SyncStatus db={db} />
+                        <NotificationBell db={db} userId={userId} linkFor={contentLink} />
+                        <OnlineCount />
+                        {displayAlias && (
+                            <a href={profileUrl(userId)} className={`hidden sm:inline text-sm font-semibold hover:underline ${moderation.isCreator ? 'text-yellow-600' : 'text-emerald-600'}`}>
+                                {displayAlias}
+                            </a>
+                        )}
+                    </div>
+                </div>
+                {error && <p className="text-center text-sm text-red-600 bg-red-50 py-1">{error}</p>}
+            </header>
+
+            <main id="main-content" ref={mainRef} tabIndex={-1} className="focus:outline-none max-w-5xl mx-auto px-4 py-6 sm:px-6 lg:px-8 lg:grid lg:grid-cols-[minmax(0,1fr)_16rem] lg:gap-6">
+                <div className={`min-w-0 ${showTrendingTags ? '' : 'lg:col-span-2'}`}>
+                    {(route.view === 'story' || route.view === 'archive') && (
+                        <StoriesPage route={route} moderation={moderation} />
+                    )}
+
+                    {route.view === 'feed' && (
+                        <CommunityFeed moderation={moderation} postId={route.postId} />
+                    )}
+
+                    {route.view === 'profile' && (
+                        <ProfilePage db={db} storage={storage} uid={route.profileId} viewerId={userId} linkFor={contentLink} />
+                    )}
+
+                    {route.view === 'tag' && (
+                        <TagPage db={db} tag={route.tag} linkFor={contentLink} />
+                    )}
+
+                    {route.view === 'creator' && (moderation.isCreator ? (
+                        <CreatorDashboard db={db} storage={storage} userId={userId} editing={route.editing} />
+                    ) : (
+                        <div className="text-center p-10 bg-white rounded-xl shadow-lg mb-8">
+                            <p className="text-gray-500">{t('app.creatorOnly')}</p>
+                        </div>
+                    ))}
+
+                    {route.view === 'admin' && (moderation.isModerator ? (
+                        <>
+                            {adminError && <p className="text-red-500 mb-4 p-2 bg-red-100 rounded-lg text-center" role="alert">{adminError}</p>}
+                            <ModerationQueue db={db} moderatorId={userId} onError={setAdminError} />
+                        </>
+                    ) : (
+                        <div className="text-center p-10 bg-white rounded-xl shadow-lg mb-8">
+                            <p className="text-gray-500">{t('app.moderatorsOnly')}</p>
+                        </div>
+                    ))}
+                </div>
+
+                {showTrendingTags && (
+                    <aside className="mt-8 lg:mt-0">
+                        <div className="lg:sticky lg:top-24 space-y-4">
+                            <TrendingTags db={db} />
+                            {route.view !== 'archive' && (
+                                <a href={ARCHIVE_URL} className="block text-sm text-center text-emerald-700 font-semibold hover:underline">{t('app.browseArchive')}</a>
+                            )}
+                        </div>
+                    </aside>
+                )}
+            </main>
+
+            <footer className="max-w-5xl mx-auto px-4 py-6 sm:px-6 lg:px-8 text-center text-xs text-gray-500">
+                {t('app.footer', { year: String(new Date().getFullYear()) })}
+            </footer>
+        </div>
+    );
+};
+
+export default App;
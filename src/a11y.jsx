@@ -0,0 +1,87 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useI18n } from './i18n';
+
+// --- Keyboard and screen reader helpers ---
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Keeps Tab and Shift+Tab inside `ref` while it's open (modal dialogs), starting on its first
+// control, and gives focus back to whatever had it before once the dialog closes
+export const useFocusTrap = (ref, isActive = true) => {
+    useEffect(() => {
+        const container = ref.current;
+        if (!isActive || !container) return;
+        const previouslyFocused = document.activeElement;
+        const focusable = () => Array.from(container.querySelectorAll(FOCUSABLE));
+
+        (focusable()[0] || container).focus();
+
+        const handleKeyDown = (e) => {
+            if (e.key !== 'Tab') return;
+            const elements = focusable();
+            if (elements.length === 0) {
+                e.preventDefault();
+                return;
+            }
+            const first = elements[0];
+            const last = elements[elements.length - 1];
+            const isInside = container.contains(document.activeElement);
+            if (e.shiftKey && (document.activeElement === first || !isInside)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !isInside)) {
+                e.preventDefault();
+                first.focus();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+            if (previouslyFocused && previouslyFocused.focus) previouslyFocused.focus();
+        };
+    }, [ref, isActive]);
+};
+
+// onKeyDown for a role="tablist": arrow keys, Home and End move between its tabs and select
+// them. Tabs take tabIndex 0 when selected and -1 otherwise, so Tab itself leaves the list.
+export const handleTabListKeyDown = (e) => {
+    const tabs = Array.from(e.currentTarget.querySelectorAll('[role="tab"]'));
+    const index = tabs.indexOf(document.activeElement);
+    const next = { ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: tabs.length - 1 }[e.key];
+    if (index === -1 || next === undefined) return;
+    e.preventDefault();
+    const tab = tabs[(next + tabs.length) % tabs.length];
+    tab.focus();
+    tab.click();
+};
+
+// Messages in a live region are cleared after a while, so the same text can be announced again
+const ANNOUNCEMENT_CLEAR_MS = 5000;
+
+const timeOf = (item) => (item.timestamp?.toMillis ? item.timestamp.toMillis() : null);
+
+// Screen reader announcement ("2 new comments") for comments that arrive from other explorers
+// while the list is open. Comments that were already there, and the explorer's own, stay quiet.
+export const NewCommentAnnouncer = ({ comments, userId }) => {
+    const { t } = useI18n();
+    const [message, setMessage] = useState('');
+    const openedAt = useRef(Date.now());
+    const announcedIds = useRef(new Set());
+
+    useEffect(() => {
+        const arrived = comments.filter(comment => comment.userId !== userId
+            && !announcedIds.current.has(comment.id)
+            && timeOf(comment) > openedAt.current);
+        if (arrived.length === 0) return;
+        arrived.forEach(comment => announcedIds.current.add(comment.id));
+        setMessage(t('common.newComments', { count: arrived.length }));
+    }, [comments, userId, t]);
+
+    useEffect(() => {
+        if (!message) return;
+        const timer = setTimeout(() => setMessage(''), ANNOUNCEMENT_CLEAR_MS);
+        return () => clearTimeout(timer);
+    }, [message]);
+
+    return <p className="sr-only" role="status" aria-live="polite">{message}</p>;
+};
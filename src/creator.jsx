@@ -0,0 +1,732 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { doc, collection, query, where, orderBy, limit, onSnapshot, getDoc, getDocs, setDoc, updateDoc, deleteDoc, deleteField, writeBatch, runTransaction, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { Bold, Italic, Heading2, List, Quote, Link, Image as ImageIcon, Pin, Star, BarChart3, CalendarClock, Eye, MessageCircle, SmilePlus } from 'lucide-react';
+import { STORIES_PATH, STORY_DRAFTS_PATH, storyPath, storyDraftPath, photoFolder, editWithRevision, isScheduled, usePublishTime } from './data';
+import { formatDateTime, formatTimestamp } from './format';
+import { CREATOR_ALIAS } from './moderation';
+import { CREATOR_URL, NEW_STORY_URL, editDraftUrl, editStoryUrl, storyUrl } from './routes';
+import { extractTags, releaseScheduledTags, tagIndexWrites } from './tags';
+import { deletePhotos, usePhotoDrafts, PhotoPicker } from './photos';
+import { STAT_METRICS, dailySeries, useStoryStats } from './stats';
+import { StoryCard } from './stories';
+import { handleTabListKeyDown } from './a11y';
+import { useI18n } from './i18n';
+
+// --- Creator dashboard (Kairu only): drafts, scheduled stories, publishing and story stats ---
+// Drafts live in their own collection, which only creators can read. Scheduling a draft
+// publishes it with its future publish time as the story's timestamp: the rules keep it from
+// explorers until then, and their story queries pick it up once the time has come (see
+// publishedBy in ./data), whether or not anyone has the app open.
+
+const DEFAULT_COVER_URL = 'https://placehold.co/800x400/10b981/ffffff?text=ExplorewithKairu+Post';
+// Stories listed on the dashboard (stats are read for all of them in one query)
+const DASHBOARD_STORY_LIMIT = 30;
+const STATS_DAYS = 14;
+
+const EMPTY_FIELDS = { title: '', content: '', imageUrl: '', pinned: false, featured: false, publishAt: '' };
+
+// What a story stores, from the editor's fields or a draft: a pasted cover URL wins, otherwise
+// the first photo is the cover
+export const buildStory = ({ title, content, imageUrl }, photos) => ({
+    title: title.trim(),
+    content: content.trim(),
+    imageUrl: imageUrl.trim() || photos[0]?.url || DEFAULT_COVER_URL,
+    photos,
+    tags: extractTags(title, content),
+});
+
+// <input type="datetime-local"> values are local times without a zone
+const toLocalInputValue = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+// Only one story is pinned (it opens the home page); pinning another unpins it
+export const setStoryPinned = async (db, storyId, pinned) => {
+    const batch = writeBatch(db);
+    if (pinned) {
+        const pinnedSnap = await getDocs(query(collection(db, STORIES_PATH), where('pinned', '==', true)));
+        pinnedSnap.docs.filter(docSnap => docSnap.id !== storyId).forEach(docSnap => batch.update(docSnap.ref, { pinned: false }));
+    }
+    batch.update(doc(db, storyPath(storyId)), { pinned });
+    await batch.commit();
+};
+
+// Turns a draft into a story with the same id, out now or at `publishAt` (a Date). The
+// transaction makes publishing happen once, even when two tabs (or two creators) publish the
+// same draft. Resolves to whether this call published.
+export const publishDraft = async (db, draftId, userId, { publishAt = null } = {}) => {
+    const draftRef = doc(db, storyDraftPath(draftId));
+    const storyRef = doc(db, storyPath(draftId));
+
+    const published = await runTransaction(db, async (transaction) => {
+        const draftSnap = await transaction.get(draftRef);
+        if (!draftSnap.exists()) return null;
+        const draft = draftSnap.data();
+
+        const story = buildStory(draft, draft.photos || []);
+        transaction.set(storyRef, {
+            ...story,
+            author: CREATOR_ALIAS,
+            authorId: userId,
+            featured: !!draft.featured,
+            unpublished: false,
+            // A scheduled story keeps its pin: the newest pinned story that is out opens the
+            // home page, so it takes over once it goes out. Its tags wait in scheduledTags
+            // (see releaseScheduledTags).
+            ...(publishAt ? { pinned: !!draft.pinned, tags: [], scheduledTags: story.tags } : {}),
+            timestamp: publishAt ? Timestamp.fromDate(publishAt) : serverTimestamp(),
+        });
+        if (!publishAt) tagIndexWrites(db, storyRef.path, [], story.tags)(transaction);
+        transaction.delete(draftRef);
+        return { ...story, pinned: !!draft.pinned };
+    });
+    if (!published) return false;
+
+    if (published.pinned && !publishAt) {
+        setStoryPinned(db, draftId, true).catch(error => console.error("Error pinning the new story:", error));
+    }
+    // Explorers hear about the new story from the story feed in their notifications
+    return true;
+};
+
+// Drafts, the latest saved first
+const useDrafts = (db, enabled) => {
+    const [drafts, setDrafts] = useState([]);
+
+    useEffect(() => {
+        if (!db || !enabled) {
+            setDrafts([]);
+            return;
+        }
+        return onSnapshot(collection(db, STORY_DRAFTS_PATH), (snapshot) => {
+            const savedAt = (draft) => (draft.updatedAt?.toMillis ? draft.updatedAt.toMillis() : Date.now());
+            setDrafts(snapshot.docs
+                .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+                .sort((a, b) => savedAt(b) - savedAt(a)));
+        }, (error) => console.error("Error fetching story drafts:", error));
+    }, [db, enabled]);
+
+    return drafts;
+};
+
+// The latest stories, live: scheduled ones first, then published (and unpublished) ones
+const useRecentStories = (db) => {
+    const [stories, setStories] = useState([]);
+
+    useEffect(() => {
+        if (!db) return;
+        const recent = query(collection(db, STORIES_PATH), orderBy('timestamp', 'desc'), limit(DASHBOARD_STORY_LIMIT));
+        return onSnapshot(recent, (snapshot) => {
+            setStories(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })));
+        }, (error) => console.error("Error fetching stories for the dashboard:", error));
+    }, [db]);
+
+    return stories;
+};
+
+// --- Editor ---
+
+// labelKey, placeholderKey: message keys of the button label and the text to type over
+const MARKDOWN_ACTIONS = [
+    { labelKey: 'creator.markdown.bold', icon: Bold, before: '**', after: '**', placeholderKey: 'creator.markdown.boldPlaceholder' },
+    { labelKey: 'creator.markdown.italic', icon: Italic, before: '*', after: '*', placeholderKey: 'creator.markdown.italicPlaceholder' },
+    { labelKey: 'creator.markdown.heading', icon: Heading2, before: '## ', after: '', placeholderKey: 'creator.markdown.headingPlaceholder', isLine: true },
+    { labelKey: 'creator.markdown.list', icon: List, before: '- ', after: '', placeholderKey: 'creator.markdown.listPlaceholder', isLine: true },
+    { labelKey: 'creator.markdown.quote', icon: Quote, before: '> ', after: '', placeholderKey: 'creator.markdown.quotePlaceholder', isLine: true },
+    { labelKey: 'creator.markdown.link', icon: Link, before: '[', after: '](https://)', placeholderKey: 'creator.markdown.linkPlaceholder' },
+    { labelKey: 'creator.markdown.image', icon: ImageIcon, before: '![', after: '](https://)', placeholderKey: 'creator.markdown.imagePlaceholder', isLine: true },
+];
+
+// Writes a new story, edits a draft or a scheduled story, or edits a published story
+// (`editing` comes from the route, see ./routes)
+const StoryEditor = ({ db, storage, userId, editing }) => {
+    const { t } = useI18n();
+    const isStory = editing.kind === 'story';
+    const [draftId, setDraftId] = useState(editing.kind === 'draft' ? editing.id : null);
+    const [fields, setFields] = useState(EMPTY_FIELDS);
+    const [photos, setPhotos] = useState([]); // photos already uploaded for this story
+    const [original, setOriginal] = useState(null); // the published story, when editing one
+    const [isLoading, setIsLoading] = useState(editing.kind !== 'new');
+    const [isSaving, setIsSaving] = useState(false);
+    const [tab, setTab] = useState('write');
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const photoDrafts = usePhotoDrafts();
+    const contentRef = useRef(null);
+    // A scheduled story can still be moved to another time
+    const isScheduledStory = isStory && !!original && isScheduled(original);
+
+    // Loaded once, so changes saved elsewhere don't overwrite what's being typed
+    useEffect(() => {
+        if (editing.kind === 'new' || !db) return;
+        let cancelled = false;
+
+        getDoc(doc(db, isStory ? storyPath(editing.id) : storyDraftPath(editing.id))).then((docSnap) => {
+            if (cancelled) return;
+            if (!docSnap.exists()) {
+                setError(t(isStory ? 'creator.storyNotFound' : 'creator.draftMissing'));
+                return;
+            }
+            const data = docSnap.data();
+            const storedPhotos = data.photos || [];
+            // The image URL field only holds pasted URLs; a cover taken from the photos is
+            // recomputed on save
+            const pastedImageUrl = storedPhotos.some(photo => photo.url === data.imageUrl) ? '' : data.imageUrl || '';
+            setFields({
+                title: data.title || '',
+                content: data.content || '',
+                imageUrl: isStory ? pastedImageUrl : data.imageUrl || '',
+                pinned: !!data.pinned,
+                featured: !!data.featured,
+                publishAt: isStory && isScheduled(data) ? toLocalInputValue(data.timestamp.toDate()) : '',
+            });
+            setPhotos(storedPhotos);
+            if (isStory) setOriginal({ id: docSnap.id, ...data });
+        }).catch((err) => {
+            console.error("Error loading the story editor:", err);
+            if (!cancelled) setError(t('creator.loadFailed'));
+        }).finally(() => {
+            if (!cancelled) setIsLoading(false);
+        });
+
+        return () => { cancelled = true; };
+    }, [db, editing.kind, editing.id, isStory, t]);
+
+    const setField = (name, value) => setFields(prev => ({ ...prev, [name]: value }));
+
+    const publishAt = (!isStory || isScheduledStory) && fields.publishAt ? new Date(fields.publishAt) : null;
+    const scheduleError = publishAt && !(publishAt > new Date()) ? t('creator.futureTime') : null;
+    const canSave = fields.title.trim() && fields.content.trim() && !photoDrafts.isProcessing && !isSaving && !isLoading;
+
+    // Replaces the selection (or a placeholder) with Markdown and selects the text to type over
+    const insertMarkdown = ({ before, after = '', placeholderKey, isLine = false }) => {
+        const placeholder = placeholderKey ? t(placeholderKey) : '';
+        const textarea = contentRef.current;
+        const { value, selectionStart: start, selectionEnd: end } = textarea;
+        const selected = value.slice(start, end) || placeholder;
+        const prefix = isLine && start > 0 && value[start - 1] !== '\n' ? `\n${before}` : before;
+        setField('content', value.slice(0, start) + prefix + selected + after + value.slice(end));
+        requestAnimationFrame(() => {
+            textarea.focus();
+            textarea.setSelectionRange(start + prefix.length, start + prefix.length + selected.length);
+        });
+    };
+
+    // Runs a save action with the shared saving state and error message
+    const run = async (action, failureMessage) => {
+        setIsSaving(true);
+        setError(null);
+        setNotice(null);
+        try {
+            await action();
+        } catch (err) {
+            console.error(failureMessage, err);
+            setError(navigator.onLine ? failureMessage : t('creator.needsConnection', { message: failureMessage }));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // New photos go up first so the story never points at missing files
+    const uploadPhotos = async () => {
+        if (!photoDrafts.hasPhotos) return photos;
+        const uploaded = [...photos, ...await photoDrafts.upload(storage, photoFolder(userId))];
+        setPhotos(uploaded);
+        photoDrafts.clear();
+        return uploaded;
+    };
+
+    // Saves the editor into its draft (creating it for a new story) and resolves to the draft id
+    const writeDraft = async () => {
+        const savedPhotos = await uploadPhotos();
+        const draftRef = draftId ? doc(db, storyDraftPath(draftId)) : doc(collection(db, STORY_DRAFTS_PATH));
+        await setDoc(draftRef, {
+            title: fields.title,
+            content: fields.content,
+            imageUrl: fields.imageUrl.trim(),
+            photos: savedPhotos,
+            pinned: fields.pinned,
+            featured: fields.featured,
+            authorId: userId,
+            updatedAt: serverTimestamp(),
+            ...(draftId ? {} : { createdAt: serverTimestamp() }),
+        }, { merge: true });
+        if (!draftId) {
+            setDraftId(draftRef.id);
+            // The editor stays open; a reload reopens the draft
+            window.history.replaceState(null, '', editDraftUrl(draftRef.id));
+        }
+        return draftRef.id;
+    };
+
+    const handleSaveDraft = () => run(async () => {
+        await writeDraft();
+        setNotice(t('creator.draftSaved'));
+    }, t('creator.draftSaveFailed'));
+
+    // The story waits on the dashboard until its time comes
+    const handleSchedule = () => run(async () => {
+        const id = await writeDraft();
+        await publishDraft(db, id, userId, { publishAt });
+        window.location.hash = CREATOR_URL;
+    }, t('creator.scheduleFailed'));
+
+    const handlePublishNow = () => run(async () => {
+        const id = await writeDraft();
+        await publishDraft(db, id, userId);
+        window.location.hash = storyUrl(id);
+    }, t('creator.publishFailed'));
+
+    const handleSaveStory = () => run(async () => {
+        const savedPhotos = await uploadPhotos();
+        const story = buildStory(fields, savedPhotos);
+        // A scheduled story's tags keep waiting until it goes out (see releaseScheduledTags)
+        const changes = isScheduledStory
+            ? { ...story, tags: [], scheduledTags: story.tags, timestamp: Timestamp.fromDate(publishAt) }
+            : { ...story, ...(original?.scheduledTags ? { scheduledTags: deleteField() } : {}) };
+        await editWithRevision(db, storyPath(editing.id), changes, {
+            title: original?.title || '',
+            content: original?.content || '',
+            imageUrl: original?.imageUrl || '',
+            photos: original?.photos || [],
+        }, userId, tagIndexWrites(db, storyPath(editing.id), original?.tags, changes.tags));
+        window.location.hash = storyUrl(editing.id);
+    }, t('creator.storySaveFailed'));
+
+    // The preview shows picked photos from the device before they're uploaded
+    const previewPhotos = [
+        ...photos,
+        ...photoDrafts.drafts.filter(draft => draft.status === 'ready').map(draft => ({ url: draft.previewUrl, alt: draft.alt })),
+    ];
+    const previewStory = {
+        id: draftId || editing.id || 'preview',
+        ...buildStory(fields, previewPhotos),
+        author: CREATOR_ALIAS,
+        // Published stories keep their date; new ones are stamped when they go out
+        timestamp: original?.timestamp || null,
+        pinned: isStory ? original?.pinned : fields.pinned,
+        featured: isStory ? original?.featured : fields.featured,
+        unpublished: original?.unpublished,
+    };
+
+    const tabClass = (name) => `px-3 py-1.5 text-sm font-semibold rounded-full ${tab === name ? 'bg-emerald-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`;
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg p-5 sm:p-6">
+            <div className="flex flex-wrap justify-between items-center gap-3 border-b pb-3 mb-4">
+                <h2 className="text-2xl font-bold text-emerald-700">
+                    {t(isScheduledStory ? 'creator.scheduledStory' : isStory ? 'creator.editStory' : draftId ? 'creator.draft' : 'creator.newStory')}
+                </h2>
+                <div className="flex gap-1" role="tablist" aria-label={t('creator.editor')} onKeyDown={handleTabListKeyDown}>
+                    {['write', 'preview'].map(name => (
+                        <button
+                            key={name}
+                            id={`story-editor-tab-${name}`}
+                            role="tab"
+                            aria-selected={tab === name}
+                            aria-controls="story-editor-panel"
+                            tabIndex={tab === name ? 0 : -1}
+                            onClick={() => setTab(name)}
+                            className={tabClass(name)}
+                        >
+                            {t(`creator.${name}`)}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {isLoading && <p className="text-gray-500 text-center py-6">{t('common.loading')}</p>}
+
+            {!isLoading && tab === 'preview' && (
+                <div id="story-editor-panel" role="tabpanel" aria-labelledby="story-editor-tab-preview">
+                    <StoryCard story={previewStory} db={db} isPreview />
+                </div>
+            )}
+
+            {!isLoading && tab === 'write' && (
+                <div id="story-editor-panel" role="tabpanel" aria-labelledby="story-editor-tab-write">
+                    <input
+                        type="text"
+                        placeholder={t('creator.titlePlaceholder')}
+                        aria-label={t('creator.title')}
+                        value={fields.title}
+                        onChange={(e) => setField('title', e.target.value)}
+                        className="w-full p-3 mb-3 border border-gray-300 rounded-lg focus:ring-emerald-500 focus:border-emerald-500 text-lg font-semibold"
+                    />
+                    <div className="flex flex-wrap gap-1 mb-1" role="toolbar" aria-label={t('creator.formatting')}>
+                        {MARKDOWN_ACTIONS.map(({ icon: Icon, ...action }) => (
+                            <button
+                                key={action.labelKey}
+                                type="button"
+                                onClick={() => insertMarkdown(action)}
+                                className="p-2 text-gray-600 rounded hover:bg-gray-100"
+                                aria-label={t(action.labelKey)}
+                                title={t(action.labelKey)}
+                            >
+                                <Icon size={16} />
+                            </button>
+                        ))}
+                    </div>
+                    <textarea
+                        ref={contentRef}
+                        rows="14"
+                        aria-label={t('creator.story')}
+                        placeholder={t('creator.storyPlaceholder')}
+                        value={fields.content}
+                        onChange={(e) => setField('content', e.target.value)}
+                        className="w-full p-3 mb-3 border border-gray-300 rounded-lg focus:ring-emerald-500 focus:border-emerald-500 font-mono text-sm"
+                    />
+
+                    {photos.length > 0 && (
+                        <ul className="flex flex-wrap gap-3 mb-3">
+                            {photos.map(photo => (
+                                <li key={photo.path || photo.url} className="w-24 text-center">
+                                    <img src={photo.url} alt={photo.alt || ''} className="w-24 h-16 object-cover rounded" />
+                                    <div className="flex justify-center gap-2 text-xs mt-1">
+                                        <button
+                                            type="button"
+                                            onClick={() => insertMarkdown({ before: `![${photo.alt || ''}](${photo.url})`, isLine: true })}
+                                            className="text-emerald-700 hover:underline"
+                                            disabled={isSaving}
+                                        >
+                                            {t('creator.insertPhoto')}
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => setPhotos(prev => prev.filter(item => item !== photo))}
+                                            className="text-gray-500 hover:text-red-600"
+                                            aria-label={t('creator.removePhotoLabel')}
+                                            disabled={isSaving}
+                                        >
+                                            {t('creator.removePhoto')}
+                                        </button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <PhotoPicker photoDrafts={photoDrafts} disabled={isSaving} />
+                    {photoDrafts.hasPhotos && (
+                        <button
+                            type="button"
+                            onClick={() => run(uploadPhotos, t('creator.photoUploadFailed'))}
+                            disabled={isSaving || photoDrafts.isProcessing}
+                            className="text-sm text-emerald-700 font-semibold hover:underline mb-3"
+                        >
+                            {t('creator.uploadNow')}
+                        </button>
+                    )}
+                    <input
+                        type="text"
+                        placeholder={t('creator.coverPlaceholder')}
+                        aria-label={t('creator.coverLabel')}
+                        value={fields.imageUrl}
+                        onChange={(e) => setField('imageUrl', e.target.value)}
+                        className="w-full p-3 mb-3 border border-gray-300 rounded-lg focus:ring-emerald-500 focus:border-emerald-500"
+                    />
+
+                    {(!isStory || isScheduledStory) && (
+                        <fieldset className="flex flex-wrap items-center gap-x-6 gap-y-2 mb-4 text-sm text-gray-700">
+                            <legend className="sr-only">{t('creator.publishingOptions')}</legend>
+                            {!isStory && (
+                                <>
+                                    <label className="flex items-center">
+                                        <input type="checkbox" className="mr-2 rounded text-emerald-600" checked={fields.pinned} onChange={(e) => setField('pinned', e.target.checked)} />
+                                        {t('creator.pinToHome')}
+                                    </label>
+                                    <label className="flex items-center">
+                                        <input type="checkbox" className="mr-2 rounded text-emerald-600" checked={fields.featured} onChange={(e) => setField('featured', e.target.checked)} />
+                                        {t('creator.featureInArchive')}
+                                    </label>
+                                </>
+                            )}
+                            <label className="flex items-center">
+                                <CalendarClock size={16} className="mr-2 text-gray-500" />
+                                <span className="mr-2">{t('creator.publishAt')}</span>
+                                <input
+                                    type="datetime-local"
+                                    value={fields.publishAt}
+                                    min={toLocalInputValue(new Date())}
+                                    onChange={(e) => setField('publishAt', e.target.value)}
+                                    className="p-1 border border-gray-300 rounded"
+                                />
+                            </label>
+                            {!isStory && fields.publishAt && (
+                                <button type="button" onClick={() => setField('publishAt', '')} className="text-xs text-gray-500 hover:underline">{t('creator.dontSchedule')}</button>
+                            )}
+                        </fieldset>
+                    )}
+                </div>
+            )}
+
+            {error && <p className="text-sm text-red-500 mb-3" role="alert">{error}</p>}
+            {scheduleError && <p className="text-sm text-amber-700 mb-3">{scheduleError}</p>}
+            {notice && <p className="text-sm text-emerald-700 mb-3" role="status">{notice}</p>}
+
+            <div className="flex flex-wrap justify-end gap-3 border-t pt-4">
+                <a href={CREATOR_URL} className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors">
+                    {t(isStory ? 'common.cancel' : 'creator.backToDashboard')}
+                </a>
+                {isStory ? (
+                    <button
+                        onClick={handleSaveStory}
+                        disabled={!canSave || (isScheduledStory && (!publishAt || !!scheduleError))}
+                        className="px-4 py-2 text-white font-semibold rounded-lg transition-colors bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                    >
+                        {t(isSaving ? 'creator.saving' : 'creator.saveChanges')}
+                    </button>
+                ) : (
+                    <>
+                        <button
+                            onClick={publishAt ? handleSchedule : handleSaveDraft}
+                            disabled={!canSave || !!scheduleError}
+                            className="px-4 py-2 font-semibold rounded-lg transition-colors bg-emerald-50 text-emerald-700 hover:bg-emerald-100 disabled:text-gray-400 disabled:bg-gray-100 disabled:cursor-not-allowed"
+                        >
+                            {t(publishAt ? 'creator.schedule' : 'creator.saveDraft')}
+                        </button>
+                        <button
+                            onClick={handlePublishNow}
+                            disabled={!canSave}
+                            className="px-4 py-2 text-white font-semibold rounded-lg transition-colors bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                        >
+                            {t(isSaving ? 'creator.saving' : 'creator.publishNow')}
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Stats ---
+
+// Labels are the message keys creator.metric.<metric>
+const METRIC_ICONS = { views: Eye, comments: MessageCircle, reactions: SmilePlus };
+
+// Totals for a story row
+const StatTotals = ({ stats }) => {
+    const { t } = useI18n();
+    return (
+        <span className="flex items-center gap-3 text-xs text-gray-500">
+            {STAT_METRICS.map(metric => {
+                const Icon = METRIC_ICONS[metric];
+                const label = t(`creator.metric.${metric}`);
+                return (
+                    <span key={metric} className="flex items-center" title={label}>
+                        <Icon size={14} className="mr-1" aria-hidden="true" />
+                        <span className="sr-only">{label}: </span>
+                        {stats?.[metric] || 0}
+                    </span>
+                );
+            })}
+        </span>
+    );
+};
+
+// One bar chart per metric over the last STATS_DAYS days
+const StatsCharts = ({ stats }) => {
+    const { t } = useI18n();
+    return (
+        <div className="grid sm:grid-cols-3 gap-4 mt-3">
+            {STAT_METRICS.map(metric => {
+                const series = dailySeries(stats, metric, STATS_DAYS);
+                const highest = Math.max(1, ...series.map(point => point.count));
+                const label = t(`creator.metric.${metric}`);
+                return (
+                    <figure key={metric}>
+                        <figcaption className="text-xs font-semibold text-gray-600 mb-1">
+                            {label} <span className="font-normal text-gray-400">{t('creator.lastDays', { days: STATS_DAYS })}</span>
+                        </figcaption>
+                        <div
+                            className="flex items-end gap-0.5 h-16 bg-gray-50 rounded p-1"
+                            role="img"
+                            aria-label={t('creator.perDay', { metric: label, counts: series.map(point => point.count).join(', ') })}
+                        >
+                            {series.map(point => (
+                                <div
+                                    key={point.day}
+                                    className="flex-1 bg-emerald-500 rounded-t"
+                                    style={{ height: `${(point.count / highest) * 100}%` }}
+                                    title={`${point.day}: ${point.count}`}
+                                />
+                            ))}
+                        </div>
+                    </figure>
+                );
+            })}
+        </div>
+    );
+};
+
+// --- Dashboard ---
+
+export const CreatorDashboard = ({ db, storage, userId, editing }) => {
+    const { t } = useI18n();
+    const drafts = useDrafts(db, true);
+    const stories = useRecentStories(db);
+    const now = usePublishTime();
+    const scheduledStories = stories.filter(story => isScheduled(story, now)).reverse();
+    const publishedStories = stories.filter(story => !isScheduled(story, now));
+    const stats = useStoryStats(db, publishedStories.map(story => story.id));
+    const [statsStoryId, setStatsStoryId] = useState(null);
+    const [busyId, setBusyId] = useState(null);
+    const [error, setError] = useState(null);
+
+    if (editing) {
+        // A fresh editor for every story or draft
+        return <StoryEditor key={`${editing.kind}:${editing.id}`} db={db} storage={storage} userId={userId} editing={editing} />;
+    }
+
+    // Runs a list action for one item, with its buttons disabled meanwhile
+    const act = async (id, action, failureMessage) => {
+        setBusyId(id);
+        setError(null);
+        try {
+            await action();
+        } catch (err) {
+            console.error(failureMessage, err);
+            setError(failureMessage);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handlePublishDraft = (draft) => {
+        if (!draft.title?.trim() || !draft.content?.trim()) {
+            setError(t('creator.draftNeedsContent'));
+            return;
+        }
+        act(draft.id, () => publishDraft(db, draft.id, userId), t('creator.publishFailed'));
+    };
+
+    // A scheduled story goes out straight away, taking over the home page if it's pinned
+    const handlePublishScheduled = (story) => act(story.id, async () => {
+        if (story.scheduledTags) {
+            await releaseScheduledTags(db, story, { timestamp: serverTimestamp() });
+        } else {
+            await updateDoc(doc(db, storyPath(story.id)), { timestamp: serverTimestamp() });
+        }
+        if (story.pinned) await setStoryPinned(db, story.id, true);
+    }, t('creator.publishFailed'));
+
+    const handleDeleteDraft = (draft) => {
+        if (!window.confirm(t('creator.confirmDeleteDraft', { title: draft.title || t('creator.untitled') }))) return;
+        act(draft.id, async () => {
+            await deleteDoc(doc(db, storyDraftPath(draft.id)));
+            deletePhotos(storage, draft.photos || []);
+        }, t('creator.draftDeleteFailed'));
+    };
+
+    const handleTogglePinned = (story) => act(story.id, () => setStoryPinned(db, story.id, !story.pinned), t('creator.pinFailed'));
+    const handleToggleFeatured = (story) => act(story.id, () => updateDoc(doc(db, storyPath(story.id)), { featured: !story.featured }), t('creator.featureFailed'));
+
+    const flagClass = (isOn) => `p-1.5 rounded-full transition-colors ${isOn ? 'text-yellow-600 bg-yellow-50' : 'text-gray-400 hover:bg-gray-100'}`;
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-between items-center">
+                <h2 className="text-2xl font-bold text-gray-800">{t('creator.dashboard')}</h2>
+                <a href={NEW_STORY_URL} className="px-3 py-1.5 bg-yellow-600 text-white text-sm font-bold rounded-full hover:bg-yellow-700 transition-colors shadow-md">
+                    {t('creator.addStory')}
+                </a>
+            </div>
+            {error && <p className="text-red-500 p-2 bg-red-100 rounded-lg text-center" role="alert">{error}</p>}
+
+            <section className="bg-white rounded-xl shadow-lg p-5" aria-labelledby="drafts-heading">
+                <h3 id="drafts-heading" className="text-lg font-bold text-gray-800 mb-3">{t('creator.drafts')}</h3>
+                {drafts.length === 0 ? (
+                    <p className="text-sm text-gray-500 italic">{t('creator.noDrafts')}</p>
+                ) : (
+                    <ul className="divide-y divide-gray-100">
+                        {drafts.map(draft => (
+                            <li key={draft.id} className="py-3 flex flex-wrap items-center gap-3">
+                                <div className="flex-grow min-w-0">
+                                    <a href={editDraftUrl(draft.id)} className="font-semibold text-gray-900 hover:text-emerald-700">{draft.title?.trim() || t('creator.untitled')}</a>
+                                    <p className="text-xs text-gray-500">{t('creator.draftSavedAt', { time: formatTimestamp(draft.updatedAt).toLowerCase() })}</p>
+                                </div>
+                                <div className="flex gap-3 text-xs font-semibold">
+                                    <a href={editDraftUrl(draft.id)} className="text-yellow-700 hover:underline">{t('common.edit')}</a>
+                                    <button onClick={() => handlePublishDraft(draft)} disabled={busyId === draft.id} className="text-emerald-700 hover:underline disabled:text-gray-400">{t('creator.publishNowLink')}</button>
+                                    <button onClick={() => handleDeleteDraft(draft)} disabled={busyId === draft.id} className="text-red-600 hover:underline disabled:text-gray-400">{t('common.delete')}</button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </section>
+
+            {scheduledStories.length > 0 && (
+                <section className="bg-white rounded-xl shadow-lg p-5" aria-labelledby="scheduled-heading">
+                    <h3 id="scheduled-heading" className="text-lg font-bold text-gray-800 mb-3">{t('creator.scheduledStories')}</h3>
+                    <ul className="divide-y divide-gray-100">
+                        {scheduledStories.map(story => (
+                            <li key={story.id} className="py-3 flex flex-wrap items-center gap-3">
+                                <div className="flex-grow min-w-0">
+                                    <a href={storyUrl(story.id)} className="font-semibold text-gray-900 hover:text-emerald-700">{story.title}</a>
+                                    <p className="text-xs text-emerald-700 font-semibold">
+                                        <CalendarClock size={12} className="inline mr-1 -mt-0.5" aria-hidden="true" />
+                                        {t('creator.scheduledFor', { time: formatDateTime(story.timestamp) })}
+                                    </p>
+                                </div>
+                                <div className="flex gap-3 text-xs font-semibold">
+                                    <a href={editStoryUrl(story.id)} className="text-yellow-700 hover:underline">{t('common.edit')}</a>
+                                    <button onClick={() => handlePublishScheduled(story)} disabled={busyId === story.id} className="text-emerald-700 hover:underline disabled:text-gray-400">{t('creator.publishNowLink')}</button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+            )}
+
+            <section className="bg-white rounded-xl shadow-lg p-5" aria-labelledby="published-heading">
+                <h3 id="published-heading" className="text-lg font-bold text-gray-800 mb-3">{t('creator.publishedStories')}</h3>
+                {publishedStories.length === 0 && <p className="text-sm text-gray-500 italic">{t('creator.nothingPublished')}</p>}
+                <ul className="divide-y divide-gray-100">
+                    {publishedStories.map(story => (
+                        <li key={story.id} className="py-3">
+                            <div className="flex flex-wrap items-center gap-3">
+                                <div className="flex-grow min-w-0">
+                                    <a href={storyUrl(story.id)} className="font-semibold text-gray-900 hover:text-emerald-700">{story.title}</a>
+                                    {story.unpublished && <span className="ml-2 text-xs font-semibold px-2 py-0.5 bg-red-100 text-red-600 rounded-full">{t('creator.unpublished')}</span>}
+                                    <p className="text-xs text-gray-500">{formatTimestamp(story.timestamp)}</p>
+                                </div>
+                                <StatTotals stats={stats[story.id]} />
+                                <div className="flex items-center gap-1">
+                                    <button
+                                        onClick={() => handleTogglePinned(story)}
+                                        disabled={busyId === story.id}
+                                        className={flagClass(story.pinned)}
+                                        aria-pressed={!!story.pinned}
+                                        aria-label={t('creator.pinned')}
+                                        title={t(story.pinned ? 'creator.unpin' : 'creator.pinToHome')}
+                                    >
+                                        <Pin size={16} />
+                                    </button>
+                                    <button
+                                        onClick={() => handleToggleFeatured(story)}
+                                        disabled={busyId === story.id}
+                                        className={flagClass(story.featured)}
+                                        aria-pressed={!!story.featured}
+                                        aria-label={t('creator.featured')}
+                                        title={t(story.featured ? 'creator.stopFeaturing' : 'creator.featureInArchive')}
+                                    >
+                                        <Star size={16} />
+                                    </button>
+                                    <button
+                                        onClick={() => setStatsStoryId(statsStoryId === story.id ? null : story.id)}
+                                        className={flagClass(statsStoryId === story.id)}
+                                        aria-expanded={statsStoryId === story.id}
+                                        aria-label={t('creator.stats')}
+                                        title={t('creator.stats')}
+                                    >
+                                        <BarChart3 size={16} />
+                                    </button>
+                                    <a href={editStoryUrl(story.id)} className="ml-2 text-xs font-semibold text-yellow-700 hover:underline">{t('common.edit')}</a>
+                                </div>
+                            </div>
+                            {statsStoryId === story.id && <StatsCharts stats={stats[story.id]} />}
+                        </li>
+                    ))}
+                </ul>
+            </section>
+        </div>
+    );
+};
@@ -0,0 +1,141 @@
+import { useState, useEffect } from 'react';
+import { doc, collection, writeBatch, serverTimestamp, increment, where, Timestamp } from 'firebase/firestore';
+
+// --- Data layer: every Firestore and Storage location the app uses ---
+// All data lives under artifacts/{appId}/: shared documents in public/data/..., per-user
+// documents in users/{uid}/... and uploaded files in photos/ and avatars/.
+
+export const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+const PUBLIC_DATA = `artifacts/${appId}/public/data`;
+const userRoot = (uid) => `artifacts/${appId}/users/${uid}`;
+
+// Community feed: posts, with threaded comments in a per-post subcollection
+export const POSTS_PATH = `${PUBLIC_DATA}/posts`;
+export const postPath = (postId) => `${POSTS_PATH}/${postId}`;
+export const postCommentsPath = (postId) => `${postPath(postId)}/comments`;
+
+// Kairu's stories and their (flat) comment collection. A story's `timestamp` is when it goes
+// out; scheduled stories wait here with a future one (see publishedBy below).
+export const STORIES_PATH = `${PUBLIC_DATA}/kairu_stories_content`;
+export const storyPath = (storyId) => `${STORIES_PATH}/${storyId}`;
+export const STORY_COMMENTS_PATH = `${PUBLIC_DATA}/kairu_story_comments`;
+export const storyCommentPath = (commentId) => `${STORY_COMMENTS_PATH}/${commentId}`;
+// Story drafts (creators only); a draft keeps its id when it's published or scheduled
+export const STORY_DRAFTS_PATH = `${PUBLIC_DATA}/kairu_story_drafts`;
+export const storyDraftPath = (draftId) => `${STORY_DRAFTS_PATH}/${draftId}`;
+// Per-story view, comment and reaction counters for the creator dashboard
+export const STORY_STATS_PATH = `${PUBLIC_DATA}/kairu_story_stats`;
+export const storyStatsPath = (storyId) => `${STORY_STATS_PATH}/${storyId}`;
+
+// Reactions to a post or comment: one document per explorer (keyed by uid), so nobody can
+// react twice; the item itself keeps the totals in reactionCounts/reactionTotal
+export const reactionsPath = (targetPath) => `${targetPath}/reactions`;
+
+// Explorer profiles, and the alias index that keeps aliases unique
+export const PROFILES_PATH = `${PUBLIC_DATA}/profiles`;
+export const profilePath = (uid) => `${PROFILES_PATH}/${uid}`;
+export const ALIASES_PATH = `${PUBLIC_DATA}/aliases`;
+export const aliasPath = (aliasKey) => `${ALIASES_PATH}/${aliasKey}`;
+
+// Presence: one heartbeat document per signed-in explorer
+export const PRESENCE_PATH = `${PUBLIC_DATA}/presence`;
+export const presencePath = (uid) => `${PRESENCE_PATH}/${uid}`;
+
+// Tag index: one document per tag
+export const TAGS_PATH = `${PUBLIC_DATA}/tags`;
+export const tagPath = (tag) => `${TAGS_PATH}/${tag}`;
+
+// Moderation
+export const ROLES_DOC_PATH = `${PUBLIC_DATA}/config/roles`;
+export const REPORTS_PATH = `${PUBLIC_DATA}/reports`;
+export const BANS_PATH = `${PUBLIC_DATA}/bans`;
+export const MODERATION_LOG_PATH = `${PUBLIC_DATA}/moderation_log`;
+
+// Per-user documents
+export const notificationsPath = (uid) => `${userRoot(uid)}/notifications`;
+export const notificationPrefsPath = (uid) => `${userRoot(uid)}/metadata/notificationPrefs`;
+export const mutesDocPath = (uid) => `${userRoot(uid)}/metadata/mutes`;
+// Where the first version of the story app stored the randomly assigned alias
+export const legacyProfileDocPath = (uid) => `${userRoot(uid)}/metadata/profile`;
+
+// Storage folders for uploads
+export const photoFolder = (uid) => `artifacts/${appId}/photos/${uid}`;
+export const avatarFolder = (uid) => `artifacts/${appId}/avatars/${uid}`;
+
+// --- Shared writes ---
+
+// Stores the previous version in the document's `revisions` subcollection and applies the edit atomically.
+// `addWrites(batch)` adds writes that belong with the edit (tagIndexWrites in ./tags).
+export const editWithRevision = async (db, docPath, changes, previous, editorId, addWrites) => {
+    const docRef = doc(db, docPath);
+    const batch = writeBatch(db);
+
+    batch.set(doc(collection(docRef, 'revisions')), {
+        ...previous,
+        editorId,
+        editedAt: serverTimestamp(),
+    });
+    batch.update(docRef, {
+        ...changes,
+        editedAt: serverTimestamp(),
+        editCount: increment(1),
+    });
+    if (addWrites) addWrites(batch);
+
+    await batch.commit();
+};
+
+// Soft delete: the document stays (so threads remain readable) but its text is cleared.
+// `addWrites(batch)` works as for editWithRevision.
+export const softDelete = async (db, docPath, clearedFields, userId, addWrites) => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, docPath), {
+        ...clearedFields,
+        deleted: true,
+        deletedBy: userId,
+        deletedAt: serverTimestamp(),
+    });
+    if (addWrites) addWrites(batch);
+    await batch.commit();
+};
+
+// --- Scheduled and unpublished stories ---
+// Explorers can only read stories whose time has come and that haven't been unpublished (see
+// firestore.rules), so every explorer query on stories asks for `readableStories(now)`, with
+// `now` from usePublishTime(). Stories are published with `unpublished: false` to match it.
+// Creators read everything and only ask for `publishedBy(now)`.
+
+export const publishedBy = (now) => where('timestamp', '<=', now);
+
+export const readableStories = (now) => [publishedBy(now), where('unpublished', '==', false)];
+
+// The rules give `now` a minute's leeway. A device clock further ahead than that asks for stories
+// that aren't out yet and the query is refused, so the message key for a failed story query
+// blames the clock when it was refused, and is `failureKey` otherwise.
+export const storyQueryErrorKey = (error, failureKey) => (error?.code === 'permission-denied' ? 'stories.clockAhead' : failureKey);
+
+// Whether a story is still waiting for its publish time (stories being published have no
+// timestamp yet and count as out)
+export const isScheduled = (story, now = Timestamp.now()) => !!story.timestamp?.toMillis && story.timestamp.toMillis() > now.toMillis();
+
+// The current time for publishedBy(), moving on at every whole minute: publish times are whole
+// minutes, so scheduled stories appear on time without a reload. Stories published right away
+// show up at the next minute.
+export const usePublishTime = () => {
+    const [now, setNow] = useState(() => Timestamp.now());
+
+    useEffect(() => {
+        let timer;
+        const tick = () => {
+            timer = setTimeout(() => {
+                setNow(Timestamp.now());
+                tick();
+            }, 60000 - (Date.now() % 60000));
+        };
+        tick();
+        return () => clearTimeout(timer);
+    }, []);
+
+    return now;
+};
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { collection, query, orderBy, getDocs } from 'firebase/firestore';
+import { Pencil, Trash2 } from 'lucide-react';
+import { formatEditedLabel } from './format';
+import { useI18n } from './i18n';
+
+// --- Editing and soft deletes (UI) ---
+// Edits keep the previous version in a `revisions` subcollection and deletes only clear the
+// content (see editWithRevision and softDelete in ./data); removed text shows as
+// t('common.removed').
+
+export const InlineEditor = ({ initialText, onSave, onCancel, rows = 3, label }) => {
+    const { t } = useI18n();
+    const [text, setText] = useState(initialText || '');
+    const [isSaving, setIsSaving] = useState(false);
+    const isUnchanged = text.trim() === (initialText || '').trim();
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        if (!text.trim() || isUnchanged) return;
+        setIsSaving(true);
+        await onSave(text.trim());
+        setIsSaving(false);
+    };
+
+    return (
+        <form onSubmit={handleSave} className="mb-3">
+            <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                rows={rows}
+                aria-label={label}
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 text-sm resize-none"
+                disabled={isSaving}
+                autoFocus
+            />
+            <div className="flex justify-end space-x-2 mt-1">
+                <button type="button" onClick={onCancel} className="text-xs text-gray-500 hover:text-gray-700 px-2 py-1">
+                    {t('common.cancel')}
+                </button>
+                <button
+                    type="submit"
+                    className="text-xs bg-blue-500 text-white px-3 py-1 rounded-full hover:bg-blue-600 transition-colors disabled:bg-gray-400"
+                    disabled={!text.trim() || isUnchanged || isSaving}
+                >
+                    {isSaving ? t('common.saving') : t('common.save')}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+// "(edited 5 minutes ago)" label that expands into the document's public revision history.
+// `fields` are the revision fields to show (e.g. ['text'] or ['title', 'content']).
+export const EditHistory = ({ db, docPath, editedAt, fields }) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [revisions, setRevisions] = useState(null);
+
+    const toggle = async () => {
+        const opening = !isOpen;
+        setIsOpen(opening);
+        if (!opening || revisions || !db) return;
+
+        try {
+            const revisionsQuery = query(collection(db, `${docPath}/revisions`), orderBy('editedAt', 'desc'));
+            const snapshot = await getDocs(revisionsQuery);
+            setRevisions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        } catch (error) {
+            console.error("Error loading revision history:", error);
+            setRevisions([]);
+        }
+    };
+
+    return (
+        <div className="text-xs text-gray-400">
+            <button onClick={toggle} className="hover:underline" title={t('editing.viewHistory')} aria-expanded={isOpen}>
+                {t('editing.edited', { when: formatEditedLabel(editedAt) })}
+            </button>
+            {isOpen && (
+                <div className="mt-2 p-2 bg-gray-50 border border-gray-200 rounded-lg space-y-2 text-left">
+                    {!revisions && <p className="italic">{t('editing.loadingHistory')}</p>}
+                    {revisions?.length === 0 && <p className="italic">{t('editing.noEarlierVersions')}</p>}
+                    {revisions?.map(revision => (
+                        <div key={revision.id}>
+                            <p className="text-gray-500">{t('editing.replaced', { when: formatEditedLabel(revision.editedAt) })}</p>
+                            {fields.map(field => revision[field] ? (
+                                <p key={field} className="text-gray-700 whitespace-pre-wrap break-words">{revision[field]}</p>
+                            ) : null)}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Edit/Delete controls shown to the author of a post or comment
+export const AuthorActions = ({ onEdit, onDelete, size = 14 }) => {
+    const { t } = useI18n();
+    return (
+        <span className="flex items-center space-x-2 text-gray-400">
+            <button onClick={onEdit} className="hover:text-blue-500 transition-colors" aria-label={t('common.edit')} title={t('common.edit')}>
+                <Pencil size={size} aria-hidden="true" />
+            </button>
+            <button onClick={onDelete} className="hover:text-red-500 transition-colors" aria-label={t('common.delete')} title={t('common.delete')}>
+                <Trash2 size={size} aria-hidden="true" />
+            </button>
+        </span>
+    );
+};
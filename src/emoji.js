@@ -0,0 +1,78 @@
+// --- Emoji shortcodes in user-written text (":lion:" → 🦁) ---
+// A short list for the wildlife the community writes about, plus everyday ones. Unknown
+// shortcodes (and times like 10:30:45) stay as typed.
+
+export const EMOJI_SHORTCODES = {
+    // Wildlife
+    lion: '🦁',
+    tiger: '🐯',
+    leopard: '🐆',
+    elephant: '🐘',
+    giraffe: '🦒',
+    zebra: '🦓',
+    rhino: '🦏',
+    hippo: '🦛',
+    monkey: '🐒',
+    gorilla: '🦍',
+    buffalo: '🐃',
+    camel: '🐪',
+    crocodile: '🐊',
+    turtle: '🐢',
+    snake: '🐍',
+    bird: '🐦',
+    eagle: '🦅',
+    flamingo: '🦩',
+    owl: '🦉',
+    whale: '🐋',
+    dolphin: '🐬',
+    fish: '🐟',
+    butterfly: '🦋',
+    bee: '🐝',
+    paw_prints: '🐾',
+    // Nature
+    earth: '🌍',
+    tree: '🌳',
+    palm_tree: '🌴',
+    cactus: '🌵',
+    leaf: '🍃',
+    seedling: '🌱',
+    flower: '🌸',
+    sun: '☀️',
+    sunrise: '🌅',
+    moon: '🌙',
+    rain: '🌧️',
+    rainbow: '🌈',
+    fire: '🔥',
+    water: '💧',
+    mountain: '⛰️',
+    camera: '📷',
+    binoculars: '🔭',
+    map: '🗺️',
+    // Everyday
+    smile: '😊',
+    grin: '😁',
+    laugh: '😂',
+    wink: '😉',
+    heart_eyes: '😍',
+    wow: '😮',
+    sad: '😢',
+    thinking: '🤔',
+    clap: '👏',
+    pray: '🙏',
+    thumbsup: '👍',
+    '+1': '👍',
+    thumbsdown: '👎',
+    wave: '👋',
+    muscle: '💪',
+    heart: '❤️',
+    green_heart: '💚',
+    star: '⭐',
+    sparkles: '✨',
+    tada: '🎉',
+    check: '✅',
+    warning: '⚠️',
+};
+
+const SHORTCODE_PATTERN = /:([a-z0-9_+-]{1,30}):/g;
+
+export const replaceShortcodes = (text) => text.replace(SHORTCODE_PATTERN, (match, name) => EMOJI_SHORTCODES[name] || match);
@@ -0,0 +1,1012 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { collection, query, orderBy, limit, startAfter, endAt, getDocs, onSnapshot, serverTimestamp, doc, increment, writeBatch } from 'firebase/firestore';
+import { ChevronDown, Send, User, MessageCircle, CornerUpLeft } from 'lucide-react';
+import { POSTS_PATH, postPath, postCommentsPath, photoFolder, editWithRevision, softDelete } from './data';
+import { useFirebase } from './firebase';
+import { formatTimestamp, formatText } from './format';
+import { firstLink, LinkPreviewCard } from './links';
+import { InlineEditor, EditHistory, AuthorActions } from './editing';
+import { ModerationActions } from './moderation';
+import { postUrl } from './routes';
+import { fetchProfiles, profileAlias, profileUrl, useProfile, useProfiles, Avatar, ProfileLink } from './profiles';
+import { MentionInput, activeMentions, notifyMentions } from './mentions';
+import { notificationExcerpt, sendNotification } from './notifications';
+import { extractTags, tagIndexWrites } from './tags';
+import { EMPTY_FILTERS, filterConstraints, hasActiveFilters, matchesSearch, SearchFilters } from './search';
+import { deletePhotos, usePhotoDrafts, PhotoGallery, PhotoPicker } from './photos';
+import { buildSighting, newSightingDraft, validateSightingDraft, SightingFields, SightingSummary, SightingsMap } from './sightings';
+import { SNAPSHOT_OPTIONS, withPendingState, queueWrite, useDraft, PendingBadge } from './offline';
+import { TypingIndicator, usePresence } from './presence';
+import { ReactionBar, RankingPicker, rankItems } from './reactions';
+import { useI18n } from './i18n';
+import { handleTabListKeyDown, NewCommentAnnouncer } from './a11y';
+
+// --- Community Feed: explorers' posts with reactions, threaded comments and sightings ---
+
+// --- POSTS COMPONENT (Primary Data Fetcher) ---
+const POST_PAGE_SIZE = 10;
+
+// The newest page of posts, plus older pages loaded with loadMore() (cursor-based, like the story
+// archive). Every loaded post stays live: once older pages are in, the listener reads down to the
+// oldest loaded post instead of a fixed page size. `filters` narrows the stream by author and date
+// range (see SearchFilters), and a new filter starts again from the first page.
+const usePosts = (db, userId, isAuthReady, filters = EMPTY_FILTERS) => {
+    const [posts, setPosts] = useState([]);
+    const [lastDoc, setLastDoc] = useState(null);
+    const [hasMore, setHasMore] = useState(false);
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    const { authorId, from, to } = filters;
+    // The oldest post loaded through loadMore(), kept with the filters it was loaded for
+    const [loaded, setLoaded] = useState({ authorId, from, to, cursor: null });
+    const cursor = loaded.authorId === authorId && loaded.from === from && loaded.to === to ? loaded.cursor : null;
+
+    // Sort by timestamp (newest first); with an author filter this uses the
+    // (userId, timestamp) index in firestore.indexes.json
+    const postsQuery = (...constraints) => query(collection(db, POSTS_PATH),
+        ...filterConstraints({ ...EMPTY_FILTERS, authorId, from, to }), orderBy('timestamp', 'desc'), ...constraints);
+
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId) return;
+
+        try {
+            const unsubscribePosts = onSnapshot(postsQuery(cursor ? endAt(cursor) : limit(POST_PAGE_SIZE)), SNAPSHOT_OPTIONS, (snapshot) => {
+                const fetchedPosts = snapshot.docs.map(withPendingState);
+                setPosts(fetchedPosts);
+                setLastDoc(snapshot.docs[snapshot.docs.length - 1] || null);
+                if (!cursor) setHasMore(snapshot.docs.length === POST_PAGE_SIZE);
+
+                // Collect unique user IDs from posts and legacy inline comments
+                const uniqueIds = new Set();
+                fetchedPosts.forEach(post => {
+                    if (post.userId) uniqueIds.add(post.userId);
+                    post.comments?.forEach(comment => {
+                        if (comment.userId) uniqueIds.add(comment.userId);
+                    });
+                });
+                // Warm the profile cache for every author in one batched lookup, so each
+                // PostItem finds its author's profile already cached (or in flight)
+                fetchProfiles(db, Array.from(uniqueIds));
+            }, (error) => {
+                console.error("Error fetching posts:", error);
+            });
+
+            return () => unsubscribePosts();
+        } catch (error) {
+            console.error("Firestore Setup Error:", error);
+        }
+    }, [db, userId, isAuthReady, authorId, from, to, cursor]);
+
+    // Resolves to false when the page couldn't be loaded
+    const loadMore = async () => {
+        if (!db || !lastDoc || isLoadingMore) return true;
+        setIsLoadingMore(true);
+        try {
+            const snapshot = await getDocs(postsQuery(startAfter(lastDoc), limit(POST_PAGE_SIZE)));
+            setHasMore(snapshot.docs.length === POST_PAGE_SIZE);
+            if (snapshot.docs.length) setLoaded({ authorId, from, to, cursor: snapshot.docs[snapshot.docs.length - 1] });
+            return true;
+        } catch (error) {
+            console.error("Error loading more posts:", error);
+            return false;
+        } finally {
+            setIsLoadingMore(false);
+        }
+    };
+
+    return { posts, hasMore, isLoadingMore, loadMore };
+};
+
+// A post opened from a link (notifications, tag pages, profiles) can be older than the loaded
+// pages; it's followed on its own until the pages reach it
+const useLinkedPost = (db, postId, isLoaded) => {
+    const [post, setPost] = useState(null);
+
+    useEffect(() => {
+        setPost(null);
+        if (!db || !postId || isLoaded) return;
+
+        const unsubscribe = onSnapshot(doc(db, postPath(postId)), SNAPSHOT_OPTIONS, (docSnap) => {
+            setPost(docSnap.exists() ? withPendingState(docSnap) : null);
+        }, (error) => {
+            console.error("Error fetching post:", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, postId, isLoaded]);
+
+    return post;
+};
+
+// --- Threaded Comments ---
+
+// Replies nested deeper than this are attached to the deepest allowed ancestor
+const MAX_REPLY_DEPTH = 3;
+
+// Real-time listener for a post's comments subcollection, only while `isOpen` (collapsed posts
+// show their comment counter instead)
+const usePostComments = (db, postId, isOpen) => {
+    const [comments, setComments] = useState([]);
+
+    useEffect(() => {
+        setComments([]);
+        if (!db || !postId || !isOpen) return;
+
+        const commentsQuery = query(collection(db, postCommentsPath(postId)), orderBy('timestamp', 'asc'));
+        const unsubscribe = onSnapshot(commentsQuery, SNAPSHOT_OPTIONS, (snapshot) => {
+            // Pending server timestamps are estimated, so freshly posted replies sort correctly
+            setComments(snapshot.docs.map(withPendingState));
+        }, (error) => {
+            console.error("Error fetching comments:", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, postId, isOpen]);
+
+    return comments;
+};
+
+// Turns the flat comment list into a tree of { ...comment, replies: [] } nodes
+const buildCommentTree = (comments) => {
+    const nodes = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+    const roots = [];
+
+    nodes.forEach(node => {
+        const parent = node.parentId ? nodes.get(node.parentId) : null;
+        if (parent) {
+            parent.replies.push(node);
+        } else {
+            // Top-level comments, and replies whose parent is missing, render at the root
+            roots.push(node);
+        }
+    });
+
+    return roots;
+};
+
+const countReplies = (node) => node.replies.reduce((total, reply) => total + 1 + countReplies(reply), 0);
+
+// threadKey: the post's document path, for the "typing…" indicator. `restored` ({ text, mentions })
+// is a reply the server rejected; it goes back into the input unless something new was typed.
+const ReplyForm = ({ db, threadKey, label, onSubmit, onCancel, disabled, restored }) => {
+    const { t } = useI18n();
+    const [text, setText] = useState('');
+    const [mentions, setMentions] = useState([]);
+    const inputRef = useRef(null);
+    const { notifyTyping, stopTyping } = usePresence();
+
+    useEffect(() => {
+        inputRef.current?.focus();
+    }, []);
+
+    useEffect(() => {
+        if (!restored) return;
+        setText(current => current.trim() ? current : restored.text);
+        setMentions(current => current.length ? current : restored.mentions);
+    }, [restored]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+        const posted = await onSubmit(text.trim(), activeMentions(text, mentions));
+        if (posted) {
+            setText('');
+            setMentions([]);
+            stopTyping();
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-2 flex space-x-2">
+            <MentionInput
+                db={db}
+                inputRef={inputRef}
+                type="text"
+                value={text}
+                onChange={(value) => {
+                    setText(value);
+                    notifyTyping(threadKey);
+                }}
+                mentions={mentions}
+                onMentionsChange={setMentions}
+                placeholder={t('feed.replyPlaceholder')}
+                aria-label={label}
+                className="w-full px-3 py-2 border border-gray-300 rounded-full focus:ring-blue-500 focus:border-blue-500 text-sm"
+                disabled={disabled}
+            />
+            <button
+                type="button"
+                onClick={() => {
+                    stopTyping();
+                    onCancel();
+                }}
+                className="text-xs text-gray-500 hover:text-gray-700 px-2"
+            >
+                {t('common.cancel')}
+            </button>
+            <button
+                type="submit"
+                className="bg-blue-500 text-white p-2 rounded-full hover:bg-blue-600 transition-colors disabled:bg-gray-400"
+                disabled={!text.trim() || disabled}
+                aria-label={t('feed.sendReply')}
+            >
+                <Send size={14} aria-hidden="true" />
+            </button>
+        </form>
+    );
+};
+
+const CommentThread = ({ node, depth, db, postId, userId, onReply, moderation, profiles, onError }) => {
+    const { t } = useI18n();
+    const [isCollapsed, setIsCollapsed] = useState(false);
+    const [isReplying, setIsReplying] = useState(false);
+    const [failedReply, setFailedReply] = useState(null);
+    const [isEditing, setIsEditing] = useState(false);
+    const replyCount = countReplies(node);
+    const commentPath = `${postCommentsPath(postId)}/${node.id}`;
+    const isAuthor = !node.isLegacy && !node.deleted && node.userId === userId;
+    const isMuted = moderation.mutedUserIds.includes(node.userId);
+    const isHiddenFromViewer = node.hidden && !moderation.isModerator;
+
+    const handleEdit = async (text) => {
+        try {
+            const tags = extractTags(text);
+            await editWithRevision(db, commentPath, { text, mentions: activeMentions(text, node.mentions), tags }, { text: node.text }, userId,
+                tagIndexWrites(db, commentPath, node.tags, tags));
+            setIsEditing(false);
+        } catch {
+            onError(t('stories.editFailed'));
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(t('feed.confirmDeleteComment'))) return;
+        try {
+            await softDelete(db, commentPath, { text: '', tags: [] }, userId, tagIndexWrites(db, commentPath, node.tags, []));
+        } catch {
+            onError(t('stories.deleteFailed'));
+        }
+    };
+
+    const handleReply = async (text, mentions) => {
+        // At the depth limit, replies join the current thread instead of nesting further
+        const parentId = depth < MAX_REPLY_DEPTH ? node.id : node.parentId;
+        const posted = await onReply(text, {
+            parentId,
+            depth: Math.min(depth + 1, MAX_REPLY_DEPTH),
+            mentions,
+            // Notify the explorer being replied to
+            replyToUserId: node.userId,
+            replyToPath: commentPath,
+            // Reopen the form with the rejected reply in it
+            onFailed: () => {
+                setFailedReply({ text, mentions });
+                setIsReplying(true);
+            },
+        });
+        if (posted) {
+            setIsReplying(false);
+            setFailedReply(null);
+        }
+        return posted;
+    };
+
+    return (
+        <article aria-label={node.deleted ? t('common.removed') : profileAlias(profiles[node.userId], node.userId)}>
+            <div className="bg-gray-50 p-3 rounded-lg text-sm">
+                <div className="flex items-center mb-1">
+                    {!node.deleted && (
+                        <span className="mr-2"><Avatar profile={profiles[node.userId]} uid={node.userId} size="sm" /></span>
+                    )}
+                    <span className="font-semibold text-gray-800 mr-2 truncate max-w-[calc(100%-80px)]">
+                        {node.deleted ? t('common.removed') : <ProfileLink profile={profiles[node.userId]} uid={node.userId} />}
+                    </span>
+                    <span className="text-xs text-gray-500 mr-auto">
+                        {formatTimestamp(node.timestamp)}
+                        {node.pending && <PendingBadge />}
+                    </span>
+                    {isAuthor && !isEditing && (
+                        <AuthorActions onEdit={() => setIsEditing(true)} onDelete={handleDelete} size={12} />
+                    )}
+                    {!node.isLegacy && !node.deleted && (
+                        <ModerationActions
+                            moderation={moderation}
+                            userId={userId}
+                            authorId={node.userId}
+                            isHidden={!!node.hidden}
+                            target={{ targetType: 'post_comment', targetPath: commentPath, targetAuthorId: node.userId, excerpt: (node.text || '').substring(0, 280) }}
+                            size={12}
+                            onError={onError}
+                        />
+                    )}
+                </div>
+                {isEditing ? (
+                    <InlineEditor initialText={node.text} onSave={handleEdit} onCancel={() => setIsEditing(false)} rows={2} label={t('common.edit')} />
+                ) : node.deleted ? (
+                    <p className="text-gray-400 italic">{t('common.removed')}</p>
+                ) : isHiddenFromViewer ? (
+                    <p className="text-gray-400 italic">{t('common.hiddenByModerator')}</p>
+                ) : isMuted ? (
+                    <p className="text-gray-400 italic">{t('feed.mutedComment')}</p>
+                ) : (
+                    <p className={`break-words ${node.hidden ? 'text-gray-400 line-through' : 'text-gray-700'}`}>
+                        {formatText(node.text, node.mentions)}
+                    </p>
+                )}
+                {node.editedAt && !node.deleted && !isHiddenFromViewer && (
+                    <EditHistory db={db} docPath={commentPath} editedAt={node.editedAt} fields={['text']} />
+                )}
+                <div className="flex items-center space-x-3 mt-2 text-xs text-gray-500">
+                    {!node.isLegacy && !node.deleted && (
+                        <ReactionBar
+                            db={db}
+                            targetPath={commentPath}
+                            item={node}
+                            userId={userId}
+                            // Explorers don't react to their own comments (it would lift them in the Top ranking)
+                            disabled={node.userId === userId}
+                            onReacted={() => sendNotification(db, node.userId, {
+                                type: 'reaction',
+                                actorId: userId,
+                                targetType: 'post_comment',
+                                targetPath: commentPath,
+                                postId,
+                                commentId: node.id,
+                                excerpt: notificationExcerpt(node.text),
+                            })}
+                        />
+                    )}
+                    {!node.isLegacy && !node.deleted && (
+                        <button
+                            onClick={() => setIsReplying(!isReplying)}
+                            className="flex items-center hover:text-blue-500 transition-colors disabled:cursor-not-allowed"
+                            disabled={!userId || moderation.isBanned}
+                            aria-expanded={isReplying}
+                        >
+                            <CornerUpLeft size={12} className="mr-1" aria-hidden="true" />
+                            {t('feed.reply')}
+                        </button>
+                    )}
+                    {replyCount > 0 && (
+                        <button
+                            onClick={() => setIsCollapsed(!isCollapsed)}
+                            className="flex items-center hover:text-blue-500 transition-colors"
+                            aria-expanded={!isCollapsed}
+                        >
+                            <ChevronDown size={12} className={`mr-1 transform ${isCollapsed ? '' : 'rotate-180'}`} aria-hidden="true" />
+                            {isCollapsed ? t('feed.showReplies', { count: replyCount }) : t('feed.hideReplies')}
+                        </button>
+                    )}
+                </div>
+                {isReplying && (
+                    <ReplyForm db={db} threadKey={postPath(postId)} label={t('feed.replyTo', { name: profileAlias(profiles[node.userId], node.userId) })} onSubmit={handleReply} onCancel={() => { setIsReplying(false); setFailedReply(null); }} disabled={!userId} restored={failedReply} />
+                )}
+            </div>
+
+            {!isCollapsed && node.replies.length > 0 && (
+                <div className="mt-2 ml-4 pl-3 border-l-2 border-gray-100 space-y-2">
+                    {node.replies.map(reply => (
+                        <CommentThread
+                            key={reply.id}
+                            node={reply}
+                            depth={depth + 1}
+                            db={db}
+                            postId={postId}
+                            userId={userId}
+                            onReply={onReply}
+                            moderation={moderation}
+                            profiles={profiles}
+                            onError={onError}
+                        />
+                    ))}
+                </div>
+            )}
+        </article>
+    );
+};
+
+// --- PostItem Component ---
+// Edit, delete and moderation failures go to onError as a message for the feed to show.
+// Comments are loaded once the post is expanded (or opened from a link, `initiallyExpanded`).
+export const PostItem = ({ post, userId, db, storage, moderation, onError = () => {}, initiallyExpanded = false }) => {
+    const { t } = useI18n();
+    const [isExpanded, setIsExpanded] = useState(initiallyExpanded);
+    const [commentRanking, setCommentRanking] = useState('oldest');
+    // Unsent comments are kept as drafts on this device
+    const [commentText, setCommentText] = useDraft(`comment:${post.id}`);
+    const [commentMentions, setCommentMentions] = useDraft(`comment:${post.id}:mentions`, []);
+    const [isEditing, setIsEditing] = useState(false);
+    const commentInputRef = useRef(null);
+    const comments = usePostComments(db, post.id, isExpanded);
+    const profiles = useProfiles(db, [post.userId, ...comments.map(comment => comment.userId), ...(post.comments || []).map(comment => comment.userId)]);
+    const postDocPath = postPath(post.id);
+    const isAuthor = !post.deleted && post.userId === userId;
+    const { notifyTyping, stopTyping } = usePresence();
+
+    const handleEditPost = async (content) => {
+        try {
+            const tags = extractTags(content);
+            await editWithRevision(db, postDocPath, { content, mentions: activeMentions(content, post.mentions), tags }, { content: post.content }, userId,
+                tagIndexWrites(db, postDocPath, post.tags, tags));
+            setIsEditing(false);
+        } catch {
+            onError(t('feed.editPostFailed'));
+        }
+    };
+
+    const handleDeletePost = async () => {
+        if (!window.confirm(t('feed.confirmDeletePost'))) return;
+        try {
+            await softDelete(db, postDocPath, { content: '', tags: [], photos: [], sighting: null }, userId, tagIndexWrites(db, postDocPath, post.tags, []));
+            deletePhotos(storage, post.photos);
+        } catch {
+            onError(t('feed.deletePostFailed'));
+        }
+    };
+
+    const notifyReaction = () => {
+        sendNotification(db, post.userId, {
+            type: 'reaction',
+            actorId: userId,
+            targetType: 'post',
+            targetPath: postDocPath,
+            postId: post.id,
+            excerpt: notificationExcerpt(post.content),
+        });
+    };
+
+    // Writes a comment (parentId null) or reply into the post's comments subcollection.
+    // The write is queued (it shows as pending until synced), so this resolves to true as soon as
+    // it's queued and forms can clear themselves; `onFailed` runs if the server later rejects it.
+    // `options` holds { parentId, depth, mentions, replyToUserId, replyToPath, onFailed } for replies;
+    // top-level comments reply to the post itself.
+    const addComment = async (text, options = {}) => {
+        const {
+            parentId = null,
+            depth = 0,
+            mentions = [],
+            replyToUserId = post.userId,
+            replyToPath = postDocPath,
+            onFailed,
+        } = options;
+        if (!db || !userId || !text || moderation.isBanned) return false;
+
+        try {
+            const postRef = doc(db, postDocPath);
+            const commentRef = doc(collection(db, postCommentsPath(post.id)));
+            const batch = writeBatch(db);
+            const tags = extractTags(text);
+
+            batch.set(commentRef, {
+                userId,
+                text,
+                mentions,
+                tags,
+                parentId,
+                depth,
+                timestamp: serverTimestamp(),
+            });
+            // Denormalized count so the feed doesn't need to read every thread; the rules only
+            // accept it next to the comment named by lastCommentId
+            batch.update(postRef, { commentCount: increment(1), lastCommentId: commentRef.id });
+            tagIndexWrites(db, commentRef.path, [], tags)(batch);
+
+            queueWrite(batch.commit(), { label: 'comment', onError: onFailed }).then(synced => {
+                if (!synced) return;
+                notifyMentions(db, userId, mentions, {
+                    targetType: 'post_comment',
+                    targetPath: commentRef.path,
+                    postId: post.id,
+                    commentId: commentRef.id,
+                    excerpt: notificationExcerpt(text),
+                }).catch(error => console.error("Error sending mention notifications:", error));
+                sendNotification(db, replyToUserId, {
+                    type: 'reply',
+                    actorId: userId,
+                    targetType: 'post_comment',
+                    targetPath: commentRef.path,
+                    groupKey: `reply:${replyToPath}`,
+                    postId: post.id,
+                    commentId: commentRef.id,
+                    excerpt: notificationExcerpt(text),
+                });
+            });
+            return true;
+        } catch (error) {
+            console.error("Error adding comment:", error);
+            return false;
+        }
+    };
+
+    const handleAddComment = async (e) => {
+        e.preventDefault();
+        const text = commentText.trim();
+        const mentions = activeMentions(commentText, commentMentions);
+        const onFailed = () => {
+            // Put the rejected comment back into the (empty) input
+            setCommentText(current => current.trim() ? current : text);
+            setCommentMentions(current => current.length ? current : mentions);
+        };
+        if (await addComment(text, { mentions, onFailed })) {
+            setCommentText('');
+            setCommentMentions([]);
+            stopTyping();
+            setIsExpanded(true); // Keep comments visible after posting
+        }
+    };
+
+    // Older posts stored comments inline on the post document; show them as read-only top-level comments
+    const legacyComments = (post.comments || []).map((comment, index) => ({
+        ...comment,
+        id: `legacy-${index}`,
+        parentId: null,
+        isLegacy: true,
+    }));
+    // Top-level threads in the chosen order; "Most discussed" counts each thread's replies
+    const threads = rankItems(buildCommentTree([...legacyComments, ...comments]), commentRanking, countReplies);
+    // Collapsed, only legacy comments are loaded: show the latest 2 threads in conversation order,
+    // or the first 2 of a ranking, and count the rest with the post's comment counter
+    const visibleThreads = isExpanded ? threads : commentRanking === 'oldest' ? threads.slice(-2) : threads.slice(0, 2);
+    const totalComments = legacyComments.length + (isExpanded ? comments.length : post.commentCount || 0);
+
+    return (
+        <article id={`post-${post.id}`} aria-label={post.deleted ? t('common.removed') : profileAlias(profiles[post.userId], post.userId)} className="bg-white p-4 shadow-md rounded-xl mb-6 border border-gray-100">
+            {/* Post Header */}
+            <div className="flex items-start mb-3">
+                <div className="mr-3">
+                    {post.deleted ? (
+                        <div className="flex-shrink-0 w-8 h-8 rounded-full bg-gray-300 flex items-center justify-center text-white">
+                            <User size={16} aria-hidden="true" />
+                        </div>
+                    ) : (
+                        <Avatar profile={profiles[post.userId]} uid={post.userId} />
+                    )}
+                </div>
+                <div className="flex-grow min-w-0">
+                    <p className="text-gray-800 font-semibold truncate max-w-xs sm:max-w-none">
+                        {post.deleted ? t('common.removed') : <ProfileLink profile={profiles[post.userId]} uid={post.userId} />}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                        {formatTimestamp(post.timestamp)}
+                        {post.pending && <PendingBadge />}
+                    </p>
+                </div>
+                {isAuthor && !isEditing && (
+                    <AuthorActions onEdit={() => setIsEditing(true)} onDelete={handleDeletePost} />
+                )}
+                {!post.deleted && (
+                    <ModerationActions
+                        moderation={moderation}
+                        userId={userId}
+                        authorId={post.userId}
+                        isHidden={!!post.hidden}
+                        target={{ targetType: 'post', targetPath: postDocPath, targetAuthorId: post.userId, excerpt: (post.content || '').substring(0, 280) }}
+                        onError={onError}
+                    />
+                )}
+            </div>
+
+            {/* Post Content */}
+            {isEditing ? (
+                <InlineEditor initialText={post.content} onSave={handleEditPost} onCancel={() => setIsEditing(false)} rows={4} label={t('common.edit')} />
+            ) : post.deleted ? (
+                <p className="text-gray-400 italic mb-4">{t('common.removed')}</p>
+            ) : post.hidden && !moderation.isModerator ? (
+                <p className="text-gray-400 italic mb-4">{t('common.hiddenByModerator')}</p>
+            ) : (
+                <>
+                    <SightingSummary sighting={post.sighting} />
+                    {post.content && (
+                        <p className={`break-words mb-4 ${post.hidden ? 'text-gray-400 line-through' : 'text-gray-700'}`}>
+                            {formatText(post.content, post.mentions)}
+                        </p>
+                    )}
+                    {!post.hidden && <LinkPreviewCard url={firstLink(post.content)} />}
+                    <PhotoGallery photos={post.photos} />
+                </>
+            )}
+            {post.editedAt && !post.deleted && !(post.hidden && !moderation.isModerator) && (
+                <div className="-mt-3 mb-3">
+                    <EditHistory db={db} docPath={postDocPath} editedAt={post.editedAt} fields={['content']} />
+                </div>
+            )}
+
+            {/* Actions */}
+            <div className="flex justify-between items-center text-sm text-gray-600 border-t border-b border-gray-100 py-2">
+                <div className="flex space-x-4">
+                    <ReactionBar
+                        db={db}
+                        targetPath={postDocPath}
+                        item={post}
+                        userId={userId}
+                        // As on comments, explorers don't react to their own posts
+                        disabled={post.deleted || post.userId === userId}
+                        onReacted={notifyReaction}
+                    />
+
+                    {/* Comment Button */}
+                    <button
+                        onClick={() => {
+                            setIsExpanded(!isExpanded);
+                            if (!isExpanded && commentInputRef.current) {
+                                setTimeout(() => commentInputRef.current.focus(), 100);
+                            }
+                        }}
+                        className="flex items-center text-gray-500 hover:text-blue-500 transition-colors"
+                        aria-label={t('feed.commentCount', { count: totalComments })}
+                        aria-expanded={isExpanded}
+                    >
+                        <MessageCircle size={18} className="mr-1" aria-hidden="true" />
+                        <span className="font-medium">{totalComments}</span>
+                    </button>
+                </div>
+            </div>
+
+            {/* Comments Section */}
+            {totalComments > 0 && (
+                <section className="mt-4" aria-label={t('feed.commentsOn')}>
+                    {threads.length > 1 && (
+                        <div className="flex justify-end mb-2">
+                            <RankingPicker rankings={['oldest', 'newest', 'top', 'discussed']} value={commentRanking} onChange={setCommentRanking} label={t('feed.comments')} />
+                        </div>
+                    )}
+                    {/* Show button to expand if there are hidden threads */}
+                    {!isExpanded && totalComments > visibleThreads.length && (
+                        <button
+                            onClick={() => setIsExpanded(true)}
+                            className="flex items-center text-blue-500 text-sm mb-2 hover:underline"
+                            aria-expanded={false}
+                        >
+                            <ChevronDown size={14} className="mr-1" aria-hidden="true" />
+                            {t('feed.viewAllComments', { count: totalComments })}
+                        </button>
+                    )}
+
+                    {/* Visible Threads */}
+                    <div className="space-y-3">
+                        {visibleThreads.map(node => (
+                            <CommentThread
+                                key={node.id}
+                                node={node}
+                                depth={0}
+                                db={db}
+                                postId={post.id}
+                                userId={userId}
+                                onReply={addComment}
+                                moderation={moderation}
+                                profiles={profiles}
+                                onError={onError}
+                            />
+                        ))}
+                    </div>
+
+                    {/* Collapse button */}
+                    {isExpanded && (
+                        <button
+                            onClick={() => setIsExpanded(false)}
+                            className="flex items-center text-blue-500 text-sm mt-3 hover:underline"
+                            aria-expanded={true}
+                        >
+                            <ChevronDown size={14} className="mr-1 transform rotate-180" aria-hidden="true" />
+                            {t('feed.showLess')}
+                        </button>
+                    )}
+                </section>
+            )}
+            <NewCommentAnnouncer comments={comments} userId={userId} />
+
+
+            {/* Comment Input */}
+            <form onSubmit={handleAddComment} className="mt-4 flex space-x-2">
+                <MentionInput
+                    db={db}
+                    inputRef={commentInputRef}
+                    type="text"
+                    value={commentText}
+                    onChange={(text) => {
+                        setCommentText(text);
+                        notifyTyping(postDocPath);
+                    }}
+                    mentions={commentMentions}
+                    onMentionsChange={setCommentMentions}
+                    placeholder={moderation.isBanned ? t('feed.bannedFromCommenting') : t('feed.commentPlaceholder')}
+                    aria-label={t('feed.commentLabel')}
+                    className="w-full p-3 border border-gray-300 rounded-full focus:ring-blue-500 focus:border-blue-500 text-sm"
+                    disabled={!userId || moderation.isBanned}
+                />
+                <button
+                    type="submit"
+                    className="bg-blue-500 text-white p-3 rounded-full hover:bg-blue-600 transition-colors disabled:bg-gray-400"
+                    disabled={!commentText.trim() || !userId || moderation.isBanned}
+                    aria-label={t('feed.sendComment')}
+                >
+                    <Send size={18} aria-hidden="true" />
+                </button>
+            </form>
+            <TypingIndicator db={db} threadKey={postDocPath} />
+        </article>
+    );
+};
+
+// --- NewPost Component ---
+export const NewPost = ({ db, storage, userId, isBanned }) => {
+    const { t } = useI18n();
+    // Unsent posts are kept as drafts on this device
+    const [content, setContent] = useDraft('post');
+    const [mentions, setMentions] = useDraft('post:mentions', []);
+    const [isPosting, setIsPosting] = useState(false);
+    const [error, setError] = useState(null);
+    const photoDrafts = usePhotoDrafts();
+    const [sightingDraft, setSightingDraft] = useState(null); // null unless this post logs a sighting
+    const sightingError = sightingDraft ? validateSightingDraft(sightingDraft) : null;
+    // A post needs text, a photo or a sighting, every photo must have finished processing,
+    // and a sighting must be complete
+    const canPost = (content.trim() || photoDrafts.hasPhotos || sightingDraft) && !photoDrafts.isProcessing && !sightingError;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!canPost || !db || !userId || isBanned) return;
+
+        // Storage uploads can't be queued like Firestore writes; keep everything as a draft
+        if (photoDrafts.hasPhotos && !navigator.onLine) {
+            setError(t('feed.photosNeedConnection'));
+            return;
+        }
+
+        setIsPosting(true);
+        setError(null);
+        try {
+            // Photos go up first so the post never points at missing files
+            const photos = await photoDrafts.upload(storage, photoFolder(userId));
+            const postRef = doc(collection(db, POSTS_PATH));
+            const text = content.trim();
+            const postMentions = activeMentions(content, mentions);
+            const sighting = sightingDraft;
+            const tags = extractTags(content);
+
+            // Queued rather than awaited: the post appears in the feed at once (marked pending)
+            // and syncs when the connection allows. If the server rejects it, the text comes back.
+            const batch = writeBatch(db);
+            batch.set(postRef, {
+                userId,
+                content: text,
+                mentions: postMentions,
+                tags,
+                photos,
+                sighting: sighting ? buildSighting(sighting) : null,
+                timestamp: serverTimestamp(),
+                reactionCounts: {},
+                reactionTotal: 0,
+                commentCount: 0
+            });
+            tagIndexWrites(db, postRef.path, [], tags)(batch);
+            queueWrite(batch.commit(), {
+                label: 'post',
+                onError: () => {
+                    setContent(current => current.trim() ? current : text);
+                    setMentions(current => current.length ? current : postMentions);
+                    setSightingDraft(current => current || sighting);
+                    setError(t('feed.postRejected'));
+                },
+            }).then(synced => {
+                if (!synced) return;
+                notifyMentions(db, userId, postMentions, {
+                    targetType: 'post',
+                    targetPath: postRef.path,
+                    postId: postRef.id,
+                    excerpt: notificationExcerpt(text),
+                }).catch(error => console.error("Error sending mention notifications:", error));
+            });
+
+            setContent('');
+            setMentions([]);
+            photoDrafts.clear();
+            setSightingDraft(null);
+        } catch (error) {
+            console.error("Error creating post:", error);
+            setError(t('feed.postFailed'));
+        } finally {
+            setIsPosting(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-4 shadow-md rounded-xl mb-6 border border-gray-100">
+            <h2 className="text-xl font-bold text-gray-800 mb-3">{t('feed.shareTitle')}</h2>
+            <form onSubmit={handleSubmit}>
+                <MentionInput
+                    db={db}
+                    multiline
+                    value={content}
+                    onChange={setContent}
+                    mentions={mentions}
+                    onMentionsChange={setMentions}
+                    placeholder={t('feed.postPlaceholder')}
+                    aria-label={t('feed.postLabel')}
+                    rows="4"
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 mb-3 resize-none"
+                    disabled={isPosting || !userId || isBanned}
+                />
+                <label className="flex items-center text-sm text-gray-700 mb-2">
+                    <input
+                        type="checkbox"
+                        className="mr-2 rounded text-green-600 focus:ring-green-500"
+                        checked={Boolean(sightingDraft)}
+                        onChange={(e) => setSightingDraft(e.target.checked ? newSightingDraft() : null)}
+                        disabled={isPosting || !userId || isBanned}
+                    />
+                    {t('feed.logSighting')}
+                </label>
+                {sightingDraft && (
+                    <SightingFields value={sightingDraft} onChange={setSightingDraft} disabled={isPosting} />
+                )}
+                <PhotoPicker photoDrafts={photoDrafts} disabled={isPosting || !userId || isBanned} />
+                {sightingError && (
+                    <p className="text-xs text-amber-700 mb-2">{sightingError}</p>
+                )}
+                <button
+                    type="submit"
+                    className="w-full bg-green-500 text-white py-2 rounded-lg font-semibold hover:bg-green-600 transition-colors disabled:bg-gray-400 flex items-center justify-center"
+                    disabled={!canPost || isPosting || !userId || isBanned}
+                >
+                    {isPosting ? (
+                        <>
+                            <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" aria-hidden="true" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                            </svg>
+                            {t('feed.posting')}
+                        </>
+                    ) : (
+                        <>
+                            <Send size={18} className="mr-2" aria-hidden="true" />
+                            {t('feed.post')}
+                        </>
+                    )}
+                </button>
+                {error && (
+                    <p className="text-sm text-red-500 mt-2 text-center" role="alert">{error}</p>
+                )}
+                {!userId && (
+                    <p className="text-sm text-red-500 mt-2 text-center">{t('feed.waitForAuth')}</p>
+                )}
+                {isBanned && (
+                    <p className="text-sm text-red-500 mt-2 text-center">{t('feed.bannedFromPosting')}</p>
+                )}
+            </form>
+        </div>
+    );
+};
+
+
+// The feed page (#/feed). `postId` comes from a post link (#/feed/<postId>) and scrolls to that post.
+export const CommunityFeed = ({ moderation, postId }) => {
+    const { db, storage, userId, isAuthReady } = useFirebase();
+    const { t } = useI18n();
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [ranking, setRanking] = useState('newest');
+    // Report, mute and hide failures from any post or comment (see ModerationActions)
+    const [error, setError] = useState(null);
+    const { posts: loadedPosts, hasMore, isLoadingMore, loadMore } = usePosts(db, userId, isAuthReady, filters);
+    const isLinkedPostLoaded = loadedPosts.some(post => post.id === postId);
+    const linkedPost = useLinkedPost(db, postId, isLinkedPostLoaded);
+    const posts = useMemo(() => (linkedPost && !isLinkedPostLoaded ? [linkedPost, ...loadedPosts] : loadedPosts), [linkedPost, isLinkedPostLoaded, loadedPosts]);
+    const ownProfile = useProfile(db, userId);
+    // Muted explorers' posts are left out of this user's feed entirely; the text search
+    // matches post content and tags. Top and Most discussed rank by the reaction and comment counters.
+    const visiblePosts = useMemo(() => rankItems(posts.filter(post => !moderation.mutedUserIds.includes(post.userId)
+        && (!filters.text.trim() || (!post.deleted && matchesSearch(filters.text, post.content, post.tags, post.sighting?.speciesName)))), ranking),
+        [posts, moderation.mutedUserIds, filters.text, ranking]);
+    const mutedPostCount = posts.filter(post => moderation.mutedUserIds.includes(post.userId)).length;
+    const [feedView, setFeedView] = useState('list'); // 'list' | 'map'
+
+    // Map popups link back to the post in the list
+    const openPost = (id) => {
+        setFeedView('list');
+        window.location.hash = postUrl(id);
+    };
+
+    // Post links (notifications, tag pages, profiles) land on the feed before the post has
+    // rendered, so scroll to it once it's there
+    useEffect(() => {
+        if (!postId) return;
+        document.getElementById(`post-${postId}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, [postId, posts.length, feedView]);
+
+    const handleUnmuteAll = async () => {
+        if (!await moderation.unmuteAll()) setError(t('stories.muteFailed'));
+    };
+
+    const handleLoadMore = async () => {
+        if (!await loadMore()) setError(t('feed.loadMoreFailed'));
+    };
+
+    return (
+        <>
+            {/* Explorer Profile and Instructions Card */}
+            <div className="bg-blue-50 border border-blue-200 p-4 rounded-xl mb-6 shadow-sm">
+                <div className="flex items-center">
+                    <Avatar profile={ownProfile} uid={userId} />
+                    <div className="ml-3 min-w-0">
+                        <h2 className="font-bold text-blue-800 truncate">{profileAlias(ownProfile, userId)}</h2>
+                        <a href={profileUrl(userId)} className="text-xs text-blue-600 hover:underline">{t('feed.viewProfile')}</a>
+                    </div>
+                </div>
+                <p className="text-xs text-blue-600 mt-2 break-all">
+                    {t('feed.instructions')}
+                </p>
+            </div>
+
+            {/* New Post Form */}
+            <NewPost db={db} storage={storage} userId={userId} isBanned={moderation.isBanned} />
+
+            {/* Feed */}
+            <div className="mt-8">
+                <h2 className="text-2xl font-bold text-gray-800 mb-4">
+                    {t('feed.title', { summary: hasActiveFilters(filters) ? t('feed.matchingCount', { count: visiblePosts.length }) : t('feed.postCount', { count: posts.length }) })}
+                </h2>
+                {error && <p className="text-red-500 mb-4 p-2 bg-red-100 rounded-lg text-center" role="alert">{error}</p>}
+                <SearchFilters db={db} filters={filters} onChange={setFilters} placeholder={t('feed.searchPlaceholder')} />
+                <div className="flex justify-end mb-2">
+                    <RankingPicker rankings={['newest', 'top', 'discussed']} value={ranking} onChange={setRanking} />
+                </div>
+                <div className="flex mb-4 bg-gray-100 rounded-lg p-1 text-sm font-semibold" role="tablist" aria-label={t('feed.views')} onKeyDown={handleTabListKeyDown}>
+                    {[['list', t('feed.postsTab')], ['map', t('feed.mapTab')]].map(([view, label]) => (
+                        <button
+                            key={view}
+                            id={`feed-tab-${view}`}
+                            role="tab"
+                            aria-selected={feedView === view}
+                            aria-controls="feed-panel"
+                            tabIndex={feedView === view ? 0 : -1}
+                            onClick={() => setFeedView(view)}
+                            className={`flex-1 py-1.5 rounded-md transition-colors ${feedView === view ? 'bg-white shadow text-green-700' : 'text-gray-500 hover:text-gray-700'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <div id="feed-panel" role="tabpanel" aria-labelledby={`feed-tab-${feedView}`}>
+                    {feedView === 'map' ? (
+                        <SightingsMap posts={visiblePosts} onOpenPost={openPost} />
+                    ) : hasActiveFilters(filters) && visiblePosts.length === 0 ? (
+                        <div className="text-center py-10 text-gray-500">
+                            {t('feed.noMatches')}
+                        </div>
+                    ) : posts.length === 0 ? (
+                        <div className="text-center py-10 text-gray-500">
+                            {t('feed.empty')}
+                        </div>
+                    ) : (
+                        visiblePosts.map(post => (
+                            <PostItem
+                                key={post.id}
+                                post={post}
+                                userId={userId}
+                                db={db}
+                                storage={storage}
+                                moderation={moderation}
+                                onError={setError}
+                                initiallyExpanded={post.id === postId}
+                            />
+                        ))
+                    )}
+                    {feedView === 'list' && hasMore && (
+                        <button
+                            onClick={handleLoadMore}
+                            disabled={isLoadingMore}
+                            className="w-full py-2 mb-4 font-semibold rounded-lg bg-blue-50 text-blue-700 hover:bg-blue-100 transition-colors disabled:opacity-50"
+                        >
+                            {isLoadingMore ? t('common.loading') : t('feed.loadMore')}
+                        </button>
+                    )}
+                    {feedView === 'list' && mutedPostCount > 0 && (
+                        <p className="text-xs text-gray-400 text-center">
+                            {t('feed.mutedHidden', { count: mutedPostCount })}
+                            <button onClick={handleUnmuteAll} className="ml-2 text-emerald-600 hover:underline">{t('stories.unmuteAll')}</button>
+                        </p>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+};
@@ -0,0 +1,130 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator } from 'firebase/auth';
+import { connectFirestoreEmulator } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+import { ensureProfile } from './profiles';
+import { translate } from './i18n';
+import { createFirestore, registerServiceWorker } from './offline';
+
+// --- Firebase and authentication (one instance for the whole app) ---
+
+// Provided by the hosting page (or baked in at build time, see vite.config.js)
+const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Local testing against the Firebase emulators,
+// e.g. { "firestore": "localhost:8080", "auth": "localhost:9099", "storage": "localhost:9199" }
+const emulators = typeof __firebase_emulators !== 'undefined' ? JSON.parse(__firebase_emulators) : {};
+
+const hostAndPort = (address) => {
+    const [host, port] = address.split(':');
+    return [host, Number(port)];
+};
+
+let services = null;
+
+// Firestore can only be initialized once per app, so the services are created on first use and
+// shared (this also keeps React's double-invoked effects in development from re-initializing)
+const getServices = () => {
+    if (services) return services;
+
+    const app = initializeApp(firebaseConfig);
+    // Persistent cache: stories and the feed open from the device and writes queue up while offline
+    const db = createFirestore(app);
+    const auth = getAuth(app);
+    const storage = getStorage(app);
+
+    if (emulators.firestore) connectFirestoreEmulator(db, ...hostAndPort(emulators.firestore));
+    if (emulators.auth) connectAuthEmulator(auth, `http://${emulators.auth}`, { disableWarnings: true });
+    if (emulators.storage) connectStorageEmulator(storage, ...hostAndPort(emulators.storage));
+
+    services = { app, db, auth, storage };
+    return services;
+};
+
+let signInPromise = null;
+
+// Signs the explorer in once the persisted session is known. A custom token from the hosting
+// page always wins; otherwise an existing session is kept and a new visitor signs in
+// anonymously. Offline, a returning explorer keeps the persisted session. Runs once, so two
+// callers can't create two anonymous accounts.
+const signIn = (auth) => {
+    if (!signInPromise) {
+        signInPromise = auth.authStateReady().then(() => {
+            if (initialAuthToken) return signInWithCustomToken(auth, initialAuthToken);
+            if (!auth.currentUser) return signInAnonymously(auth);
+            return null;
+        });
+    }
+    return signInPromise;
+};
+
+const FirebaseContext = createContext(null);
+
+export const FirebaseProvider = ({ children }) => {
+    const [state, setState] = useState({
+        db: null,
+        auth: null,
+        storage: null,
+        userId: null,
+        isAuthReady: false,
+        isProfileReady: false,
+        error: null,
+    });
+
+    useEffect(() => {
+        let firebase;
+        try {
+            firebase = getServices();
+        } catch (error) {
+            console.error("Firebase Initialization Error:", error);
+            setState(prev => ({ ...prev, isAuthReady: true, error: translate('app.initFailed') }));
+            return;
+        }
+        const { db, auth, storage } = firebase;
+        setState(prev => ({ ...prev, db, auth, storage }));
+        registerServiceWorker();
+
+        let unsubscribe = () => {};
+        let cancelled = false;
+
+        // Auth state is only reported once sign-in has settled, so nothing renders (or queries)
+        // as a signed-out visitor while the real session is still being restored
+        signIn(auth)
+            .catch(error => console.error("Sign-in failed:", error))
+            .finally(() => {
+                if (cancelled) return;
+                unsubscribe = onAuthStateChanged(auth, (user) => {
+                    const userId = user?.uid || null;
+                    setState(prev => ({
+                        ...prev,
+                        userId,
+                        isAuthReady: true,
+                        isProfileReady: prev.userId === userId && prev.isProfileReady,
+                        error: userId ? null : translate('app.signedOut'),
+                    }));
+                    if (!userId) return;
+                    // Creates the explorer profile (with a random wildlife alias) on first visit
+                    ensureProfile(db, userId)
+                        .catch(error => console.error("Error creating profile:", error))
+                        .finally(() => {
+                            if (!cancelled) setState(prev => (prev.userId === userId ? { ...prev, isProfileReady: true } : prev));
+                        });
+                });
+            });
+
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, []);
+
+    return <FirebaseContext.Provider value={state}>{children}</FirebaseContext.Provider>;
+};
+
+// { db, auth, storage, userId, isAuthReady, isProfileReady, error }
+export const useFirebase = () => {
+    const context = useContext(FirebaseContext);
+    if (!context) throw new Error('useFirebase must be used inside <FirebaseProvider>');
+    return context;
+};
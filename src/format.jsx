@@ -0,0 +1,183 @@
+import React from 'react';
+import { splitMentions } from './mentions';
+import { profileUrl } from './profiles';
+import { splitTags, tagUrl } from './tags';
+import { URL_PATTERN, safeLinkUrl, safeUrl, trimUrl } from './links';
+import { replaceShortcodes } from './emoji';
+import { getLocale, translate } from './i18n';
+
+// --- Shared formatting (dates and user-written text) ---
+
+// Firestore Timestamps, dates, or raw numbers/strings (e.g. from local state before Firestore
+// confirmation) as a Date, or null
+const toDate = (timestamp) => {
+    if (!timestamp) return null;
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return isNaN(date) ? null : date;
+};
+
+const minutesSince = (date) => Math.floor((Date.now() - date) / (1000 * 60));
+
+const relativeFormats = {};
+const relativeFormat = (locale) => {
+    if (!relativeFormats[locale]) relativeFormats[locale] = new Intl.RelativeTimeFormat(locale, { numeric: 'always' });
+    return relativeFormats[locale];
+};
+
+// "Just now", "5 minutes ago", "3 hours ago", then the date ("Mar 4, 2025"), in the app's language
+export const formatTimestamp = (timestamp) => {
+    if (!timestamp) return translate('time.justNow');
+    const date = toDate(timestamp);
+    if (!date) return translate('time.unknown');
+
+    const locale = getLocale();
+    const diffInMinutes = minutesSince(date);
+
+    if (diffInMinutes < 1) return translate('time.justNow');
+    if (diffInMinutes < 60) return relativeFormat(locale).format(-diffInMinutes, 'minute');
+    if (diffInMinutes < 1440) { // Less than 24 hours
+        return relativeFormat(locale).format(-Math.floor(diffInMinutes / 60), 'hour');
+    }
+
+    // Default format: Month Day, Year
+    return date.toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+// Full local date and time, for records where the exact moment matters (moderation, bans)
+export const formatDateTime = (timestamp) => {
+    const date = toDate(timestamp);
+    return date ? date.toLocaleString(getLocale()) : translate('time.justNow');
+};
+
+// Relative labels continue a sentence ("edited 5 minutes ago"); older edits show their date
+export const formatEditedLabel = (timestamp) => {
+    const date = toDate(timestamp);
+    if (!timestamp || (date && minutesSince(date) < 1)) return translate('time.justNowInline');
+    if (date && minutesSince(date) < 1440) return formatTimestamp(timestamp);
+    return translate('time.onDate', { date: formatTimestamp(timestamp) });
+};
+
+// Short plain-text preview (story archive, link previews)
+export const formatExcerpt = (text, maxLength = 160) => {
+    if (!text) return '';
+    const plain = text.replace(/\s+/g, ' ').trim();
+    return plain.length > maxLength ? `${plain.substring(0, maxLength).trim()}…` : plain;
+};
+
+// --- User-written text (posts, comments and stories) ---
+// One renderer for everything explorers and Kairu write. It never produces raw HTML: text becomes
+// React elements, links only keep safe URLs (see ./links) and anything else stays plain text.
+//   **bold**, *italic* or _italic_, `code`, [label](url), ![alt](url) (stories only, see
+//   ./markdown), bare URLs, :shortcode: emoji, line breaks, structured @mentions, #tags and
+//   other @names (an organization such as @WWF is highlighted but not linked)
+
+const INLINE_PATTERN = new RegExp([
+    '`([^`\\n]+)`',
+    `(${URL_PATTERN.source})`,
+    '!\\[([^\\]\\n]*)\\]\\(([^)\\s]+)\\)',
+    '\\[([^\\]\\n]+)\\]\\(([^)\\s]+)\\)',
+    '\\*\\*(?!\\s)([^\\n]+?)(?<!\\s)\\*\\*',
+    // Single markers only count at word edges, so "2 * 3 * 4" and snake_case stay as typed
+    '(?<![\\p{L}\\p{N}*])\\*(?![\\s*])([^*\\n]+?)(?<!\\s)\\*(?![\\p{L}\\p{N}*])',
+    '(?<![\\p{L}\\p{N}_])_(?![\\s_])([^_\\n]+?)(?<!\\s)_(?![\\p{L}\\p{N}_])',
+].join('|'), 'giu');
+
+// @names that aren't structured mentions; "kairu@example.org" is not one
+const NAME_PATTERN = /(?<![\p{L}\p{N}_])@[\p{L}\p{N}_]+/gu;
+
+const linkClass = 'text-emerald-700 font-semibold hover:underline';
+
+// Splits `text` on `pattern`, rendering matches with `renderMatch` and the rest with `renderRest`
+const splitOn = (text, pattern, renderMatch, renderRest) => {
+    const nodes = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+        if (match.index > lastIndex) nodes.push(...renderRest(text.slice(lastIndex, match.index)));
+        nodes.push(renderMatch(match));
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) nodes.push(...renderRest(text.slice(lastIndex)));
+    return nodes;
+};
+
+const renderPlain = (text, options) => {
+    const { mentions, nextKey } = options;
+
+    const renderWords = (words) => splitOn(words, NAME_PATTERN, (match) => (
+        <span key={nextKey()} className="text-indigo-700 font-semibold bg-indigo-50 rounded px-1.5 py-0.5 whitespace-nowrap">{match[0]}</span>
+    ), (rest) => splitTags(rest).flatMap(piece => (piece.tag ? [
+        <a key={nextKey()} href={tagUrl(piece.tag)} className={linkClass}>{piece.text}</a>,
+    ] : replaceShortcodes(piece.text).split('\n').flatMap((line, index) => [
+        ...(index > 0 ? [<br key={nextKey()} />] : []),
+        ...(line ? [<React.Fragment key={nextKey()}>{line}</React.Fragment>] : []),
+    ]))));
+
+    return splitMentions(text, mentions).flatMap(segment => (segment.mention ? [
+        <a key={nextKey()} href={profileUrl(segment.mention.userId)} className={linkClass}>{segment.text}</a>,
+    ] : renderWords(segment.text)));
+};
+
+const externalLinkProps = { target: '_blank', rel: 'noopener noreferrer' };
+
+const renderLink = (label, url, options) => {
+    const href = safeLinkUrl(url);
+    // Link text can be formatted, but links can't nest
+    const content = renderInline(label, { ...options, inLink: true });
+    if (!href || options.inLink) return content;
+    return [
+        <a key={options.nextKey()} href={href} className={linkClass} {...(href.startsWith('#/') ? {} : externalLinkProps)}>
+            {content}
+        </a>,
+    ];
+};
+
+const renderInline = (text, options) => {
+    const { nextKey } = options;
+    const nodes = [];
+    const pattern = new RegExp(INLINE_PATTERN.source, INLINE_PATTERN.flags);
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const [matched, code, bareUrl, imageAlt, imageUrl, linkLabel, linkUrl, bold, starItalic, underscoreItalic] = match;
+        let consumed = matched;
+        let rendered;
+
+        if (code !== undefined) {
+            rendered = [<code key={nextKey()} className="px-1 py-0.5 bg-gray-100 rounded text-sm font-mono break-words">{code}</code>];
+        } else if (bareUrl !== undefined) {
+            // Punctuation after a URL belongs to the sentence and is rendered as text
+            consumed = trimUrl(bareUrl);
+            const url = safeUrl(consumed);
+            rendered = url && !options.inLink
+                ? [<a key={nextKey()} href={url} className="text-blue-500 hover:underline break-all" {...externalLinkProps}>{consumed}</a>]
+                : renderPlain(consumed, options);
+        } else if (imageUrl !== undefined) {
+            const src = options.images ? safeUrl(imageUrl) : null;
+            rendered = src
+                ? [<img key={nextKey()} src={src} alt={imageAlt} loading="lazy" className="inline-block max-h-64 rounded-lg align-middle" />]
+                : renderLink(imageAlt || imageUrl, imageUrl, options);
+        } else if (linkUrl !== undefined) {
+            rendered = renderLink(linkLabel, linkUrl, options);
+        } else if (bold !== undefined) {
+            rendered = [<strong key={nextKey()}>{renderInline(bold, options)}</strong>];
+        } else {
+            rendered = [<em key={nextKey()}>{renderInline(starItalic ?? underscoreItalic, options)}</em>];
+        }
+
+        if (match.index > lastIndex) nodes.push(...renderPlain(text.slice(lastIndex, match.index), options));
+        nodes.push(...rendered);
+        lastIndex = match.index + consumed.length;
+        pattern.lastIndex = lastIndex;
+    }
+    if (lastIndex < text.length) nodes.push(...renderPlain(text.slice(lastIndex), options));
+    return nodes;
+};
+
+// User-written text as React nodes. `mentions` are the structured mentions stored with the text;
+// `images` renders ![alt](url) as images rather than links (stories).
+export const formatText = (text, mentions, { images = false } = {}) => {
+    if (!text) return null;
+    let key = 0;
+    return renderInline(text, { mentions, images, inLink: false, nextKey: () => `t${key++}` });
+};
@@ -0,0 +1,119 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { Globe } from 'lucide-react';
+import { MESSAGES } from './messages';
+
+// --- Localization ---
+// Interface text comes from the catalogs in ./messages, looked up by key: t('feed.reply') or
+// t('feed.showReplies', { count: 3 }). Dates and numbers go through Intl for the same locale, so
+// "5 minutes ago" reads "dakika 5 zilizopita" in Swahili. The chosen language is remembered on
+// this device; without a choice the browser's preferred languages decide.
+
+export const LANGUAGES = [
+    { locale: 'en', label: 'English' },
+    { locale: 'sw', label: 'Kiswahili' },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+const LOCALE_STORAGE_KEY = 'kairu-locale';
+
+const isSupported = (locale) => LANGUAGES.some(language => language.locale === locale);
+
+const readSavedLocale = () => {
+    try {
+        return window.localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+};
+
+// The saved choice, else the first supported browser language ("sw-KE" counts as "sw")
+const initialLocale = () => {
+    if (typeof window === 'undefined') return DEFAULT_LOCALE;
+    const saved = readSavedLocale();
+    if (isSupported(saved)) return saved;
+    const preferred = (navigator.languages || [navigator.language]).map(language => (language || '').split('-')[0]);
+    return preferred.find(isSupported) || DEFAULT_LOCALE;
+};
+
+// Plain functions (formatTimestamp and friends) read the locale from here; the provider keeps it
+// in sync and re-renders the app when it changes
+let currentLocale = initialLocale();
+
+export const getLocale = () => currentLocale;
+
+const pluralRules = {};
+const pluralCategory = (locale, count) => {
+    if (!pluralRules[locale]) pluralRules[locale] = new Intl.PluralRules(locale);
+    return pluralRules[locale].select(count);
+};
+
+// A catalog entry is a string with {placeholders}, or plural forms ({ one, other }) picked by
+// the `count` value. Numbers are formatted for the locale. Missing entries fall back to English,
+// then to the key itself, so a gap in a catalog never breaks the page.
+export const translate = (key, values = {}, locale = currentLocale) => {
+    let message = MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    if (typeof message === 'object') {
+        message = message[pluralCategory(locale, values.count ?? 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = values[name];
+        if (value === undefined || value === null) return placeholder;
+        return typeof value === 'number' ? value.toLocaleString(locale) : String(value);
+    });
+};
+
+const I18nContext = createContext(null);
+
+export const I18nProvider = ({ children }) => {
+    const [locale, setLocaleState] = useState(getLocale);
+
+    const setLocale = useCallback((next) => {
+        if (!isSupported(next)) return;
+        currentLocale = next;
+        setLocaleState(next);
+        try {
+            window.localStorage.setItem(LOCALE_STORAGE_KEY, next);
+        } catch (error) {
+            // Private browsing: the choice lasts for this visit only
+        }
+    }, []);
+
+    useEffect(() => {
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    const value = useMemo(() => ({
+        locale,
+        setLocale,
+        t: (key, values) => translate(key, values, locale),
+    }), [locale, setLocale]);
+
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+// { locale, setLocale, t }. Outside an <I18nProvider> (component tests) the text is English.
+export const useI18n = () => useContext(I18nContext) || {
+    locale: getLocale(),
+    setLocale: () => {},
+    t: translate,
+};
+
+export const LanguageSwitcher = () => {
+    const { locale, setLocale, t } = useI18n();
+    return (
+        <label className="flex items-center text-sm text-gray-600">
+            <Globe size={16} className="mr-1" aria-hidden="true" />
+            <span className="sr-only">{t('app.language')}</span>
+            <select
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                className="py-0.5 pl-1 pr-6 border-0 bg-transparent text-sm font-medium text-gray-600 focus:ring-2 focus:ring-emerald-500 rounded-md"
+            >
+                {LANGUAGES.map(language => (
+                    <option key={language.locale} value={language.locale} lang={language.locale}>{language.label}</option>
+                ))}
+            </select>
+        </label>
+    );
+};
@@ -0,0 +1,179 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { ExternalLink } from 'lucide-react';
+
+// --- Links in user-written text, and their preview cards ---
+// URLs are found in plain text (see formatText) and only ever rendered when they parse as
+// http(s) URLs, so "javascript:" and friends stay plain text. Preview cards come from a
+// pluggable fetcher: an Open Graph service when the hosting page configures one, otherwise a
+// local stub that builds the card from the URL alone. Tests and other hosts can swap it with
+// <LinkPreviewProvider fetcher={...}>.
+
+// Provided by the hosting page (or baked in at build time, see vite.config.js): an endpoint that
+// answers GET <endpoint>?url=<url> with { title, description, image, siteName } from the page's
+// Open Graph tags. Browsers can't read other sites' pages themselves.
+const previewEndpoint = typeof __link_preview_endpoint !== 'undefined' ? __link_preview_endpoint : null;
+
+// "http(s)://..." or "www...." up to the next whitespace or character that can't be in a URL
+export const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/gi;
+// Punctuation that ends a sentence rather than the URL ("see https://kws.go.ke.")
+const TRAILING_PUNCTUATION = /[.,;:!?'"*_~]$/;
+const CLOSING_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+const PREVIEW_TITLE_LENGTH = 120;
+const PREVIEW_DESCRIPTION_LENGTH = 240;
+
+const count = (text, char) => text.split(char).length - 1;
+
+// Drops trailing punctuation, and closing brackets that the URL didn't open:
+// "(https://en.wikipedia.org/wiki/Lion_(disambiguation))" keeps one ")" of its two
+export const trimUrl = (candidate) => {
+    let url = candidate;
+    for (;;) {
+        const last = url.slice(-1);
+        if (TRAILING_PUNCTUATION.test(last)) {
+            url = url.slice(0, -1);
+        } else if (CLOSING_BRACKETS[last] && count(url, last) > count(url, CLOSING_BRACKETS[last])) {
+            url = url.slice(0, -1);
+        } else {
+            return url;
+        }
+    }
+};
+
+// The normalized URL when it's safe to link to (http or https, no embedded credentials), or null
+export const safeUrl = (url) => {
+    try {
+        const parsed = new URL(/^www\./i.test(url) ? `https://${url}` : url);
+        if (!['http:', 'https:'].includes(parsed.protocol) || parsed.username || parsed.password) return null;
+        return parsed.href;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Markdown-style [links](...) may also point into the app (#/...) or at an email address
+export const safeLinkUrl = (url) => {
+    if (/^#\//.test(url)) return url;
+    if (/^mailto:[^\s@]+@[^\s@]+$/i.test(url)) return url;
+    return safeUrl(url);
+};
+
+// Splits text into plain segments ({ text }) and link segments ({ text, url })
+export const splitLinks = (text) => {
+    if (!text) return [];
+    const segments = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(URL_PATTERN)) {
+        const linkText = trimUrl(match[0]);
+        const url = safeUrl(linkText);
+        if (!url) continue;
+        if (match.index > lastIndex) segments.push({ text: text.slice(lastIndex, match.index) });
+        segments.push({ text: linkText, url });
+        lastIndex = match.index + linkText.length;
+    }
+    if (lastIndex < text.length) segments.push({ text: text.slice(lastIndex) });
+    return segments;
+};
+
+// The first linkable URL in the text (the one that gets a preview card), or null
+export const firstLink = (text) => splitLinks(text).find(segment => segment.url)?.url || null;
+
+// --- Previews ---
+
+const truncate = (value, maxLength) => {
+    if (typeof value !== 'string') return '';
+    const text = value.replace(/\s+/g, ' ').trim();
+    return text.length > maxLength ? `${text.slice(0, maxLength).trim()}…` : text;
+};
+
+const siteName = (url) => new URL(url).hostname.replace(/^www\./, '');
+
+// Whatever a fetcher returns is treated as untrusted: only text and an http(s) image survive
+export const sanitizePreview = (url, preview) => {
+    if (!preview) return null;
+    const image = typeof preview.image === 'string' ? safeUrl(preview.image) : null;
+    return {
+        url,
+        siteName: truncate(preview.siteName, PREVIEW_TITLE_LENGTH) || siteName(url),
+        title: truncate(preview.title, PREVIEW_TITLE_LENGTH),
+        description: truncate(preview.description, PREVIEW_DESCRIPTION_LENGTH),
+        image,
+    };
+};
+
+// Local stub: a card with the site's name, without any network request
+export const localPreviewFetcher = async (url) => ({ siteName: siteName(url) });
+
+// Open Graph data from a preview service (see previewEndpoint)
+export const openGraphFetcher = (endpoint) => async (url) => {
+    const response = await fetch(`${endpoint}?url=${encodeURIComponent(url)}`);
+    if (!response.ok) throw new Error(`Link preview failed with status ${response.status}`);
+    return response.json();
+};
+
+const defaultFetcher = previewEndpoint ? openGraphFetcher(previewEndpoint) : localPreviewFetcher;
+
+const LinkPreviewContext = createContext(defaultFetcher);
+
+// Swaps the preview fetcher for everything inside (a fetcher takes a URL and resolves to
+// { title, description, image, siteName } or null)
+export const LinkPreviewProvider = ({ fetcher, children }) => (
+    <LinkPreviewContext.Provider value={fetcher}>{children}</LinkPreviewContext.Provider>
+);
+
+// Previews are fetched once per URL and fetcher, for the lifetime of the page
+const previewCache = new WeakMap();
+
+const fetchPreview = (fetcher, url) => {
+    if (!previewCache.has(fetcher)) previewCache.set(fetcher, new Map());
+    const cache = previewCache.get(fetcher);
+    if (!cache.has(url)) {
+        // A missing preview is normal (offline, no Open Graph tags); the link itself still works
+        cache.set(url, Promise.resolve()
+            .then(() => fetcher(url))
+            .then(preview => sanitizePreview(url, preview))
+            .catch(() => null));
+    }
+    return cache.get(url);
+};
+
+export const useLinkPreview = (url) => {
+    const fetcher = useContext(LinkPreviewContext);
+    const [preview, setPreview] = useState(null);
+
+    useEffect(() => {
+        setPreview(null);
+        if (!url) return;
+        let cancelled = false;
+        fetchPreview(fetcher, url).then((result) => {
+            if (!cancelled) setPreview(result);
+        });
+        return () => { cancelled = true; };
+    }, [fetcher, url]);
+
+    return preview;
+};
+
+export const LinkPreviewCard = ({ url }) => {
+    const preview = useLinkPreview(url);
+    if (!preview) return null;
+
+    return (
+        <a
+            href={preview.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="flex mt-2 mb-4 border border-gray-200 rounded-lg overflow-hidden hover:bg-gray-50 transition-colors not-italic"
+        >
+            {preview.image && <img src={preview.image} alt="" loading="lazy" className="w-24 sm:w-32 object-cover flex-shrink-0" />}
+            <span className="p-3 min-w-0">
+                <span className="flex items-center text-xs text-gray-500 uppercase tracking-wide">
+                    <ExternalLink size={12} className="mr-1 flex-shrink-0" aria-hidden="true" />
+                    {preview.siteName}
+                </span>
+                {preview.title && <span className="block font-semibold text-gray-900 truncate">{preview.title}</span>}
+                {preview.description && <span className="block text-sm text-gray-600 line-clamp-2">{preview.description}</span>}
+            </span>
+        </a>
+    );
+};
@@ -0,0 +1,19 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './App';
+import { FirebaseProvider } from './firebase';
+import { PresenceProvider } from './presence';
+import { I18nProvider } from './i18n';
+import './index.css';
+
+createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+        <I18nProvider>
+            <FirebaseProvider>
+                <PresenceProvider>
+                    <App />
+                </PresenceProvider>
+            </FirebaseProvider>
+        </I18nProvider>
+    </React.StrictMode>
+);
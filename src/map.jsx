@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { useI18n } from './i18n';
+
+// --- Clustered tile map ---
+// A small OpenStreetMap viewer (Web Mercator tiles, drag to pan, wheel/buttons to zoom) that
+// groups nearby points into clusters at the current zoom level.
+
+const TILE_SIZE = 256;
+const MIN_ZOOM = 2;
+const MAX_ZOOM = 16;
+const CLUSTER_CELL_PX = 56;
+const TILE_URL = (z, x, y) => `https://tile.openstreetmap.org/${z}/${x}/${y}.png`;
+// East Africa, for maps without any points yet
+const DEFAULT_VIEW = { center: { lat: -1.3, lng: 36.8 }, zoom: 6 };
+
+const clampLat = (lat) => Math.max(-85, Math.min(85, lat));
+
+// World pixel coordinates of a point at a zoom level
+const project = ({ lat, lng }, zoom) => {
+    const worldSize = TILE_SIZE * 2 ** zoom;
+    const sinLat = Math.sin((clampLat(lat) * Math.PI) / 180);
+    return {
+        x: ((lng + 180) / 360) * worldSize,
+        y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * worldSize,
+    };
+};
+
+const unproject = ({ x, y }, zoom) => {
+    const worldSize = TILE_SIZE * 2 ** zoom;
+    const n = Math.PI - (2 * Math.PI * y) / worldSize;
+    return {
+        lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+        lng: (x / worldSize) * 360 - 180,
+    };
+};
+
+// Centre and zoom that show every point
+const fitPoints = (points, width, height) => {
+    if (points.length === 0) return DEFAULT_VIEW;
+    const lats = points.map(point => point.lat);
+    const lngs = points.map(point => point.lng);
+    const center = {
+        lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+        lng: (Math.min(...lngs) + Math.max(...lngs)) / 2,
+    };
+    for (let zoom = MAX_ZOOM - 4; zoom > MIN_ZOOM; zoom--) {
+        const topLeft = project({ lat: Math.max(...lats), lng: Math.min(...lngs) }, zoom);
+        const bottomRight = project({ lat: Math.min(...lats), lng: Math.max(...lngs) }, zoom);
+        if (bottomRight.x - topLeft.x < width - 80 && bottomRight.y - topLeft.y < height - 80) return { center, zoom };
+    }
+    return { center, zoom: MIN_ZOOM };
+};
+
+// Groups points that fall into the same grid cell on screen
+export const clusterPoints = (points, zoom, cellSize = CLUSTER_CELL_PX) => {
+    const cells = new Map();
+    points.forEach(point => {
+        const pixel = project(point, zoom);
+        const key = `${Math.floor(pixel.x / cellSize)}:${Math.floor(pixel.y / cellSize)}`;
+        const cell = cells.get(key) || { key, points: [], x: 0, y: 0 };
+        cell.points.push(point);
+        cell.x += pixel.x;
+        cell.y += pixel.y;
+        cells.set(key, cell);
+    });
+    return [...cells.values()].map(cell => ({
+        key: cell.key,
+        points: cell.points,
+        x: cell.x / cell.points.length,
+        y: cell.y / cell.points.length,
+    }));
+};
+
+// `points` are { id, lat, lng, ... } (memoize the array; a new one closes the open popup).
+// `renderMarker(point)` draws a single point and `renderPopup(points, close)` the popup for a
+// point or a cluster that can't be split further.
+export const ClusterMap = ({ points, renderMarker, renderPopup, height = 420 }) => {
+    const { t } = useI18n();
+    const containerRef = useRef(null);
+    const dragRef = useRef(null);
+    const wheelRef = useRef(null);
+    const hasFittedPoints = useRef(false);
+    const [width, setWidth] = useState(0);
+    const [view, setView] = useState(null);
+    const [popup, setPopup] = useState(null); // { key, points, x, y }
+
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return;
+        const updateWidth = () => setWidth(container.clientWidth);
+        updateWidth();
+        const observer = new ResizeObserver(updateWidth);
+        observer.observe(container);
+        return () => observer.disconnect();
+    }, []);
+
+    // React wheel listeners are passive; zooming must not scroll the page as well
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return;
+        const handleWheel = (e) => {
+            if (!wheelRef.current) return;
+            e.preventDefault();
+            wheelRef.current(e);
+        };
+        container.addEventListener('wheel', handleWheel, { passive: false });
+        return () => container.removeEventListener('wheel', handleWheel);
+    }, []);
+
+    // Fit the points once the map has a size (and again if the first points arrive later)
+    useEffect(() => {
+        if (!width || (view && (hasFittedPoints.current || points.length === 0))) return;
+        hasFittedPoints.current = points.length > 0;
+        setView(fitPoints(points, width, height));
+    }, [width, view, points, height]);
+
+    const clusters = useMemo(() => (view ? clusterPoints(points, view.zoom) : []), [points, view]);
+
+    // Popups belong to one zoom level and one set of points
+    useEffect(() => setPopup(null), [points, view?.zoom]);
+
+    if (!view || !width) {
+        return <div ref={containerRef} className="w-full bg-gray-100 rounded-xl" style={{ height }} />;
+    }
+
+    const centerPixel = project(view.center, view.zoom);
+    const origin = { x: centerPixel.x - width / 2, y: centerPixel.y - height / 2 };
+    const tileCount = 2 ** view.zoom;
+
+    const tiles = [];
+    for (let ty = Math.floor(origin.y / TILE_SIZE); ty <= Math.floor((origin.y + height) / TILE_SIZE); ty++) {
+        if (ty < 0 || ty >= tileCount) continue;
+        for (let tx = Math.floor(origin.x / TILE_SIZE); tx <= Math.floor((origin.x + width) / TILE_SIZE); tx++) {
+            const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+            tiles.push(
+                <img
+                    key={`${view.zoom}/${tx}/${ty}`}
+                    src={TILE_URL(view.zoom, wrappedX, ty)}
+                    alt=""
+                    draggable={false}
+                    className="absolute select-none"
+                    style={{ left: tx * TILE_SIZE - origin.x, top: ty * TILE_SIZE - origin.y, width: TILE_SIZE, height: TILE_SIZE }}
+                />
+            );
+        }
+    }
+
+    const zoomTo = (zoom, anchor = { x: width / 2, y: height / 2 }) => {
+        const nextZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+        if (nextZoom === view.zoom) return;
+        // Keep the geographic point under `anchor` in place
+        const anchorPoint = unproject({ x: origin.x + anchor.x, y: origin.y + anchor.y }, view.zoom);
+        const anchorPixel = project(anchorPoint, nextZoom);
+        const center = unproject({ x: anchorPixel.x - anchor.x + width / 2, y: anchorPixel.y - anchor.y + height / 2 }, nextZoom);
+        setView({ center, zoom: nextZoom });
+    };
+
+    const handlePointerDown = (e) => {
+        if (e.target.closest('[data-map-control]')) return;
+        dragRef.current = { x: e.clientX, y: e.clientY, center: centerPixel, moved: false };
+        e.currentTarget.setPointerCapture(e.pointerId);
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        const dx = e.clientX - drag.x;
+        const dy = e.clientY - drag.y;
+        if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+        setView(prev => ({ ...prev, center: unproject({ x: drag.center.x - dx, y: drag.center.y - dy }, prev.zoom) }));
+    };
+
+    const handlePointerUp = () => {
+        if (dragRef.current && !dragRef.current.moved) setPopup(null);
+        dragRef.current = null;
+    };
+
+    wheelRef.current = (e) => {
+        const rect = containerRef.current.getBoundingClientRect();
+        zoomTo(view.zoom + (e.deltaY < 0 ? 1 : -1), { x: e.clientX - rect.left, y: e.clientY - rect.top });
+    };
+
+    const openCluster = (cluster) => {
+        // Split clusters by zooming in until they can't be split any further
+        if (cluster.points.length > 1 && view.zoom < MAX_ZOOM) {
+            zoomTo(view.zoom + 2, { x: cluster.x - origin.x, y: cluster.y - origin.y });
+        } else {
+            setPopup(cluster);
+        }
+    };
+
+    return (
+        <div
+            ref={containerRef}
+            className="relative w-full overflow-hidden rounded-xl bg-gray-200 touch-none cursor-grab active:cursor-grabbing"
+            style={{ height }}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            role="application"
+            aria-label={t('map.label')}
+        >
+            {tiles}
+
+            {clusters.map(cluster => (
+                <button
+                    key={cluster.key}
+                    data-map-control
+                    onClick={() => openCluster(cluster)}
+                    className="absolute -translate-x-1/2 -translate-y-1/2 focus:outline-none focus:ring-2 focus:ring-green-500 rounded-full"
+                    style={{ left: cluster.x - origin.x, top: cluster.y - origin.y }}
+                    aria-label={cluster.points.length > 1 ? t('map.cluster', { count: cluster.points.length }) : undefined}
+                >
+                    {cluster.points.length > 1 ? (
+                        <span className="flex items-center justify-center w-10 h-10 rounded-full bg-green-600 bg-opacity-90 text-white text-sm font-bold ring-4 ring-green-200 shadow">
+                            {cluster.points.length}
+                        </span>
+                    ) : renderMarker(cluster.points[0])}
+                </button>
+            ))}
+
+            {popup && (
+                <div
+                    data-map-control
+                    className="absolute z-10 -translate-x-1/2 -translate-y-full -mt-6 w-64 max-h-60 overflow-y-auto bg-white rounded-lg shadow-xl border border-gray-200 p-3 cursor-auto"
+                    style={{ left: popup.x - origin.x, top: popup.y - origin.y }}
+                >
+                    <button onClick={() => setPopup(null)} className="absolute top-1 right-2 text-gray-400 hover:text-gray-700" aria-label={t('map.closePopup')}>×</button>
+                    {renderPopup(popup.points, () => setPopup(null))}
+                </div>
+            )}
+
+            <div data-map-control className="absolute top-2 right-2 flex flex-col bg-white rounded-lg shadow border border-gray-200 overflow-hidden">
+                <button onClick={() => zoomTo(view.zoom + 1)} className="w-8 h-8 text-lg font-bold text-gray-700 hover:bg-gray-100" aria-label={t('map.zoomIn')}>+</button>
+                <button onClick={() => zoomTo(view.zoom - 1)} className="w-8 h-8 text-lg font-bold text-gray-700 hover:bg-gray-100 border-t border-gray-200" aria-label={t('map.zoomOut')}>−</button>
+            </div>
+            <div className="absolute bottom-0 right-0 bg-white bg-opacity-80 text-[10px] text-gray-600 px-1.5 py-0.5">
+                © <a href="https://www.openstreetmap.org/copyright" target="_blank" rel="noopener noreferrer" className="underline">OpenStreetMap</a> {t('map.contributors')}
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,96 @@
+import React from 'react';
+import { formatText } from './format';
+import { firstLink, safeUrl } from './links';
+
+// --- Markdown for stories ---
+// The block level: # headings, paragraphs, - and 1. lists, > quotes, --- rules, ``` code blocks
+// and photos on a line of their own. Inside blocks, text goes through formatText like every
+// other text in the app (bold, italic, code, links, images, emoji, #tags and @mentions).
+
+const renderInline = (text) => formatText(text, null, { images: true });
+
+const HEADING = /^(#{1,3})\s+(.+)$/;
+const RULE = /^\s*(-{3,}|\*{3,})\s*$/;
+const FENCE = /^\s*```/;
+const IMAGE_LINE = /^!\[([^\]]*)\]\(([^)\s]+)\)\s*$/;
+const QUOTE = /^>\s?/;
+const BULLET = /^\s*[-*]\s+/;
+const NUMBERED = /^\s*\d+[.)]\s+/;
+
+const startsBlock = (line) => [HEADING, RULE, FENCE, IMAGE_LINE, QUOTE, BULLET, NUMBERED].some(pattern => pattern.test(line));
+
+const HEADING_CLASSES = ['text-2xl font-bold', 'text-xl font-bold', 'text-lg font-semibold'];
+
+// Story text as React nodes
+export const renderMarkdown = (text) => {
+    if (!text) return null;
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    // Consecutive lines matching `pattern`, without the marker
+    const collect = (pattern) => {
+        const items = [];
+        while (i < lines.length && pattern.test(lines[i])) items.push(lines[i++].replace(pattern, ''));
+        return items;
+    };
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const key = `b${i}`;
+        const heading = line.match(HEADING);
+        const image = line.match(IMAGE_LINE);
+
+        if (!line.trim()) {
+            i++;
+        } else if (heading) {
+            const Tag = `h${heading[1].length + 2}`;
+            blocks.push(<Tag key={key} className={`${HEADING_CLASSES[heading[1].length - 1]} text-gray-900 mt-4 mb-2`}>{renderInline(heading[2])}</Tag>);
+            i++;
+        } else if (RULE.test(line)) {
+            blocks.push(<hr key={key} className="my-6 border-gray-200" />);
+            i++;
+        } else if (FENCE.test(line)) {
+            const code = [];
+            i++;
+            while (i < lines.length && !FENCE.test(lines[i])) code.push(lines[i++]);
+            i++; // closing fence
+            blocks.push(<pre key={key} className="bg-gray-100 rounded-lg p-3 mb-4 overflow-x-auto text-sm"><code>{code.join('\n')}</code></pre>);
+        } else if (image && safeUrl(image[2])) {
+            blocks.push(
+                <figure key={key} className="my-4">
+                    <img src={safeUrl(image[2])} alt={image[1]} loading="lazy" className="w-full rounded-lg" />
+                    {image[1] && <figcaption className="text-xs text-gray-500 text-center mt-1">{image[1]}</figcaption>}
+                </figure>
+            );
+            i++;
+        } else if (QUOTE.test(line)) {
+            blocks.push(<blockquote key={key} className="border-l-4 border-emerald-200 pl-4 italic text-gray-600 mb-4">{renderInline(collect(QUOTE).join('\n'))}</blockquote>);
+        } else if (BULLET.test(line) || NUMBERED.test(line)) {
+            const isNumbered = NUMBERED.test(line);
+            const List = isNumbered ? 'ol' : 'ul';
+            blocks.push(
+                <List key={key} className={`${isNumbered ? 'list-decimal' : 'list-disc'} pl-6 mb-4 space-y-1`}>
+                    {collect(isNumbered ? NUMBERED : BULLET).map((item, index) => <li key={index}>{renderInline(item)}</li>)}
+                </List>
+            );
+        } else {
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i]))) paragraph.push(lines[i++]);
+            blocks.push(<p key={key} className="mb-4">{renderInline(paragraph.join('\n'))}</p>);
+        }
+    }
+    return blocks;
+};
+
+// Story text without Markdown syntax, for excerpts and link previews
+export const markdownToPlainText = (text) => (text || '')
+    .replace(/^\s*```.*$/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)\s]+\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)\s]+\)/g, '$1')
+    .replace(/^(#{1,3}\s+|>\s?|\s*[-*]\s+|\s*\d+[.)]\s+)/gm, '')
+    .replace(/^\s*(-{3,}|\*{3,})\s*$/gm, '')
+    .replace(/\*\*([^*]+)\*\*|\*([^*\s][^*]*)\*|`([^`]+)`/g, (match, bold, italic, code) => bold ?? italic ?? code);
+
+// The link a story's preview card shows: its first link that isn't a photo
+export const firstStoryLink = (text) => firstLink((text || '').replace(/!\[[^\]]*\]\([^)\s]+\)/g, ''));
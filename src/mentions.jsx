@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { searchProfilesByAlias, Avatar } from './profiles';
+import { createNotifications } from './notifications';
+import { useI18n } from './i18n';
+
+// --- Shared @mentions ---
+// Mentions are picked from alias suggestions while typing and stored next to the text as
+// structured references: mentions: [{ userId, alias }]. The text itself keeps "@Alias".
+
+const MENTION_SUGGESTION_LIMIT = 6;
+// "@" at the start of the text or after whitespace, followed by what has been typed so far
+const MENTION_TRIGGER = /(?:^|\s)@([^@\n]{0,30})$/;
+// Aliases have at most a few words; stop searching once the typed text clearly isn't one
+const MAX_MENTION_QUERY_WORDS = 4;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Mentions that still appear in the text (the user may have deleted some after picking them)
+export const activeMentions = (text, mentions = []) => {
+    const seen = new Set();
+    return mentions.filter(mention => {
+        if (seen.has(mention.userId) || !(text || '').includes(`@${mention.alias}`)) return false;
+        seen.add(mention.userId);
+        return true;
+    });
+};
+
+// Splits text into plain segments ({ text }) and mention segments ({ text, mention })
+export const splitMentions = (text, mentions = []) => {
+    if (!text) return [];
+    if (!mentions || mentions.length === 0) return [{ text }];
+
+    // Longest aliases first so "@Explorer Lion 123" wins over "@Explorer Lion"
+    const byAlias = new Map(mentions.map(mention => [mention.alias, mention]));
+    const pattern = [...byAlias.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    const regex = new RegExp(`@(${pattern})`, 'g');
+
+    const segments = [];
+    let lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        if (match.index > lastIndex) segments.push({ text: text.slice(lastIndex, match.index) });
+        segments.push({ text: match[0], mention: byAlias.get(match[1]) });
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) segments.push({ text: text.slice(lastIndex) });
+    return segments;
+};
+
+// Creates a "mention" notification for every mentioned explorer.
+// `target` describes where they were mentioned: { targetType, targetPath, excerpt, ... }
+export const notifyMentions = (db, actorId, mentions, target) => createNotifications(
+    db,
+    (mentions || []).map(mention => mention.userId),
+    { type: 'mention', actorId, ...target },
+);
+
+// Text input/textarea with an @mention picker. `mentions` and `onMentionsChange` hold the
+// structured references picked so far; callers store activeMentions(text, mentions) on submit.
+export const MentionInput = ({ db, value, onChange, mentions, onMentionsChange, multiline = false, inputRef, onKeyDown, ...inputProps }) => {
+    const { t } = useI18n();
+    const localRef = useRef(null);
+    const fieldRef = inputRef || localRef;
+    const [mentionQuery, setMentionQuery] = useState(null); // text typed after "@", or null
+    const [suggestions, setSuggestions] = useState([]);
+    const [highlighted, setHighlighted] = useState(0);
+
+    useEffect(() => {
+        if (mentionQuery === null || !db || mentionQuery.trim().split(/\s+/).length > MAX_MENTION_QUERY_WORDS) {
+            setSuggestions([]);
+            return;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const results = await searchProfilesByAlias(db, mentionQuery, MENTION_SUGGESTION_LIMIT);
+                if (!cancelled) setSuggestions(results);
+            } catch (error) {
+                console.error("Error searching explorers:", error);
+            }
+        }, 200);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [db, mentionQuery]);
+
+    const updateMentionQuery = (text, caret) => {
+        const match = text.slice(0, caret).match(MENTION_TRIGGER);
+        setMentionQuery(match ? match[1] : null);
+        setHighlighted(0);
+    };
+
+    const handleChange = (e) => {
+        onChange(e.target.value);
+        updateMentionQuery(e.target.value, e.target.selectionStart);
+    };
+
+    const pickSuggestion = (profile) => {
+        const field = fieldRef.current;
+        const caret = field ? field.selectionStart : value.length;
+        const start = caret - mentionQuery.length - 1; // position of the "@"
+        const inserted = `@${profile.alias} `;
+
+        onChange(value.slice(0, start) + inserted + value.slice(caret));
+        onMentionsChange([...(mentions || []).filter(mention => mention.userId !== profile.userId), { userId: profile.userId, alias: profile.alias }]);
+        setMentionQuery(null);
+
+        // Put the caret right after the inserted mention once React has re-rendered
+        requestAnimationFrame(() => {
+            if (!fieldRef.current) return;
+            fieldRef.current.focus();
+            fieldRef.current.setSelectionRange(start + inserted.length, start + inserted.length);
+        });
+    };
+
+    const handleKeyDown = (e) => {
+        if (suggestions.length > 0 && mentionQuery !== null) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setHighlighted((highlighted + step + suggestions.length) % suggestions.length);
+                return;
+            }
+            if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                pickSuggestion(suggestions[highlighted]);
+                return;
+            }
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                setMentionQuery(null);
+                return;
+            }
+        }
+        if (onKeyDown) onKeyDown(e);
+    };
+
+    const Field = multiline ? 'textarea' : 'input';
+
+    return (
+        <div className="relative flex-grow">
+            <Field
+                {...inputProps}
+                ref={fieldRef}
+                value={value}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                onClick={(e) => updateMentionQuery(value, e.target.selectionStart)}
+                onBlur={() => setTimeout(() => setMentionQuery(null), 150)}
+            />
+            {mentionQuery !== null && suggestions.length > 0 && (
+                <ul className="absolute left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg z-20 max-h-60 overflow-y-auto" role="listbox" aria-label={t('mentions.suggestions')}>
+                    {suggestions.map((profile, index) => (
+                        <li
+                            key={profile.userId}
+                            role="option"
+                            aria-selected={index === highlighted}
+                            // onMouseDown (not onClick) so the pick happens before the field blurs
+                            onMouseDown={(e) => {
+                                e.preventDefault();
+                                pickSuggestion(profile);
+                            }}
+                            className={`flex items-center px-3 py-2 cursor-pointer text-sm ${index === highlighted ? 'bg-emerald-50' : 'hover:bg-gray-50'}`}
+                        >
+                            <Avatar profile={profile} uid={profile.userId} size="sm" />
+                            <span className="ml-2 text-gray-800">{profile.alias}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
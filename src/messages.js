@@ -0,0 +1,949 @@
+// --- Interface text, per language (see ./i18n) ---
+// Keys are grouped by the part of the app they belong to. A value is either a string with
+// {placeholders} or plural forms picked by its `count` ({ one, other }; Intl.PluralRules
+// categories). Entries missing from a catalog fall back to English.
+
+const en = {
+    // App shell
+    'app.loading': 'Connecting to the Wildlife Network...',
+    'app.initFailed': 'Failed to initialize Firebase services.',
+    'app.signedOut': 'You\'re not signed in. Check your connection and reload.',
+    'app.tagline': 'The Official Wildlife Family Hub',
+    'app.skipToContent': 'Skip to content',
+    'app.language': 'Language',
+    'app.navigation': 'Main',
+    'app.stories': 'Stories',
+    'app.community': 'Community',
+    'app.profile': 'Profile',
+    'app.creator': 'Creator',
+    'app.admin': 'Admin',
+    'app.creatorOnly': 'The creator dashboard is only available to Kairu.',
+    'app.moderatorsOnly': 'The moderation queue is only available to moderators.',
+    'app.browseArchive': 'Browse the story archive',
+    'app.footer': '© {year} Explore with Kairu. Powered by Firebase.',
+
+    // Dates (formatTimestamp, formatEditedLabel)
+    'time.justNow': 'Just now',
+    'time.justNowInline': 'just now',
+    'time.unknown': 'Unknown time',
+    'time.onDate': 'on {date}',
+
+    // Shared controls
+    'common.cancel': 'Cancel',
+    'common.save': 'Save',
+    'common.saving': 'Saving...',
+    'common.edit': 'Edit',
+    'common.delete': 'Delete',
+    'common.report': 'Report',
+    'common.mute': 'Mute',
+    'common.muteExplorer': 'Mute explorer',
+    'common.unmuteExplorer': 'Unmute explorer',
+    'common.hide': 'Hide',
+    'common.restore': 'Restore',
+    'common.loading': 'Loading…',
+    'common.removed': '[removed]',
+    'common.hiddenByModerator': '[hidden by a moderator]',
+    'common.newComments': { one: '{count} new comment', other: '{count} new comments' },
+
+    // Edit history
+    'editing.edited': '(edited {when})',
+    'editing.viewHistory': 'View edit history',
+    'editing.loadingHistory': 'Loading history...',
+    'editing.noEarlierVersions': 'No earlier versions.',
+    'editing.replaced': 'Replaced {when}:',
+
+    // Reactions and rankings
+    'reactions.heart': 'Love',
+    'reactions.lion': 'Wild',
+    'reactions.wow': 'Wow',
+    'reactions.thanks': 'Thank you',
+    'reactions.earth': 'For the planet',
+    'reactions.react': 'React',
+    'reactions.signInToReact': 'Sign in to react',
+    'reactions.cannotReact': "You can't react to this",
+    'reactions.youReacted': 'You reacted {reaction}',
+    'reactions.remove': 'Remove {reaction}',
+    'reactions.summary': { one: '{count} reaction, see who reacted', other: '{count} reactions, see who reacted' },
+    'reactions.list': 'Reactions',
+    'reactions.all': 'All {count}',
+    'reactions.typeCount': '{reaction}: {count}',
+    'reactions.saveFailed': "Your reaction couldn't be saved.",
+    'reactions.needConnection': 'Reactions need a connection.',
+    'ranking.sortBy': 'Sort by',
+    'ranking.newest': 'Newest',
+    'ranking.oldest': 'Oldest',
+    'ranking.top': 'Top',
+    'ranking.discussed': 'Most discussed',
+
+    // Presence and sync
+    'presence.onlineTitle': 'Explorers online now',
+    'presence.online': '{count} online',
+    'presence.viewing': { one: '{count} other explorer viewing now', other: '{count} other explorers viewing now' },
+    'presence.typingOne': '{name} is typing…',
+    'presence.typingTwo': '{first} and {second} are typing…',
+    'presence.typingMany': '{count} explorers are typing…',
+    'offline.changes': { one: '{count} change', other: '{count} changes' },
+    'offline.someChanges': 'changes',
+    'offline.offline': 'Offline',
+    'offline.willSync': 'Offline · {changes} will sync later',
+    'offline.syncing': 'Syncing…',
+    'offline.syncingChanges': 'Syncing {changes}…',
+    'offline.pending': 'Pending',
+    'offline.pendingTitle': "Saved on this device; it will sync when you're back online",
+
+    // Photos
+    'photos.notAnImage': '"{name}" is not an image.',
+    'photos.tooLarge': '"{name}" is larger than {size} MB.',
+    'photos.processFailed': 'Couldn\'t process "{name}".',
+    'photos.readFailed': 'Couldn\'t read "{name}".',
+    'photos.preparing': 'Preparing…',
+    'photos.describe': 'Describe this photo',
+    'photos.altFor': 'Alt text for {name}',
+    'photos.showDateTaken': 'Show date taken ({date})',
+    'photos.uploading': 'Uploading {name}',
+    'photos.remove': 'Remove {name}',
+    'photos.add': '+ Add photos ({count}/{max})',
+    'photos.viewer': 'Photo viewer',
+    'photos.closeViewer': 'Close photo viewer',
+    'photos.previous': 'Previous photo',
+    'photos.next': 'Next photo',
+    'photos.position': '{index} / {total}',
+    'photos.taken': 'Taken {date}',
+    'photos.open': 'Open photo {index} of {total}',
+    'photos.openDescribed': 'Open photo {index} of {total}: {alt}',
+
+    // Community feed
+    'feed.title': 'Community Feed ({summary})',
+    'feed.postCount': { one: '{count} post', other: '{count} posts' },
+    'feed.matchingCount': '{count} matching',
+    'feed.viewProfile': 'View or edit your profile',
+    'feed.instructions': "Type @ followed by a name to mention fellow explorers. They'll get a notification. Use #tags to file your post under a topic.",
+    'feed.searchPlaceholder': 'Search posts, species or #tags…',
+    'feed.views': 'Feed view',
+    'feed.postsTab': 'Posts',
+    'feed.mapTab': 'Sightings map',
+    'feed.noMatches': 'No posts match your search.',
+    'feed.empty': 'Be the first to share a post!',
+    'feed.shareTitle': 'Share Your Wildlife Story',
+    'feed.postPlaceholder': 'What amazing wildlife encounter did you have today? Type @ to mention fellow explorers!',
+    'feed.postLabel': 'Your post',
+    'feed.logSighting': 'Log this as a wildlife sighting',
+    'feed.posting': 'Posting...',
+    'feed.post': 'Post to the Community',
+    'feed.photosNeedConnection': "Photos need a connection to upload. Your post is saved here until you're back online.",
+    'feed.postRejected': "Your post couldn't be shared. It's back in the box so you can try again.",
+    'feed.postFailed': "Your post couldn't be shared. Please try again.",
+    'feed.waitForAuth': 'Please wait for authentication to complete before posting.',
+    'feed.bannedFromPosting': 'Your account has been banned from posting by a moderator.',
+    'feed.confirmDeletePost': 'Delete this post? Its comments will stay visible.',
+    'feed.editPostFailed': 'Error editing post. Please try again.',
+    'feed.deletePostFailed': 'Error deleting post. Please try again.',
+    'feed.comments': 'Comments',
+    'feed.commentsOn': 'Comments on this post',
+    'feed.commentCount': { one: '{count} comment', other: '{count} comments' },
+    'feed.viewAllComments': { one: 'View {count} comment', other: 'View all {count} comments' },
+    'feed.showLess': 'Show less',
+    'feed.commentLabel': 'Write a comment',
+    'feed.commentPlaceholder': 'Write a comment... (type @ to mention)',
+    'feed.bannedFromCommenting': 'You have been banned from commenting.',
+    'feed.sendComment': 'Send Comment',
+    'feed.confirmDeleteComment': 'Delete this comment? Replies will stay visible.',
+    'feed.mutedComment': 'Comment from a muted explorer.',
+    'feed.mutedHidden': { one: '{count} post from muted explorers hidden.', other: '{count} posts from muted explorers hidden.' },
+    'feed.loadMore': 'Load more posts',
+    'feed.loadMoreFailed': 'Error loading more posts. Please try again.',
+    'feed.reply': 'Reply',
+    'feed.replyTo': 'Reply to {name}',
+    'feed.replyPlaceholder': 'Write a reply... (type @ to mention)',
+    'feed.sendReply': 'Send Reply',
+    'feed.showReplies': { one: 'Show {count} reply', other: 'Show {count} replies' },
+    'feed.hideReplies': 'Hide replies',
+
+    // Stories
+    'stories.pinned': 'Pinned',
+    'stories.featured': 'Featured',
+    'stories.unpublished': 'Unpublished',
+    'stories.archive': 'Story Archive',
+    'stories.latest': 'Latest story →',
+    'stories.featuredStories': 'Featured stories',
+    'stories.searchPlaceholder': 'Search stories or #tags…',
+    'stories.noMatches': 'No stories match your search yet.',
+    'stories.none': 'No stories have been published yet.',
+    'stories.loadMore': 'Load more stories',
+    'stories.navigation': 'More stories',
+    'stories.all': 'All stories',
+    'stories.by': 'By',
+    'stories.openPhoto': 'Open photo: {description}',
+    'stories.loadFailed': 'Failed to load stories.',
+    'stories.notFound': 'That story could not be found. It may have been removed.',
+    'stories.archiveFailed': 'Failed to load the story archive.',
+    'stories.clockAhead': "Your device's clock is ahead, so stories can't be loaded. Set it to the correct time and reload.",
+    'stories.commentsFailed': 'Failed to load comments in real-time.',
+    'stories.commentRejected': "Your comment couldn't be posted. Please try again.",
+    'stories.commentFailed': 'Error posting comment. Check console for details.',
+    'stories.editFailed': 'Error editing comment. Please try again.',
+    'stories.confirmDeleteComment': 'Delete this comment?',
+    'stories.deleteFailed': 'Error deleting comment. Please try again.',
+    'stories.muteFailed': 'Error updating your muted explorers.',
+    'stories.moderationFailed': 'Moderation action failed. Check console.',
+    'stories.confirmUnpublish': 'Unpublish this story? Explorers will see it as removed.',
+    'stories.updateFailed': 'Error updating the story. Please try again.',
+    'stories.creatorDashboard': 'Creator Dashboard',
+    'stories.newStory': '+ New Story',
+    'stories.unpublishedNotice': 'Kairu has unpublished this story. The conversation below is still open for reading.',
+    'stories.edit': 'Edit Story',
+    'stories.republish': 'Republish',
+    'stories.unpublish': 'Unpublish',
+    'stories.loading': 'Loading the latest exploration...',
+    'stories.commentsTitle': { one: 'Join the Family ({count} Voice)', other: 'Join the Family ({count} Voices)' },
+    'stories.commentPlaceholder': 'Hello {name}, share your thoughts, mention explorers with @ and groups like @WWF or #Conservation...',
+    'stories.commentLabel': 'Your comment',
+    'stories.signingIn': 'Signing in... please wait to comment.',
+    'stories.postComment': 'Post Comment',
+    'stories.firstStoryNeeded': 'Post your first story from the creator dashboard to enable comments.',
+    'stories.bannedFromCommenting': 'Your account has been banned from commenting by a moderator.',
+    'stories.noComments': 'No comments yet. Be the first to join the family!',
+    'stories.mutedHidden': { one: '{count} comment from muted explorers hidden.', other: '{count} comments from muted explorers hidden.' },
+    'stories.unmuteAll': 'Unmute all',
+
+    // Notifications
+    'notifications.title': 'Notifications',
+    'notifications.bellUnread': { one: 'Notifications ({count} unread)', other: 'Notifications ({count} unread)' },
+    'notifications.markAllRead': 'Mark all read',
+    'notifications.settings': 'Settings',
+    'notifications.done': 'Done',
+    'notifications.showFor': 'Show notifications for:',
+    'notifications.caughtUp': "You're all caught up.",
+    'notifications.unread': 'Unread',
+    'notifications.twoActors': '{first} and {second}',
+    'notifications.moreActors': { one: '{name} and {count} other', other: '{name} and {count} others' },
+    'notifications.type.mention': 'Mentions',
+    'notifications.type.reply': 'Replies',
+    'notifications.type.reaction': 'Reactions to your posts and comments',
+    'notifications.type.story': 'New stories',
+    'notifications.verb.mention': { one: 'mentioned you', other: 'mentioned you' },
+    'notifications.verb.reply': { one: 'replied to you', other: 'replied to you' },
+    'notifications.verb.reaction.post': { one: 'reacted to your post', other: 'reacted to your post' },
+    'notifications.verb.reaction.comment': { one: 'reacted to your comment', other: 'reacted to your comment' },
+    'notifications.verb.story': { one: 'published a new story', other: 'published a new story' },
+    'notifications.verb.other': { one: 'sent you a notification', other: 'sent you a notification' },
+
+    // Profiles
+    'profiles.aliasTooShort': 'Names need at least {min} characters.',
+    'profiles.aliasTooLong': 'Names can have at most {max} characters.',
+    'profiles.aliasCharacters': "Use letters, numbers, spaces and _ . ' - only.",
+    'profiles.aliasReserved': 'Names containing "Kairu" are reserved.',
+    'profiles.aliasTaken': '"{alias}" is already taken.',
+    'profiles.aliasAvailable': 'That name is available.',
+    'profiles.bioTooLong': 'Bios can have at most {max} characters.',
+    'profiles.notAnImage': 'Please choose an image file.',
+    'profiles.avatarTooLarge': 'Avatars must be smaller than 2 MB.',
+    'profiles.uploadFailed': 'Avatar upload failed. Please try again.',
+    'profiles.saveFailed': 'Could not save your profile. Please try again.',
+    'profiles.displayName': 'Display name',
+    'profiles.bio': 'Bio',
+    'profiles.bioPlaceholder': 'Favourite park, best sighting, what you love about the wild...',
+    'profiles.avatar': 'Avatar',
+    'profiles.uploading': 'Uploading...',
+    'profiles.uploadPhoto': 'Upload a photo',
+    'profiles.saveProfile': 'Save Profile',
+    'profiles.editProfile': 'Edit Profile',
+    'profiles.posts': 'Posts ({count})',
+    'profiles.noPosts': 'No posts yet.',
+    'profiles.comments': 'Comments ({count})',
+    'profiles.noComments': 'No comments yet.',
+    'profiles.view': '(view)',
+    'profiles.onStory': 'On a story',
+    'profiles.onPost': 'On a community post',
+    'profiles.icon.Rhino': 'Rhino',
+    'profiles.icon.Leopard': 'Leopard',
+    'profiles.icon.Acacia': 'Acacia',
+    'profiles.icon.Savannah': 'Savannah',
+    'profiles.icon.Kudu': 'Kudu',
+    'profiles.icon.Cheetah': 'Cheetah',
+    'profiles.icon.Zebra': 'Zebra',
+    'profiles.icon.Gazelle': 'Gazelle',
+    'profiles.icon.Lion': 'Lion',
+    'profiles.icon.Elephant': 'Elephant',
+    'profiles.icon.Buffalo': 'Buffalo',
+    'profiles.icon.Warthog': 'Warthog',
+    'profiles.icon.Hyena': 'Hyena',
+    'profiles.icon.Vulture': 'Vulture',
+    'profiles.icon.Egret': 'Egret',
+    'profiles.icon.Ostrich': 'Ostrich',
+
+    // Creator dashboard and story editor
+    'creator.markdown.bold': 'Bold',
+    'creator.markdown.boldPlaceholder': 'bold text',
+    'creator.markdown.italic': 'Italic',
+    'creator.markdown.italicPlaceholder': 'italic text',
+    'creator.markdown.heading': 'Heading',
+    'creator.markdown.headingPlaceholder': 'Heading',
+    'creator.markdown.list': 'List',
+    'creator.markdown.listPlaceholder': 'List item',
+    'creator.markdown.quote': 'Quote',
+    'creator.markdown.quotePlaceholder': 'Quote',
+    'creator.markdown.link': 'Link',
+    'creator.markdown.linkPlaceholder': 'link text',
+    'creator.markdown.image': 'Image from a URL',
+    'creator.markdown.imagePlaceholder': 'description',
+    'creator.storyNotFound': 'That story could not be found.',
+    'creator.draftMissing': 'This draft no longer exists. It may have been published already.',
+    'creator.loadFailed': "The story couldn't be loaded. Please try again.",
+    'creator.futureTime': 'Pick a publish time in the future.',
+    'creator.needsConnection': '{message} Publishing and uploads need a connection.',
+    'creator.draftSaved': 'Draft saved.',
+    'creator.draftSaveFailed': "The draft couldn't be saved.",
+    'creator.scheduleFailed': "The story couldn't be scheduled.",
+    'creator.publishFailed': "The story couldn't be published.",
+    'creator.storySaveFailed': "The story changes couldn't be saved.",
+    'creator.photoUploadFailed': "The photos couldn't be uploaded.",
+    'creator.scheduledStory': 'Scheduled Story',
+    'creator.editStory': 'Edit Story',
+    'creator.draft': 'Draft',
+    'creator.newStory': 'New Story',
+    'creator.editor': 'Editor',
+    'creator.write': 'Write',
+    'creator.preview': 'Preview',
+    'creator.titlePlaceholder': 'Story Title (e.g., The Gentle Giant)',
+    'creator.title': 'Title',
+    'creator.formatting': 'Formatting',
+    'creator.story': 'Story',
+    'creator.storyPlaceholder': 'Your story here. Markdown works: **bold**, *italic*, ## headings, - lists and ![photos](https://…). Use hashtags like #Giraffe and mention groups like @OrganizationName',
+    'creator.insertPhoto': 'Insert',
+    'creator.removePhoto': 'Remove',
+    'creator.removePhotoLabel': 'Remove photo from story',
+    'creator.uploadNow': 'Upload now to place photos in the text',
+    'creator.coverPlaceholder': 'Or paste a cover image URL (optional)',
+    'creator.coverLabel': 'Cover image URL',
+    'creator.publishingOptions': 'Publishing options',
+    'creator.pinToHome': 'Pin to the home page',
+    'creator.featureInArchive': 'Feature in the archive',
+    'creator.publishAt': 'Publish at',
+    'creator.dontSchedule': "Don't schedule",
+    'creator.backToDashboard': 'Back to dashboard',
+    'creator.saving': 'Saving…',
+    'creator.saveChanges': 'Save Changes',
+    'creator.schedule': 'Schedule',
+    'creator.saveDraft': 'Save Draft',
+    'creator.publishNow': 'Publish Now',
+    'creator.metric.views': 'Views',
+    'creator.metric.comments': 'Comments',
+    'creator.metric.reactions': 'Reactions',
+    'creator.lastDays': '(last {days} days)',
+    'creator.perDay': '{metric} per day, oldest first: {counts}',
+    'creator.draftNeedsContent': 'Add a title and a story before publishing this draft.',
+    'creator.confirmDeleteDraft': 'Delete the draft "{title}"?',
+    'creator.draftDeleteFailed': "The draft couldn't be deleted.",
+    'creator.pinFailed': "The story couldn't be pinned.",
+    'creator.featureFailed': "The story couldn't be featured.",
+    'creator.dashboard': 'Creator Dashboard',
+    'creator.addStory': '+ New Story',
+    'creator.drafts': 'Drafts',
+    'creator.noDrafts': 'No drafts. Stories you save without publishing show up here.',
+    'creator.untitled': 'Untitled',
+    'creator.draftSavedAt': 'Draft, saved {time}',
+    'creator.publishNowLink': 'Publish now',
+    'creator.scheduledStories': 'Scheduled stories',
+    'creator.scheduledFor': 'Scheduled for {time}',
+    'creator.publishedStories': 'Published stories',
+    'creator.nothingPublished': 'Nothing published yet.',
+    'creator.unpublished': 'Unpublished',
+    'creator.pinned': 'Pinned to the home page',
+    'creator.unpin': 'Unpin from the home page',
+    'creator.featured': 'Featured in the archive',
+    'creator.stopFeaturing': 'Stop featuring',
+    'creator.stats': 'Stats over time',
+
+    // Moderation
+    'moderation.noPermission': "You don't have permission to do that any more.",
+    'moderation.targetMissing': 'That post or comment no longer exists.',
+    'moderation.actionFailed': "The moderation action couldn't be completed. Please try again.",
+    'moderation.loadFailed': 'Failed to load moderation data.',
+    'moderation.target.story_comment': 'Story comment',
+    'moderation.target.post': 'Community post',
+    'moderation.target.post_comment': 'Community comment',
+    'moderation.banPrompt': 'Reason for banning this explorer (recorded in the audit log):',
+    'moderation.title': 'Moderation',
+    'moderation.queueTab': 'Queue ({count})',
+    'moderation.bansTab': 'Bans ({count})',
+    'moderation.logTab': 'Audit Log',
+    'moderation.queueEmpty': 'The queue is empty. Nothing to review.',
+    'moderation.by': 'by',
+    'moderation.on': 'on',
+    'moderation.reportCount': { one: '{count} report', other: '{count} reports' },
+    'moderation.noReason': 'No reason given',
+    'moderation.noReasonRecorded': 'No reason recorded',
+    'moderation.dismiss': 'Dismiss',
+    'moderation.banAuthor': 'Ban Author',
+    'moderation.noBans': 'No banned explorers.',
+    'moderation.unban': 'Unban',
+    'moderation.noLog': 'No moderator actions yet.',
+    'moderation.action.hide': 'Hide',
+    'moderation.action.restore': 'Restore',
+    'moderation.action.ban': 'Ban',
+    'moderation.action.unban': 'Unban',
+    'moderation.action.dismiss': 'Dismiss',
+    'moderation.reportPrompt': 'Why are you reporting this? (optional)',
+    'moderation.reportThanks': 'Thanks. A moderator will review this.',
+    'moderation.reportFailed': 'Error sending your report.',
+
+    // Sightings
+    'sightings.chooseSpecies': 'Choose the species you saw.',
+    'sightings.countRange': 'Count must be a whole number from 1 to {max}.',
+    'sightings.enterWhen': 'Enter when you saw it.',
+    'sightings.noFuture': "Sightings can't be in the future.",
+    'sightings.addGps': 'Add a GPS point, or choose a park instead.',
+    'sightings.chooseRegion': 'Choose a park or region.',
+    'sightings.unknownRegion': 'Unknown region',
+    'sightings.approximate': 'Approximate location (~20 km)',
+    'sightings.noGeolocation': "Your browser can't share its location. Enter coordinates instead.",
+    'sightings.locationFailed': "Couldn't get your location. Enter coordinates instead.",
+    'sightings.details': 'Sighting details',
+    'sightings.species': 'Species',
+    'sightings.chooseSpeciesOption': 'Choose a species…',
+    'sightings.howMany': 'How many',
+    'sightings.when': 'When',
+    'sightings.where': 'Where',
+    'sightings.location.none': 'Not shared',
+    'sightings.location.gps': 'GPS point',
+    'sightings.location.region': 'Park or region',
+    'sightings.gpsPlaceholder': 'Latitude, longitude (e.g. -1.4061, 35.0087)',
+    'sightings.gpsLabel': 'GPS coordinates',
+    'sightings.locating': 'Locating…',
+    'sightings.useMyLocation': 'Use my location',
+    'sightings.chooseRegionOption': 'Choose a park or region…',
+    'sightings.sensitive': '🔒 {species} locations are always shared approximately (~20 km) to protect them from poachers.',
+    'sightings.shareApproximate': 'Only share an approximate location (~20 km)',
+    'sightings.seen': 'Seen {time}',
+    'sightings.filterSpecies': 'Filter by species',
+    'sightings.allSpecies': 'All species',
+    'sightings.seenFrom': 'Seen from',
+    'sightings.seenTo': 'to',
+    'sightings.onMap': { one: '{count} sighting on the map', other: '{count} sightings on the map' },
+    'sightings.viewPost': 'View post →',
+    'sightings.mapLegend': 'Solid borders mark exact GPS points; dashed borders are approximate locations or park centres.',
+    'sightings.group.Mammals': 'Mammals',
+    'sightings.group.Birds': 'Birds',
+    'sightings.group.Other': 'Other',
+    'sightings.species.black_rhino': 'Black Rhino',
+    'sightings.species.white_rhino': 'White Rhino',
+    'sightings.species.african_elephant': 'African Elephant',
+    'sightings.species.pangolin': 'Ground Pangolin',
+    'sightings.species.african_wild_dog': 'African Wild Dog',
+    'sightings.species.lion': 'Lion',
+    'sightings.species.leopard': 'Leopard',
+    'sightings.species.cheetah': 'Cheetah',
+    'sightings.species.spotted_hyena': 'Spotted Hyena',
+    'sightings.species.cape_buffalo': 'Cape Buffalo',
+    'sightings.species.plains_zebra': 'Plains Zebra',
+    'sightings.species.grevys_zebra': "Grévy's Zebra",
+    'sightings.species.masai_giraffe': 'Maasai Giraffe',
+    'sightings.species.hippopotamus': 'Hippopotamus',
+    'sightings.species.greater_kudu': 'Greater Kudu',
+    'sightings.species.thomsons_gazelle': "Thomson's Gazelle",
+    'sightings.species.grants_gazelle': "Grant's Gazelle",
+    'sightings.species.common_warthog': 'Common Warthog',
+    'sightings.species.ruppells_vulture': "Rüppell's Vulture",
+    'sightings.species.white_backed_vulture': 'White-backed Vulture',
+    'sightings.species.great_egret': 'Great Egret',
+    'sightings.species.common_ostrich': 'Common Ostrich',
+    'sightings.species.other': 'Other / not sure',
+
+    // Tags
+    'tags.trending': 'Trending this week',
+    'tags.noTrending': 'No tags used this week yet.',
+    'tags.uses': { one: '{count} use', other: '{count} uses' },
+    'tags.type.post': 'Post',
+    'tags.type.post_comment': 'Comment on a post',
+    'tags.type.story': 'Story',
+    'tags.type.story_comment': 'Comment on a story',
+    'tags.loadFailed': "Couldn't load this tag. Please try again.",
+    'tags.itemCount': { one: '{count} item tagged', other: '{count} items tagged' },
+    'tags.empty': 'Nothing has been tagged #{tag} yet.',
+
+    // Search and filters
+    'search.placeholder': 'Search…',
+    'search.label': 'Search',
+    'search.byAuthor': 'By {author}',
+    'search.clearAuthor': 'Clear author filter',
+    'search.authorPlaceholder': 'Author…',
+    'search.filterAuthor': 'Filter by author',
+    'search.from': 'From',
+    'search.to': 'To',
+    'search.clear': 'Clear',
+
+    // Mentions and the sightings map
+    'mentions.suggestions': 'Explorers to mention',
+    'map.label': 'Sightings map',
+    'map.cluster': { one: '{count} sighting', other: '{count} sightings' },
+    'map.closePopup': 'Close',
+    'map.zoomIn': 'Zoom in',
+    'map.zoomOut': 'Zoom out',
+    'map.contributors': 'contributors',
+};
+
+const sw = {
+    'app.loading': 'Inaunganisha na Mtandao wa Wanyamapori...',
+    'app.initFailed': 'Imeshindwa kuanzisha huduma za Firebase.',
+    'app.signedOut': 'Hujaingia. Angalia mtandao wako kisha upakie upya.',
+    'app.tagline': 'Kitovu Rasmi cha Familia ya Wanyamapori',
+    'app.skipToContent': 'Ruka hadi maudhui',
+    'app.language': 'Lugha',
+    'app.navigation': 'Kuu',
+    'app.stories': 'Hadithi',
+    'app.community': 'Jumuiya',
+    'app.profile': 'Wasifu',
+    'app.creator': 'Mtunzi',
+    'app.admin': 'Usimamizi',
+    'app.creatorOnly': 'Dashibodi ya mtunzi inapatikana kwa Kairu pekee.',
+    'app.moderatorsOnly': 'Foleni ya usimamizi inapatikana kwa wasimamizi pekee.',
+    'app.browseArchive': 'Vinjari hifadhi ya hadithi',
+    'app.footer': '© {year} Explore with Kairu. Inaendeshwa na Firebase.',
+
+    'time.justNow': 'Sasa hivi',
+    'time.justNowInline': 'sasa hivi',
+    'time.unknown': 'Wakati haujulikani',
+    'time.onDate': 'tarehe {date}',
+
+    'common.cancel': 'Ghairi',
+    'common.save': 'Hifadhi',
+    'common.saving': 'Inahifadhi...',
+    'common.edit': 'Hariri',
+    'common.delete': 'Futa',
+    'common.report': 'Ripoti',
+    'common.mute': 'Nyamazisha',
+    'common.muteExplorer': 'Nyamazisha mvumbuzi',
+    'common.unmuteExplorer': 'Acha kunyamazisha mvumbuzi',
+    'common.hide': 'Ficha',
+    'common.restore': 'Rejesha',
+    'common.loading': 'Inapakia…',
+    'common.removed': '[imeondolewa]',
+    'common.hiddenByModerator': '[imefichwa na msimamizi]',
+    'common.newComments': { one: 'Maoni {count} mapya', other: 'Maoni {count} mapya' },
+
+    'editing.edited': '(imehaririwa {when})',
+    'editing.viewHistory': 'Tazama historia ya uhariri',
+    'editing.loadingHistory': 'Inapakia historia...',
+    'editing.noEarlierVersions': 'Hakuna matoleo ya awali.',
+    'editing.replaced': 'Ilibadilishwa {when}:',
+
+    'reactions.heart': 'Upendo',
+    'reactions.lion': 'Porini',
+    'reactions.wow': 'Ajabu',
+    'reactions.thanks': 'Asante',
+    'reactions.earth': 'Kwa ajili ya sayari',
+    'reactions.react': 'Toa hisia',
+    'reactions.signInToReact': 'Ingia ili kutoa hisia',
+    'reactions.cannotReact': 'Huwezi kutoa hisia kwa hili',
+    'reactions.youReacted': 'Ulichagua {reaction}',
+    'reactions.remove': 'Ondoa {reaction}',
+    'reactions.summary': { one: 'Hisia {count}, ona waliotoa', other: 'Hisia {count}, ona waliotoa' },
+    'reactions.list': 'Hisia',
+    'reactions.all': 'Zote {count}',
+    'reactions.typeCount': '{reaction}: {count}',
+    'reactions.saveFailed': 'Hisia yako haikuweza kuhifadhiwa.',
+    'reactions.needConnection': 'Hisia zinahitaji mtandao.',
+    'ranking.sortBy': 'Panga kwa',
+    'ranking.newest': 'Mpya zaidi',
+    'ranking.oldest': 'Za zamani zaidi',
+    'ranking.top': 'Bora',
+    'ranking.discussed': 'Zinazojadiliwa zaidi',
+
+    'presence.onlineTitle': 'Wavumbuzi walio mtandaoni sasa',
+    'presence.online': '{count} mtandaoni',
+    'presence.viewing': { one: 'Mvumbuzi mwingine {count} anatazama sasa', other: 'Wavumbuzi wengine {count} wanatazama sasa' },
+    'presence.typingOne': '{name} anaandika…',
+    'presence.typingTwo': '{first} na {second} wanaandika…',
+    'presence.typingMany': 'Wavumbuzi {count} wanaandika…',
+    'offline.changes': { one: 'badiliko {count}', other: 'mabadiliko {count}' },
+    'offline.someChanges': 'mabadiliko',
+    'offline.offline': 'Nje ya mtandao',
+    'offline.willSync': 'Nje ya mtandao · {changes} yatasawazishwa baadaye',
+    'offline.syncing': 'Inasawazisha…',
+    'offline.syncingChanges': 'Inasawazisha {changes}…',
+    'offline.pending': 'Inasubiri',
+    'offline.pendingTitle': 'Imehifadhiwa kwenye kifaa hiki; itasawazishwa utakaporudi mtandaoni',
+
+    'photos.notAnImage': '"{name}" si picha.',
+    'photos.tooLarge': '"{name}" ni kubwa kuliko MB {size}.',
+    'photos.processFailed': 'Imeshindwa kuchakata "{name}".',
+    'photos.readFailed': 'Imeshindwa kusoma "{name}".',
+    'photos.preparing': 'Inaandaa…',
+    'photos.describe': 'Eleza picha hii',
+    'photos.altFor': 'Maelezo ya picha {name}',
+    'photos.showDateTaken': 'Onyesha tarehe ilipopigwa ({date})',
+    'photos.uploading': 'Inapakia {name}',
+    'photos.remove': 'Ondoa {name}',
+    'photos.add': '+ Ongeza picha ({count}/{max})',
+    'photos.viewer': 'Kitazamaji picha',
+    'photos.closeViewer': 'Funga kitazamaji picha',
+    'photos.previous': 'Picha iliyotangulia',
+    'photos.next': 'Picha inayofuata',
+    'photos.position': '{index} / {total}',
+    'photos.taken': 'Ilipigwa {date}',
+    'photos.open': 'Fungua picha {index} kati ya {total}',
+    'photos.openDescribed': 'Fungua picha {index} kati ya {total}: {alt}',
+
+    'feed.title': 'Mlisho wa Jumuiya ({summary})',
+    'feed.postCount': { one: 'chapisho {count}', other: 'machapisho {count}' },
+    'feed.matchingCount': '{count} yanayolingana',
+    'feed.viewProfile': 'Tazama au hariri wasifu wako',
+    'feed.instructions': 'Andika @ ikifuatiwa na jina ili kuwataja wavumbuzi wenzako. Watapata arifa. Tumia #lebo kupanga chapisho lako chini ya mada.',
+    'feed.searchPlaceholder': 'Tafuta machapisho, spishi au #lebo…',
+    'feed.views': 'Mwonekano wa mlisho',
+    'feed.postsTab': 'Machapisho',
+    'feed.mapTab': 'Ramani ya wanyama walioonekana',
+    'feed.noMatches': 'Hakuna machapisho yanayolingana na utafutaji wako.',
+    'feed.empty': 'Kuwa wa kwanza kushiriki chapisho!',
+    'feed.shareTitle': 'Shiriki Hadithi Yako ya Wanyamapori',
+    'feed.postPlaceholder': 'Ulikutana na mnyama gani wa ajabu leo? Andika @ kuwataja wavumbuzi wenzako!',
+    'feed.postLabel': 'Chapisho lako',
+    'feed.logSighting': 'Rekodi hili kama mnyama aliyeonekana',
+    'feed.posting': 'Inachapisha...',
+    'feed.post': 'Chapisha kwa Jumuiya',
+    'feed.photosNeedConnection': 'Picha zinahitaji mtandao ili kupakiwa. Chapisho lako limehifadhiwa hapa hadi utakaporudi mtandaoni.',
+    'feed.postRejected': 'Chapisho lako halikuweza kushirikiwa. Limerudishwa hapa ili ujaribu tena.',
+    'feed.postFailed': 'Chapisho lako halikuweza kushirikiwa. Tafadhali jaribu tena.',
+    'feed.waitForAuth': 'Tafadhali subiri uthibitishaji ukamilike kabla ya kuchapisha.',
+    'feed.bannedFromPosting': 'Akaunti yako imezuiwa kuchapisha na msimamizi.',
+    'feed.confirmDeletePost': 'Futa chapisho hili? Maoni yake yataendelea kuonekana.',
+    'feed.editPostFailed': 'Hitilafu katika kuhariri chapisho. Tafadhali jaribu tena.',
+    'feed.deletePostFailed': 'Hitilafu katika kufuta chapisho. Tafadhali jaribu tena.',
+    'feed.comments': 'Maoni',
+    'feed.commentsOn': 'Maoni kuhusu chapisho hili',
+    'feed.commentCount': { one: 'Maoni {count}', other: 'Maoni {count}' },
+    'feed.viewAllComments': { one: 'Tazama maoni {count}', other: 'Tazama maoni yote {count}' },
+    'feed.showLess': 'Onyesha machache',
+    'feed.commentLabel': 'Andika maoni',
+    'feed.commentPlaceholder': 'Andika maoni... (andika @ kumtaja mtu)',
+    'feed.bannedFromCommenting': 'Umezuiwa kutoa maoni.',
+    'feed.sendComment': 'Tuma Maoni',
+    'feed.confirmDeleteComment': 'Futa maoni haya? Majibu yataendelea kuonekana.',
+    'feed.mutedComment': 'Maoni kutoka kwa mvumbuzi uliyemnyamazisha.',
+    'feed.mutedHidden': { one: 'Chapisho {count} kutoka kwa wavumbuzi uliowanyamazisha kimefichwa.', other: 'Machapisho {count} kutoka kwa wavumbuzi uliowanyamazisha yamefichwa.' },
+    'feed.loadMore': 'Pakia machapisho zaidi',
+    'feed.loadMoreFailed': 'Hitilafu katika kupakia machapisho zaidi. Tafadhali jaribu tena.',
+    'feed.reply': 'Jibu',
+    'feed.replyTo': 'Mjibu {name}',
+    'feed.replyPlaceholder': 'Andika jibu... (andika @ kumtaja mtu)',
+    'feed.sendReply': 'Tuma Jibu',
+    'feed.showReplies': { one: 'Onyesha jibu {count}', other: 'Onyesha majibu {count}' },
+    'feed.hideReplies': 'Ficha majibu',
+
+    'stories.pinned': 'Imebandikwa',
+    'stories.featured': 'Maalum',
+    'stories.unpublished': 'Haijachapishwa',
+    'stories.archive': 'Hifadhi ya Hadithi',
+    'stories.latest': 'Hadithi ya karibuni →',
+    'stories.featuredStories': 'Hadithi maalum',
+    'stories.searchPlaceholder': 'Tafuta hadithi au #lebo…',
+    'stories.noMatches': 'Bado hakuna hadithi zinazolingana na utafutaji wako.',
+    'stories.none': 'Bado hakuna hadithi zilizochapishwa.',
+    'stories.loadMore': 'Pakia hadithi zaidi',
+    'stories.navigation': 'Hadithi zaidi',
+    'stories.all': 'Hadithi zote',
+    'stories.by': 'Na',
+    'stories.openPhoto': 'Fungua picha: {description}',
+    'stories.loadFailed': 'Imeshindwa kupakia hadithi.',
+    'stories.notFound': 'Hadithi hiyo haikupatikana. Huenda imeondolewa.',
+    'stories.archiveFailed': 'Imeshindwa kupakia hifadhi ya hadithi.',
+    'stories.clockAhead': 'Saa ya kifaa chako iko mbele, kwa hiyo hadithi haziwezi kupakiwa. Iweke kwenye wakati sahihi kisha upakie upya.',
+    'stories.commentsFailed': 'Imeshindwa kupakia maoni moja kwa moja.',
+    'stories.commentRejected': 'Maoni yako hayakuweza kutumwa. Tafadhali jaribu tena.',
+    'stories.commentFailed': 'Hitilafu katika kutuma maoni. Tafadhali jaribu tena.',
+    'stories.editFailed': 'Hitilafu katika kuhariri maoni. Tafadhali jaribu tena.',
+    'stories.confirmDeleteComment': 'Futa maoni haya?',
+    'stories.deleteFailed': 'Hitilafu katika kufuta maoni. Tafadhali jaribu tena.',
+    'stories.muteFailed': 'Hitilafu katika kusasisha wavumbuzi uliowanyamazisha.',
+    'stories.moderationFailed': 'Hatua ya usimamizi imeshindwa.',
+    'stories.confirmUnpublish': 'Ondoa hadithi hii? Wavumbuzi wataiona kama imeondolewa.',
+    'stories.updateFailed': 'Hitilafu katika kusasisha hadithi. Tafadhali jaribu tena.',
+    'stories.creatorDashboard': 'Dashibodi ya Mtunzi',
+    'stories.newStory': '+ Hadithi Mpya',
+    'stories.unpublishedNotice': 'Kairu ameondoa hadithi hii. Mazungumzo hapa chini bado yanaweza kusomwa.',
+    'stories.edit': 'Hariri Hadithi',
+    'stories.republish': 'Chapisha tena',
+    'stories.unpublish': 'Ondoa',
+    'stories.loading': 'Inapakia safari ya karibuni...',
+    'stories.commentsTitle': { one: 'Jiunge na Familia (Sauti {count})', other: 'Jiunge na Familia (Sauti {count})' },
+    'stories.commentPlaceholder': 'Habari {name}, shiriki mawazo yako, wataje wavumbuzi kwa @ na vikundi kama @WWF au #Uhifadhi...',
+    'stories.commentLabel': 'Maoni yako',
+    'stories.signingIn': 'Inaingia... tafadhali subiri ili kutoa maoni.',
+    'stories.postComment': 'Tuma Maoni',
+    'stories.firstStoryNeeded': 'Chapisha hadithi yako ya kwanza kutoka dashibodi ya mtunzi ili kuwezesha maoni.',
+    'stories.bannedFromCommenting': 'Akaunti yako imezuiwa kutoa maoni na msimamizi.',
+    'stories.noComments': 'Bado hakuna maoni. Kuwa wa kwanza kujiunga na familia!',
+    'stories.mutedHidden': { one: 'Maoni {count} kutoka kwa wavumbuzi uliowanyamazisha yamefichwa.', other: 'Maoni {count} kutoka kwa wavumbuzi uliowanyamazisha yamefichwa.' },
+    'stories.unmuteAll': 'Ondoa unyamazishaji wote',
+
+    'notifications.title': 'Arifa',
+    'notifications.bellUnread': { one: 'Arifa ({count} haijasomwa)', other: 'Arifa ({count} hazijasomwa)' },
+    'notifications.markAllRead': 'Weka zote kuwa zimesomwa',
+    'notifications.settings': 'Mipangilio',
+    'notifications.done': 'Nimemaliza',
+    'notifications.showFor': 'Onyesha arifa za:',
+    'notifications.caughtUp': 'Umeona kila kitu.',
+    'notifications.unread': 'Haijasomwa',
+    'notifications.twoActors': '{first} na {second}',
+    'notifications.moreActors': { one: '{name} na mwingine {count}', other: '{name} na wengine {count}' },
+    'notifications.type.mention': 'Kutajwa',
+    'notifications.type.reply': 'Majibu',
+    'notifications.type.reaction': 'Hisia kwa machapisho na maoni yako',
+    'notifications.type.story': 'Hadithi mpya',
+    'notifications.verb.mention': { one: 'amekutaja', other: 'wamekutaja' },
+    'notifications.verb.reply': { one: 'amekujibu', other: 'wamekujibu' },
+    'notifications.verb.reaction.post': { one: 'ametoa hisia kwa chapisho lako', other: 'wametoa hisia kwa chapisho lako' },
+    'notifications.verb.reaction.comment': { one: 'ametoa hisia kwa maoni yako', other: 'wametoa hisia kwa maoni yako' },
+    'notifications.verb.story': { one: 'amechapisha hadithi mpya', other: 'wamechapisha hadithi mpya' },
+    'notifications.verb.other': { one: 'amekutumia arifa', other: 'wamekutumia arifa' },
+
+    'profiles.aliasTooShort': 'Majina yanahitaji angalau herufi {min}.',
+    'profiles.aliasTooLong': 'Majina yanaweza kuwa na herufi {max} zaidi.',
+    'profiles.aliasCharacters': "Tumia herufi, namba, nafasi na _ . ' - pekee.",
+    'profiles.aliasReserved': 'Majina yenye "Kairu" yamehifadhiwa.',
+    'profiles.aliasTaken': '"{alias}" tayari limechukuliwa.',
+    'profiles.aliasAvailable': 'Jina hilo linapatikana.',
+    'profiles.bioTooLong': 'Maelezo yanaweza kuwa na herufi {max} zaidi.',
+    'profiles.notAnImage': 'Tafadhali chagua faili la picha.',
+    'profiles.avatarTooLarge': 'Picha za wasifu lazima ziwe chini ya MB 2.',
+    'profiles.uploadFailed': 'Kupakia picha ya wasifu kumeshindikana. Tafadhali jaribu tena.',
+    'profiles.saveFailed': 'Wasifu wako haukuweza kuhifadhiwa. Tafadhali jaribu tena.',
+    'profiles.displayName': 'Jina la kuonyesha',
+    'profiles.bio': 'Kuhusu',
+    'profiles.bioPlaceholder': 'Hifadhi unayoipenda, mwonekano bora, unachopenda kuhusu porini...',
+    'profiles.avatar': 'Picha ya wasifu',
+    'profiles.uploading': 'Inapakia...',
+    'profiles.uploadPhoto': 'Pakia picha',
+    'profiles.saveProfile': 'Hifadhi Wasifu',
+    'profiles.editProfile': 'Hariri Wasifu',
+    'profiles.posts': 'Machapisho ({count})',
+    'profiles.noPosts': 'Bado hakuna machapisho.',
+    'profiles.comments': 'Maoni ({count})',
+    'profiles.noComments': 'Bado hakuna maoni.',
+    'profiles.view': '(tazama)',
+    'profiles.onStory': 'Kwenye hadithi',
+    'profiles.onPost': 'Kwenye chapisho la jumuiya',
+    'profiles.icon.Rhino': 'Kifaru',
+    'profiles.icon.Leopard': 'Chui',
+    'profiles.icon.Acacia': 'Mgunga',
+    'profiles.icon.Savannah': 'Nyika',
+    'profiles.icon.Kudu': 'Tandala',
+    'profiles.icon.Cheetah': 'Duma',
+    'profiles.icon.Zebra': 'Pundamilia',
+    'profiles.icon.Gazelle': 'Swala',
+    'profiles.icon.Lion': 'Simba',
+    'profiles.icon.Elephant': 'Tembo',
+    'profiles.icon.Buffalo': 'Nyati',
+    'profiles.icon.Warthog': 'Ngiri',
+    'profiles.icon.Hyena': 'Fisi',
+    'profiles.icon.Vulture': 'Tai',
+    'profiles.icon.Egret': 'Yangeyange',
+    'profiles.icon.Ostrich': 'Mbuni',
+
+    'creator.markdown.bold': 'Herufi nzito',
+    'creator.markdown.boldPlaceholder': 'maandishi mazito',
+    'creator.markdown.italic': 'Herufi za mlazo',
+    'creator.markdown.italicPlaceholder': 'maandishi ya mlazo',
+    'creator.markdown.heading': 'Kichwa',
+    'creator.markdown.headingPlaceholder': 'Kichwa',
+    'creator.markdown.list': 'Orodha',
+    'creator.markdown.listPlaceholder': 'Kipengee cha orodha',
+    'creator.markdown.quote': 'Nukuu',
+    'creator.markdown.quotePlaceholder': 'Nukuu',
+    'creator.markdown.link': 'Kiungo',
+    'creator.markdown.linkPlaceholder': 'maandishi ya kiungo',
+    'creator.markdown.image': 'Picha kutoka kwa URL',
+    'creator.markdown.imagePlaceholder': 'maelezo',
+    'creator.storyNotFound': 'Hadithi hiyo haikupatikana.',
+    'creator.draftMissing': 'Rasimu hii haipo tena. Huenda imeshachapishwa.',
+    'creator.loadFailed': 'Hadithi haikuweza kupakiwa. Tafadhali jaribu tena.',
+    'creator.futureTime': 'Chagua wakati wa kuchapisha ulio mbeleni.',
+    'creator.needsConnection': '{message} Kuchapisha na kupakia kunahitaji mtandao.',
+    'creator.draftSaved': 'Rasimu imehifadhiwa.',
+    'creator.draftSaveFailed': 'Rasimu haikuweza kuhifadhiwa.',
+    'creator.scheduleFailed': 'Hadithi haikuweza kupangiwa wakati.',
+    'creator.publishFailed': 'Hadithi haikuweza kuchapishwa.',
+    'creator.storySaveFailed': 'Mabadiliko ya hadithi hayakuweza kuhifadhiwa.',
+    'creator.photoUploadFailed': 'Picha hazikuweza kupakiwa.',
+    'creator.scheduledStory': 'Hadithi Iliyopangwa',
+    'creator.editStory': 'Hariri Hadithi',
+    'creator.draft': 'Rasimu',
+    'creator.newStory': 'Hadithi Mpya',
+    'creator.editor': 'Kihariri',
+    'creator.write': 'Andika',
+    'creator.preview': 'Hakiki',
+    'creator.titlePlaceholder': 'Kichwa cha Hadithi (mfano, Jitu Mpole)',
+    'creator.title': 'Kichwa',
+    'creator.formatting': 'Mpangilio wa maandishi',
+    'creator.story': 'Hadithi',
+    'creator.storyPlaceholder': 'Hadithi yako hapa. Markdown inafanya kazi: **nzito**, *mlazo*, ## vichwa, - orodha na ![picha](https://…). Tumia hashtag kama #Twiga na taja vikundi kama @JinaLaShirika',
+    'creator.insertPhoto': 'Weka',
+    'creator.removePhoto': 'Ondoa',
+    'creator.removePhotoLabel': 'Ondoa picha kwenye hadithi',
+    'creator.uploadNow': 'Pakia sasa ili uweke picha ndani ya maandishi',
+    'creator.coverPlaceholder': 'Au bandika URL ya picha ya jalada (si lazima)',
+    'creator.coverLabel': 'URL ya picha ya jalada',
+    'creator.publishingOptions': 'Chaguo za kuchapisha',
+    'creator.pinToHome': 'Bandika kwenye ukurasa wa mwanzo',
+    'creator.featureInArchive': 'Angazia kwenye kumbukumbu',
+    'creator.publishAt': 'Chapisha saa',
+    'creator.dontSchedule': 'Usipange wakati',
+    'creator.backToDashboard': 'Rudi kwenye dashibodi',
+    'creator.saving': 'Inahifadhi…',
+    'creator.saveChanges': 'Hifadhi Mabadiliko',
+    'creator.schedule': 'Panga wakati',
+    'creator.saveDraft': 'Hifadhi Rasimu',
+    'creator.publishNow': 'Chapisha Sasa',
+    'creator.metric.views': 'Mitazamo',
+    'creator.metric.comments': 'Maoni',
+    'creator.metric.reactions': 'Hisia',
+    'creator.lastDays': '(siku {days} zilizopita)',
+    'creator.perDay': '{metric} kwa siku, za zamani kwanza: {counts}',
+    'creator.draftNeedsContent': 'Ongeza kichwa na hadithi kabla ya kuchapisha rasimu hii.',
+    'creator.confirmDeleteDraft': 'Futa rasimu "{title}"?',
+    'creator.draftDeleteFailed': 'Rasimu haikuweza kufutwa.',
+    'creator.pinFailed': 'Hadithi haikuweza kubandikwa.',
+    'creator.featureFailed': 'Hadithi haikuweza kuangaziwa.',
+    'creator.dashboard': 'Dashibodi ya Mtunzi',
+    'creator.addStory': '+ Hadithi Mpya',
+    'creator.drafts': 'Rasimu',
+    'creator.noDrafts': 'Hakuna rasimu. Hadithi unazohifadhi bila kuchapisha zinaonekana hapa.',
+    'creator.untitled': 'Bila kichwa',
+    'creator.draftSavedAt': 'Rasimu, imehifadhiwa {time}',
+    'creator.publishNowLink': 'Chapisha sasa',
+    'creator.scheduledStories': 'Hadithi zilizopangwa',
+    'creator.scheduledFor': 'Imepangwa {time}',
+    'creator.publishedStories': 'Hadithi zilizochapishwa',
+    'creator.nothingPublished': 'Bado hakuna kilichochapishwa.',
+    'creator.unpublished': 'Haijachapishwa',
+    'creator.pinned': 'Imebandikwa kwenye ukurasa wa mwanzo',
+    'creator.unpin': 'Ondoa kwenye ukurasa wa mwanzo',
+    'creator.featured': 'Imeangaziwa kwenye kumbukumbu',
+    'creator.stopFeaturing': 'Acha kuangazia',
+    'creator.stats': 'Takwimu kwa muda',
+
+    'moderation.noPermission': 'Huna tena ruhusa ya kufanya hivyo.',
+    'moderation.targetMissing': 'Chapisho au maoni hayo hayapo tena.',
+    'moderation.actionFailed': 'Hatua ya usimamizi haikuweza kukamilika. Tafadhali jaribu tena.',
+    'moderation.loadFailed': 'Imeshindwa kupakia data ya usimamizi.',
+    'moderation.target.story_comment': 'Maoni ya hadithi',
+    'moderation.target.post': 'Chapisho la jumuiya',
+    'moderation.target.post_comment': 'Maoni ya jumuiya',
+    'moderation.banPrompt': 'Sababu ya kumpiga marufuku mvumbuzi huyu (itaandikwa kwenye kumbukumbu ya ukaguzi):',
+    'moderation.title': 'Usimamizi',
+    'moderation.queueTab': 'Foleni ({count})',
+    'moderation.bansTab': 'Marufuku ({count})',
+    'moderation.logTab': 'Kumbukumbu ya Ukaguzi',
+    'moderation.queueEmpty': 'Foleni iko tupu. Hakuna cha kukagua.',
+    'moderation.by': 'na',
+    'moderation.on': 'kwa',
+    'moderation.reportCount': { one: 'ripoti {count}', other: 'ripoti {count}' },
+    'moderation.noReason': 'Hakuna sababu iliyotolewa',
+    'moderation.noReasonRecorded': 'Hakuna sababu iliyoandikwa',
+    'moderation.dismiss': 'Puuza',
+    'moderation.banAuthor': 'Piga Marufuku Mwandishi',
+    'moderation.noBans': 'Hakuna wavumbuzi waliopigwa marufuku.',
+    'moderation.unban': 'Ondoa marufuku',
+    'moderation.noLog': 'Bado hakuna hatua za wasimamizi.',
+    'moderation.action.hide': 'Ficha',
+    'moderation.action.restore': 'Rejesha',
+    'moderation.action.ban': 'Marufuku',
+    'moderation.action.unban': 'Ondoa marufuku',
+    'moderation.action.dismiss': 'Puuza',
+    'moderation.reportPrompt': 'Kwa nini unaripoti hili? (si lazima)',
+    'moderation.reportThanks': 'Asante. Msimamizi atalikagua.',
+    'moderation.reportFailed': 'Hitilafu katika kutuma ripoti yako.',
+
+    'sightings.chooseSpecies': 'Chagua spishi uliyoiona.',
+    'sightings.countRange': 'Idadi lazima iwe namba kamili kutoka 1 hadi {max}.',
+    'sightings.enterWhen': 'Weka wakati ulipoiona.',
+    'sightings.noFuture': 'Maonekano hayawezi kuwa ya wakati ujao.',
+    'sightings.addGps': 'Ongeza eneo la GPS, au chagua hifadhi badala yake.',
+    'sightings.chooseRegion': 'Chagua hifadhi au eneo.',
+    'sightings.unknownRegion': 'Eneo lisilojulikana',
+    'sightings.approximate': 'Mahali pa kukadiria (~km 20)',
+    'sightings.noGeolocation': 'Kivinjari chako hakiwezi kushiriki mahali kilipo. Weka viwianishi badala yake.',
+    'sightings.locationFailed': 'Imeshindwa kupata mahali ulipo. Weka viwianishi badala yake.',
+    'sightings.details': 'Maelezo ya maonekano',
+    'sightings.species': 'Spishi',
+    'sightings.chooseSpeciesOption': 'Chagua spishi…',
+    'sightings.howMany': 'Ngapi',
+    'sightings.when': 'Lini',
+    'sightings.where': 'Wapi',
+    'sightings.location.none': 'Haijashirikiwa',
+    'sightings.location.gps': 'Eneo la GPS',
+    'sightings.location.region': 'Hifadhi au eneo',
+    'sightings.gpsPlaceholder': 'Latitudo, longitudo (mfano -1.4061, 35.0087)',
+    'sightings.gpsLabel': 'Viwianishi vya GPS',
+    'sightings.locating': 'Inatafuta mahali…',
+    'sightings.useMyLocation': 'Tumia mahali nilipo',
+    'sightings.chooseRegionOption': 'Chagua hifadhi au eneo…',
+    'sightings.sensitive': '🔒 Mahali pa {species} hushirikiwa kwa kukadiria kila mara (~km 20) ili kuwalinda dhidi ya majangili.',
+    'sightings.shareApproximate': 'Shiriki mahali pa kukadiria tu (~km 20)',
+    'sightings.seen': 'Ilionekana {time}',
+    'sightings.filterSpecies': 'Chuja kwa spishi',
+    'sightings.allSpecies': 'Spishi zote',
+    'sightings.seenFrom': 'Ilionekana kuanzia',
+    'sightings.seenTo': 'hadi',
+    'sightings.onMap': { one: 'Maonekano {count} kwenye ramani', other: 'Maonekano {count} kwenye ramani' },
+    'sightings.viewPost': 'Tazama chapisho →',
+    'sightings.mapLegend': 'Mipaka kamili inaonyesha maeneo halisi ya GPS; mipaka ya vistari ni mahali pa kukadiria au katikati ya hifadhi.',
+    'sightings.group.Mammals': 'Mamalia',
+    'sightings.group.Birds': 'Ndege',
+    'sightings.group.Other': 'Nyingine',
+    'sightings.species.black_rhino': 'Faru Mweusi',
+    'sightings.species.white_rhino': 'Faru Mweupe',
+    'sightings.species.african_elephant': 'Tembo wa Afrika',
+    'sightings.species.pangolin': 'Kakakuona',
+    'sightings.species.african_wild_dog': 'Mbwa Mwitu wa Afrika',
+    'sightings.species.lion': 'Simba',
+    'sightings.species.leopard': 'Chui',
+    'sightings.species.cheetah': 'Duma',
+    'sightings.species.spotted_hyena': 'Fisi Madoa',
+    'sightings.species.cape_buffalo': 'Nyati',
+    'sightings.species.plains_zebra': 'Punda Milia',
+    'sightings.species.grevys_zebra': 'Punda Milia wa Grévy',
+    'sightings.species.masai_giraffe': 'Twiga wa Kimaasai',
+    'sightings.species.hippopotamus': 'Kiboko',
+    'sightings.species.greater_kudu': 'Tandala Mkubwa',
+    'sightings.species.thomsons_gazelle': 'Swala Tomi',
+    'sightings.species.grants_gazelle': 'Swala Granti',
+    'sightings.species.common_warthog': 'Ngiri',
+    'sightings.species.ruppells_vulture': 'Tai wa Rüppell',
+    'sightings.species.white_backed_vulture': 'Tai Mgongo-mweupe',
+    'sightings.species.great_egret': 'Yangeyange Mkubwa',
+    'sightings.species.common_ostrich': 'Mbuni',
+    'sightings.species.other': 'Nyingine / sina uhakika',
+
+    'tags.trending': 'Zinazovuma wiki hii',
+    'tags.noTrending': 'Bado hakuna tagi zilizotumika wiki hii.',
+    'tags.uses': { one: 'matumizi {count}', other: 'matumizi {count}' },
+    'tags.type.post': 'Chapisho',
+    'tags.type.post_comment': 'Maoni kwenye chapisho',
+    'tags.type.story': 'Hadithi',
+    'tags.type.story_comment': 'Maoni kwenye hadithi',
+    'tags.loadFailed': 'Imeshindwa kupakia tagi hii. Tafadhali jaribu tena.',
+    'tags.itemCount': { one: 'Kipengee {count} kimetagiwa', other: 'Vipengee {count} vimetagiwa' },
+    'tags.empty': 'Bado hakuna kilichotagiwa #{tag}.',
+
+    'search.placeholder': 'Tafuta…',
+    'search.label': 'Tafuta',
+    'search.byAuthor': 'Na {author}',
+    'search.clearAuthor': 'Ondoa kichujio cha mwandishi',
+    'search.authorPlaceholder': 'Mwandishi…',
+    'search.filterAuthor': 'Chuja kwa mwandishi',
+    'search.from': 'Kuanzia',
+    'search.to': 'Hadi',
+    'search.clear': 'Futa vichujio',
+
+    'mentions.suggestions': 'Wavumbuzi wa kutaja',
+    'map.label': 'Ramani ya maonekano',
+    'map.cluster': { one: 'Maonekano {count}', other: 'Maonekano {count}' },
+    'map.closePopup': 'Funga',
+    'map.zoomIn': 'Kuza',
+    'map.zoomOut': 'Punguza',
+    'map.contributors': 'wachangiaji',
+};
+
+export const MESSAGES = { en, sw };
@@ -0,0 +1,370 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { doc, addDoc, setDoc, onSnapshot, collection, query, where, orderBy, limit, writeBatch, serverTimestamp, arrayUnion, arrayRemove } from 'firebase/firestore';
+import { Flag, Volume2, VolumeX, Eye, EyeOff } from 'lucide-react';
+import { ROLES_DOC_PATH, REPORTS_PATH, BANS_PATH, MODERATION_LOG_PATH, mutesDocPath } from './data';
+import { formatDateTime } from './format';
+import { profileAlias, profileUrl, useProfiles } from './profiles';
+import { translate, useI18n } from './i18n';
+
+// --- Moderation (roles, reports, bans, mutes and the review queue) ---
+
+// Creator/moderator roles. They can be provided by the environment as JSON
+// ({ "creators": [uid], "moderators": [uid] }) and/or stored in Firestore at ROLES_DOC_PATH;
+// both sources are merged. The security rules (firestore.rules) only trust the Firestore
+// document, so the environment list only changes what the UI offers.
+const configuredRoles = typeof __kairu_roles !== 'undefined' ? JSON.parse(__kairu_roles) : {};
+
+const mergeRoles = (...sources) => ({
+    creators: [...new Set(sources.flatMap(source => source?.creators || []))],
+    moderators: [...new Set(sources.flatMap(source => source?.moderators || []))],
+});
+
+// How Kairu (any creator) is shown as an author
+export const CREATOR_ALIAS = "Kairu (The Guide)";
+
+// Files a report for a comment or post. `target` describes what is reported:
+// { targetType, targetPath, targetAuthorId, excerpt }
+export const reportContent = (db, reporterId, target, reason) => addDoc(collection(db, REPORTS_PATH), {
+    ...target,
+    reason,
+    reporterId,
+    status: 'open',
+    timestamp: serverTimestamp(),
+});
+
+// Applies a moderator action, resolves the related reports and writes the audit log entry in one batch
+export const applyModerationAction = async (db, moderatorId, action, { reports = [], targetPath = null, targetUserId = null, note = '' }) => {
+    const batch = writeBatch(db);
+
+    switch (action) {
+        case 'hide':
+        case 'restore':
+            batch.update(doc(db, targetPath), {
+                hidden: action === 'hide',
+                hiddenBy: moderatorId,
+                hiddenAt: serverTimestamp(),
+            });
+            break;
+        case 'ban':
+            batch.set(doc(db, `${BANS_PATH}/${targetUserId}`), {
+                userId: targetUserId,
+                bannedBy: moderatorId,
+                reason: note,
+                timestamp: serverTimestamp(),
+            });
+            break;
+        case 'unban':
+            batch.delete(doc(db, `${BANS_PATH}/${targetUserId}`));
+            break;
+        case 'dismiss':
+            break;
+        default:
+            throw new Error(`Unknown moderation action: ${action}`);
+    }
+
+    reports.forEach(report => {
+        batch.update(doc(db, `${REPORTS_PATH}/${report.id}`), {
+            status: action === 'dismiss' ? 'dismissed' : 'resolved',
+            resolution: action,
+            resolvedBy: moderatorId,
+            resolvedAt: serverTimestamp(),
+        });
+    });
+
+    batch.set(doc(collection(db, MODERATION_LOG_PATH)), {
+        action,
+        moderatorId,
+        targetPath,
+        targetUserId,
+        reportIds: reports.map(report => report.id),
+        note,
+        timestamp: serverTimestamp(),
+    });
+
+    await batch.commit();
+};
+
+// Why a moderator action failed, for the message shown above the queue
+const moderationErrorMessage = (error) => {
+    if (error?.code === 'permission-denied') return translate('moderation.noPermission');
+    if (error?.code === 'not-found') return translate('moderation.targetMissing');
+    return translate('moderation.actionFailed');
+};
+
+// What was reported, by targetType (message keys moderation.target.<targetType>)
+const TARGET_TYPES = ['story_comment', 'post', 'post_comment'];
+
+export const ModerationQueue = ({ db, moderatorId, onError }) => {
+    const { t } = useI18n();
+    const [tab, setTab] = useState('reports');
+    const [reports, setReports] = useState([]);
+    const [bans, setBans] = useState([]);
+    const [logEntries, setLogEntries] = useState([]);
+
+    useEffect(() => {
+        if (!db) return;
+
+        const handleError = (err) => {
+            console.error("Moderation Snapshot Error:", err);
+            onError(translate('moderation.loadFailed'));
+        };
+
+        const unsubscribeReports = onSnapshot(query(collection(db, REPORTS_PATH), where('status', '==', 'open')), (snapshot) => {
+            setReports(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })));
+        }, handleError);
+        const unsubscribeBans = onSnapshot(collection(db, BANS_PATH), (snapshot) => {
+            setBans(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })));
+        }, handleError);
+        const unsubscribeLog = onSnapshot(query(collection(db, MODERATION_LOG_PATH), orderBy('timestamp', 'desc'), limit(50)), (snapshot) => {
+            setLogEntries(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })));
+        }, handleError);
+
+        return () => {
+            unsubscribeReports();
+            unsubscribeBans();
+            unsubscribeLog();
+        };
+    }, [db]);
+
+    // Several explorers may report the same item; review them together, most reported first
+    const reportGroups = useMemo(() => {
+        const groups = new Map();
+        reports.forEach(report => {
+            const group = groups.get(report.targetPath) || { ...report, reports: [] };
+            group.reports.push(report);
+            groups.set(report.targetPath, group);
+        });
+        return [...groups.values()].sort((a, b) => b.reports.length - a.reports.length);
+    }, [reports]);
+
+    // Explorers are shown by name, linking to their profile
+    const profiles = useProfiles(db, [
+        ...reports.map(report => report.targetAuthorId),
+        ...bans.map(ban => ban.userId || ban.id),
+        ...logEntries.flatMap(entry => [entry.moderatorId, entry.targetUserId]),
+    ]);
+    const explorerLink = (uid) => (
+        <a href={profileUrl(uid)} className="font-semibold hover:underline">{profileAlias(profiles[uid], uid)}</a>
+    );
+
+    const runAction = async (action, options) => {
+        try {
+            await applyModerationAction(db, moderatorId, action, options);
+        } catch (e) {
+            console.error(`Moderation action "${action}" failed:`, e);
+            onError(moderationErrorMessage(e));
+        }
+    };
+
+    const handleBan = (group) => {
+        const note = window.prompt(t('moderation.banPrompt'));
+        if (note === null) return;
+        runAction('ban', { reports: group.reports, targetPath: group.targetPath, targetUserId: group.targetAuthorId, note });
+    };
+
+    const tabClass = (name) => `px-3 py-1 rounded-full text-sm font-semibold ${tab === name ? 'bg-emerald-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`;
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg p-5 sm:p-6 mb-8">
+            <div className="flex flex-wrap justify-between items-center gap-2 border-b pb-3 mb-4">
+                <h2 className="text-2xl font-bold text-gray-800">{t('moderation.title')}</h2>
+                <div className="flex space-x-2">
+                    <button onClick={() => setTab('reports')} className={tabClass('reports')}>{t('moderation.queueTab', { count: reportGroups.length })}</button>
+                    <button onClick={() => setTab('bans')} className={tabClass('bans')}>{t('moderation.bansTab', { count: bans.length })}</button>
+                    <button onClick={() => setTab('log')} className={tabClass('log')}>{t('moderation.logTab')}</button>
+                </div>
+            </div>
+
+            {tab === 'reports' && (
+                <div className="space-y-4">
+                    {reportGroups.length === 0 && <p className="text-gray-500 italic text-center py-4">{t('moderation.queueEmpty')}</p>}
+                    {reportGroups.map(group => (
+                        <div key={group.targetPath} className="p-4 border border-gray-200 rounded-lg">
+                            <p className="text-xs text-gray-500 mb-1">
+                                {TARGET_TYPES.includes(group.targetType) ? t(`moderation.target.${group.targetType}`) : group.targetType} {t('moderation.by')}{' '}
+                                {explorerLink(group.targetAuthorId)}
+                                <span className="ml-2 font-semibold text-red-600">{t('moderation.reportCount', { count: group.reports.length })}</span>
+                            </p>
+                            <p className="text-gray-800 mb-2 break-words whitespace-pre-wrap">{group.excerpt}</p>
+                            <ul className="text-xs text-gray-500 mb-3 list-disc list-inside">
+                                {group.reports.map(report => (
+                                    <li key={report.id}>{report.reason || t('moderation.noReason')} <span className="text-gray-400">({formatDateTime(report.timestamp)})</span></li>
+                                ))}
+                            </ul>
+                            <div className="flex flex-wrap gap-2 text-xs font-semibold">
+                                <button onClick={() => runAction('hide', { reports: group.reports, targetPath: group.targetPath, targetUserId: group.targetAuthorId })} className="px-3 py-1 bg-red-100 text-red-700 rounded-full hover:bg-red-200">{t('common.hide')}</button>
+                                <button onClick={() => runAction('restore', { reports: group.reports, targetPath: group.targetPath, targetUserId: group.targetAuthorId })} className="px-3 py-1 bg-emerald-100 text-emerald-700 rounded-full hover:bg-emerald-200">{t('common.restore')}</button>
+                                <button onClick={() => runAction('dismiss', { reports: group.reports, targetPath: group.targetPath, targetUserId: group.targetAuthorId })} className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full hover:bg-gray-200">{t('moderation.dismiss')}</button>
+                                <button onClick={() => handleBan(group)} className="px-3 py-1 bg-gray-800 text-white rounded-full hover:bg-black">{t('moderation.banAuthor')}</button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {tab === 'bans' && (
+                <ul className="divide-y divide-gray-100">
+                    {bans.length === 0 && <p className="text-gray-500 italic text-center py-4">{t('moderation.noBans')}</p>}
+                    {bans.map(ban => (
+                        <li key={ban.id} className="py-3 flex justify-between items-center gap-4">
+                            <div className="min-w-0">
+                                <p className="text-sm text-gray-800 truncate">{explorerLink(ban.userId || ban.id)}</p>
+                                <p className="text-xs text-gray-500">{ban.reason || t('moderation.noReasonRecorded')} | {formatDateTime(ban.timestamp)}</p>
+                            </div>
+                            <button onClick={() => runAction('unban', { targetUserId: ban.id })} className="px-3 py-1 text-xs font-semibold bg-gray-100 text-gray-700 rounded-full hover:bg-gray-200 flex-shrink-0">{t('moderation.unban')}</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {tab === 'log' && (
+                <ul className="divide-y divide-gray-100 text-sm">
+                    {logEntries.length === 0 && <p className="text-gray-500 italic text-center py-4">{t('moderation.noLog')}</p>}
+                    {logEntries.map(entry => (
+                        <li key={entry.id} className="py-2">
+                            <span className="font-semibold text-gray-800 uppercase text-xs mr-2">{t(`moderation.action.${entry.action}`)}</span>
+                            <span className="text-gray-600">{t('moderation.by')} {explorerLink(entry.moderatorId)}</span>
+                            {entry.targetUserId && <span className="text-gray-600"> {t('moderation.on')} {explorerLink(entry.targetUserId)}</span>}
+                            {entry.note && <span className="text-gray-500"> — {entry.note}</span>}
+                            <span className="block text-xs text-gray-400">{formatDateTime(entry.timestamp)}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// Roles, the user's own ban status and their personal mute list, plus the actions every
+// explorer (report, mute) and moderator (hide/restore) can take from the stories and the feed.
+// Actions resolve to true when they succeeded and false when they failed; a report the
+// explorer cancels resolves to null.
+export const useModeration = (db, userId, isAuthReady) => {
+    const { t } = useI18n();
+    const [roles, setRoles] = useState(() => mergeRoles(configuredRoles));
+    const [isBanned, setIsBanned] = useState(false);
+    const [mutedUserIds, setMutedUserIds] = useState([]);
+
+    useEffect(() => {
+        if (!db || !isAuthReady) return;
+
+        const unsubscribeRoles = onSnapshot(doc(db, ROLES_DOC_PATH), (docSnap) => {
+            setRoles(mergeRoles(configuredRoles, docSnap.exists() ? docSnap.data() : {}));
+        }, (error) => console.error("Error fetching roles:", error));
+
+        if (!userId) return unsubscribeRoles;
+
+        const unsubscribeBan = onSnapshot(doc(db, `${BANS_PATH}/${userId}`), (docSnap) => {
+            setIsBanned(docSnap.exists());
+        }, (error) => console.error("Error fetching ban status:", error));
+        const unsubscribeMutes = onSnapshot(doc(db, mutesDocPath(userId)), (docSnap) => {
+            setMutedUserIds(docSnap.exists() ? docSnap.data().userIds || [] : []);
+        }, (error) => console.error("Error fetching mutes:", error));
+
+        return () => {
+            unsubscribeRoles();
+            unsubscribeBan();
+            unsubscribeMutes();
+        };
+    }, [db, userId, isAuthReady]);
+
+    const isCreator = !!userId && roles.creators.includes(userId);
+    const isModerator = isCreator || (!!userId && roles.moderators.includes(userId));
+
+    const report = async (target) => {
+        if (!db || !userId) return false;
+        const reason = window.prompt(t('moderation.reportPrompt'));
+        if (reason === null) return null;
+
+        try {
+            await reportContent(db, userId, target, reason.trim());
+            window.alert(t('moderation.reportThanks'));
+            return true;
+        } catch (error) {
+            console.error("Error sending report:", error);
+            return false;
+        }
+    };
+
+    const updateMutes = async (userIds) => {
+        try {
+            await setDoc(doc(db, mutesDocPath(userId)), { userIds }, { merge: true });
+            return true;
+        } catch (error) {
+            console.error("Error updating mutes:", error);
+            return false;
+        }
+    };
+
+    // Muting is personal: it only hides the muted explorer's posts and comments for this user
+    const toggleMute = (authorId) => {
+        if (!db || !userId || authorId === userId) return Promise.resolve(false);
+        return updateMutes(mutedUserIds.includes(authorId) ? arrayRemove(authorId) : arrayUnion(authorId));
+    };
+
+    const unmuteAll = () => {
+        if (!db || !userId) return Promise.resolve(false);
+        return updateMutes([]);
+    };
+
+    // Moderator hide/restore, recorded in the audit log
+    const setHidden = async (targetPath, targetUserId, hidden) => {
+        if (!db || !isModerator) return false;
+
+        try {
+            await applyModerationAction(db, userId, hidden ? 'hide' : 'restore', { targetPath, targetUserId });
+            return true;
+        } catch (error) {
+            console.error("Error updating hidden state:", error);
+            return false;
+        }
+    };
+
+    return { roles, isCreator, isModerator, isBanned, mutedUserIds, report, toggleMute, unmuteAll, setHidden };
+};
+
+// Report / Mute / Hide controls for someone else's post or comment. Failed actions are
+// passed to onError as a message for the surrounding screen to show.
+export const ModerationActions = ({ moderation, userId, authorId, target, isHidden, size = 14, onError = () => {} }) => {
+    const { t } = useI18n();
+    const hideLabel = isHidden ? t('common.restore') : t('common.hide');
+    const isMuted = moderation.mutedUserIds.includes(authorId);
+    const muteLabel = isMuted ? t('common.unmuteExplorer') : t('common.muteExplorer');
+
+    const handleReport = async () => {
+        if (await moderation.report(target) === false) onError(t('moderation.reportFailed'));
+    };
+
+    const handleToggleMute = async () => {
+        if (!await moderation.toggleMute(authorId)) onError(t('stories.muteFailed'));
+    };
+
+    const handleSetHidden = async () => {
+        if (!await moderation.setHidden(target.targetPath, authorId, !isHidden)) onError(t('stories.moderationFailed'));
+    };
+
+    return (
+        <span className="flex items-center space-x-2 text-gray-400">
+            {userId && authorId !== userId && (
+                <>
+                    <button onClick={handleReport} className="hover:text-red-500 transition-colors" aria-label={t('common.report')} title={t('common.report')}>
+                        <Flag size={size} aria-hidden="true" />
+                    </button>
+                    <button onClick={handleToggleMute} className="hover:text-gray-600 transition-colors" aria-label={muteLabel} title={muteLabel}>
+                        {isMuted ? <Volume2 size={size} aria-hidden="true" /> : <VolumeX size={size} aria-hidden="true" />}
+                    </button>
+                </>
+            )}
+            {moderation.isModerator && (
+                <button
+                    onClick={handleSetHidden}
+                    className="text-red-500 hover:text-red-700 transition-colors"
+                    aria-label={hideLabel}
+                    title={hideLabel}
+                >
+                    {isHidden ? <Eye size={size} aria-hidden="true" /> : <EyeOff size={size} aria-hidden="true" />}
+                </button>
+            )}
+        </span>
+    );
+};
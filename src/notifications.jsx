@@ -0,0 +1,330 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { collection, doc, onSnapshot, query, orderBy, limit, setDoc, writeBatch, serverTimestamp, arrayUnion } from 'firebase/firestore';
+import { STORIES_PATH, notificationsPath, notificationPrefsPath, readableStories, usePublishTime } from './data';
+import { profileAlias, useProfiles, Avatar } from './profiles';
+import { CREATOR_ALIAS } from './moderation';
+import { getLocale, translate, useI18n } from './i18n';
+
+// --- Notifications ---
+
+// Each explorer has a private notifications collection (notificationsPath) and a preferences
+// document (notificationPrefsPath -> { muted: { [type]: true }, storiesReadAt, readStoryIds }).
+// New stories aren't copied to every explorer: the list reads the latest stories themselves (a
+// feed shared by everyone) and the preferences document remembers which of them were read.
+
+// Notification types. Each has a setting label (notifications.type.<type> in ./messages) and the
+// phrase that follows the senders' names (notifications.verb.<type>, by number of senders;
+// reactions say whether it was a post or a comment, notifications.verb.reaction.<post|comment>).
+export const NOTIFICATION_TYPES = ['mention', 'reply', 'reaction', 'story'];
+
+// Post likes and comment upvotes were replaced by reactions: their notifications are shown,
+// and their mutes applied, as reactions
+const LEGACY_REACTION_TYPES = ['like', 'upvote'];
+
+const notificationType = (notification) => (LEGACY_REACTION_TYPES.includes(notification.type) ? 'reaction' : notification.type);
+
+const verbKey = (notification) => {
+    const type = notificationType(notification);
+    if (type === 'reaction') return `notifications.verb.reaction.${notification.targetType === 'post' ? 'post' : 'comment'}`;
+    return `notifications.verb.${NOTIFICATION_TYPES.includes(type) ? type : 'other'}`;
+};
+
+const NOTIFICATION_LIST_LIMIT = 100;
+// Latest stories shown in the list
+const STORY_FEED_LIMIT = 10;
+// Firestore batches hold at most 500 writes
+const MAX_BATCH_WRITES = 450;
+
+// Excerpts are the start of the post or comment a notification points to, cut by character so an
+// emoji is never split; the rules check them against it
+const EXCERPT_LENGTH = 140;
+export const notificationExcerpt = (text) => [...(text || '')].slice(0, EXCERPT_LENGTH).join('');
+
+// Notifications about the same thing share a group key, e.g. every reaction to one post
+export const notificationGroupKey = (type, targetPath) => `${type}:${targetPath}`;
+
+// Creates one notification per recipient. The actor never notifies themselves, and is recorded
+// as the sender (fromUserId), which the rules check against the signed-in explorer.
+// `notification` holds { type, actorId, targetType, targetPath, excerpt, ... }.
+export const createNotifications = async (db, recipientIds, notification) => {
+    const recipients = [...new Set(recipientIds)].filter(uid => uid && uid !== notification.actorId);
+
+    for (let i = 0; i < recipients.length; i += MAX_BATCH_WRITES) {
+        const batch = writeBatch(db);
+        recipients.slice(i, i + MAX_BATCH_WRITES).forEach(uid => {
+            batch.set(doc(collection(db, notificationsPath(uid))), {
+                groupKey: notificationGroupKey(notification.type, notification.targetPath),
+                ...notification,
+                fromUserId: notification.actorId,
+                recipientId: uid,
+                read: false,
+                timestamp: serverTimestamp(),
+            });
+        });
+        await batch.commit();
+    }
+};
+
+// Fire-and-forget helper: notification failures must never block the action itself
+export const sendNotification = (db, recipientId, notification) => {
+    createNotifications(db, [recipientId], notification)
+        .catch(error => console.error(`Error sending ${notification.type} notification:`, error));
+};
+
+const timestampMillis = (timestamp) => (timestamp?.toMillis ? timestamp.toMillis() : Infinity);
+
+// A story from the shared feed as a notification from its creator. Stories older than
+// `storiesReadAt` count as read, as do the ones opened since (`readStoryIds`).
+const storyNotification = (story, prefs) => ({
+    id: `story:${story.id}`,
+    fromStoryFeed: true,
+    type: 'story',
+    actorId: story.authorId || null,
+    targetType: 'story',
+    targetPath: story.path,
+    storyId: story.id,
+    excerpt: story.title,
+    timestamp: story.timestamp,
+    groupKey: notificationGroupKey('story', story.path),
+    read: (prefs.readStoryIds || []).includes(story.id) || timestampMillis(story.timestamp) <= timestampMillis(prefs.storiesReadAt),
+});
+
+// Groups notifications by groupKey, newest group first
+export const groupNotifications = (notifications) => {
+    const groups = new Map();
+    notifications.forEach(notification => {
+        const key = notification.groupKey || notification.id;
+        const group = groups.get(key) || { key, latest: notification, items: [], actorIds: [] };
+        group.items.push(notification);
+        if (!group.actorIds.includes(notification.actorId)) group.actorIds.push(notification.actorId);
+        groups.set(key, group);
+    });
+    return [...groups.values()].map(group => ({ ...group, unread: group.items.some(item => !item.read) }));
+};
+
+// "Rhino", "Rhino and Zebra", "Rhino and 4 others"
+const describeActors = (group, profiles, t) => {
+    const names = group.actorIds.map(uid => {
+        const item = group.items.find(notification => notification.actorId === uid);
+        if (item?.fromStoryFeed) return CREATOR_ALIAS;
+        return profileAlias(profiles[uid], uid);
+    });
+    if (names.length === 1) return names[0];
+    if (names.length === 2) return t('notifications.twoActors', { first: names[0], second: names[1] });
+    return t('notifications.moreActors', { name: names[0], count: names.length - 1 });
+};
+
+// Short relative times ("5m ago", "3h ago", "2d ago") in the app's language
+const formatNotificationTime = (timestamp) => {
+    if (!timestamp?.toDate) return translate('time.justNow');
+    const minutes = Math.floor((Date.now() - timestamp.toDate()) / 60000);
+    if (minutes < 1) return translate('time.justNow');
+    const format = new Intl.RelativeTimeFormat(getLocale(), { style: 'narrow' });
+    if (minutes < 60) return format.format(-minutes, 'minute');
+    if (minutes < 1440) return format.format(-Math.floor(minutes / 60), 'hour');
+    return format.format(-Math.floor(minutes / 1440), 'day');
+};
+
+// Live notifications and preferences for the signed-in explorer, with the latest stories
+export const useNotifications = (db, userId) => {
+    const [notifications, setNotifications] = useState([]);
+    const [stories, setStories] = useState([]);
+    // null until the preferences document has been read
+    const [prefs, setPrefs] = useState(null);
+    const publishTime = usePublishTime();
+
+    useEffect(() => {
+        if (!db || !userId) return;
+        const prefsRef = doc(db, notificationPrefsPath(userId));
+
+        const notificationsQuery = query(collection(db, notificationsPath(userId)), orderBy('timestamp', 'desc'), limit(NOTIFICATION_LIST_LIMIT));
+        const unsubscribeNotifications = onSnapshot(notificationsQuery, (snapshot) => {
+            setNotifications(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })));
+        }, (error) => console.error("Error fetching notifications:", error));
+        const unsubscribePrefs = onSnapshot(prefsRef, (snapshot) => {
+            const data = snapshot.exists() ? snapshot.data({ serverTimestamps: 'estimate' }) : {};
+            setPrefs(data);
+            // Stories from before an explorer's first visit aren't news to them
+            if (!data.storiesReadAt) {
+                setDoc(prefsRef, { storiesReadAt: serverTimestamp() }, { merge: true })
+                    .catch(error => console.error("Error saving notification preferences:", error));
+            }
+        }, (error) => console.error("Error fetching notification preferences:", error));
+
+        return () => {
+            unsubscribeNotifications();
+            unsubscribePrefs();
+        };
+    }, [db, userId]);
+
+    // The latest stories that are out, looked at again every minute for scheduled ones
+    useEffect(() => {
+        if (!db || !userId) return;
+        const storiesQuery = query(collection(db, STORIES_PATH), ...readableStories(publishTime), orderBy('timestamp', 'desc'), limit(STORY_FEED_LIMIT));
+        return onSnapshot(storiesQuery, (snapshot) => {
+            setStories(snapshot.docs.map(docSnap => ({ id: docSnap.id, path: docSnap.ref.path, ...docSnap.data() })));
+        }, (error) => console.error("Error fetching new stories:", error));
+    }, [db, userId, publishTime]);
+
+    const savedMutes = prefs?.muted || {};
+    const mutedTypes = { ...savedMutes, reaction: savedMutes.reaction ?? LEGACY_REACTION_TYPES.some(type => savedMutes[type]) };
+
+    // Muted types are hidden from the list and the unread badge. Explorers aren't told about
+    // their own stories, nor about any until their preferences have loaded.
+    const groups = useMemo(() => {
+        const storyItems = prefs
+            ? stories.filter(story => !story.unpublished && story.authorId !== userId).map(story => storyNotification(story, prefs))
+            : [];
+        const items = [...notifications, ...storyItems]
+            .filter(notification => !mutedTypes[notificationType(notification)])
+            .sort((a, b) => timestampMillis(b.timestamp) - timestampMillis(a.timestamp));
+        return groupNotifications(items);
+    }, [notifications, stories, prefs, userId]);
+
+    const markRead = async (items) => {
+        const unread = items.filter(item => !item.read);
+        if (!db || unread.length === 0) return;
+        const stored = unread.filter(item => !item.fromStoryFeed);
+        const storyIds = unread.filter(item => item.fromStoryFeed).map(item => item.storyId);
+
+        try {
+            for (let i = 0; i < stored.length; i += MAX_BATCH_WRITES) {
+                const batch = writeBatch(db);
+                stored.slice(i, i + MAX_BATCH_WRITES).forEach(item => {
+                    batch.update(doc(db, `${notificationsPath(userId)}/${item.id}`), { read: true, readAt: serverTimestamp() });
+                });
+                await batch.commit();
+            }
+            if (storyIds.length > 0) {
+                await setDoc(doc(db, notificationPrefsPath(userId)), { readStoryIds: arrayUnion(...storyIds) }, { merge: true });
+            }
+        } catch (error) {
+            console.error("Error marking notifications read:", error);
+        }
+    };
+
+    // Everything so far is read: the stored notifications one by one, the stories up to now
+    const markAllRead = async () => {
+        await markRead(groups.flatMap(group => group.items).filter(item => !item.fromStoryFeed));
+        try {
+            await setDoc(doc(db, notificationPrefsPath(userId)), { storiesReadAt: serverTimestamp(), readStoryIds: [] }, { merge: true });
+        } catch (error) {
+            console.error("Error marking notifications read:", error);
+        }
+    };
+
+    const setTypeMuted = async (type, muted) => {
+        try {
+            await setDoc(doc(db, notificationPrefsPath(userId)), { muted: { [type]: muted } }, { merge: true });
+        } catch (error) {
+            console.error("Error saving notification preferences:", error);
+        }
+    };
+
+    return {
+        groups,
+        mutedTypes,
+        unreadCount: groups.filter(group => group.unread).length,
+        markRead,
+        markAllRead,
+        setTypeMuted,
+    };
+};
+
+// Header bell with unread badge and the notification list. `linkFor(notification)` turns a
+// notification into a URL (or null when there is nothing to open).
+export const NotificationBell = ({ db, userId, linkFor }) => {
+    const { groups, mutedTypes, unreadCount, markRead, markAllRead, setTypeMuted } = useNotifications(db, userId);
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [showSettings, setShowSettings] = useState(false);
+    const profiles = useProfiles(db, isOpen ? groups.flatMap(group => group.actorIds) : []);
+
+    const openGroup = (group) => {
+        markRead(group.items);
+        const link = linkFor ? linkFor(group.latest) : null;
+        if (link) {
+            window.location.hash = link;
+            setIsOpen(false);
+        }
+    };
+
+    return (
+        <div className="relative inline-block text-left">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="relative p-2 rounded-full text-gray-600 hover:bg-gray-100 transition-colors"
+                aria-label={unreadCount ? t('notifications.bellUnread', { count: unreadCount }) : t('notifications.title')}
+            >
+                <svg className="w-6 h-6" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                    <path strokeLinecap="round" strokeLinejoin="round" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                </svg>
+                {unreadCount > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 bg-red-500 text-white text-xs font-bold rounded-full flex items-center justify-center">
+                        {unreadCount > 99 ? '99+' : unreadCount}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-80 max-w-[90vw] bg-white border border-gray-200 rounded-xl shadow-xl z-30">
+                    <div className="flex justify-between items-center px-4 py-3 border-b border-gray-100">
+                        <h3 className="font-bold text-gray-800">{t('notifications.title')}</h3>
+                        <div className="flex space-x-3 text-xs font-semibold">
+                            <button onClick={markAllRead} disabled={unreadCount === 0} className="text-emerald-600 hover:underline disabled:text-gray-300 disabled:no-underline">
+                                {t('notifications.markAllRead')}
+                            </button>
+                            <button onClick={() => setShowSettings(!showSettings)} className="text-gray-500 hover:underline">
+                                {showSettings ? t('notifications.done') : t('notifications.settings')}
+                            </button>
+                        </div>
+                    </div>
+
+                    {showSettings ? (
+                        <div className="px-4 py-3 space-y-2">
+                            <p className="text-xs text-gray-500 mb-1">{t('notifications.showFor')}</p>
+                            {NOTIFICATION_TYPES.map(type => (
+                                <label key={type} className="flex items-center text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        className="mr-2 rounded text-emerald-600 focus:ring-emerald-500"
+                                        checked={!mutedTypes[type]}
+                                        onChange={(e) => setTypeMuted(type, !e.target.checked)}
+                                    />
+                                    {t(`notifications.type.${type}`)}
+                                </label>
+                            ))}
+                        </div>
+                    ) : (
+                        <ul className="max-h-96 overflow-y-auto divide-y divide-gray-50">
+                            {groups.length === 0 && (
+                                <li className="px-4 py-6 text-center text-sm text-gray-500 italic">{t('notifications.caughtUp')}</li>
+                            )}
+                            {groups.map(group => (
+                                <li key={group.key}>
+                                    <button
+                                        onClick={() => openGroup(group)}
+                                        className={`w-full flex items-start gap-3 px-4 py-3 text-left hover:bg-gray-50 ${group.unread ? 'bg-emerald-50' : ''}`}
+                                    >
+                                        <Avatar profile={profiles[group.actorIds[0]]} uid={group.actorIds[0]} size="md" />
+                                        <span className="min-w-0 flex-grow text-sm">
+                                            <span className="text-gray-800">
+                                                <span className="font-semibold">{describeActors(group, profiles, t)}</span>{' '}
+                                                {t(verbKey(group.latest), { count: group.actorIds.length })}
+                                            </span>
+                                            {group.latest.excerpt && (
+                                                <span className="block text-gray-500 truncate">"{group.latest.excerpt}"</span>
+                                            )}
+                                            <span className="block text-xs text-gray-400">{formatNotificationTime(group.latest.timestamp)}</span>
+                                        </span>
+                                        {group.unread && <span className="w-2 h-2 mt-2 bg-emerald-500 rounded-full flex-shrink-0" aria-label={t('notifications.unread')} />}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
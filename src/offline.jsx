@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, waitForPendingWrites } from 'firebase/firestore';
+import { appId } from './data';
+import { useI18n } from './i18n';
+
+// --- Offline Support ---
+// Firestore keeps a persistent local cache and its own queue of pending writes, which survive
+// reloads and are sent when the connection comes back. The app doesn't wait for the server:
+// writes go through queueWrite(), show up at once from the local cache (marked pending via
+// snapshot metadata), and only report back if the server finally rejects them.
+
+// Firestore with the feed, stories and queued writes persisted in IndexedDB (shared between tabs)
+export const createFirestore = (app) => initializeFirestore(app, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+});
+
+// Snapshot listeners pass this so documents flip from pending to synced without a refetch
+export const SNAPSHOT_OPTIONS = { includeMetadataChanges: true };
+
+// Document data plus a `pending` flag for writes that haven't reached the server yet.
+// Pending server timestamps read as the local estimate instead of null.
+export const withPendingState = (docSnap) => ({
+    id: docSnap.id,
+    ...docSnap.data({ serverTimestamps: 'estimate' }),
+    pending: docSnap.metadata.hasPendingWrites,
+});
+
+// --- Pending write tracking ---
+
+let pendingWriteCount = 0;
+const pendingListeners = new Set();
+
+const setPendingWriteCount = (count) => {
+    pendingWriteCount = count;
+    pendingListeners.forEach(listener => listener(count));
+};
+
+// Tracks a write without blocking on it. Resolves to true once the server accepted it and to
+// false if it was rejected (after calling `onError`), so callers can chain follow-up work
+// (e.g. notifications) without handling rejections themselves.
+export const queueWrite = (writePromise, { onError, label = 'write' } = {}) => {
+    setPendingWriteCount(pendingWriteCount + 1);
+    return writePromise.then(() => true, (error) => {
+        console.error(`Error syncing ${label}:`, error);
+        if (onError) onError(error);
+        return false;
+    }).finally(() => setPendingWriteCount(pendingWriteCount - 1));
+};
+
+export const useOnlineStatus = () => {
+    const [isOnline, setIsOnline] = useState(() => (typeof navigator === 'undefined' ? true : navigator.onLine));
+
+    useEffect(() => {
+        const update = () => setIsOnline(navigator.onLine);
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+        };
+    }, []);
+
+    return isOnline;
+};
+
+// Number of writes queued in this session, plus whether writes left over from an earlier
+// session (still in Firestore's persisted queue) are waiting to sync
+export const usePendingWrites = (db) => {
+    const [count, setCount] = useState(pendingWriteCount);
+    const [hasEarlierWrites, setHasEarlierWrites] = useState(false);
+    const isOnline = useOnlineStatus();
+
+    useEffect(() => {
+        pendingListeners.add(setCount);
+        return () => pendingListeners.delete(setCount);
+    }, []);
+
+    useEffect(() => {
+        if (!db) return;
+        let settled = false;
+        let cancelled = false;
+        waitForPendingWrites(db)
+            .catch(error => console.error("Error waiting for pending writes:", error))
+            .finally(() => {
+                settled = true;
+                if (!cancelled) setHasEarlierWrites(false);
+            });
+        // Resolves immediately when nothing is queued; only show a status if it doesn't
+        const timer = setTimeout(() => { if (!settled && !cancelled) setHasEarlierWrites(true); }, 500);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [db, isOnline]);
+
+    return { count, hasEarlierWrites, isOnline };
+};
+
+// Header badge: offline state and writes waiting to sync
+export const SyncStatus = ({ db }) => {
+    const { count, hasEarlierWrites, isOnline } = usePendingWrites(db);
+    const { t } = useI18n();
+    const changes = count > 0 ? t('offline.changes', { count }) : t('offline.someChanges');
+
+    if (!isOnline) {
+        return (
+            <span className="text-xs font-semibold px-2 py-1 rounded-full bg-amber-100 text-amber-800" role="status">
+                {count > 0 || hasEarlierWrites ? t('offline.willSync', { changes }) : t('offline.offline')}
+            </span>
+        );
+    }
+    if (count > 0 || hasEarlierWrites) {
+        return (
+            <span className="text-xs font-semibold px-2 py-1 rounded-full bg-blue-100 text-blue-700" role="status">
+                {count > 0 ? t('offline.syncingChanges', { changes }) : t('offline.syncing')}
+            </span>
+        );
+    }
+    return null;
+};
+
+export const PendingBadge = () => {
+    const { t } = useI18n();
+    return (
+        <span className="ml-2 text-[10px] font-semibold uppercase tracking-wide px-1.5 py-0.5 rounded bg-amber-100 text-amber-700" title={t('offline.pendingTitle')}>
+            {t('offline.pending')}
+        </span>
+    );
+};
+
+// --- Drafts ---
+
+const draftStorageKey = (key) => `kairu-draft:${appId}:${key}`;
+
+const readDraft = (key, initialValue) => {
+    try {
+        const stored = window.localStorage.getItem(draftStorageKey(key));
+        return stored === null ? initialValue : JSON.parse(stored);
+    } catch (error) {
+        return initialValue;
+    }
+};
+
+const isEmptyDraft = (value) => value === '' || value === null || (Array.isArray(value) && value.length === 0);
+
+// useState that is also saved to localStorage under `key`, so unsent text survives reloads and
+// lost connections. Returns [value, setValue, clearDraft]. Passing a null key disables saving.
+// Like useState, only the first render's `initialValue` is used.
+export const useDraft = (key, initialValue = '') => {
+    const [emptyValue] = useState(initialValue);
+    // The value remembers which key it belongs to, so switching keys (e.g. to another story)
+    // never saves one draft under the other's key
+    const [draft, setDraft] = useState(() => ({ key, value: key ? readDraft(key, emptyValue) : emptyValue }));
+    const value = draft.key === key ? draft.value : (key ? readDraft(key, emptyValue) : emptyValue);
+    if (draft.key !== key) {
+        // Adjusting state while rendering: React re-renders straight away with the new key's draft
+        setDraft({ key, value });
+    }
+
+    const setValue = useCallback((next) => setDraft(prev => {
+        const current = prev.key === key ? prev.value : (key ? readDraft(key, emptyValue) : emptyValue);
+        return { key, value: typeof next === 'function' ? next(current) : next };
+    }), [key, emptyValue]);
+
+    useEffect(() => {
+        if (!key || draft.key !== key) return;
+        try {
+            if (isEmptyDraft(draft.value)) window.localStorage.removeItem(draftStorageKey(key));
+            else window.localStorage.setItem(draftStorageKey(key), JSON.stringify(draft.value));
+        } catch (error) {
+            // Storage can be full or disabled (private browsing); the draft then lives in memory only
+        }
+    }, [key, draft]);
+
+    const clearDraft = useCallback(() => setValue(emptyValue), [setValue, emptyValue]);
+
+    return [value, setValue, clearDraft];
+};
+
+// --- Service worker ---
+
+// Registers the app-shell service worker (public/service-worker.js) so the app opens offline
+export const registerServiceWorker = () => {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+    const register = () => {
+        // Relative to the page, so the app also works when served from a sub-path
+        navigator.serviceWorker.register('./service-worker.js')
+            .catch(error => console.error("Service worker registration failed:", error));
+    };
+    if (document.readyState === 'complete') register();
+    else window.addEventListener('load', register, { once: true });
+};
@@ -0,0 +1,420 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Timestamp } from 'firebase/firestore';
+import { ref as storageRef, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+import { getLocale, translate, useI18n } from './i18n';
+import { useFocusTrap } from './a11y';
+
+// --- Photo Uploads (community posts and stories) ---
+// Photos are resized and re-encoded in the browser before upload, then stored on the post or
+// story as photos: [{ url, path, width, height, alt, takenAt? }].
+
+export const MAX_PHOTOS = 6;
+const MAX_SOURCE_BYTES = 20 * 1024 * 1024;
+// Longest edge after resizing; plenty for the feed and the lightbox
+const MAX_DIMENSION = 1600;
+const JPEG_QUALITY = 0.82;
+
+export class PhotoError extends Error {}
+
+// --- EXIF ---
+// Only the capture date is read from the original file. Everything else (GPS position,
+// camera serial numbers, ...) is dropped when the photo is re-encoded.
+
+const EXIF_HEADER = 0x45786966; // "Exif"
+const TAG_EXIF_IFD = 0x8769;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_DATE_TIME = 0x0132;
+
+const parseExifDate = (view, tiffStart) => {
+    const littleEndian = view.getUint16(tiffStart) === 0x4949; // "II"
+    const uint16 = (offset) => view.getUint16(offset, littleEndian);
+    const uint32 = (offset) => view.getUint32(offset, littleEndian);
+    const findEntry = (ifdStart, tag) => {
+        const entryCount = uint16(ifdStart);
+        for (let i = 0; i < entryCount; i++) {
+            const entry = ifdStart + 2 + i * 12;
+            if (uint16(entry) === tag) return entry;
+        }
+        return null;
+    };
+
+    const ifd0 = tiffStart + uint32(tiffStart + 4);
+    const exifPointer = findEntry(ifd0, TAG_EXIF_IFD);
+    const exifIfd = exifPointer ? tiffStart + uint32(exifPointer + 8) : null;
+    const dateEntry = (exifIfd && findEntry(exifIfd, TAG_DATE_TIME_ORIGINAL)) || findEntry(ifd0, TAG_DATE_TIME);
+    if (!dateEntry) return null;
+
+    // "YYYY:MM:DD HH:MM:SS" in local camera time
+    const text = String.fromCharCode(...new Uint8Array(view.buffer, tiffStart + uint32(dateEntry + 8), 19));
+    const match = text.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/);
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+    return isNaN(date) ? null : date;
+};
+
+export const readCaptureDate = async (file) => {
+    if (file.type !== 'image/jpeg') return null;
+    // The EXIF segment is at most 64 KB and sits right after the start-of-image marker
+    const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+    try {
+        let offset = 2;
+        while (offset + 10 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break; // start of image data
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === EXIF_HEADER) {
+                return parseExifDate(view, offset + 10);
+            }
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    } catch (error) {
+        // Truncated or malformed EXIF: the photo is still usable without a date
+        if (!(error instanceof RangeError)) throw error;
+    }
+    return null;
+};
+
+// --- Resizing ---
+
+const loadImage = async (file) => {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            // Applies the EXIF orientation, which would otherwise be lost with the metadata
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (error) {
+            // Fall back to an <img> element below (older browsers, unusual formats)
+        }
+    }
+    const url = URL.createObjectURL(file);
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        return image;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
+
+// Resizes a picked file and re-encodes it as JPEG. Drawing through a canvas writes a fresh
+// file without any of the original metadata, which is how EXIF is stripped.
+export const preparePhoto = async (file) => {
+    if (!file.type.startsWith('image/')) throw new PhotoError(translate('photos.notAnImage', { name: file.name }));
+    if (file.size > MAX_SOURCE_BYTES) throw new PhotoError(translate('photos.tooLarge', { name: file.name, size: MAX_SOURCE_BYTES / (1024 * 1024) }));
+
+    const [image, capturedAt] = await Promise.all([
+        loadImage(file),
+        readCaptureDate(file).catch(() => null),
+    ]);
+    const scale = Math.min(1, MAX_DIMENSION / Math.max(image.width, image.height));
+    const width = Math.round(image.width * scale);
+    const height = Math.round(image.height * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency; give transparent PNGs a white background instead of black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, 0, 0, width, height);
+    if (image.close) image.close();
+
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => (result ? resolve(result) : reject(new PhotoError(translate('photos.processFailed', { name: file.name })))), 'image/jpeg', JPEG_QUALITY);
+    });
+    return { blob, width, height, capturedAt };
+};
+
+// --- Uploads ---
+
+// Uploads prepared drafts into `folder`, reporting progress (0-1) per draft.
+// Resolves to the photo entries to store on the post or story, in draft order.
+export const uploadPhotos = (storage, folder, drafts, onProgress) => Promise.all(drafts.map(draft => new Promise((resolve, reject) => {
+    const path = `${folder}/${Date.now()}-${draft.id}.jpg`;
+    const task = uploadBytesResumable(storageRef(storage, path), draft.blob, { contentType: 'image/jpeg' });
+
+    task.on('state_changed', (snapshot) => {
+        if (onProgress) onProgress(draft.id, snapshot.bytesTransferred / snapshot.totalBytes);
+    }, reject, () => {
+        getDownloadURL(task.snapshot.ref).then(url => resolve({
+            url,
+            path,
+            width: draft.width,
+            height: draft.height,
+            alt: draft.alt.trim(),
+            // The capture date is only kept when the uploader leaves it switched on
+            ...(draft.keepDate && draft.capturedAt ? { takenAt: Timestamp.fromDate(draft.capturedAt) } : {}),
+        }), reject);
+    });
+})));
+
+// Best-effort removal of uploaded files (e.g. when a post is deleted)
+export const deletePhotos = (storage, photos) => Promise.allSettled(
+    (photos || []).filter(photo => photo.path).map(photo => deleteObject(storageRef(storage, photo.path)))
+);
+
+// Picked photos waiting to be uploaded. Each draft is
+// { id, name, status: 'processing'|'ready'|'error', error, blob, previewUrl, width, height,
+//   capturedAt, keepDate, alt, progress }.
+export const usePhotoDrafts = (maxPhotos = MAX_PHOTOS) => {
+    const [drafts, setDrafts] = useState([]);
+    const draftsRef = useRef(drafts);
+    draftsRef.current = drafts;
+
+    // Release preview URLs when the form goes away
+    useEffect(() => () => {
+        draftsRef.current.forEach(draft => draft.previewUrl && URL.revokeObjectURL(draft.previewUrl));
+    }, []);
+
+    const updateDraft = (id, changes) => {
+        setDrafts(prev => prev.map(draft => (draft.id === id ? { ...draft, ...changes } : draft)));
+    };
+
+    const addFiles = (files) => {
+        const picked = Array.from(files).slice(0, Math.max(0, maxPhotos - draftsRef.current.length));
+        const newDrafts = picked.map(file => ({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: file.name,
+            status: 'processing',
+            alt: '',
+            keepDate: true,
+            progress: null,
+        }));
+        setDrafts(prev => [...prev, ...newDrafts]);
+
+        picked.forEach((file, index) => {
+            const { id } = newDrafts[index];
+            preparePhoto(file)
+                .then(photo => updateDraft(id, { ...photo, previewUrl: URL.createObjectURL(photo.blob), status: 'ready' }))
+                .catch(error => {
+                    console.error("Error preparing photo:", error);
+                    updateDraft(id, { status: 'error', error: error instanceof PhotoError ? error.message : translate('photos.readFailed', { name: file.name }) });
+                });
+        });
+    };
+
+    const removeDraft = (id) => {
+        const draft = drafts.find(item => item.id === id);
+        if (draft?.previewUrl) URL.revokeObjectURL(draft.previewUrl);
+        setDrafts(prev => prev.filter(item => item.id !== id));
+    };
+
+    const clear = () => {
+        drafts.forEach(draft => draft.previewUrl && URL.revokeObjectURL(draft.previewUrl));
+        setDrafts([]);
+    };
+
+    const readyDrafts = drafts.filter(draft => draft.status === 'ready');
+
+    return {
+        drafts,
+        maxPhotos,
+        addFiles,
+        updateDraft,
+        removeDraft,
+        clear,
+        isProcessing: drafts.some(draft => draft.status === 'processing'),
+        hasPhotos: readyDrafts.length > 0,
+        upload: (storage, folder) => uploadPhotos(storage, folder, readyDrafts, (id, progress) => updateDraft(id, { progress })),
+    };
+};
+
+// Picker with previews, alt text, capture date choice and upload progress for usePhotoDrafts()
+export const PhotoPicker = ({ photoDrafts, disabled }) => {
+    const inputRef = useRef(null);
+    const { t } = useI18n();
+    const { drafts, maxPhotos, addFiles, updateDraft, removeDraft } = photoDrafts;
+
+    return (
+        <div className="mb-3">
+            {drafts.length > 0 && (
+                <ul className="grid grid-cols-2 sm:grid-cols-3 gap-2 mb-2">
+                    {drafts.map(draft => (
+                        <li key={draft.id} className="relative border border-gray-200 rounded-lg p-1.5 text-xs">
+                            {draft.status === 'processing' && (
+                                <div className="h-24 flex items-center justify-center text-gray-400">{t('photos.preparing')}</div>
+                            )}
+                            {draft.status === 'error' && (
+                                <div className="h-24 flex items-center justify-center text-center text-red-500 px-1">{draft.error}</div>
+                            )}
+                            {draft.status === 'ready' && (
+                                <>
+                                    <img src={draft.previewUrl} alt={draft.alt || draft.name} className="w-full h-24 object-cover rounded" />
+                                    <input
+                                        type="text"
+                                        value={draft.alt}
+                                        onChange={(e) => updateDraft(draft.id, { alt: e.target.value })}
+                                        placeholder={t('photos.describe')}
+                                        aria-label={t('photos.altFor', { name: draft.name })}
+                                        maxLength={250}
+                                        className="w-full mt-1 p-1 border border-gray-300 rounded"
+                                        disabled={disabled}
+                                    />
+                                    {draft.capturedAt && (
+                                        <label className="flex items-center mt-1 text-gray-600">
+                                            <input
+                                                type="checkbox"
+                                                className="mr-1"
+                                                checked={draft.keepDate}
+                                                onChange={(e) => updateDraft(draft.id, { keepDate: e.target.checked })}
+                                                disabled={disabled}
+                                            />
+                                            {t('photos.showDateTaken', { date: draft.capturedAt.toLocaleDateString(getLocale()) })}
+                                        </label>
+                                    )}
+                                    {draft.progress !== null && (
+                                        <div className="h-1.5 mt-1 bg-gray-200 rounded-full overflow-hidden" role="progressbar" aria-label={t('photos.uploading', { name: draft.name })} aria-valuenow={Math.round(draft.progress * 100)} aria-valuemin="0" aria-valuemax="100">
+                                            <div className="h-full bg-green-500 transition-all" style={{ width: `${Math.round(draft.progress * 100)}%` }} />
+                                        </div>
+                                    )}
+                                </>
+                            )}
+                            {!disabled && (
+                                <button
+                                    type="button"
+                                    onClick={() => removeDraft(draft.id)}
+                                    className="absolute top-0.5 right-0.5 w-6 h-6 bg-white bg-opacity-90 rounded-full text-gray-600 hover:text-red-600 font-bold"
+                                    aria-label={t('photos.remove', { name: draft.name })}
+                                >
+                                    ×
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <input
+                ref={inputRef}
+                type="file"
+                accept="image/*"
+                multiple
+                className="hidden"
+                onChange={(e) => {
+                    addFiles(e.target.files);
+                    e.target.value = ''; // allow picking the same file again
+                }}
+            />
+            <button
+                type="button"
+                onClick={() => inputRef.current?.click()}
+                disabled={disabled || drafts.length >= maxPhotos}
+                className="text-sm font-semibold text-green-700 hover:underline disabled:text-gray-400 disabled:no-underline"
+            >
+                {t('photos.add', { count: drafts.length, max: maxPhotos })}
+            </button>
+        </div>
+    );
+};
+
+// --- Gallery and Lightbox ---
+
+const formatTakenAt = (takenAt) => (takenAt?.toDate ? takenAt.toDate().toLocaleDateString(getLocale()) : null);
+
+// Modal photo viewer: Escape closes it, arrow keys move between photos and Tab stays inside
+export const Lightbox = ({ photos, index, onIndexChange, onClose }) => {
+    const { t } = useI18n();
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+    const photo = photos[index];
+    const hasMany = photos.length > 1;
+    const showPrevious = () => onIndexChange((index - 1 + photos.length) % photos.length);
+    const showNext = () => onIndexChange((index + 1) % photos.length);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            if (hasMany && e.key === 'ArrowLeft') showPrevious();
+            if (hasMany && e.key === 'ArrowRight') showNext();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    });
+
+    if (!photo) return null;
+    const takenAt = formatTakenAt(photo.takenAt);
+
+    return (
+        <div
+            ref={dialogRef}
+            className="fixed inset-0 bg-black bg-opacity-90 z-50 flex flex-col items-center justify-center p-4"
+            role="dialog"
+            aria-modal="true"
+            aria-label={t('photos.viewer')}
+            tabIndex={-1}
+            onClick={onClose}
+        >
+            <button onClick={onClose} className="absolute top-3 right-4 text-white text-3xl leading-none" aria-label={t('photos.closeViewer')}>×</button>
+            <img
+                src={photo.url}
+                alt={photo.alt || ''}
+                className="max-w-full max-h-[80vh] object-contain"
+                onClick={(e) => e.stopPropagation()}
+            />
+            <div className="mt-3 text-center text-sm text-gray-200 max-w-xl" onClick={(e) => e.stopPropagation()}>
+                {photo.alt && <p>{photo.alt}</p>}
+                <p className="text-xs text-gray-400 mt-1" aria-live="polite">
+                    {hasMany && t('photos.position', { index: index + 1, total: photos.length })}
+                    {hasMany && takenAt && ' · '}
+                    {takenAt && t('photos.taken', { date: takenAt })}
+                </p>
+            </div>
+            {hasMany && (
+                <>
+                    <button
+                        onClick={(e) => { e.stopPropagation(); showPrevious(); }}
+                        className="absolute left-2 top-1/2 -translate-y-1/2 text-white text-4xl px-3 py-2 hover:bg-white hover:bg-opacity-10 rounded"
+                        aria-label={t('photos.previous')}
+                    >
+                        ‹
+                    </button>
+                    <button
+                        onClick={(e) => { e.stopPropagation(); showNext(); }}
+                        className="absolute right-2 top-1/2 -translate-y-1/2 text-white text-4xl px-3 py-2 hover:bg-white hover:bg-opacity-10 rounded"
+                        aria-label={t('photos.next')}
+                    >
+                        ›
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+// Thumbnail grid that opens the lightbox
+export const PhotoGallery = ({ photos }) => {
+    const { t } = useI18n();
+    const [openIndex, setOpenIndex] = useState(null);
+    if (!photos || photos.length === 0) return null;
+
+    const columns = photos.length === 1 ? 'grid-cols-1' : photos.length === 2 ? 'grid-cols-2' : 'grid-cols-3';
+
+    return (
+        <>
+            <div className={`grid ${columns} gap-1.5 mb-3`}>
+                {photos.map((photo, index) => (
+                    <button
+                        key={photo.path || photo.url}
+                        onClick={() => setOpenIndex(index)}
+                        className="block overflow-hidden rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                        aria-label={photo.alt
+                            ? t('photos.openDescribed', { index: index + 1, total: photos.length, alt: photo.alt })
+                            : t('photos.open', { index: index + 1, total: photos.length })}
+                    >
+                        <img
+                            src={photo.url}
+                            alt={photo.alt || ''}
+                            loading="lazy"
+                            className={`w-full object-cover hover:opacity-90 transition-opacity ${photos.length === 1 ? 'max-h-96' : 'h-32 sm:h-40'}`}
+                        />
+                    </button>
+                ))}
+            </div>
+            {openIndex !== null && (
+                <Lightbox photos={photos} index={openIndex} onIndexChange={setOpenIndex} onClose={() => setOpenIndex(null)} />
+            )}
+        </>
+    );
+};
@@ -0,0 +1,216 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { doc, collection, query, where, onSnapshot, setDoc, deleteDoc, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { PRESENCE_PATH, presencePath } from './data';
+import { useFirebase } from './firebase';
+import { useOnlineStatus } from './offline';
+import { Avatar, profileAlias, profileUrl, useProfiles } from './profiles';
+import { useI18n } from './i18n';
+
+// --- Presence ---
+// Every open page keeps its explorer's presence document fresh with a heartbeat. An explorer is
+// online while their last heartbeat is recent, so a closed laptop or a crashed tab simply
+// expires instead of staying "online" forever. The same document says which story or post the
+// explorer is looking at and which comment thread they're typing in. It's all plain Firestore,
+// so it works the same against the local emulator.
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// Three missed heartbeats (background tabs may be throttled to one timer a minute)
+const PRESENCE_TIMEOUT_MS = 3 * HEARTBEAT_INTERVAL_MS;
+// "typing…" stays up this long after the last keystroke
+const TYPING_TIMEOUT_MS = 6 * 1000;
+// While typing continues, the typing timestamp is refreshed at most this often
+const TYPING_REFRESH_MS = 3 * 1000;
+
+const toMillis = (timestamp) => (timestamp?.toMillis ? timestamp.toMillis() : 0);
+
+const isTypingIn = (entry, threadKey, now) => (
+    entry.typingIn === threadKey && now - toMillis(entry.typingAt) < TYPING_TIMEOUT_MS
+);
+
+// Fire-and-forget: presence is best effort and must never surface as an error (or as a pending
+// change in the sync status)
+const writePresence = (db, userId, fields) => {
+    setDoc(doc(db, presencePath(userId)), fields, { merge: true })
+        .catch(error => console.error("Error updating presence:", error));
+};
+
+const PresenceContext = createContext(null);
+
+export const PresenceProvider = ({ children }) => {
+    const { db, userId } = useFirebase();
+    const isOnline = useOnlineStatus();
+    const [entries, setEntries] = useState([]);
+    const [now, setNow] = useState(() => Date.now());
+    const [viewing, setViewing] = useState(null);
+    const typingRef = useRef({ threadKey: null, sentAt: 0, timer: null });
+
+    // Heartbeat: immediately, then on an interval and whenever the page becomes visible again.
+    // Skipped while offline so heartbeats don't pile up in the write queue.
+    useEffect(() => {
+        if (!db || !userId || !isOnline) return;
+        const beat = () => writePresence(db, userId, { userId, lastSeen: serverTimestamp(), viewing });
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') beat();
+        };
+        // Leaving the page: go offline at once rather than after the timeout
+        const handlePageHide = () => {
+            deleteDoc(doc(db, presencePath(userId))).catch(() => {});
+        };
+
+        beat();
+        const interval = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        window.addEventListener('pagehide', handlePageHide);
+        return () => {
+            clearInterval(interval);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            window.removeEventListener('pagehide', handlePageHide);
+        };
+    }, [db, userId, isOnline, viewing]);
+
+    // The expiry window moves with the clock, so the query is renewed on every heartbeat
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), HEARTBEAT_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, []);
+
+    useEffect(() => {
+        if (!db) return;
+        const recent = query(collection(db, PRESENCE_PATH), where('lastSeen', '>', Timestamp.fromMillis(now - PRESENCE_TIMEOUT_MS)));
+        return onSnapshot(recent, (snapshot) => {
+            setEntries(snapshot.docs.map(docSnap => ({ userId: docSnap.id, ...docSnap.data({ serverTimestamps: 'estimate' }) })));
+        }, (error) => console.error("Error fetching presence:", error));
+    }, [db, now]);
+
+    const stopTyping = useCallback(() => {
+        const typing = typingRef.current;
+        clearTimeout(typing.timer);
+        if (!typing.threadKey || !db || !userId) return;
+        typing.threadKey = null;
+        writePresence(db, userId, { typingIn: null, typingAt: null });
+    }, [db, userId]);
+
+    const stopTypingRef = useRef(stopTyping);
+    stopTypingRef.current = stopTyping;
+
+    // Called on every keystroke in a comment box; only writes when the thread changes or the
+    // last typing timestamp is getting old
+    const notifyTyping = useCallback((threadKey) => {
+        if (!db || !userId || !isOnline) return;
+        const typing = typingRef.current;
+        const sentAt = Date.now();
+        if (typing.threadKey !== threadKey || sentAt - typing.sentAt > TYPING_REFRESH_MS) {
+            writePresence(db, userId, { typingIn: threadKey, typingAt: serverTimestamp() });
+            typing.threadKey = threadKey;
+            typing.sentAt = sentAt;
+        }
+        clearTimeout(typing.timer);
+        typing.timer = setTimeout(() => stopTypingRef.current(), TYPING_TIMEOUT_MS);
+    }, [db, userId, isOnline]);
+
+    // Others only: this explorer is always online while the page is open, even before their own
+    // heartbeat has been confirmed by the server
+    const others = entries.filter(entry => entry.userId !== userId);
+
+    const value = {
+        userId,
+        others,
+        onlineCount: others.length + (userId ? 1 : 0),
+        setViewing,
+        notifyTyping,
+        stopTyping,
+    };
+
+    return <PresenceContext.Provider value={value}>{children}</PresenceContext.Provider>;
+};
+
+// { userId, others, onlineCount, setViewing, notifyTyping(threadKey), stopTyping() }
+export const usePresence = () => {
+    const context = useContext(PresenceContext);
+    if (!context) throw new Error('usePresence must be used inside <PresenceProvider>');
+    return context;
+};
+
+// Announces what this page shows (a story or post document path) for as long as it's mounted
+export const useViewing = (targetPath) => {
+    const { setViewing } = usePresence();
+
+    useEffect(() => {
+        setViewing(targetPath || null);
+        return () => setViewing(null);
+    }, [targetPath, setViewing]);
+};
+
+// --- Components ---
+
+// Header count of explorers online now
+export const OnlineCount = () => {
+    const { onlineCount } = usePresence();
+    const { t } = useI18n();
+    return (
+        <span className="text-sm text-gray-600 flex items-center font-medium" title={t('presence.onlineTitle')}>
+            <span className="w-2 h-2 mr-1.5 rounded-full bg-green-500" aria-hidden="true" />
+            {t('presence.online', { count: onlineCount })}
+        </span>
+    );
+};
+
+const MAX_VIEWER_AVATARS = 5;
+
+// Avatars of the other explorers looking at the same story right now
+export const Viewers = ({ db, targetPath }) => {
+    const { others } = usePresence();
+    const viewerIds = others.filter(entry => entry.viewing === targetPath).map(entry => entry.userId);
+    const profiles = useProfiles(db, viewerIds);
+    const { t } = useI18n();
+
+    if (viewerIds.length === 0) return null;
+    const hiddenCount = viewerIds.length - MAX_VIEWER_AVATARS;
+
+    return (
+        <div className="flex items-center text-xs text-gray-500 mb-4">
+            <div className="flex -space-x-2 mr-2">
+                {viewerIds.slice(0, MAX_VIEWER_AVATARS).map(uid => (
+                    <a key={uid} href={profileUrl(uid)} title={profileAlias(profiles[uid], uid)} className="ring-2 ring-white rounded-full">
+                        <Avatar profile={profiles[uid]} uid={uid} size="sm" />
+                    </a>
+                ))}
+                {hiddenCount > 0 && (
+                    <span className="w-6 h-6 rounded-full bg-gray-200 text-gray-600 ring-2 ring-white flex items-center justify-center font-semibold">+{hiddenCount}</span>
+                )}
+            </div>
+            {t('presence.viewing', { count: viewerIds.length })}
+        </div>
+    );
+};
+
+const typingLabel = (t, aliases) => {
+    if (aliases.length === 1) return t('presence.typingOne', { name: aliases[0] });
+    if (aliases.length === 2) return t('presence.typingTwo', { first: aliases[0], second: aliases[1] });
+    return t('presence.typingMany', { count: aliases.length });
+};
+
+// "Simba is typing…" under a comment box; threadKey is the story or post document path
+export const TypingIndicator = ({ db, threadKey }) => {
+    const { others } = usePresence();
+    const [, setTick] = useState(0);
+    const now = Date.now();
+    const typingIds = others.filter(entry => isTypingIn(entry, threadKey, now)).map(entry => entry.userId);
+    const profiles = useProfiles(db, typingIds);
+    const { t } = useI18n();
+    const isAnyoneTyping = typingIds.length > 0;
+
+    // Re-check while someone is typing, so the indicator goes away even if their "stopped
+    // typing" update never arrives
+    useEffect(() => {
+        if (!isAnyoneTyping) return;
+        const interval = setInterval(() => setTick(tick => tick + 1), 1000);
+        return () => clearInterval(interval);
+    }, [isAnyoneTyping]);
+
+    return (
+        <p className="text-xs text-gray-500 italic h-4 mt-1" aria-live="polite">
+            {isAnyoneTyping ? typingLabel(t, typingIds.map(uid => profileAlias(profiles[uid], uid))) : ''}
+        </p>
+    );
+};
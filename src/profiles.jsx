@@ -0,0 +1,573 @@
+import React, { useState, useEffect } from 'react';
+import { doc, getDoc, getDocs, onSnapshot, collection, collectionGroup, query, where, orderBy, limit, runTransaction, serverTimestamp, documentId, Timestamp } from 'firebase/firestore';
+import { ref as storageRef, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { PROFILES_PATH, POSTS_PATH, STORY_COMMENTS_PATH, profilePath, aliasPath, legacyProfileDocPath, avatarFolder } from './data';
+import { getLocale, translate, useI18n } from './i18n';
+
+// --- Explorer Profiles (shared by the stories and the community feed) ---
+
+// Wildlife names used for generated aliases and avatar icons
+export const ALIASES = [
+    "Rhino", "Leopard", "Acacia", "Savannah", "Kudu", "Cheetah", "Zebra", "Gazelle",
+    "Lion", "Elephant", "Buffalo", "Warthog", "Hyena", "Vulture", "Egret", "Ostrich"
+];
+
+// Generated avatar icons: one emoji and background colour per alias animal
+export const WILDLIFE_AVATARS = {
+    Rhino: { emoji: '🦏', color: 'bg-stone-400' },
+    Leopard: { emoji: '🐆', color: 'bg-amber-500' },
+    Acacia: { emoji: '🌳', color: 'bg-green-600' },
+    Savannah: { emoji: '🌾', color: 'bg-yellow-500' },
+    Kudu: { emoji: '🦌', color: 'bg-orange-400' },
+    Cheetah: { emoji: '🐆', color: 'bg-yellow-600' },
+    Zebra: { emoji: '🦓', color: 'bg-gray-700' },
+    Gazelle: { emoji: '🦌', color: 'bg-orange-300' },
+    Lion: { emoji: '🦁', color: 'bg-amber-600' },
+    Elephant: { emoji: '🐘', color: 'bg-slate-500' },
+    Buffalo: { emoji: '🐃', color: 'bg-stone-600' },
+    Warthog: { emoji: '🐗', color: 'bg-rose-400' },
+    Hyena: { emoji: '🐕', color: 'bg-neutral-500' },
+    Vulture: { emoji: '🦅', color: 'bg-zinc-600' },
+    Egret: { emoji: '🕊️', color: 'bg-sky-400' },
+    Ostrich: { emoji: '🐦', color: 'bg-emerald-500' },
+};
+
+export const ALIAS_MIN_LENGTH = 3;
+export const ALIAS_MAX_LENGTH = 30;
+export const BIO_MAX_LENGTH = 160;
+const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+
+// Public profile documents live at profilePath(uid). The alias index (one document per
+// lower-cased alias, aliasPath(aliasKey) -> { userId }) guarantees uniqueness.
+
+export const profileUrl = (uid) => `#/profile/${encodeURIComponent(uid)}`;
+
+// Thrown for problems the user can fix (invalid or taken names, oversized images)
+export class ProfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProfileError';
+    }
+}
+
+export const defaultAlias = (uid) => `Explorer ${(uid || '').substring(0, 8)}`;
+
+export const aliasKey = (alias) => alias.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Returns an error message (in the app's language) for an invalid alias, or null when it is acceptable
+export const validateAlias = (alias) => {
+    const trimmed = (alias || '').trim();
+    if (trimmed.length < ALIAS_MIN_LENGTH) return translate('profiles.aliasTooShort', { min: ALIAS_MIN_LENGTH });
+    if (trimmed.length > ALIAS_MAX_LENGTH) return translate('profiles.aliasTooLong', { max: ALIAS_MAX_LENGTH });
+    if (!/^[\p{L}\p{N}][\p{L}\p{N} _.'-]*$/u.test(trimmed)) return translate('profiles.aliasCharacters');
+    if (/kairu/i.test(trimmed)) return translate('profiles.aliasReserved');
+    return null;
+};
+
+// Picks a stable icon for users who have not chosen an avatar
+const iconForUser = (uid) => {
+    const hash = [...(uid || '')].reduce((total, char) => (total * 31 + char.charCodeAt(0)) % 9973, 7);
+    return ALIASES[hash % ALIASES.length];
+};
+
+export const profileAlias = (profile, uid) => profile?.alias || defaultAlias(uid);
+
+// Saves profile changes. Alias changes claim the new name in the alias index and release
+// the old one inside the same transaction, so two explorers can never end up with the same name.
+export const saveProfile = (db, uid, changes) => runTransaction(db, async (transaction) => {
+    const profileRef = doc(db, profilePath(uid));
+    const profileSnap = await transaction.get(profileRef);
+    const current = profileSnap.exists() ? profileSnap.data() : null;
+    const updates = { ...changes, userId: uid, updatedAt: serverTimestamp() };
+
+    if (changes.bio !== undefined && changes.bio.length > BIO_MAX_LENGTH) {
+        throw new ProfileError(translate('profiles.bioTooLong', { max: BIO_MAX_LENGTH }));
+    }
+
+    if (changes.alias !== undefined) {
+        const alias = changes.alias.trim();
+        const validationError = validateAlias(alias);
+        if (validationError) throw new ProfileError(validationError);
+
+        const key = aliasKey(alias);
+        const aliasRef = doc(db, aliasPath(key));
+        const aliasSnap = await transaction.get(aliasRef);
+        if (aliasSnap.exists() && aliasSnap.data().userId !== uid) {
+            throw new ProfileError(translate('profiles.aliasTaken', { alias }));
+        }
+
+        if (current?.aliasKey && current.aliasKey !== key) {
+            transaction.delete(doc(db, aliasPath(current.aliasKey)));
+        }
+        transaction.set(aliasRef, { userId: uid });
+        updates.alias = alias;
+        updates.aliasKey = key;
+    }
+
+    if (!current) updates.createdAt = serverTimestamp();
+    transaction.set(profileRef, updates, { merge: true });
+    return { ...current, ...updates };
+});
+
+export const isAliasAvailable = async (db, alias, uid) => {
+    const aliasSnap = await getDoc(doc(db, aliasPath(aliasKey(alias))));
+    return !aliasSnap.exists() || aliasSnap.data().userId === uid;
+};
+
+// Loads the user's profile, creating one on first visit. Aliases assigned by the old
+// story app are carried over; otherwise a random "Explorer <Animal>" name is claimed.
+export const ensureProfile = async (db, uid) => {
+    const profileSnap = await getDoc(doc(db, profilePath(uid)));
+    if (profileSnap.exists() && profileSnap.data().alias) return profileSnap.data();
+
+    const legacySnap = await getDoc(doc(db, legacyProfileDocPath(uid)));
+    const candidates = legacySnap.exists() && legacySnap.data().alias ? [legacySnap.data().alias] : [];
+    const animal = ALIASES[Math.floor(Math.random() * ALIASES.length)];
+    candidates.push(`Explorer ${animal}`);
+    // Popular animals fill up quickly; fall back to numbered variants
+    for (let attempt = 0; attempt < 4; attempt++) {
+        candidates.push(`Explorer ${animal} ${Math.floor(100 + Math.random() * 900)}`);
+    }
+
+    for (const alias of candidates) {
+        try {
+            return await saveProfile(db, uid, { alias, avatar: { type: 'icon', icon: iconForUser(uid) } });
+        } catch (e) {
+            if (!(e instanceof ProfileError)) throw e;
+        }
+    }
+    return { userId: uid, alias: defaultAlias(uid) };
+};
+
+export const uploadAvatar = async (storage, uid, file) => {
+    if (!file.type.startsWith('image/')) throw new ProfileError(translate('profiles.notAnImage'));
+    if (file.size > AVATAR_MAX_BYTES) throw new ProfileError(translate('profiles.avatarTooLarge'));
+
+    const avatarRef = storageRef(storage, `${avatarFolder(uid)}/${Date.now()}-${file.name}`);
+    await uploadBytes(avatarRef, file, { contentType: file.type });
+    return { type: 'upload', url: await getDownloadURL(avatarRef) };
+};
+
+// --- Profile Cache ---
+// Comment lists re-render on every snapshot (e.g. each reaction), so profile lookups go through
+// an in-memory cache: unknown IDs are fetched in batched `in` queries, entries expire after a
+// TTL, and a live listener on recently updated profiles refreshes entries as soon as they change.
+
+const PROFILE_CACHE_TTL_MS = 5 * 60 * 1000;
+// Firestore allows at most 30 values in an `in` filter
+const IN_QUERY_BATCH_SIZE = 30;
+
+const profileCache = new Map(); // uid -> { profile, fetchedAt }
+const pendingFetches = new Map(); // uid -> Promise that settles once the uid's batch is cached
+const cacheListeners = new Set();
+let profileWatch = null; // { db, unsubscribe }
+
+const cacheProfile = (uid, profile) => {
+    profileCache.set(uid, { profile, fetchedAt: Date.now() });
+};
+
+const notifyCacheListeners = (uids) => {
+    cacheListeners.forEach(listener => listener(uids));
+};
+
+const isFresh = (uid) => {
+    const entry = profileCache.get(uid);
+    return !!entry && Date.now() - entry.fetchedAt < PROFILE_CACHE_TTL_MS;
+};
+
+// Cached profile (or null) without triggering a fetch
+export const getCachedProfile = (uid) => profileCache.get(uid)?.profile || null;
+
+// Subscribes to profiles edited during this session so cached aliases/avatars never go stale
+const watchProfileUpdates = (db) => {
+    if (profileWatch?.db === db) return;
+    profileWatch?.unsubscribe();
+
+    const recentUpdates = query(collection(db, PROFILES_PATH), where('updatedAt', '>', Timestamp.now()));
+    const unsubscribe = onSnapshot(recentUpdates, (snapshot) => {
+        const changed = snapshot.docChanges().map(change => {
+            cacheProfile(change.doc.id, change.type === 'removed' ? null : change.doc.data());
+            return change.doc.id;
+        });
+        if (changed.length > 0) notifyCacheListeners(changed);
+    }, (error) => {
+        console.error("Error watching profile updates:", error);
+    });
+
+    profileWatch = { db, unsubscribe };
+};
+
+const fetchProfileBatch = async (db, batch) => {
+    try {
+        const snapshot = await getDocs(query(collection(db, PROFILES_PATH), where(documentId(), 'in', batch)));
+        const found = new Map(snapshot.docs.map(docSnap => [docSnap.id, docSnap.data()]));
+        // Users without a profile are cached too, so their fallback alias doesn't trigger refetches
+        batch.forEach(uid => cacheProfile(uid, found.get(uid) || null));
+    } catch (e) {
+        console.error("Error loading profiles:", e);
+    } finally {
+        batch.forEach(uid => pendingFetches.delete(uid));
+    }
+};
+
+// Looks up profiles for a set of user IDs. Returns a { [uid]: profile } map.
+export const fetchProfiles = async (db, uids) => {
+    const uniqueIds = [...new Set(uids.filter(Boolean))];
+    const missing = uniqueIds.filter(uid => !isFresh(uid) && !pendingFetches.has(uid));
+
+    for (let i = 0; i < missing.length; i += IN_QUERY_BATCH_SIZE) {
+        const batch = missing.slice(i, i + IN_QUERY_BATCH_SIZE);
+        const request = fetchProfileBatch(db, batch);
+        batch.forEach(uid => pendingFetches.set(uid, request));
+    }
+
+    await Promise.all(uniqueIds.map(uid => pendingFetches.get(uid)).filter(Boolean));
+    return Object.fromEntries(uniqueIds.map(uid => [uid, getCachedProfile(uid)]));
+};
+
+// Profiles whose alias starts with `prefix` (case-insensitive), for @mention suggestions
+export const searchProfilesByAlias = async (db, prefix, maxResults = 6) => {
+    const key = aliasKey(prefix || '');
+    const constraints = key
+        ? [where('aliasKey', '>=', key), where('aliasKey', '<=', `${key}\uf8ff`), orderBy('aliasKey'), limit(maxResults)]
+        : [orderBy('aliasKey'), limit(maxResults)];
+
+    const snapshot = await getDocs(query(collection(db, PROFILES_PATH), ...constraints));
+    return snapshot.docs.map(docSnap => {
+        cacheProfile(docSnap.id, docSnap.data());
+        return docSnap.data();
+    });
+};
+
+// --- Hooks ---
+
+// Live profile of a single user
+export const useProfile = (db, uid) => {
+    const [profile, setProfile] = useState(null);
+
+    useEffect(() => {
+        if (!db || !uid) return;
+        return onSnapshot(doc(db, profilePath(uid)), (profileSnap) => {
+            setProfile(profileSnap.exists() ? profileSnap.data() : null);
+        }, (error) => {
+            console.error("Error fetching profile:", error);
+        });
+    }, [db, uid]);
+
+    return profile;
+};
+
+// Profiles for a list of user IDs, as a { [uid]: profile } map. Served from the shared
+// cache; only IDs that are unknown or expired cause a (batched) fetch.
+export const useProfiles = (db, uids) => {
+    const idsKey = [...new Set(uids.filter(Boolean))].sort().join(',');
+    const [profiles, setProfiles] = useState(() => (
+        Object.fromEntries(idsKey ? idsKey.split(',').map(uid => [uid, getCachedProfile(uid)]) : [])
+    ));
+
+    useEffect(() => {
+        if (!db || !idsKey) return;
+        const ids = idsKey.split(',');
+        let cancelled = false;
+
+        watchProfileUpdates(db);
+        fetchProfiles(db, ids).then((fetched) => {
+            if (!cancelled) setProfiles(fetched);
+        });
+
+        // Re-render when a watched profile changes elsewhere (e.g. the user edits their alias)
+        const handleCacheUpdate = (changedIds) => {
+            if (changedIds.some(uid => ids.includes(uid))) {
+                setProfiles(Object.fromEntries(ids.map(uid => [uid, getCachedProfile(uid)])));
+            }
+        };
+        cacheListeners.add(handleCacheUpdate);
+
+        return () => {
+            cancelled = true;
+            cacheListeners.delete(handleCacheUpdate);
+        };
+    }, [db, idsKey]);
+
+    return profiles;
+};
+
+// --- Components ---
+
+const AVATAR_SIZES = {
+    sm: 'w-6 h-6 text-sm',
+    md: 'w-8 h-8 text-lg',
+    lg: 'w-20 h-20 text-4xl',
+};
+
+export const Avatar = ({ profile, uid, size = 'md' }) => {
+    const sizeClass = AVATAR_SIZES[size] || AVATAR_SIZES.md;
+    const alias = profileAlias(profile, uid);
+
+    if (profile?.avatar?.type === 'upload' && profile.avatar.url) {
+        return <img src={profile.avatar.url} alt={alias} className={`${sizeClass} rounded-full object-cover flex-shrink-0`} />;
+    }
+
+    const icon = WILDLIFE_AVATARS[profile?.avatar?.icon] || WILDLIFE_AVATARS[iconForUser(uid)];
+    return (
+        <span className={`${sizeClass} ${icon.color} rounded-full flex items-center justify-center flex-shrink-0`} role="img" aria-label={alias}>
+            {icon.emoji}
+        </span>
+    );
+};
+
+// Clickable alias that opens the user's profile page
+export const ProfileLink = ({ profile, uid, className = '' }) => (
+    <a href={profileUrl(uid)} className={`hover:underline ${className}`}>{profileAlias(profile, uid)}</a>
+);
+
+const ProfileEditor = ({ db, storage, uid, profile, onDone }) => {
+    const { t } = useI18n();
+    const [alias, setAlias] = useState(profileAlias(profile, uid));
+    const [bio, setBio] = useState(profile?.bio || '');
+    const [avatar, setAvatar] = useState(profile?.avatar || { type: 'icon', icon: iconForUser(uid) });
+    const [aliasStatus, setAliasStatus] = useState(null);
+    const [isUploading, setIsUploading] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Debounced availability check while typing
+    useEffect(() => {
+        const validationError = validateAlias(alias);
+        if (validationError) {
+            setAliasStatus(validationError);
+            return;
+        }
+        if (aliasKey(alias) === profile?.aliasKey) {
+            setAliasStatus(null);
+            return;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const available = await isAliasAvailable(db, alias, uid);
+                if (!cancelled) setAliasStatus(available ? 'available' : t('profiles.aliasTaken', { alias: alias.trim() }));
+            } catch (e) {
+                console.error("Error checking alias:", e);
+            }
+        }, 400);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [db, uid, alias, profile?.aliasKey, t]);
+
+    const handleUpload = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file || !storage) return;
+
+        setIsUploading(true);
+        setError(null);
+        try {
+            setAvatar(await uploadAvatar(storage, uid, file));
+        } catch (err) {
+            console.error("Avatar upload failed:", err);
+            setError(err instanceof ProfileError ? err.message : t('profiles.uploadFailed'));
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError(null);
+        try {
+            await saveProfile(db, uid, { alias, bio: bio.trim(), avatar });
+            onDone();
+        } catch (err) {
+            console.error("Error saving profile:", err);
+            setError(err instanceof ProfileError ? err.message : t('profiles.saveFailed'));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const aliasInvalid = aliasStatus && aliasStatus !== 'available';
+
+    return (
+        <form onSubmit={handleSave} className="space-y-4">
+            <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-1" htmlFor="profile-alias">{t('profiles.displayName')}</label>
+                <input
+                    id="profile-alias"
+                    type="text"
+                    value={alias}
+                    maxLength={ALIAS_MAX_LENGTH}
+                    onChange={(e) => setAlias(e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-emerald-500 focus:border-emerald-500"
+                />
+                {aliasStatus && (
+                    <p className={`text-xs mt-1 ${aliasInvalid ? 'text-red-500' : 'text-emerald-600'}`}>
+                        {aliasInvalid ? aliasStatus : t('profiles.aliasAvailable')}
+                    </p>
+                )}
+            </div>
+
+            <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-1" htmlFor="profile-bio">{t('profiles.bio')}</label>
+                <textarea
+                    id="profile-bio"
+                    rows="3"
+                    value={bio}
+                    maxLength={BIO_MAX_LENGTH}
+                    onChange={(e) => setBio(e.target.value)}
+                    placeholder={t('profiles.bioPlaceholder')}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-emerald-500 focus:border-emerald-500 resize-none"
+                />
+                <p className="text-xs text-gray-400 text-right">{bio.length}/{BIO_MAX_LENGTH}</p>
+            </div>
+
+            <div>
+                <p className="text-sm font-semibold text-gray-700 mb-2">{t('profiles.avatar')}</p>
+                <div className="flex flex-wrap gap-2 mb-3">
+                    {ALIASES.map(icon => (
+                        <button
+                            key={icon}
+                            type="button"
+                            onClick={() => setAvatar({ type: 'icon', icon })}
+                            className={`rounded-full p-0.5 ${avatar.type === 'icon' && avatar.icon === icon ? 'ring-2 ring-emerald-500' : ''}`}
+                            title={t(`profiles.icon.${icon}`)}
+                        >
+                            <Avatar profile={{ avatar: { type: 'icon', icon }, alias: t(`profiles.icon.${icon}`) }} uid={uid} />
+                        </button>
+                    ))}
+                </div>
+                <div className="flex items-center gap-3">
+                    {avatar.type === 'upload' && <Avatar profile={{ avatar, alias }} uid={uid} />}
+                    <label className="text-sm text-emerald-700 font-semibold cursor-pointer hover:underline">
+                        {isUploading ? t('profiles.uploading') : t('profiles.uploadPhoto')}
+                        <input type="file" accept="image/*" className="hidden" onChange={handleUpload} disabled={isUploading || !storage} />
+                    </label>
+                </div>
+            </div>
+
+            {error && <p className="text-sm text-red-500">{error}</p>}
+
+            <div className="flex justify-end space-x-3">
+                <button type="button" onClick={onDone} className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors">
+                    {t('common.cancel')}
+                </button>
+                <button
+                    type="submit"
+                    disabled={isSaving || isUploading || aliasInvalid}
+                    className="px-4 py-2 text-white font-semibold rounded-lg bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-400 transition-colors"
+                >
+                    {isSaving ? t('common.saving') : t('profiles.saveProfile')}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+const PROFILE_ACTIVITY_LIMIT = 20;
+
+const newestFirst = (a, b) => (b.timestamp?.seconds || 0) - (a.timestamp?.seconds || 0);
+
+const formatActivityTime = (timestamp) => (timestamp?.toDate ? timestamp.toDate().toLocaleString(getLocale()) : translate('time.justNow'));
+
+// Profile page: avatar, alias and bio, plus the user's recent posts and comments (on stories and
+// in the community feed). `linkFor(item)` (optional) turns a post or comment into a URL.
+export const ProfilePage = ({ db, storage, uid, viewerId, linkFor }) => {
+    const { t } = useI18n();
+    const profile = useProfile(db, uid);
+    const [isEditing, setIsEditing] = useState(false);
+    const [posts, setPosts] = useState([]);
+    const [comments, setComments] = useState([]);
+    const isOwnProfile = uid === viewerId;
+
+    useEffect(() => {
+        if (!db || !uid) return;
+        let cancelled = false;
+
+        const visible = (item) => !item.deleted && !item.hidden;
+        const toItems = (snapshot, kind) => snapshot.docs.map(docSnap => ({
+            id: docSnap.id,
+            kind,
+            path: docSnap.ref.path,
+            // Community comments belong to the post two levels up (posts/{postId}/comments/{id})
+            postId: kind === 'post' ? docSnap.id : kind === 'post_comment' ? docSnap.ref.parent.parent?.id : undefined,
+            ...docSnap.data(),
+        }));
+
+        // The newest items of each kind (see firestore.indexes.json for the indexes these need)
+        const latestBy = (source) => query(source, where('userId', '==', uid), orderBy('timestamp', 'desc'), limit(PROFILE_ACTIVITY_LIMIT));
+        Promise.all([
+            getDocs(latestBy(collection(db, POSTS_PATH))),
+            getDocs(latestBy(collection(db, STORY_COMMENTS_PATH))),
+            // Community comments live in per-post subcollections
+            getDocs(latestBy(collectionGroup(db, 'comments'))),
+        ]).then(([postSnap, storyCommentSnap, postCommentSnap]) => {
+            if (cancelled) return;
+            setPosts(toItems(postSnap, 'post').filter(visible).sort(newestFirst));
+            const postComments = toItems(postCommentSnap, 'post_comment')
+                .filter(comment => comment.path.startsWith(`${POSTS_PATH}/`));
+            setComments([...toItems(storyCommentSnap, 'story_comment'), ...postComments].filter(visible).sort(newestFirst));
+        }).catch((error) => {
+            console.error("Error loading profile activity:", error);
+        });
+
+        return () => { cancelled = true; };
+    }, [db, uid]);
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg p-5 sm:p-6 mb-8">
+            {isEditing ? (
+                <ProfileEditor db={db} storage={storage} uid={uid} profile={profile} onDone={() => setIsEditing(false)} />
+            ) : (
+                <div className="flex items-center gap-4 border-b pb-4 mb-4">
+                    <Avatar profile={profile} uid={uid} size="lg" />
+                    <div className="min-w-0 flex-grow">
+                        <h2 className="text-2xl font-bold text-gray-900 break-words">{profileAlias(profile, uid)}</h2>
+                        {profile?.bio && <p className="text-gray-600 mt-1 whitespace-pre-wrap break-words">{profile.bio}</p>}
+                    </div>
+                    {isOwnProfile && (
+                        <button onClick={() => setIsEditing(true)} className="px-3 py-1 text-sm font-semibold bg-emerald-50 text-emerald-700 rounded-full hover:bg-emerald-100 flex-shrink-0">
+                            {t('profiles.editProfile')}
+                        </button>
+                    )}
+                </div>
+            )}
+
+            <h3 className="text-lg font-bold text-gray-800 mb-2">{t('profiles.posts', { count: posts.length })}</h3>
+            {posts.length === 0 && <p className="text-sm text-gray-500 italic mb-4">{t('profiles.noPosts')}</p>}
+            <ul className="space-y-2 mb-6">
+                {posts.map(post => (
+                    <li key={post.id} className="p-3 bg-gray-50 rounded-lg text-sm">
+                        <p className="text-gray-700 whitespace-pre-wrap break-words">{post.content}</p>
+                        <p className="text-xs text-gray-400 mt-1">
+                            {formatActivityTime(post.timestamp)}
+                            {linkFor?.(post) && (
+                                <a href={linkFor(post)} className="ml-1 text-emerald-600 hover:underline">{t('profiles.view')}</a>
+                            )}
+                        </p>
+                    </li>
+                ))}
+            </ul>
+
+            <h3 className="text-lg font-bold text-gray-800 mb-2">{t('profiles.comments', { count: comments.length })}</h3>
+            {comments.length === 0 && <p className="text-sm text-gray-500 italic">{t('profiles.noComments')}</p>}
+            <ul className="space-y-2">
+                {comments.map(comment => (
+                    <li key={comment.path} className="p-3 bg-gray-50 rounded-lg text-sm">
+                        <p className="text-gray-700 whitespace-pre-wrap break-words">{comment.text}</p>
+                        <p className="text-xs text-gray-400 mt-1">
+                            {comment.kind === 'story_comment' ? t('profiles.onStory') : t('profiles.onPost')}
+                            {linkFor?.(comment) && (
+                                <a href={linkFor(comment)} className="ml-1 text-emerald-600 hover:underline">{t('profiles.view')}</a>
+                            )}
+                            {' | '}{formatActivityTime(comment.timestamp)}
+                        </p>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
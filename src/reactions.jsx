@@ -0,0 +1,295 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { doc, collection, getDocs, onSnapshot, query, orderBy, limit, runTransaction, serverTimestamp, increment, arrayRemove } from 'firebase/firestore';
+import { SmilePlus } from 'lucide-react';
+import { reactionsPath } from './data';
+import { useProfiles, Avatar, ProfileLink } from './profiles';
+import { useI18n } from './i18n';
+
+// --- Reactions ---
+// Posts and comments take one reaction per explorer. Each reaction is a document keyed by the
+// explorer's uid in the item's `reactions` subcollection, and the item keeps the totals:
+// reactionCounts: { [type]: n } and reactionTotal, which the Top ranking sorts by.
+// Reaction names are translated as t('reactions.<type>').
+
+export const REACTIONS = [
+    { type: 'heart', emoji: '❤️' },
+    { type: 'lion', emoji: '🦁' },
+    { type: 'wow', emoji: '😮' },
+    { type: 'thanks', emoji: '🙏' },
+    { type: 'earth', emoji: '🌍' },
+];
+
+const REACTION_BY_TYPE = Object.fromEntries(REACTIONS.map(reaction => [reaction.type, reaction]));
+
+// Who reacted: the most recent reactions are listed
+const REACTOR_LIST_LIMIT = 100;
+
+// Post likes and story comment upvotes from before reactions count as hearts, until the
+// explorer reacts again (which replaces them)
+const legacyReactorIds = (item) => [...(item.likes || []), ...(item.upvoters || [])];
+
+// { [type]: n }, legacy likes and upvotes included
+export const reactionCounts = (item) => {
+    const counts = { ...(item.reactionCounts || {}) };
+    const legacyCount = legacyReactorIds(item).length;
+    if (legacyCount) counts.heart = (counts.heart || 0) + legacyCount;
+    return counts;
+};
+
+export const reactionTotal = (item) => (item.reactionTotal || 0) + legacyReactorIds(item).length;
+
+// Sets the explorer's reaction on the item at targetPath; choosing the reaction they already
+// have (or null) takes it back. Resolves to the previous reaction type (or null).
+// The transaction only reads the explorer's own reaction document, so a double click or a second
+// tab can't count twice, while reactions from different explorers never contend: the counters
+// on the item are server-side increments. Like every transaction this needs a connection.
+export const react = (db, targetPath, item, userId, type) => runTransaction(db, async (transaction) => {
+    const reactionRef = doc(db, reactionsPath(targetPath), userId);
+    const reactionSnap = await transaction.get(reactionRef);
+    const isLegacy = legacyReactorIds(item).includes(userId);
+    const previousType = reactionSnap.exists() ? reactionSnap.data().type : isLegacy ? 'heart' : null;
+    const nextType = type === previousType ? null : type;
+    if (!previousType && !nextType) return null;
+
+    const changes = {};
+    let totalChange = 0;
+    if (reactionSnap.exists()) {
+        changes[`reactionCounts.${previousType}`] = increment(-1);
+        totalChange -= 1;
+    }
+    // A legacy like or upvote is replaced by the reaction (the old `upvotes` number isn't read anymore)
+    if (item.likes?.includes(userId)) changes.likes = arrayRemove(userId);
+    if (item.upvoters?.includes(userId)) changes.upvoters = arrayRemove(userId);
+
+    if (nextType) {
+        changes[`reactionCounts.${nextType}`] = increment(1);
+        totalChange += 1;
+        transaction.set(reactionRef, { userId, type: nextType, timestamp: serverTimestamp() });
+    } else if (reactionSnap.exists()) {
+        transaction.delete(reactionRef);
+    }
+    if (totalChange) changes.reactionTotal = increment(totalChange);
+
+    transaction.update(doc(db, targetPath), changes);
+    return previousType;
+});
+
+// The explorer's own reaction type on an item (or null)
+const useOwnReaction = (db, targetPath, userId, item) => {
+    const [ownType, setOwnType] = useState(null);
+    const isLegacyReactor = !!userId && legacyReactorIds(item).includes(userId);
+
+    useEffect(() => {
+        if (!db || !targetPath || !userId) return;
+        return onSnapshot(doc(db, reactionsPath(targetPath), userId), (reactionSnap) => {
+            setOwnType(reactionSnap.exists() ? reactionSnap.data().type : null);
+        }, (error) => console.error("Error fetching reaction:", error));
+    }, [db, targetPath, userId]);
+
+    return ownType || (isLegacyReactor ? 'heart' : null);
+};
+
+// Closes a popover on Escape or a click outside of `ref`
+const useDismiss = (ref, isOpen, onClose) => {
+    useEffect(() => {
+        if (!isOpen) return;
+        const handlePointerDown = (e) => {
+            if (ref.current && !ref.current.contains(e.target)) onClose();
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        document.addEventListener('mousedown', handlePointerDown);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [ref, isOpen, onClose]);
+};
+
+// --- Ranking ---
+
+const timeOf = (item) => (item.timestamp?.toMillis ? item.timestamp.toMillis() : Date.now());
+
+const RANKINGS = {
+    newest: (a, b) => timeOf(b) - timeOf(a),
+    oldest: (a, b) => timeOf(a) - timeOf(b),
+    top: (a, b) => reactionTotal(b) - reactionTotal(a) || timeOf(b) - timeOf(a),
+    discussed: (a, b, discussionCount) => discussionCount(b) - discussionCount(a) || timeOf(b) - timeOf(a),
+};
+
+// A sorted copy of `items`. "Most discussed" counts the post's comments by default; comment
+// threads pass their own reply count.
+export const rankItems = (items, ranking, discussionCount = (item) => item.commentCount || 0) => {
+    const compare = RANKINGS[ranking] || RANKINGS.newest;
+    return [...items].sort((a, b) => compare(a, b, discussionCount));
+};
+
+// Compact sort menu, e.g. <RankingPicker rankings={['newest', 'top']} ... />; rankings are
+// labelled t('ranking.<name>')
+export const RankingPicker = ({ rankings, value, onChange, label }) => {
+    const { t } = useI18n();
+    return (
+        <label className="inline-flex items-center text-xs text-gray-500">
+            {label || t('ranking.sortBy')}
+            <select
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                className="ml-1.5 py-0.5 px-2 border border-gray-200 rounded-md bg-white text-xs font-semibold text-gray-700 focus:ring-emerald-500 focus:border-emerald-500"
+            >
+                {rankings.map(ranking => <option key={ranking} value={ranking}>{t(`ranking.${ranking}`)}</option>)}
+            </select>
+        </label>
+    );
+};
+
+// --- Components ---
+
+// Popover listing who reacted, filterable by reaction
+const ReactorList = ({ db, targetPath, item }) => {
+    const { t } = useI18n();
+    const [fetched, setFetched] = useState(null);
+    const [filter, setFilter] = useState(null);
+
+    // Read once when the popover opens
+    useEffect(() => {
+        let cancelled = false;
+        getDocs(query(collection(db, reactionsPath(targetPath)), orderBy('timestamp', 'desc'), limit(REACTOR_LIST_LIMIT)))
+            .then((snapshot) => {
+                if (!cancelled) setFetched(snapshot.docs.map(docSnap => docSnap.data()));
+            })
+            .catch((error) => {
+                console.error("Error fetching reactions:", error);
+                if (!cancelled) setFetched([]);
+            });
+        return () => { cancelled = true; };
+    }, [db, targetPath]);
+
+    const reactions = fetched && [...fetched, ...legacyReactorIds(item).map(uid => ({ userId: uid, type: 'heart' }))];
+    const profiles = useProfiles(db, (reactions || []).map(reaction => reaction.userId));
+    const counts = reactionCounts(item);
+    const shown = (reactions || []).filter(reaction => !filter || reaction.type === filter);
+
+    return (
+        <div role="dialog" aria-label={t('reactions.list')} className="absolute left-0 bottom-full mb-2 w-64 bg-white border border-gray-200 rounded-xl shadow-xl z-30">
+            <div className="flex flex-wrap gap-1 px-3 py-2 border-b border-gray-100 text-xs font-semibold">
+                <button onClick={() => setFilter(null)} className={`px-2 py-0.5 rounded-full ${!filter ? 'bg-emerald-100 text-emerald-700' : 'text-gray-500 hover:bg-gray-100'}`}>
+                    {t('reactions.all', { count: reactionTotal(item) })}
+                </button>
+                {REACTIONS.filter(reaction => counts[reaction.type] > 0).map(reaction => (
+                    <button
+                        key={reaction.type}
+                        onClick={() => setFilter(reaction.type)}
+                        className={`px-2 py-0.5 rounded-full ${filter === reaction.type ? 'bg-emerald-100 text-emerald-700' : 'text-gray-500 hover:bg-gray-100'}`}
+                        aria-pressed={filter === reaction.type}
+                        aria-label={t('reactions.typeCount', { reaction: t(`reactions.${reaction.type}`), count: counts[reaction.type] })}
+                    >
+                        {reaction.emoji} {counts[reaction.type]}
+                    </button>
+                ))}
+            </div>
+            <ul className="max-h-60 overflow-y-auto py-1">
+                {reactions === null && <li className="px-3 py-2 text-xs text-gray-500 italic">{t('common.loading')}</li>}
+                {shown.map(reaction => (
+                    <li key={reaction.userId} className="flex items-center gap-2 px-3 py-1.5 text-sm">
+                        <Avatar profile={profiles[reaction.userId]} uid={reaction.userId} size="sm" />
+                        <ProfileLink profile={profiles[reaction.userId]} uid={reaction.userId} className="flex-grow min-w-0 truncate text-gray-800" />
+                        <span role="img" aria-label={t(`reactions.${reaction.type}`)}>{REACTION_BY_TYPE[reaction.type]?.emoji}</span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// Reaction button with picker, plus the reaction summary that opens "who reacted".
+// `onReacted(type)` runs after a new reaction (not a change or a retraction) was saved.
+export const ReactionBar = ({ db, targetPath, item, userId, disabled, onReacted }) => {
+    const { t } = useI18n();
+    const ownType = useOwnReaction(db, targetPath, userId, item);
+    const [isPickerOpen, setIsPickerOpen] = useState(false);
+    const [isListOpen, setIsListOpen] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const pickerRef = useRef(null);
+    const listRef = useRef(null);
+    useDismiss(pickerRef, isPickerOpen, () => setIsPickerOpen(false));
+    useDismiss(listRef, isListOpen, () => setIsListOpen(false));
+
+    const counts = reactionCounts(item);
+    const total = reactionTotal(item);
+    const topReactions = REACTIONS.filter(reaction => counts[reaction.type] > 0)
+        .sort((a, b) => counts[b.type] - counts[a.type])
+        .slice(0, 3);
+    const own = REACTION_BY_TYPE[ownType];
+    const ownLabel = own && t(`reactions.${own.type}`);
+    const canReact = !!userId && !disabled;
+
+    const choose = async (type) => {
+        setIsPickerOpen(false);
+        if (!db || !canReact || isSaving) return;
+        setIsSaving(true);
+        setError(null);
+        try {
+            const previousType = await react(db, targetPath, item, userId, type);
+            if (!previousType && onReacted) onReacted(type);
+        } catch (e) {
+            console.error("Reaction failed:", e);
+            setError(t(navigator.onLine ? 'reactions.saveFailed' : 'reactions.needConnection'));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="relative flex items-center gap-2">
+            <div ref={pickerRef} className="relative">
+                <button
+                    onClick={() => setIsPickerOpen(!isPickerOpen)}
+                    disabled={!canReact || isSaving}
+                    aria-haspopup="true"
+                    aria-expanded={isPickerOpen}
+                    className={`flex items-center px-2 py-1 rounded-full transition-colors disabled:cursor-not-allowed ${own ? 'bg-emerald-50 text-emerald-700 font-semibold' : 'text-gray-500 hover:bg-gray-100'}`}
+                    title={!userId ? t('reactions.signInToReact') : disabled ? t('reactions.cannotReact') : own ? t('reactions.youReacted', { reaction: ownLabel }) : t('reactions.react')}
+                >
+                    {own ? <span className="mr-1" aria-hidden="true">{own.emoji}</span> : <SmilePlus size={18} className="mr-1" aria-hidden="true" />}
+                    <span className="text-xs">{own ? ownLabel : t('reactions.react')}</span>
+                </button>
+                {isPickerOpen && (
+                    <div role="menu" className="absolute left-0 bottom-full mb-2 flex bg-white border border-gray-200 rounded-full shadow-xl px-1 py-1 z-30">
+                        {REACTIONS.map(reaction => (
+                            <button
+                                key={reaction.type}
+                                role="menuitemradio"
+                                aria-checked={reaction.type === ownType}
+                                onClick={() => choose(reaction.type)}
+                                className={`w-9 h-9 text-xl rounded-full transition-transform hover:scale-125 ${reaction.type === ownType ? 'bg-emerald-100' : ''}`}
+                                title={reaction.type === ownType ? t('reactions.remove', { reaction: t(`reactions.${reaction.type}`) }) : t(`reactions.${reaction.type}`)}
+                            >
+                                {reaction.emoji}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {total > 0 && (
+                <div ref={listRef} className="relative">
+                    <button
+                        onClick={() => setIsListOpen(!isListOpen)}
+                        className="flex items-center text-xs text-gray-500 hover:underline"
+                        aria-haspopup="dialog"
+                        aria-expanded={isListOpen}
+                        aria-label={t('reactions.summary', { count: total })}
+                    >
+                        <span className="mr-1 tracking-tighter">{topReactions.map(reaction => reaction.emoji).join('')}</span>
+                        {total}
+                    </button>
+                    {isListOpen && <ReactorList db={db} targetPath={targetPath} item={item} />}
+                </div>
+            )}
+            {error && <span className="text-xs text-red-500" role="alert">{error}</span>}
+        </div>
+    );
+};
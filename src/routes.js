@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import { parseTagHash } from './tags';
+
+// --- Routing ---
+// Hash-based routes, so every story and post has a shareable URL and the app works from any
+// static host (and offline from the service worker's cached shell):
+//   #/                  -> the latest story
+//   #/stories           -> story archive
+//   #/stories/<id>      -> a single story and its comments
+//   #/feed              -> community feed
+//   #/feed/<postId>     -> community feed, scrolled to one post
+//   #/profile/<uid>     -> an explorer's profile
+//   #/tags/<tag>        -> everything tagged #tag
+//   #/admin             -> moderation (creators/moderators only; #/moderation still works)
+//   #/creator           -> creator dashboard: drafts, scheduled and published stories, stats
+//   #/creator/new       -> creator dashboard, writing a new story
+//   #/creator/drafts/<id>, #/creator/stories/<id> -> editing a draft or a published story
+
+export const HOME_URL = '#/';
+export const ARCHIVE_URL = '#/stories';
+export const FEED_URL = '#/feed';
+export const ADMIN_URL = '#/admin';
+export const CREATOR_URL = '#/creator';
+export const NEW_STORY_URL = '#/creator/new';
+
+export const storyUrl = (storyId) => `#/stories/${encodeURIComponent(storyId)}`;
+export const postUrl = (postId) => `#/feed/${encodeURIComponent(postId)}`;
+export const editDraftUrl = (draftId) => `#/creator/drafts/${encodeURIComponent(draftId)}`;
+export const editStoryUrl = (storyId) => `#/creator/stories/${encodeURIComponent(storyId)}`;
+
+export const parseRoute = (hash) => {
+    const path = hash || '';
+    if (/^#\/(admin|moderation)\/?$/.test(path)) return { view: 'admin' };
+    // `editing` is what the story editor has open: { kind: 'new' | 'draft' | 'story', id }, or null
+    const creatorMatch = path.match(/^#\/creator(?:\/(new|drafts\/([^/?#]+)|stories\/([^/?#]+)))?\/?$/);
+    if (creatorMatch) {
+        const [, target, draftId, storyId] = creatorMatch;
+        const editing = !target ? null
+            : draftId ? { kind: 'draft', id: decodeURIComponent(draftId) }
+            : storyId ? { kind: 'story', id: decodeURIComponent(storyId) }
+            : { kind: 'new', id: null };
+        return { view: 'creator', editing };
+    }
+    const tag = parseTagHash(path);
+    if (tag) return { view: 'tag', tag };
+    const profileMatch = path.match(/^#\/profile\/([^/?#]+)\/?$/);
+    if (profileMatch) return { view: 'profile', profileId: decodeURIComponent(profileMatch[1]) };
+    const feedMatch = path.match(/^#\/feed(?:\/([^/?#]+))?\/?$/);
+    if (feedMatch) return { view: 'feed', postId: feedMatch[1] ? decodeURIComponent(feedMatch[1]) : null };
+    // Links from before the feed had its own route
+    const legacyPostMatch = path.match(/^#post-(.+)$/);
+    if (legacyPostMatch) return { view: 'feed', postId: legacyPostMatch[1] };
+    const storyMatch = path.match(/^#\/stories(?:\/([^/?#]+))?\/?$/);
+    if (storyMatch && !storyMatch[1]) return { view: 'archive' };
+    return { view: 'story', storyId: storyMatch ? decodeURIComponent(storyMatch[1]) : null };
+};
+
+// The current route, kept in sync with the URL hash
+export const useRoute = () => {
+    const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+    useEffect(() => {
+        const handleHashChange = () => setRoute(parseRoute(window.location.hash));
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    return route;
+};
+
+// Where a notification, tagged item or profile activity entry opens: its story, or its post
+// in the feed
+export const contentLink = (item) => {
+    if (item.storyId) return storyUrl(item.storyId);
+    if (item.postId) return postUrl(item.postId);
+    return null;
+};
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { where, Timestamp } from 'firebase/firestore';
+import { searchProfilesByAlias, Avatar } from './profiles';
+import { useI18n } from './i18n';
+
+// --- Shared search and filters (community feed and story archive) ---
+// Author and date range filters become Firestore query constraints; the text search runs
+// over the loaded results, since Firestore has no full-text search.
+
+export const EMPTY_FILTERS = { text: '', authorId: null, authorAlias: '', from: '', to: '' };
+
+export const hasActiveFilters = (filters) => Boolean(filters.text.trim() || filters.authorId || filters.from || filters.to);
+
+// Query constraints for the author and date range filters. `from`/`to` are "YYYY-MM-DD"
+// values from date inputs, and both days are included.
+export const filterConstraints = (filters, { authorField = 'userId' } = {}) => {
+    const constraints = [];
+    if (filters.authorId) constraints.push(where(authorField, '==', filters.authorId));
+    if (filters.from) constraints.push(where('timestamp', '>=', Timestamp.fromDate(new Date(`${filters.from}T00:00:00`))));
+    if (filters.to) {
+        const dayAfter = new Date(`${filters.to}T00:00:00`);
+        dayAfter.setDate(dayAfter.getDate() + 1);
+        constraints.push(where('timestamp', '<', Timestamp.fromDate(dayAfter)));
+    }
+    return constraints;
+};
+
+// True when every word of the search text appears in at least one of the fields
+export const matchesSearch = (searchText, ...fields) => {
+    const words = (searchText || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+    const haystack = fields.flat().filter(Boolean).join(' ').toLowerCase();
+    return words.every(word => haystack.includes(word.replace(/^#/, '')));
+};
+
+// Search box with optional author picker and date range. `filters` is controlled by the caller.
+export const SearchFilters = ({ db, filters, onChange, showAuthor = true, placeholder }) => {
+    const { t } = useI18n();
+    const [authorQuery, setAuthorQuery] = useState('');
+    const [authorSuggestions, setAuthorSuggestions] = useState([]);
+
+    useEffect(() => {
+        if (!db || !showAuthor || !authorQuery.trim()) {
+            setAuthorSuggestions([]);
+            return;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const results = await searchProfilesByAlias(db, authorQuery);
+                if (!cancelled) setAuthorSuggestions(results);
+            } catch (error) {
+                console.error("Error searching explorers:", error);
+            }
+        }, 200);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [db, showAuthor, authorQuery]);
+
+    const update = (changes) => onChange({ ...filters, ...changes });
+
+    const pickAuthor = (profile) => {
+        update({ authorId: profile.userId, authorAlias: profile.alias });
+        setAuthorQuery('');
+    };
+
+    return (
+        <div className="bg-white p-3 shadow-sm rounded-xl border border-gray-100 mb-4 space-y-2">
+            <input
+                type="search"
+                value={filters.text}
+                onChange={(e) => update({ text: e.target.value })}
+                placeholder={placeholder || t('search.placeholder')}
+                aria-label={t('search.label')}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-emerald-500 focus:border-emerald-500"
+            />
+            <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                {showAuthor && (filters.authorId ? (
+                    <span className="flex items-center bg-emerald-50 text-emerald-800 rounded-full px-2 py-1">
+                        {t('search.byAuthor', { author: filters.authorAlias })}
+                        <button onClick={() => update({ authorId: null, authorAlias: '' })} className="ml-1 font-bold hover:text-red-600" aria-label={t('search.clearAuthor')}>×</button>
+                    </span>
+                ) : (
+                    <div className="relative">
+                        <input
+                            type="text"
+                            value={authorQuery}
+                            onChange={(e) => setAuthorQuery(e.target.value)}
+                            placeholder={t('search.authorPlaceholder')}
+                            aria-label={t('search.filterAuthor')}
+                            className="w-32 p-1.5 border border-gray-300 rounded-lg"
+                        />
+                        {authorSuggestions.length > 0 && (
+                            <ul className="absolute left-0 mt-1 w-48 bg-white border border-gray-200 rounded-lg shadow-lg z-20">
+                                {authorSuggestions.map(profile => (
+                                    <li key={profile.userId}>
+                                        <button onClick={() => pickAuthor(profile)} className="w-full flex items-center px-2 py-1.5 text-left hover:bg-gray-50">
+                                            <Avatar profile={profile} uid={profile.userId} size="sm" />
+                                            <span className="ml-2 truncate">{profile.alias}</span>
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                ))}
+                <label className="flex items-center">
+                    {t('search.from')}
+                    <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => update({ from: e.target.value })} className="ml-1 p-1 border border-gray-300 rounded-lg" />
+                </label>
+                <label className="flex items-center">
+                    {t('search.to')}
+                    <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => update({ to: e.target.value })} className="ml-1 p-1 border border-gray-300 rounded-lg" />
+                </label>
+                {hasActiveFilters(filters) && (
+                    <button onClick={() => onChange(EMPTY_FILTERS)} className="ml-auto text-emerald-700 font-semibold hover:underline">{t('search.clear')}</button>
+                )}
+            </div>
+        </div>
+    );
+};
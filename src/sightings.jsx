@@ -0,0 +1,359 @@
+import React, { useState, useMemo } from 'react';
+import { Timestamp } from 'firebase/firestore';
+import { WILDLIFE_AVATARS } from './profiles';
+import { ClusterMap } from './map';
+import { getLocale, translate, useI18n } from './i18n';
+
+// --- Wildlife Sightings ---
+// A community post can carry a structured sighting next to its text:
+//   sighting: { speciesId, speciesName, count, observedAt, location: { lat, lng } | null,
+//               precision: 'exact' | 'coarse' | 'region' | null, regionId }
+// Locations of sensitive species are always snapped to a coarse grid before they are saved,
+// so the exact position never reaches Firestore.
+
+// Local taxonomy, extending the animals explorers are already named after (ALIASES). `name` is
+// stored on the post; the interface shows the message sightings.species.<id>, and groups are
+// sightings.group.<group>.
+export const SPECIES = [
+    { id: 'black_rhino', name: 'Black Rhino', scientificName: 'Diceros bicornis', group: 'Mammals', emoji: WILDLIFE_AVATARS.Rhino.emoji, sensitive: true },
+    { id: 'white_rhino', name: 'White Rhino', scientificName: 'Ceratotherium simum', group: 'Mammals', emoji: WILDLIFE_AVATARS.Rhino.emoji, sensitive: true },
+    { id: 'african_elephant', name: 'African Elephant', scientificName: 'Loxodonta africana', group: 'Mammals', emoji: WILDLIFE_AVATARS.Elephant.emoji, sensitive: true },
+    { id: 'pangolin', name: 'Ground Pangolin', scientificName: 'Smutsia temminckii', group: 'Mammals', emoji: '🦔', sensitive: true },
+    { id: 'african_wild_dog', name: 'African Wild Dog', scientificName: 'Lycaon pictus', group: 'Mammals', emoji: '🐕', sensitive: true },
+    { id: 'lion', name: 'Lion', scientificName: 'Panthera leo', group: 'Mammals', emoji: WILDLIFE_AVATARS.Lion.emoji },
+    { id: 'leopard', name: 'Leopard', scientificName: 'Panthera pardus', group: 'Mammals', emoji: WILDLIFE_AVATARS.Leopard.emoji },
+    { id: 'cheetah', name: 'Cheetah', scientificName: 'Acinonyx jubatus', group: 'Mammals', emoji: WILDLIFE_AVATARS.Cheetah.emoji },
+    { id: 'spotted_hyena', name: 'Spotted Hyena', scientificName: 'Crocuta crocuta', group: 'Mammals', emoji: WILDLIFE_AVATARS.Hyena.emoji },
+    { id: 'cape_buffalo', name: 'Cape Buffalo', scientificName: 'Syncerus caffer', group: 'Mammals', emoji: WILDLIFE_AVATARS.Buffalo.emoji },
+    { id: 'plains_zebra', name: 'Plains Zebra', scientificName: 'Equus quagga', group: 'Mammals', emoji: WILDLIFE_AVATARS.Zebra.emoji },
+    { id: 'grevys_zebra', name: "Grévy's Zebra", scientificName: 'Equus grevyi', group: 'Mammals', emoji: WILDLIFE_AVATARS.Zebra.emoji },
+    { id: 'masai_giraffe', name: 'Maasai Giraffe', scientificName: 'Giraffa tippelskirchi', group: 'Mammals', emoji: '🦒' },
+    { id: 'hippopotamus', name: 'Hippopotamus', scientificName: 'Hippopotamus amphibius', group: 'Mammals', emoji: '🦛' },
+    { id: 'greater_kudu', name: 'Greater Kudu', scientificName: 'Tragelaphus strepsiceros', group: 'Mammals', emoji: WILDLIFE_AVATARS.Kudu.emoji },
+    { id: 'thomsons_gazelle', name: "Thomson's Gazelle", scientificName: 'Eudorcas thomsonii', group: 'Mammals', emoji: WILDLIFE_AVATARS.Gazelle.emoji },
+    { id: 'grants_gazelle', name: "Grant's Gazelle", scientificName: 'Nanger granti', group: 'Mammals', emoji: WILDLIFE_AVATARS.Gazelle.emoji },
+    { id: 'common_warthog', name: 'Common Warthog', scientificName: 'Phacochoerus africanus', group: 'Mammals', emoji: WILDLIFE_AVATARS.Warthog.emoji },
+    { id: 'ruppells_vulture', name: "Rüppell's Vulture", scientificName: 'Gyps rueppelli', group: 'Birds', emoji: WILDLIFE_AVATARS.Vulture.emoji, sensitive: true },
+    { id: 'white_backed_vulture', name: 'White-backed Vulture', scientificName: 'Gyps africanus', group: 'Birds', emoji: WILDLIFE_AVATARS.Vulture.emoji, sensitive: true },
+    { id: 'great_egret', name: 'Great Egret', scientificName: 'Ardea alba', group: 'Birds', emoji: WILDLIFE_AVATARS.Egret.emoji },
+    { id: 'common_ostrich', name: 'Common Ostrich', scientificName: 'Struthio camelus', group: 'Birds', emoji: WILDLIFE_AVATARS.Ostrich.emoji },
+    { id: 'other', name: 'Other / not sure', scientificName: null, group: 'Other', emoji: '🐾' },
+];
+
+const SPECIES_BY_ID = Object.fromEntries(SPECIES.map(species => [species.id, species]));
+export const speciesById = (id) => SPECIES_BY_ID[id] || SPECIES_BY_ID.other;
+
+// A species' common name in the current language
+const speciesLabel = (species) => translate(`sightings.species.${species.id}`);
+
+// The name shown for a stored sighting; species missing from the taxonomy keep the stored name
+const sightingSpeciesLabel = (sighting) => (SPECIES_BY_ID[sighting.speciesId] ? speciesLabel(SPECIES_BY_ID[sighting.speciesId]) : sighting.speciesName || speciesLabel(SPECIES_BY_ID.other));
+
+// Parks and regions, with an approximate centre used to place region-only sightings on the map
+export const REGIONS = [
+    { id: 'maasai_mara', name: 'Maasai Mara', lat: -1.49, lng: 35.14 },
+    { id: 'amboseli', name: 'Amboseli', lat: -2.65, lng: 37.26 },
+    { id: 'tsavo_east', name: 'Tsavo East', lat: -2.98, lng: 38.47 },
+    { id: 'tsavo_west', name: 'Tsavo West', lat: -3.0, lng: 38.0 },
+    { id: 'samburu', name: 'Samburu', lat: 0.6, lng: 37.53 },
+    { id: 'lake_nakuru', name: 'Lake Nakuru', lat: -0.36, lng: 36.08 },
+    { id: 'nairobi_np', name: 'Nairobi National Park', lat: -1.37, lng: 36.86 },
+    { id: 'ol_pejeta', name: 'Ol Pejeta', lat: 0.0, lng: 36.9 },
+    { id: 'hells_gate', name: "Hell's Gate", lat: -0.91, lng: 36.31 },
+    { id: 'aberdare', name: 'Aberdare', lat: -0.42, lng: 36.7 },
+    { id: 'serengeti', name: 'Serengeti', lat: -2.33, lng: 34.83 },
+    { id: 'ngorongoro', name: 'Ngorongoro', lat: -3.24, lng: 35.49 },
+];
+
+const REGIONS_BY_ID = Object.fromEntries(REGIONS.map(region => [region.id, region]));
+
+// Grid used for coarse locations: 0.2° is roughly 22 km at the equator
+const COARSE_GRID_DEGREES = 0.2;
+const MAX_SIGHTING_COUNT = 9999;
+
+export const coarsenLocation = ({ lat, lng }) => ({
+    lat: Number((Math.round(lat / COARSE_GRID_DEGREES) * COARSE_GRID_DEGREES).toFixed(2)),
+    lng: Number((Math.round(lng / COARSE_GRID_DEGREES) * COARSE_GRID_DEGREES).toFixed(2)),
+});
+
+// "YYYY-MM-DDTHH:mm" in local time, the format of datetime-local inputs
+const toLocalInputValue = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+export const newSightingDraft = () => ({
+    speciesId: '',
+    count: 1,
+    observedAt: toLocalInputValue(new Date()),
+    locationMode: 'none', // 'none' | 'gps' | 'region'
+    gps: null,
+    regionId: '',
+    coarse: false,
+});
+
+const parseLatLng = (text) => {
+    const match = (text || '').trim().match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+    const [lat, lng] = [Number(match[1]), Number(match[2])];
+    return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+};
+
+// Error message for an incomplete draft, or null when it can be saved
+export const validateSightingDraft = (draft) => {
+    if (!draft.speciesId) return translate('sightings.chooseSpecies');
+    const count = Number(draft.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SIGHTING_COUNT) return translate('sightings.countRange', { max: MAX_SIGHTING_COUNT });
+    const observedAt = new Date(draft.observedAt);
+    if (isNaN(observedAt)) return translate('sightings.enterWhen');
+    if (observedAt > new Date()) return translate('sightings.noFuture');
+    if (draft.locationMode === 'gps' && !draft.gps) return translate('sightings.addGps');
+    if (draft.locationMode === 'region' && !draft.regionId) return translate('sightings.chooseRegion');
+    return null;
+};
+
+// The sighting as stored on the post
+export const buildSighting = (draft) => {
+    const species = speciesById(draft.speciesId);
+    const coarse = species.sensitive || draft.coarse;
+    let location = null;
+    let precision = null;
+
+    if (draft.locationMode === 'gps' && draft.gps) {
+        location = coarse ? coarsenLocation(draft.gps) : { lat: draft.gps.lat, lng: draft.gps.lng };
+        precision = coarse ? 'coarse' : 'exact';
+    } else if (draft.locationMode === 'region' && draft.regionId) {
+        precision = 'region';
+    }
+
+    return {
+        speciesId: species.id,
+        speciesName: species.name,
+        count: Number(draft.count),
+        observedAt: Timestamp.fromDate(new Date(draft.observedAt)),
+        location,
+        precision,
+        regionId: draft.locationMode === 'region' ? draft.regionId : null,
+    };
+};
+
+// Where a sighting sits on the map: its point, or the centre of its region
+export const sightingPoint = (sighting) => {
+    if (!sighting) return null;
+    if (sighting.location) return sighting.location;
+    const region = REGIONS_BY_ID[sighting.regionId];
+    return region ? { lat: region.lat, lng: region.lng } : null;
+};
+
+const locationLabel = (sighting) => {
+    if (sighting.precision === 'region') return REGIONS_BY_ID[sighting.regionId]?.name || translate('sightings.unknownRegion');
+    if (sighting.precision === 'coarse') return translate('sightings.approximate');
+    if (sighting.precision === 'exact') return `${sighting.location.lat.toFixed(4)}, ${sighting.location.lng.toFixed(4)}`;
+    return null;
+};
+
+const formatObservedAt = (observedAt) => (observedAt?.toDate ? observedAt.toDate().toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short' }) : '');
+
+// Form fields for a sighting draft (see newSightingDraft)
+export const SightingFields = ({ value, onChange, disabled }) => {
+    const { t } = useI18n();
+    const [gpsText, setGpsText] = useState(value.gps ? `${value.gps.lat}, ${value.gps.lng}` : '');
+    const [isLocating, setIsLocating] = useState(false);
+    const [locationError, setLocationError] = useState(null);
+    const species = value.speciesId ? speciesById(value.speciesId) : null;
+    const update = (changes) => onChange({ ...value, ...changes });
+    const groups = [...new Set(SPECIES.map(item => item.group))];
+
+    const locateMe = () => {
+        if (!navigator.geolocation) {
+            setLocationError(t('sightings.noGeolocation'));
+            return;
+        }
+        setIsLocating(true);
+        setLocationError(null);
+        navigator.geolocation.getCurrentPosition((position) => {
+            const gps = { lat: position.coords.latitude, lng: position.coords.longitude };
+            setGpsText(`${gps.lat.toFixed(5)}, ${gps.lng.toFixed(5)}`);
+            update({ gps });
+            setIsLocating(false);
+        }, (error) => {
+            console.error("Geolocation failed:", error);
+            setLocationError(t('sightings.locationFailed'));
+            setIsLocating(false);
+        }, { enableHighAccuracy: true, timeout: 15000 });
+    };
+
+    const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-green-500 focus:border-green-500';
+
+    return (
+        <fieldset className="border border-green-200 bg-green-50 rounded-lg p-3 mb-3 space-y-2 text-sm" disabled={disabled}>
+            <legend className="px-1 font-semibold text-green-800">{t('sightings.details')}</legend>
+            <div className="grid grid-cols-3 gap-2">
+                <label className="col-span-2">
+                    <span className="block text-xs text-gray-600 mb-0.5">{t('sightings.species')}</span>
+                    <select value={value.speciesId} onChange={(e) => update({ speciesId: e.target.value })} className={inputClass}>
+                        <option value="">{t('sightings.chooseSpeciesOption')}</option>
+                        {groups.map(group => (
+                            <optgroup key={group} label={t(`sightings.group.${group}`)}>
+                                {SPECIES.filter(item => item.group === group).map(item => (
+                                    <option key={item.id} value={item.id}>{item.emoji} {speciesLabel(item)}</option>
+                                ))}
+                            </optgroup>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    <span className="block text-xs text-gray-600 mb-0.5">{t('sightings.howMany')}</span>
+                    <input type="number" min="1" max={MAX_SIGHTING_COUNT} value={value.count} onChange={(e) => update({ count: e.target.value })} className={inputClass} />
+                </label>
+            </div>
+            <label className="block">
+                <span className="block text-xs text-gray-600 mb-0.5">{t('sightings.when')}</span>
+                <input type="datetime-local" value={value.observedAt} max={toLocalInputValue(new Date())} onChange={(e) => update({ observedAt: e.target.value })} className={inputClass} />
+            </label>
+
+            <div>
+                <span className="block text-xs text-gray-600 mb-0.5">{t('sightings.where')}</span>
+                <div className="flex flex-wrap gap-3 mb-1">
+                    {['none', 'gps', 'region'].map(mode => (
+                        <label key={mode} className="flex items-center">
+                            <input type="radio" name="sighting-location" className="mr-1" checked={value.locationMode === mode} onChange={() => update({ locationMode: mode })} />
+                            {t(`sightings.location.${mode}`)}
+                        </label>
+                    ))}
+                </div>
+                {value.locationMode === 'gps' && (
+                    <div className="flex gap-2">
+                        <input
+                            type="text"
+                            value={gpsText}
+                            onChange={(e) => {
+                                setGpsText(e.target.value);
+                                update({ gps: parseLatLng(e.target.value) });
+                            }}
+                            placeholder={t('sightings.gpsPlaceholder')}
+                            aria-label={t('sightings.gpsLabel')}
+                            className={inputClass}
+                        />
+                        <button type="button" onClick={locateMe} disabled={isLocating} className="whitespace-nowrap px-3 text-xs font-semibold text-green-700 border border-green-300 rounded-lg hover:bg-green-100">
+                            {t(isLocating ? 'sightings.locating' : 'sightings.useMyLocation')}
+                        </button>
+                    </div>
+                )}
+                {value.locationMode === 'region' && (
+                    <select value={value.regionId} onChange={(e) => update({ regionId: e.target.value })} className={inputClass}>
+                        <option value="">{t('sightings.chooseRegionOption')}</option>
+                        {REGIONS.map(region => <option key={region.id} value={region.id}>{region.name}</option>)}
+                    </select>
+                )}
+                {locationError && <p className="text-xs text-red-500 mt-1">{locationError}</p>}
+                {value.locationMode === 'gps' && (species?.sensitive ? (
+                    <p className="text-xs text-amber-700 mt-1">
+                        {t('sightings.sensitive', { species: speciesLabel(species) })}
+                    </p>
+                ) : (
+                    <label className="flex items-center text-xs text-gray-600 mt-1">
+                        <input type="checkbox" className="mr-1" checked={value.coarse} onChange={(e) => update({ coarse: e.target.checked })} />
+                        {t('sightings.shareApproximate')}
+                    </label>
+                ))}
+            </div>
+        </fieldset>
+    );
+};
+
+// Compact sighting card shown on a post
+export const SightingSummary = ({ sighting }) => {
+    const { t } = useI18n();
+    if (!sighting) return null;
+    const species = speciesById(sighting.speciesId);
+    const where = locationLabel(sighting);
+
+    return (
+        <div className="flex items-start gap-3 bg-green-50 border border-green-100 rounded-lg p-3 mb-3 text-sm">
+            <span className="text-2xl leading-none" aria-hidden="true">{species.emoji}</span>
+            <div className="min-w-0">
+                <p className="font-semibold text-green-900">
+                    {sighting.count > 1 ? `${sighting.count} × ` : ''}{sightingSpeciesLabel(sighting)}
+                    {species.scientificName && <span className="ml-1 font-normal italic text-gray-500">{species.scientificName}</span>}
+                </p>
+                <p className="text-xs text-gray-600">
+                    {t('sightings.seen', { time: formatObservedAt(sighting.observedAt) })}
+                    {where && <> · {where}</>}
+                </p>
+            </div>
+        </div>
+    );
+};
+
+// Map of the sightings in `posts`, filterable by species and observation date.
+// `onOpenPost(postId)` is called from the popup's link back to the post.
+export const SightingsMap = ({ posts, onOpenPost }) => {
+    const { t } = useI18n();
+    const [speciesId, setSpeciesId] = useState('');
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+
+    const points = useMemo(() => posts
+        .filter(post => post.sighting && !post.deleted && !post.hidden)
+        .filter(post => !speciesId || post.sighting.speciesId === speciesId)
+        .filter(post => {
+            const observed = post.sighting.observedAt?.toDate ? toLocalInputValue(post.sighting.observedAt.toDate()).slice(0, 10) : null;
+            return (!from || (observed && observed >= from)) && (!to || (observed && observed <= to));
+        })
+        .map(post => ({ id: post.id, ...sightingPoint(post.sighting), post }))
+        .filter(point => point.lat !== undefined), [posts, speciesId, from, to]);
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-xs text-gray-600">
+                <select value={speciesId} onChange={(e) => setSpeciesId(e.target.value)} aria-label={t('sightings.filterSpecies')} className="p-1.5 border border-gray-300 rounded-lg">
+                    <option value="">{t('sightings.allSpecies')}</option>
+                    {SPECIES.map(item => <option key={item.id} value={item.id}>{item.emoji} {speciesLabel(item)}</option>)}
+                </select>
+                <label className="flex items-center">
+                    {t('sightings.seenFrom')}
+                    <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} className="ml-1 p-1 border border-gray-300 rounded-lg" />
+                </label>
+                <label className="flex items-center">
+                    {t('sightings.seenTo')}
+                    <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} className="ml-1 p-1 border border-gray-300 rounded-lg" />
+                </label>
+                <span className="ml-auto">{t('sightings.onMap', { count: points.length })}</span>
+            </div>
+
+            <ClusterMap
+                points={points}
+                renderMarker={(point) => (
+                    <span className={`flex items-center justify-center w-9 h-9 rounded-full bg-white shadow text-xl ${point.post.sighting.precision === 'exact' ? 'border-2 border-green-600' : 'border-2 border-dashed border-amber-500'}`}>
+                        {speciesById(point.post.sighting.speciesId).emoji}
+                    </span>
+                )}
+                renderPopup={(clusterPoints, close) => (
+                    <ul className="space-y-2 text-sm">
+                        {clusterPoints.map(({ post }) => (
+                            <li key={post.id}>
+                                <p className="font-semibold text-gray-800">
+                                    {speciesById(post.sighting.speciesId).emoji} {post.sighting.count > 1 ? `${post.sighting.count} × ` : ''}{sightingSpeciesLabel(post.sighting)}
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                    {formatObservedAt(post.sighting.observedAt)}
+                                    {locationLabel(post.sighting) && <> · {locationLabel(post.sighting)}</>}
+                                </p>
+                                <button
+                                    onClick={() => {
+                                        close();
+                                        onOpenPost(post.id);
+                                    }}
+                                    className="text-xs text-blue-500 font-semibold hover:underline"
+                                >
+                                    {t('sightings.viewPost')}
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            />
+            <p className="text-xs text-gray-500 mt-2">
+                {t('sightings.mapLegend')}
+            </p>
+        </div>
+    );
+};
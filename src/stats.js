@@ -0,0 +1,61 @@
+import { useState, useEffect } from 'react';
+import { doc, collection, query, where, documentId, onSnapshot, setDoc, increment } from 'firebase/firestore';
+import { STORY_STATS_PATH, storyStatsPath } from './data';
+import { dayKey } from './tags';
+
+// --- Story stats (for the creator dashboard) ---
+// One document per story, counted from the readers' side:
+//   storyStatsPath(storyId) -> { views, comments, reactions, daily: { 'YYYY-MM-DD': { views, comments, reactions } } }
+// Stories published before stats existed only count from their first view with this version.
+
+export const STAT_METRICS = ['views', 'comments', 'reactions'];
+
+// Firestore `in` queries take at most 30 values
+const STATS_BATCH_SIZE = 30;
+const VIEWED_STORIES_KEY = 'kairu-viewed-stories';
+
+// One more view, comment or reaction, in the total and in today's counters
+export const updateStoryStats = (db, storyId, metric) => setDoc(doc(db, storyStatsPath(storyId)), {
+    [metric]: increment(1),
+    daily: { [dayKey(new Date())]: { [metric]: increment(1) } },
+}, { merge: true });
+
+// Fire-and-forget helper: stats must never block (or fail) the thing being counted
+export const recordStoryActivity = (db, storyId, metric) => {
+    if (!db || !storyId) return;
+    updateStoryStats(db, storyId, metric).catch(error => console.error(`Error recording story ${metric}:`, error));
+};
+
+// Counts a view once per story per browser session
+export const recordStoryView = (db, storyId) => {
+    try {
+        const viewed = JSON.parse(window.sessionStorage.getItem(VIEWED_STORIES_KEY) || '[]');
+        if (viewed.includes(storyId)) return;
+        window.sessionStorage.setItem(VIEWED_STORIES_KEY, JSON.stringify([...viewed, storyId]));
+    } catch (error) {
+        // Session storage can be disabled; every page load then counts
+    }
+    recordStoryActivity(db, storyId, 'views');
+};
+
+// Live stats for the given stories (the first 30): { [storyId]: stats }
+export const useStoryStats = (db, storyIds) => {
+    const idsKey = [...new Set(storyIds)].slice(0, STATS_BATCH_SIZE).join(',');
+    const [stats, setStats] = useState({});
+
+    useEffect(() => {
+        if (!db || !idsKey) return;
+        const statsQuery = query(collection(db, STORY_STATS_PATH), where(documentId(), 'in', idsKey.split(',')));
+        return onSnapshot(statsQuery, (snapshot) => {
+            setStats(Object.fromEntries(snapshot.docs.map(docSnap => [docSnap.id, docSnap.data()])));
+        }, (error) => console.error("Error fetching story stats:", error));
+    }, [db, idsKey]);
+
+    return stats;
+};
+
+// The last `days` days of one metric, oldest first: [{ day, count }]
+export const dailySeries = (stats, metric, days, now = new Date()) => Array.from({ length: days }, (_, index) => {
+    const day = dayKey(new Date(now.getTime() - (days - 1 - index) * 86400000));
+    return { day, count: stats?.daily?.[day]?.[metric] || 0 };
+});
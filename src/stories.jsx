@@ -0,0 +1,845 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { doc, onSnapshot, collection, query, serverTimestamp, updateDoc, writeBatch, getDocs, where, limit, orderBy, startAfter } from 'firebase/firestore';
+import { STORIES_PATH, STORY_COMMENTS_PATH, storyPath, storyCommentPath, editWithRevision, softDelete, isScheduled, publishedBy, readableStories, storyQueryErrorKey, usePublishTime } from './data';
+import { useFirebase } from './firebase';
+import { formatTimestamp, formatExcerpt, formatText } from './format';
+import { EditHistory } from './editing';
+import { CREATOR_ALIAS } from './moderation';
+import { ARCHIVE_URL, CREATOR_URL, HOME_URL, NEW_STORY_URL, editStoryUrl, storyUrl } from './routes';
+import { profileAlias, profileUrl, useProfile, useProfiles, Avatar } from './profiles';
+import { MentionInput, activeMentions, notifyMentions } from './mentions';
+import { notificationExcerpt, sendNotification } from './notifications';
+import { extractTags, releaseScheduledTags, tagIndexWrites, tagUrl } from './tags';
+import { EMPTY_FILTERS, filterConstraints, hasActiveFilters, matchesSearch, SearchFilters } from './search';
+import { Lightbox, PhotoGallery } from './photos';
+import { SNAPSHOT_OPTIONS, withPendingState, queueWrite, useDraft, PendingBadge } from './offline';
+import { TypingIndicator, Viewers, usePresence, useViewing } from './presence';
+import { ReactionBar, RankingPicker, rankItems } from './reactions';
+import { firstStoryLink, markdownToPlainText, renderMarkdown } from './markdown';
+import { LinkPreviewCard } from './links';
+import { recordStoryActivity, recordStoryView } from './stats';
+import { useI18n } from './i18n';
+import { NewCommentAnnouncer } from './a11y';
+
+// --- Stories: Kairu's stories, the story archive and story comments ---
+
+// Number of stories loaded per page in the story archive
+const STORY_PAGE_SIZE = 6;
+
+// The first story in a snapshot that explorers can open (not unpublished or deleted), or null
+const firstPublished = (snapshot) => {
+    const docSnap = snapshot.docs.find(candidate => !candidate.data().unpublished && !candidate.data().deleted);
+    return docSnap ? { id: docSnap.id, ...docSnap.data() } : null;
+};
+
+export const CommentItem = ({ comment, userId, db, isModerator, handleReacted, handleEditComment, handleDeleteComment, handleReport, handleToggleMute, handleModerate }) => {
+    const { t } = useI18n();
+    const [isEditing, setIsEditing] = useState(false);
+    const [editText, setEditText] = useState(comment.text);
+    const isAuthor = !comment.deleted && comment.commenterId === userId;
+
+    const saveEdit = async () => {
+        if (!editText.trim() || editText.trim() === comment.text) return;
+        if (await handleEditComment(comment, editText.trim())) setIsEditing(false);
+    };
+
+    return (
+        <article className="p-4 bg-white border border-gray-200 rounded-lg shadow-sm" aria-label={comment.deleted ? t('common.removed') : comment.alias}>
+            {/* Comment Content */}
+            <div className="min-w-0">
+                {isEditing ? (
+                    <div className="mb-2">
+                        <textarea
+                            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-emerald-500 focus:ring-2 resize-none"
+                            rows="2"
+                            aria-label={t('common.edit')}
+                            value={editText}
+                            onChange={(e) => setEditText(e.target.value)}
+                        />
+                        <div className="flex justify-end space-x-2 text-xs mt-1">
+                            <button onClick={() => { setIsEditing(false); setEditText(comment.text); }} className="px-2 py-1 text-gray-500 hover:text-gray-700">{t('common.cancel')}</button>
+                            <button
+                                onClick={saveEdit}
+                                disabled={!editText.trim() || editText.trim() === comment.text}
+                                className="px-3 py-1 bg-emerald-600 text-white rounded-full hover:bg-emerald-700 disabled:bg-gray-300"
+                            >
+                                {t('common.save')}
+                            </button>
+                        </div>
+                    </div>
+                ) : comment.deleted ? (
+                    <p className="text-gray-400 italic mb-2">{t('common.removed')}</p>
+                ) : comment.hidden && !isModerator ? (
+                    <p className="text-gray-400 italic mb-2">{t('common.hiddenByModerator')}</p>
+                ) : (
+                    <p className={`mb-2 leading-snug break-words ${comment.hidden ? 'text-gray-400 line-through' : 'text-gray-800'}`}>
+                        {formatText(comment.text, comment.mentions)}
+                    </p>
+                )}
+                <div className="text-xs text-gray-400 flex flex-wrap items-center">
+                    {!comment.deleted && <span className="mr-1.5"><Avatar profile={comment.profile} uid={comment.commenterId} size="sm" /></span>}
+                    <span className={`font-bold ${comment.commenterId === userId ? 'text-emerald-600' : 'text-gray-600'} ${comment.byCreator ? 'text-yellow-700' : ''}`}>
+                        {comment.deleted ? t('common.removed') : <a href={profileUrl(comment.commenterId)} className="hover:underline">{comment.alias}</a>}
+                    </span> 
+                    <span className="ml-2">| {formatTimestamp(comment.timestamp)}</span>
+                    {comment.pending && <PendingBadge />}
+                    {isAuthor && !isEditing && (
+                        <>
+                            <button onClick={() => setIsEditing(true)} className="ml-3 hover:text-emerald-600">{t('common.edit')}</button>
+                            <button onClick={() => handleDeleteComment(comment)} className="ml-2 hover:text-red-500">{t('common.delete')}</button>
+                        </>
+                    )}
+                    {userId && comment.commenterId !== userId && !comment.deleted && (
+                        <>
+                            <button onClick={() => handleReport(comment)} className="ml-3 hover:text-red-500">{t('common.report')}</button>
+                            <button onClick={() => handleToggleMute(comment.commenterId)} className="ml-2 hover:text-gray-600">{t('common.mute')}</button>
+                        </>
+                    )}
+                    {isModerator && !comment.deleted && (
+                        <button
+                            onClick={() => handleModerate(comment, comment.hidden ? 'restore' : 'hide')}
+                            className="ml-2 font-semibold text-red-600 hover:underline"
+                        >
+                            {comment.hidden ? t('common.restore') : t('common.hide')}
+                        </button>
+                    )}
+                </div>
+                {comment.editedAt && !comment.deleted && (
+                    <EditHistory
+                        db={db}
+                        docPath={storyCommentPath(comment.id)}
+                        editedAt={comment.editedAt}
+                        fields={['text']}
+                    />
+                )}
+                {!comment.deleted && (
+                    <div className="mt-2 text-sm">
+                        <ReactionBar
+                            db={db}
+                            targetPath={storyCommentPath(comment.id)}
+                            item={comment}
+                            userId={userId}
+                            // Explorers don't react to their own comments (it would lift them in the Top ranking)
+                            disabled={comment.commenterId === userId}
+                            onReacted={() => handleReacted(comment)}
+                        />
+                    </div>
+                )}
+            </div>
+        </article>
+    );
+};
+
+// --- Story Archive and Navigation ---
+
+// Labelled t('stories.<field>')
+const STORY_BADGES = [
+    { field: 'pinned', className: 'bg-emerald-100 text-emerald-700' },
+    { field: 'featured', className: 'bg-yellow-100 text-yellow-700' },
+    { field: 'unpublished', className: 'bg-red-100 text-red-600' },
+];
+
+const StoryBadges = ({ story }) => {
+    const { t } = useI18n();
+    return STORY_BADGES.filter(badge => story[badge.field]).map(badge => (
+        <span key={badge.field} className={`ml-2 align-middle text-xs font-semibold px-2 py-0.5 rounded-full ${badge.className}`}>{t(`stories.${badge.field}`)}</span>
+    ));
+};
+
+// The date range is applied by the archive query; the text search filters the loaded pages
+// (title, content and tags), so "Load more" keeps searching further back.
+const StoryArchive = ({ db, stories, featuredStories, hasMore, isLoading, onLoadMore, filters, onFiltersChange }) => {
+    const { t } = useI18n();
+    return (
+        <div className="bg-white rounded-xl shadow-lg p-5 sm:p-6 mb-8">
+            <div className="flex justify-between items-center border-b pb-3 mb-4">
+                <h2 className="text-2xl font-bold text-gray-800">{t('stories.archive')}</h2>
+                <a href={HOME_URL} className="text-sm text-emerald-600 font-semibold hover:underline">{t('stories.latest')}</a>
+            </div>
+
+            {featuredStories.length > 0 && !hasActiveFilters(filters) && (
+                <section className="mb-5" aria-label={t('stories.featuredStories')}>
+                    <h3 className="text-xs font-bold uppercase tracking-wide text-yellow-700 mb-2">{t('stories.featured')}</h3>
+                    <ul className="grid sm:grid-cols-2 gap-3">
+                        {featuredStories.map(story => (
+                            <li key={story.id}>
+                                <a href={storyUrl(story.id)} className="flex items-center gap-3 p-2 rounded-lg bg-yellow-50 hover:bg-yellow-100">
+                                    <img src={story.imageUrl} alt="" className="w-14 h-10 object-cover rounded flex-shrink-0" />
+                                    <span className="text-sm font-semibold text-gray-900 line-clamp-2">{story.title}</span>
+                                </a>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+            )}
+
+            <SearchFilters db={db} filters={filters} onChange={onFiltersChange} showAuthor={false} placeholder={t('stories.searchPlaceholder')} />
+
+            {stories.length === 0 && !isLoading && (
+                <p className="text-gray-500 italic text-center py-4">
+                    {hasActiveFilters(filters) ? t('stories.noMatches') : t('stories.none')}
+                </p>
+            )}
+
+            <ul className="divide-y divide-gray-100">
+                {stories.map((story) => (
+                    <li key={story.id} className="py-4">
+                        <a href={storyUrl(story.id)} className="flex gap-4 group">
+                            <img
+                                src={story.imageUrl}
+                                alt={story.title}
+                                className="w-24 h-16 object-cover rounded-lg flex-shrink-0"
+                                onError={(e) => { e.target.onerror = null; e.target.src = "https://placehold.co/800x400/4c4c4c/ffffff?text=Image+Not+Available"; }}
+                            />
+                            <div className="min-w-0">
+                                <h3 className="text-lg font-bold text-gray-900 group-hover:text-emerald-700">
+                                    {story.title}
+                                    <StoryBadges story={story} />
+                                </h3>
+                                <p className="text-xs text-gray-500 mb-1">{formatTimestamp(story.timestamp)}</p>
+                                <p className="text-sm text-gray-600 break-words">{formatExcerpt(markdownToPlainText(story.content))}</p>
+                            </div>
+                        </a>
+                    </li>
+                ))}
+            </ul>
+
+            {isLoading && (
+                <div className="animate-spin h-6 w-6 border-4 border-emerald-500 border-t-transparent rounded-full mx-auto mt-4"></div>
+            )}
+            {hasMore && !isLoading && (
+                <button
+                    onClick={onLoadMore}
+                    className="w-full py-2 mt-4 font-semibold rounded-lg bg-emerald-50 text-emerald-700 hover:bg-emerald-100 transition-colors"
+                >
+                    {t('stories.loadMore')}
+                </button>
+            )}
+        </div>
+    );
+};
+
+// Previous (older) / next (newer) links shown under the active story
+const StoryNavigation = ({ newerStory, olderStory }) => {
+    const { t } = useI18n();
+    return (
+        <nav className="flex justify-between items-center gap-4 mb-8 text-sm" aria-label={t('stories.navigation')}>
+            {olderStory ? (
+                <a href={storyUrl(olderStory.id)} className="text-emerald-700 font-semibold hover:underline truncate">
+                    &larr; {olderStory.title}
+                </a>
+            ) : <span />}
+            <a href={ARCHIVE_URL} className="text-gray-500 hover:text-emerald-700 flex-shrink-0">{t('stories.all')}</a>
+            {newerStory ? (
+                <a href={storyUrl(newerStory.id)} className="text-emerald-700 font-semibold hover:underline truncate text-right">
+                    {newerStory.title} &rarr;
+                </a>
+            ) : <span />}
+        </nav>
+    );
+};
+
+const IMAGE_FALLBACK = "https://placehold.co/800x400/4c4c4c/ffffff?text=Image+Not+Available";
+
+// Shown until Kairu publishes the first story
+const defaultStory = () => ({
+    id: 'default_01',
+    title: "The Gentle Giant: My Unforgettable Encounter with a Maasai Giraffe",
+    content: "This is the first post. When you spend time in the wild, you learn that every animal has a distinct personality. Watching her browse high up in the acacia trees felt like observing a natural monument. Giraffes are critical to savanna ecology, but their numbers are threatened by habitat loss. Let's discuss conservation. Use @OrganizationName to tag a group you support!",
+    imageUrl: "https://placehold.co/800x400/f59e0b/ffffff?text=Majestic+Giraffe+in+Acacia+Tree",
+    tags: ["Giraffe", "Savanna Ecology", "Conservation", "Maasai"],
+    author: CREATOR_ALIAS,
+    timestamp: new Date(),
+});
+
+// One story as explorers see it. The creator dashboard previews drafts with the same card
+// (`isPreview`: no title link or edit history). `children` go under the byline.
+export const StoryCard = ({ story, db, isPreview = false, children }) => {
+    const { t } = useI18n();
+    const [lightboxIndex, setLightboxIndex] = useState(null);
+    const photos = story.photos || [];
+    // Photos placed in the text aren't repeated in the gallery
+    const galleryPhotos = photos.filter(photo => !(story.content || '').includes(photo.url));
+
+    // The lightbox belongs to the story it was opened on
+    useEffect(() => setLightboxIndex(null), [story.id]);
+
+    return (
+        <div className="bg-white rounded-xl shadow-2xl overflow-hidden mb-4 ring-4 ring-yellow-200 ring-opacity-50">
+            {photos[0]?.url === story.imageUrl ? (
+                // Uploaded cover photo: opens the lightbox
+                <button onClick={() => setLightboxIndex(0)} className="block w-full" aria-label={t('stories.openPhoto', { description: photos[0].alt || story.title })}>
+                    <img src={story.imageUrl} alt={photos[0].alt || story.title} className="w-full h-48 object-cover object-center" />
+                </button>
+            ) : (
+                <img 
+                    src={story.imageUrl} 
+                    alt={story.title} 
+                    className="w-full h-48 object-cover object-center"
+                    onError={(e) => { e.target.onerror = null; e.target.src = IMAGE_FALLBACK; }}
+                />
+            )}
+            {lightboxIndex !== null && (
+                <Lightbox photos={photos} index={lightboxIndex} onIndexChange={setLightboxIndex} onClose={() => setLightboxIndex(null)} />
+            )}
+            <div className="p-5 sm:p-6">
+                <h2 className="text-3xl font-bold text-gray-900 mb-2">
+                    {isPreview || story.id === 'default_01' ? story.title : (
+                        <a href={storyUrl(story.id)} className="hover:text-emerald-700">{story.title}</a>
+                    )}
+                </h2>
+                <p className="text-sm text-gray-500 mb-4">
+                    {t('stories.by')}
+                    <span className={`font-bold ml-1 ${story.author === CREATOR_ALIAS ? 'text-yellow-700' : 'text-gray-500'}`}>
+                        {story.author} 
+                    </span> 
+                    | {formatTimestamp(story.timestamp)}
+                    <StoryBadges story={story} />
+                </p>
+                {children}
+                <div className="text-gray-700 leading-relaxed break-words">{renderMarkdown(story.content)}</div>
+                <LinkPreviewCard url={firstStoryLink(story.content)} />
+                {galleryPhotos.length > 1 && <PhotoGallery photos={galleryPhotos} />}
+                {!isPreview && story.editedAt && (
+                    <div className="mb-4">
+                        <EditHistory
+                            db={db}
+                            docPath={storyPath(story.id)}
+                            editedAt={story.editedAt}
+                            fields={['title', 'content']}
+                        />
+                    </div>
+                )}
+                <div className="flex flex-wrap gap-2">
+                    {/* A scheduled story's tags are still in scheduledTags (see releaseScheduledTags) */}
+                    {(story.scheduledTags || story.tags || []).map(tag => (
+                        <a key={tag} href={tagUrl(tag)} className="text-xs font-semibold px-3 py-1 bg-yellow-100 text-yellow-700 rounded-full hover:bg-yellow-200">
+                            #{tag}
+                        </a>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Stories page ---
+// The latest or a linked story with its comments (route.view 'story'), or the archive ('archive')
+export const StoriesPage = ({ route, moderation }) => {
+    const { db, storage, userId, isAuthReady, isProfileReady } = useFirebase();
+    const { t } = useI18n();
+    const { roles, isCreator, isModerator, isBanned, mutedUserIds } = moderation;
+    // Explorers' story queries only ask for stories they can read (see readableStories);
+    // creators also see unpublished ones
+    const publishTime = usePublishTime();
+    const storyConstraints = (now) => (isCreator ? [publishedBy(now)] : readableStories(now));
+    const [activeStory, setActiveStory] = useState(null); 
+    const [adjacentStories, setAdjacentStories] = useState({ newer: null, older: null });
+    const [archiveStories, setArchiveStories] = useState([]);
+    const [archiveCursor, setArchiveCursor] = useState(null);
+    const [hasMoreStories, setHasMoreStories] = useState(true);
+    const [isArchiveLoading, setIsArchiveLoading] = useState(false);
+    const [archiveFilters, setArchiveFilters] = useState(EMPTY_FILTERS);
+    const [featuredStories, setFeaturedStories] = useState([]);
+    const [comments, setComments] = useState([]);
+    const [commentRanking, setCommentRanking] = useState('top');
+    // Unsent comments are kept as drafts per story on this device
+    const commentDraftKey = activeStory && activeStory.id !== 'default_01' ? `story-comment:${activeStory.id}` : null;
+    const [newCommentText, setNewCommentText] = useDraft(commentDraftKey);
+    const [newCommentMentions, setNewCommentMentions] = useDraft(commentDraftKey && `${commentDraftKey}:mentions`, []);
+    const [error, setError] = useState(null);
+    const ownProfile = useProfile(db, userId);
+    const userAlias = isProfileReady ? profileAlias(ownProfile, userId) : null;
+    const displayAlias = isCreator ? CREATOR_ALIAS : userAlias;
+    // Presence: who else is reading this story, and who's typing a comment on it
+    const { notifyTyping, stopTyping } = usePresence();
+    // An unpublished story is gone for explorers, comments and all; only creators still open it
+    const isStoryOpen = !!activeStory && (!activeStory.unpublished || isCreator);
+    const activeStoryPath = route.view === 'story' && isStoryOpen && activeStory.id !== 'default_01' ? storyPath(activeStory.id) : null;
+    useViewing(activeStoryPath);
+
+    // Each explorer's first look at a published story in a session counts as a view (Kairu's
+    // own visits don't)
+    const viewedStoryId = activeStoryPath && !isCreator ? activeStory.id : null;
+    useEffect(() => {
+        if (db && viewedStoryId) recordStoryView(db, viewedStoryId);
+    }, [db, viewedStoryId]);
+
+    // Errors belong to the page they happened on
+    useEffect(() => setError(null), [route]);
+
+    // 2. Fetch Active Story (the story from the URL, or the latest post). The home page looks
+    // again as time moves on, so a scheduled story takes over when it goes out.
+    const homePublishTime = route.view === 'story' && !route.storyId ? publishTime : null;
+    useEffect(() => {
+        // Do not proceed until Firebase and Auth are ready
+        if (!db || !isAuthReady || route.view !== 'story') return;
+
+        const storiesRef = collection(db, STORIES_PATH);
+
+        const handleError = (err) => {
+            console.error("Firestore Story Snapshot Error:", err);
+            setError(t(storyQueryErrorKey(err, 'stories.loadFailed')));
+        };
+
+        // A specific story was requested via its shareable URL. Scheduled stories can't be read
+        // by explorers until they're out, and look missing until then.
+        if (route.storyId) {
+            const showNotFound = () => {
+                setActiveStory(null);
+                setError(t('stories.notFound'));
+            };
+            return onSnapshot(doc(storiesRef, route.storyId), (docSnap) => {
+                if (docSnap.exists()) {
+                    setActiveStory({ id: docSnap.id, ...docSnap.data() });
+                } else {
+                    showNotFound();
+                }
+            }, (err) => (err.code === 'permission-denied' ? showNotFound() : handleError(err)));
+        }
+        
+        // The home page shows the pinned story, or else the latest one. Both are listened to, and
+        // the story is chosen once both have answered (undefined until then).
+        let pinnedStory;
+        let latestStory;
+        const showHomeStory = () => {
+            if (pinnedStory === undefined || latestStory === undefined) return;
+            // Load default story if no content exists in the database
+            setActiveStory(pinnedStory || latestStory || defaultStory());
+        };
+        // The newest pinned story that is out: pinning a story unpins the others (see
+        // setStoryPinned), but a scheduled story keeps its pin until it goes out
+        const pinnedQuery = query(storiesRef, where('pinned', '==', true), ...storyConstraints(homePublishTime), orderBy('timestamp', 'desc'), limit(1));
+        const unsubscribePinned = onSnapshot(pinnedQuery, (snapshot) => {
+            pinnedStory = firstPublished(snapshot);
+            showHomeStory();
+        }, handleError);
+
+        // Query for the latest stories based on timestamp; a few extra are fetched so
+        // unpublished and deleted stories can be skipped
+        const q = query(storiesRef, ...storyConstraints(homePublishTime), orderBy('timestamp', 'desc'), limit(STORY_PAGE_SIZE));
+        const unsubscribeLatest = onSnapshot(q, (snapshot) => {
+            latestStory = firstPublished(snapshot);
+            showHomeStory();
+        }, handleError);
+
+        return () => {
+            unsubscribePinned();
+            unsubscribeLatest();
+        };
+    }, [db, isAuthReady, route, homePublishTime, isCreator]);
+
+    // 2b. Previous/next stories relative to the active one (by publish time), looked up again as
+    // time moves on so a story that has just gone out becomes the next one
+    const activeStoryTimestamp = activeStory?.timestamp;
+    const activeStoryMillis = activeStoryTimestamp?.toMillis ? activeStoryTimestamp.toMillis() : null;
+    useEffect(() => {
+        // The default story and stories still awaiting a server timestamp have no neighbours
+        if (!db || activeStoryMillis === null) {
+            setAdjacentStories({ newer: null, older: null });
+            return;
+        }
+
+        // As on the home page, a few extra are fetched so unpublished and deleted stories are skipped
+        const storiesRef = collection(db, STORIES_PATH);
+        let cancelled = false;
+
+        Promise.all([
+            getDocs(query(storiesRef, ...storyConstraints(publishTime), orderBy('timestamp', 'asc'), startAfter(activeStoryTimestamp), limit(STORY_PAGE_SIZE))),
+            getDocs(query(storiesRef, ...storyConstraints(publishTime), orderBy('timestamp', 'desc'), startAfter(activeStoryTimestamp), limit(STORY_PAGE_SIZE))),
+        ]).then(([newerSnap, olderSnap]) => {
+            if (!cancelled) setAdjacentStories({ newer: firstPublished(newerSnap), older: firstPublished(olderSnap) });
+        }).catch((err) => {
+            console.error("Error loading adjacent stories:", err);
+        });
+
+        return () => { cancelled = true; };
+    }, [db, activeStoryMillis, publishTime, isCreator]);
+
+    // Load the next page of the story archive (cursor-based pagination)
+    const loadArchivePage = async (cursor) => {
+        if (!db) return;
+        setIsArchiveLoading(true);
+
+        const storiesRef = collection(db, STORIES_PATH);
+        const constraints = [...filterConstraints({ ...EMPTY_FILTERS, from: archiveFilters.from, to: archiveFilters.to }), ...storyConstraints(publishTime), orderBy('timestamp', 'desc')];
+        if (cursor) constraints.push(startAfter(cursor));
+        constraints.push(limit(STORY_PAGE_SIZE));
+
+        try {
+            const snapshot = await getDocs(query(storiesRef, ...constraints));
+            // Unpublished stories stay in the archive for Kairu only
+            const page = snapshot.docs
+                .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+                .filter(story => isCreator || !story.unpublished);
+            setArchiveStories(prev => (cursor ? [...prev, ...page] : page));
+            setArchiveCursor(snapshot.docs[snapshot.docs.length - 1] || cursor);
+            setHasMoreStories(snapshot.docs.length === STORY_PAGE_SIZE);
+        } catch (e) {
+            console.error("Error loading story archive:", e);
+            setError(t(storyQueryErrorKey(e, 'stories.archiveFailed')));
+        } finally {
+            setIsArchiveLoading(false);
+        }
+    };
+
+    // Load the first archive page whenever the archive is opened or its date range changes
+    useEffect(() => {
+        if (!db || !isAuthReady || route.view !== 'archive') return;
+        loadArchivePage(null);
+    }, [db, isAuthReady, route, archiveFilters.from, archiveFilters.to, isCreator]);
+
+    // Featured stories head the archive, newest first
+    useEffect(() => {
+        if (!db || !isAuthReady || route.view !== 'archive') return;
+        const featuredQuery = query(collection(db, STORIES_PATH), where('featured', '==', true), ...storyConstraints(publishTime), orderBy('timestamp', 'desc'), limit(STORY_PAGE_SIZE));
+        return onSnapshot(featuredQuery, (snapshot) => {
+            const stories = snapshot.docs
+                .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+                .filter(story => !story.unpublished);
+            setFeaturedStories(rankItems(stories, 'newest'));
+        }, (err) => console.error("Error fetching featured stories:", err));
+    }, [db, isAuthReady, route.view, publishTime, isCreator]);
+
+    const matchingArchiveStories = useMemo(
+        () => archiveStories.filter(story => matchesSearch(archiveFilters.text, story.title, story.content, story.tags)),
+        [archiveStories, archiveFilters.text]
+    );
+
+    // A scheduled story that is now out gets its tags from its first reader (see releaseScheduledTags)
+    const hasScheduledTags = !!activeStory?.scheduledTags;
+    useEffect(() => {
+        if (!db || !userId || !activeStoryPath || !hasScheduledTags || activeStory.unpublished || isScheduled(activeStory, publishTime)) return;
+        releaseScheduledTags(db, activeStory).catch(error => console.error("Error adding the story's tags:", error));
+    }, [db, userId, activeStoryPath, hasScheduledTags, publishTime]);
+
+    // 3. Real-time Comment Listener (Triggered when the selected story changes)
+    useEffect(() => {
+        // Guard against running queries before auth is ready or if no story is active
+        if (!db || !isAuthReady || !userId || !isStoryOpen || activeStory.id === 'default_01') {
+            setComments([]);
+            return;
+        }
+
+        const commentsRef = collection(db, STORY_COMMENTS_PATH);
+        
+        // Filter comments only for the currently selected story
+        const q = query(commentsRef, where('storyId', '==', activeStory.id));
+
+        // Metadata changes flip queued comments from pending to synced
+        const unsubscribe = onSnapshot(q, SNAPSHOT_OPTIONS, (snapshot) => {
+            const fetchedComments = snapshot.docs.map(docSnap => {
+                const comment = withPendingState(docSnap);
+                return { ...comment, commenterId: comment.userId };
+            });
+
+            // Ordered at render time (see commentRanking). Aliases are attached at render time
+            // from the profile cache too, so snapshot updates (e.g. reactions) don't trigger any
+            // profile reads
+            setComments(fetchedComments);
+        }, (err) => {
+            console.error("Firestore Comments Snapshot Error:", err);
+            setError(t('stories.commentsFailed'));
+        });
+
+        return () => unsubscribe();
+    }, [db, isAuthReady, userId, activeStory?.id, isStoryOpen]);
+    
+    // Function to handle posting a new comment
+    const handlePostComment = async () => {
+        if (!newCommentText.trim() || !db || !userId || isBanned || !isStoryOpen || activeStory.id === 'default_01') return;
+
+        const safeCommentText = newCommentText.trim();
+        const mentions = activeMentions(safeCommentText, newCommentMentions);
+        const tags = extractTags(safeCommentText);
+        const storyId = activeStory.id;
+
+        try {
+            // Queued rather than awaited: the comment shows at once (marked pending) and syncs
+            // when the connection allows. If the server rejects it, the text comes back.
+            const commentRef = doc(collection(db, STORY_COMMENTS_PATH));
+            const batch = writeBatch(db);
+            batch.set(commentRef, {
+                text: safeCommentText,
+                mentions, // Structured references: [{ userId, alias }]
+                tags,
+                userId: userId, 
+                storyId,
+                timestamp: serverTimestamp(),
+                reactionCounts: {},
+                reactionTotal: 0,
+            });
+            tagIndexWrites(db, commentRef.path, [], tags)(batch);
+            queueWrite(batch.commit(), {
+                label: 'comment',
+                onError: () => {
+                    // Back into that story's draft (unless something new was typed there since)
+                    setNewCommentText(current => current.trim() ? current : safeCommentText);
+                    setNewCommentMentions(current => current.length ? current : mentions);
+                    setError(t('stories.commentRejected'));
+                },
+            }).then(synced => {
+                if (!synced) return;
+                recordStoryActivity(db, storyId, 'comments');
+                notifyMentions(db, userId, mentions, {
+                    targetType: 'story_comment',
+                    targetPath: commentRef.path,
+                    storyId,
+                    commentId: commentRef.id,
+                    excerpt: notificationExcerpt(safeCommentText),
+                }).catch(err => console.error("Error sending mention notifications:", err));
+            });
+            setNewCommentText('');
+            setNewCommentMentions([]);
+            stopTyping();
+        } catch (e) {
+            console.error("Error adding document: ", e);
+            setError(t('stories.commentFailed'));
+        }
+    };
+
+    // A new reaction notifies the comment's author (and counts towards the story's stats)
+    const handleReacted = (comment) => {
+        recordStoryActivity(db, comment.storyId, 'reactions');
+        sendNotification(db, comment.commenterId, {
+            type: 'reaction',
+            actorId: userId,
+            targetType: 'story_comment',
+            targetPath: storyCommentPath(comment.id),
+            storyId: comment.storyId,
+            commentId: comment.id,
+            excerpt: notificationExcerpt(comment.text),
+        });
+    };
+
+    // Authors can edit their own comments; the previous text is kept as a revision
+    const handleEditComment = async (comment, text) => {
+        if (!db || !userId || comment.commenterId !== userId) return false;
+
+        try {
+            const tags = extractTags(text);
+            await editWithRevision(db, storyCommentPath(comment.id), { text, mentions: activeMentions(text, comment.mentions), tags }, { text: comment.text }, userId,
+                tagIndexWrites(db, storyCommentPath(comment.id), comment.tags, tags));
+            return true;
+        } catch (e) {
+            console.error("Error editing comment:", e);
+            setError(t('stories.editFailed'));
+            return false;
+        }
+    };
+
+    // Soft delete: the comment keeps its place in the list but shows a placeholder
+    const handleDeleteComment = async (comment) => {
+        if (!db || !userId || comment.commenterId !== userId) return;
+        if (!window.confirm(t('stories.confirmDeleteComment'))) return;
+
+        try {
+            await softDelete(db, storyCommentPath(comment.id), { text: '', tags: [] }, userId, tagIndexWrites(db, storyCommentPath(comment.id), comment.tags, []));
+        } catch (e) {
+            console.error("Error deleting comment:", e);
+            setError(t('stories.deleteFailed'));
+        }
+    };
+
+    // --- Reporting, Muting and Moderation (see useModeration) ---
+    const handleReportComment = async (comment) => {
+        const reported = await moderation.report({
+            targetType: 'story_comment',
+            targetPath: storyCommentPath(comment.id),
+            targetAuthorId: comment.commenterId,
+            excerpt: comment.text.substring(0, 280),
+        });
+        // null when the explorer cancelled the report
+        if (reported === false) setError(t('moderation.reportFailed'));
+    };
+
+    const handleToggleMute = async (authorId) => {
+        if (!await moderation.toggleMute(authorId)) setError(t('stories.muteFailed'));
+    };
+
+    const handleUnmuteAll = async () => {
+        if (!await moderation.unmuteAll()) setError(t('stories.muteFailed'));
+    };
+
+    // Inline hide/restore for moderators (also recorded in the audit log)
+    const handleModerateComment = async (comment, action) => {
+        if (!await moderation.setHidden(storyCommentPath(comment.id), comment.commenterId, action === 'hide')) {
+            setError(t('stories.moderationFailed'));
+        }
+    };
+
+    // Commenter profiles come from the shared cache (batched lookups, refreshed on profile edits)
+    const commenterProfiles = useProfiles(db, comments.map(comment => comment.commenterId));
+    const visibleComments = useMemo(() => rankItems(comments, commentRanking)
+        .filter(comment => !mutedUserIds.includes(comment.commenterId))
+        .map(comment => {
+            // Kairu is recognised by role, never by the name an explorer picked
+            const byCreator = roles.creators.includes(comment.commenterId);
+            return {
+                ...comment,
+                byCreator,
+                profile: commenterProfiles[comment.commenterId],
+                alias: byCreator ? CREATOR_ALIAS : profileAlias(commenterProfiles[comment.commenterId], comment.commenterId),
+            };
+        }), [comments, commentRanking, commenterProfiles, mutedUserIds, roles]);
+    const mutedCommentCount = comments.length - visibleComments.length;
+
+    // --- Content Creator Functions (Only for Kairu; writing and publishing happen in the creator dashboard) ---
+
+    // Unpublishing is a soft delete: the story and its comments are kept and can be republished
+    const handleToggleStoryPublished = async (story) => {
+        if (!db || !isCreator) return;
+        if (!story.unpublished && !window.confirm(t('stories.confirmUnpublish'))) return;
+
+        try {
+            await updateDoc(doc(db, storyPath(story.id)), {
+                unpublished: !story.unpublished,
+                unpublishedAt: story.unpublished ? null : serverTimestamp(),
+            });
+        } catch (e) {
+            console.error("Error changing story visibility: ", e);
+            setError(t('stories.updateFailed'));
+        }
+    };
+    // --- End Creator Functions ---
+
+
+    // Component Rendering
+    return (
+        <>
+            {/* Kairu's Creator Buttons - Only visible to creators */}
+            {isCreator && (
+                <div className="flex justify-end gap-2 mb-4">
+                    <a href={CREATOR_URL} className="px-3 py-1 text-yellow-700 text-xs font-bold rounded-full hover:bg-yellow-50 transition-colors">
+                        {t('stories.creatorDashboard')}
+                    </a>
+                    <a
+                        href={NEW_STORY_URL}
+                        className="px-3 py-1 bg-yellow-600 text-white text-xs font-bold rounded-full hover:bg-yellow-700 transition-colors shadow-md"
+                    >
+                        {t('stories.newStory')}
+                    </a>
+                </div>
+            )}
+            {error && <p className="text-red-500 mb-4 p-2 bg-red-100 rounded-lg text-center" role="alert">{error}</p>}
+
+            {route.view === 'archive' && (
+                <StoryArchive
+                    db={db}
+                    stories={matchingArchiveStories}
+                    featuredStories={featuredStories}
+                    hasMore={hasMoreStories}
+                    isLoading={isArchiveLoading}
+                    onLoadMore={() => loadArchivePage(archiveCursor)}
+                    filters={archiveFilters}
+                    onFiltersChange={setArchiveFilters}
+                />
+            )}
+
+            {/* Main Story Post Card - Displays the selected (or latest) post */}
+            {route.view === 'story' && (activeStory?.unpublished && !isCreator ? (
+                <div className="text-center p-10 bg-white rounded-xl shadow-lg mb-4">
+                    <p className="text-gray-400 italic text-lg">{t('common.removed')}</p>
+                    <p className="text-sm text-gray-500 mt-1">{t('stories.unpublishedNotice')}</p>
+                </div>
+            ) : activeStory ? (
+                <StoryCard story={activeStory} db={db}>
+                    {activeStoryPath && <Viewers db={db} targetPath={activeStoryPath} />}
+                    {/* Story management (Only for Kairu) */}
+                    {isCreator && activeStory.id !== 'default_01' && (
+                        <div className="flex space-x-3 mb-4 text-xs font-semibold">
+                            <a href={editStoryUrl(activeStory.id)} className="text-yellow-700 hover:underline">{t('stories.edit')}</a>
+                            <button onClick={() => handleToggleStoryPublished(activeStory)} className="text-red-600 hover:underline">
+                                {activeStory.unpublished ? t('stories.republish') : t('stories.unpublish')}
+                            </button>
+                        </div>
+                    )}
+                </StoryCard>
+            ) : (
+                <div className="text-center p-10 bg-white rounded-xl shadow-lg" role="status">
+                    <p className="text-gray-500">{t('stories.loading')}</p>
+                    <div className="animate-spin h-6 w-6 border-4 border-emerald-500 border-t-transparent rounded-full mx-auto mt-4"></div>
+                </div>
+            ))}
+
+            {route.view === 'story' && isStoryOpen && (
+                <StoryNavigation newerStory={adjacentStories.newer} olderStory={adjacentStories.older} />
+            )}
+
+            {/* Comment Section */}
+            {route.view === 'story' && isStoryOpen && (
+                <section className="bg-white rounded-xl shadow-lg p-5 sm:p-6" aria-labelledby="story-comments-heading">
+                    <h3 id="story-comments-heading" className="text-2xl font-bold text-gray-800 border-b pb-3 mb-4">{t('stories.commentsTitle', { count: comments.filter(comment => !comment.deleted).length })}</h3>
+
+                    {/* New Comment Input */}
+                    <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+                        <MentionInput
+                            db={db}
+                            multiline
+                            className="w-full p-3 border-none rounded-lg focus:ring-emerald-500 focus:ring-2 resize-none transition-all duration-200"
+                            rows="3"
+                            placeholder={displayAlias ? t('stories.commentPlaceholder', { name: displayAlias }) : t('stories.signingIn')}
+                            aria-label={t('stories.commentLabel')}
+                            value={newCommentText}
+                            onChange={(text) => {
+                                setNewCommentText(text);
+                                if (activeStoryPath) notifyTyping(activeStoryPath);
+                            }}
+                            mentions={newCommentMentions}
+                            onMentionsChange={setNewCommentMentions}
+                            disabled={!userId || !isAuthReady || isBanned || !activeStory || activeStory.id === 'default_01'}
+                        />
+                        <button
+                            onClick={handlePostComment}
+                            className={`w-full py-2 mt-2 font-semibold rounded-lg transition-all duration-300 ${
+                                (newCommentText.trim() && userId && !isBanned && activeStory.id !== 'default_01')
+                                    ? 'bg-emerald-600 text-white hover:bg-emerald-700 shadow-md'
+                                    : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                            }`}
+                            disabled={!newCommentText.trim() || !userId || isBanned || activeStory.id === 'default_01'}
+                        >
+                            {t('stories.postComment')}
+                        </button>
+                        {activeStoryPath && <TypingIndicator db={db} threadKey={activeStoryPath} />}
+                        {activeStory.id === 'default_01' && <p className="text-xs text-red-500 mt-2">{t('stories.firstStoryNeeded')}</p>}
+                        {isBanned && <p className="text-xs text-red-500 mt-2">{t('stories.bannedFromCommenting')}</p>}
+                    </div>
+
+                    {/* Comments List */}
+                    {comments.length > 1 && (
+                        <div className="flex justify-end mb-3">
+                            <RankingPicker rankings={['top', 'newest', 'oldest']} value={commentRanking} onChange={setCommentRanking} label={t('feed.comments')} />
+                        </div>
+                    )}
+                    <div className="space-y-4">
+                        {comments.length === 0 && (
+                            <p className="text-gray-500 italic text-center py-4">{t('stories.noComments')}</p>
+                        )}
+                        {visibleComments.map((comment) => (
+                            <CommentItem 
+                                key={comment.id}
+                                comment={comment}
+                                userId={userId}
+                                db={db}
+                                isModerator={isModerator}
+                                handleReacted={handleReacted}
+                                handleEditComment={handleEditComment}
+                                handleDeleteComment={handleDeleteComment}
+                                handleReport={handleReportComment}
+                                handleToggleMute={handleToggleMute}
+                                handleModerate={handleModerateComment}
+                            />
+                        ))}
+                        {mutedCommentCount > 0 && (
+                            <p className="text-xs text-gray-400 text-center">
+                                {t('stories.mutedHidden', { count: mutedCommentCount })}
+                                <button onClick={handleUnmuteAll} className="ml-2 text-emerald-600 hover:underline">{t('stories.unmuteAll')}</button>
+                            </p>
+                        )}
+                    </div>
+                    <NewCommentAnnouncer comments={comments} userId={userId} />
+                </section>
+            )}
+        </>
+    );
+};
@@ -0,0 +1,242 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { collection, collectionGroup, doc, getDocs, onSnapshot, query, where, orderBy, limit, increment, serverTimestamp, deleteField, writeBatch, Timestamp } from 'firebase/firestore';
+import { TAGS_PATH, POSTS_PATH, STORIES_PATH, STORY_COMMENTS_PATH, storyPath, tagPath, readableStories, storyQueryErrorKey } from './data';
+import { profileAlias, useProfiles, Avatar } from './profiles';
+import { getLocale, translate, useI18n } from './i18n';
+
+// --- #tags (extraction, tag index, tag pages and trending tags) ---
+
+// Every post, comment and story stores the tags found in its text as `tags: [tag]`
+// (lowercase, without the "#"). The tag index keeps one document per tag:
+//   tagPath(tag) -> { tag, count, lastUsedAt, daily: { 'YYYY-MM-DD': uses }, source }
+// where `source` is the path of the post, comment or story that last changed the count.
+// Post comments live in per-post "comments" subcollections and are read with a collection
+// group query. The indexes tag pages need are in firestore.indexes.json.
+
+const TAG_PAGE_LIMIT = 50;
+const TRENDING_WINDOW_DAYS = 7;
+const TRENDING_CANDIDATES = 100;
+
+// "#" followed by letters, digits or underscores (any script, so #Tembo and #Ndovu both work)
+const TAG_PATTERN = /#([\p{L}\p{N}_]{1,50})/gu;
+
+export const normalizeTag = (tag) => (tag || '').replace(/^#/, '').toLowerCase();
+
+export const tagUrl = (tag) => `#/tags/${encodeURIComponent(normalizeTag(tag))}`;
+
+// Tag pages are opened through the URL hash (#/tags/<tag>)
+export const parseTagHash = (hash) => {
+    const match = (hash || '').match(/^#\/tags\/([^/?#]+)\/?$/);
+    return match ? normalizeTag(decodeURIComponent(match[1])) : null;
+};
+
+// Unique, normalized tags found in one or more texts
+export const extractTags = (...texts) => {
+    const tags = new Set();
+    texts.forEach(text => {
+        for (const match of (text || '').matchAll(TAG_PATTERN)) tags.add(normalizeTag(match[1]));
+    });
+    return [...tags];
+};
+
+// Splits text into plain segments ({ text }) and tag segments ({ text, tag })
+export const splitTags = (text) => {
+    if (!text) return [];
+    const segments = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(TAG_PATTERN)) {
+        if (match.index > lastIndex) segments.push({ text: text.slice(lastIndex, match.index) });
+        segments.push({ text: match[0], tag: normalizeTag(match[1]) });
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) segments.push({ text: text.slice(lastIndex) });
+    return segments;
+};
+
+// UTC day of `date`, as used for daily counters ('YYYY-MM-DD')
+export const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Keeps the tag index in step with a write of the post, comment or story at `sourcePath`: tags
+// that were added count as a new use, tags that were removed (by an edit or a delete) are taken
+// off the total. Returns a function that adds these changes to the batch or transaction making
+// the write; the rules only accept them together with it.
+export const tagIndexWrites = (db, sourcePath, previousTags = [], nextTags = []) => (writer) => {
+    // Older stories stored their tags verbatim ("Giraffe,") and were never indexed
+    const indexedTags = (previousTags || []).filter(tag => extractTags(`#${tag}`)[0] === tag);
+    const added = nextTags.filter(tag => !indexedTags.includes(tag));
+    const removed = indexedTags.filter(tag => !nextTags.includes(tag));
+
+    added.forEach(tag => writer.set(doc(db, tagPath(tag)), {
+        tag,
+        source: sourcePath,
+        count: increment(1),
+        lastUsedAt: serverTimestamp(),
+        daily: { [dayKey(new Date())]: increment(1) },
+    }, { merge: true }));
+    removed.forEach(tag => writer.set(doc(db, tagPath(tag)), { tag, source: sourcePath, count: increment(-1) }, { merge: true }));
+};
+
+// Scheduled stories keep their tags in `scheduledTags` (with none in `tags`) until they go out,
+// so they don't count towards the tag index or show on tag pages early. Once the story is out,
+// anyone reading it moves them into `tags` and counts them; `changes` are written along with it.
+export const releaseScheduledTags = (db, story, changes = {}) => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, storyPath(story.id)), { ...changes, tags: story.scheduledTags, scheduledTags: deleteField() });
+    tagIndexWrites(db, storyPath(story.id), [], story.scheduledTags)(batch);
+    return batch.commit();
+};
+
+// Uses of a tag over the trending window, from its daily counters
+const recentUses = (tagDoc, now = new Date()) => {
+    let uses = 0;
+    for (let day = 0; day < TRENDING_WINDOW_DAYS; day++) {
+        uses += tagDoc.daily?.[dayKey(new Date(now.getTime() - day * 86400000))] || 0;
+    }
+    return uses;
+};
+
+// Most used tags over the last week, live
+export const useTrendingTags = (db, maxTags = 10) => {
+    const [tagDocs, setTagDocs] = useState([]);
+
+    useEffect(() => {
+        if (!db) return;
+        // Only recently used tags can be trending, so the candidates are the latest used ones
+        const candidatesQuery = query(collection(db, TAGS_PATH), orderBy('lastUsedAt', 'desc'), limit(TRENDING_CANDIDATES));
+        return onSnapshot(candidatesQuery, (snapshot) => {
+            setTagDocs(snapshot.docs.map(docSnap => ({ tag: docSnap.id, ...docSnap.data() })));
+        }, (error) => console.error("Error fetching trending tags:", error));
+    }, [db]);
+
+    return useMemo(() => tagDocs
+        .map(tagDoc => ({ tag: tagDoc.tag, uses: recentUses(tagDoc) }))
+        .filter(tagDoc => tagDoc.uses > 0)
+        .sort((a, b) => b.uses - a.uses)
+        .slice(0, maxTags), [tagDocs, maxTags]);
+};
+
+export const TrendingTags = ({ db }) => {
+    const { t } = useI18n();
+    const trending = useTrendingTags(db);
+
+    return (
+        <div className="bg-white p-4 shadow-md rounded-xl border border-gray-100">
+            <h3 className="font-bold text-gray-800 mb-3">{t('tags.trending')}</h3>
+            {trending.length === 0 ? (
+                <p className="text-sm text-gray-500 italic">{t('tags.noTrending')}</p>
+            ) : (
+                <ol className="space-y-1.5">
+                    {trending.map(({ tag, uses }) => (
+                        <li key={tag} className="flex justify-between items-center text-sm">
+                            <a href={tagUrl(tag)} className="text-emerald-700 font-semibold hover:underline truncate">#{tag}</a>
+                            <span className="text-xs text-gray-400 ml-2">{t('tags.uses', { count: uses })}</span>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+};
+
+const toTaggedItem = (type, docSnap) => {
+    const data = docSnap.data();
+    return {
+        ...data,
+        id: docSnap.id,
+        type,
+        path: docSnap.ref.path,
+        text: type === 'story' ? data.title : (data.content ?? data.text),
+        postId: type === 'post' ? docSnap.id : type === 'post_comment' ? docSnap.ref.parent.parent.id : undefined,
+        storyId: type === 'story' ? docSnap.id : data.storyId,
+    };
+};
+
+const timestampMillis = (timestamp) => (timestamp?.toMillis ? timestamp.toMillis() : 0);
+
+// Everything that uses a tag, newest first. Removed, hidden and unpublished content is left out.
+export const fetchTaggedContent = async (db, tag) => {
+    const latestTagged = (source, ...constraints) => query(source, where('tags', 'array-contains', normalizeTag(tag)), ...constraints, orderBy('timestamp', 'desc'), limit(TAG_PAGE_LIMIT));
+    const [posts, postComments, stories, storyComments] = await Promise.all([
+        getDocs(latestTagged(collection(db, POSTS_PATH))),
+        getDocs(latestTagged(collectionGroup(db, 'comments'))),
+        // Stories only once they're out, and not unpublished ones
+        getDocs(latestTagged(collection(db, STORIES_PATH), ...readableStories(Timestamp.now()))),
+        getDocs(latestTagged(collection(db, STORY_COMMENTS_PATH))),
+    ]);
+
+    return [
+        ...posts.docs.map(docSnap => toTaggedItem('post', docSnap)),
+        // Other apps may have "comments" subcollections too; keep this app's post comments only
+        ...postComments.docs
+            .filter(docSnap => docSnap.ref.path.startsWith(`${POSTS_PATH}/`))
+            .map(docSnap => toTaggedItem('post_comment', docSnap)),
+        ...stories.docs.map(docSnap => toTaggedItem('story', docSnap)),
+        ...storyComments.docs.map(docSnap => toTaggedItem('story_comment', docSnap)),
+    ]
+        .filter(item => !item.deleted && !item.hidden && !item.unpublished)
+        .sort((a, b) => timestampMillis(b.timestamp) - timestampMillis(a.timestamp));
+};
+
+const formatTaggedTime = (timestamp) => (timestamp?.toDate ? timestamp.toDate().toLocaleDateString(getLocale()) : translate('time.justNow'));
+
+// Lists everything tagged with `tag`. `linkFor(item)` turns an item into a URL (or null).
+export const TagPage = ({ db, tag, linkFor }) => {
+    const { t } = useI18n();
+    const [items, setItems] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const profiles = useProfiles(db, items.map(item => item.userId).filter(Boolean));
+
+    useEffect(() => {
+        if (!db || !tag) return;
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+
+        fetchTaggedContent(db, tag)
+            .then(result => { if (!cancelled) setItems(result); })
+            .catch(err => {
+                console.error("Error loading tag page:", err);
+                if (!cancelled) setError(translate(storyQueryErrorKey(err, 'tags.loadFailed')));
+            })
+            .finally(() => { if (!cancelled) setIsLoading(false); });
+
+        return () => { cancelled = true; };
+    }, [db, tag]);
+
+    return (
+        <div className="bg-white p-5 shadow-md rounded-xl border border-gray-100">
+            <h2 className="text-2xl font-bold text-emerald-700 mb-1">#{tag}</h2>
+            <p className="text-sm text-gray-500 mb-4">
+                {isLoading ? t('common.loading') : t('tags.itemCount', { count: items.length })}
+            </p>
+            {error && <p className="text-sm text-red-500 mb-3">{error}</p>}
+            {!isLoading && items.length === 0 && !error && (
+                <p className="text-gray-500 italic text-center py-4">{t('tags.empty', { tag })}</p>
+            )}
+
+            <ul className="divide-y divide-gray-100">
+                {items.map(item => {
+                    const link = linkFor ? linkFor(item) : null;
+                    const body = (
+                        <div className="flex items-start gap-3">
+                            <Avatar profile={profiles[item.userId]} uid={item.userId || item.author} size="md" />
+                            <div className="min-w-0">
+                                <p className="text-xs text-gray-500">
+                                    <span className="font-semibold text-gray-700">{item.userId ? profileAlias(profiles[item.userId], item.userId) : item.author}</span>
+                                    {' · '}{t(`tags.type.${item.type}`)}{' · '}{formatTaggedTime(item.timestamp)}
+                                </p>
+                                <p className="text-sm text-gray-800 break-words line-clamp-3">{item.text}</p>
+                            </div>
+                        </div>
+                    );
+                    return (
+                        <li key={item.path} className="py-3">
+                            {link ? <a href={link} className="block hover:bg-gray-50 rounded-lg">{body}</a> : body}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
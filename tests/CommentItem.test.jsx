@@ -0,0 +1,86 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor, cleanup } from '@testing-library/react';
+import { CommentItem } from '../src/stories';
+
+vi.mock('firebase/firestore', () => import('./mocks/firestore'));
+
+const makeComment = (fields = {}) => ({
+    id: 'comment-1',
+    commenterId: 'commenter',
+    alias: 'Explorer Giraffe 42',
+    text: 'Lovely story!',
+    timestamp: null,
+    reactionCounts: {},
+    reactionTotal: 0,
+    ...fields,
+});
+
+const renderComment = (comment, props = {}) => {
+    const handlers = {
+        handleReacted: vi.fn(),
+        handleEditComment: vi.fn(async () => true),
+        handleDeleteComment: vi.fn(),
+        handleReport: vi.fn(),
+        handleToggleMute: vi.fn(),
+        handleModerate: vi.fn(),
+    };
+    render(<CommentItem comment={comment} userId="reader" db={{}} isModerator={false} {...handlers} {...props} />);
+    return handlers;
+};
+
+describe('CommentItem', () => {
+    it('lets the author edit and delete', () => {
+        const handlers = renderComment(makeComment({ commenterId: 'reader' }));
+        expect(screen.queryByRole('button', { name: 'Report' })).toBeNull();
+        fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+        expect(handlers.handleDeleteComment).toHaveBeenCalledWith(expect.objectContaining({ id: 'comment-1' }));
+    });
+
+    it('saves the trimmed edit', async () => {
+        const comment = makeComment({ commenterId: 'reader' });
+        const handlers = renderComment(comment);
+        fireEvent.click(screen.getByRole('button', { name: 'Edit' }));
+        const box = screen.getByDisplayValue('Lovely story!');
+        expect(screen.getByRole('button', { name: 'Save' }).disabled).toBe(true);
+        fireEvent.change(box, { target: { value: '  Lovely story, Kairu!  ' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+        expect(handlers.handleEditComment).toHaveBeenCalledWith(comment, 'Lovely story, Kairu!');
+        await waitFor(() => expect(screen.queryByRole('button', { name: 'Save' })).toBeNull());
+    });
+
+    it('lets other explorers report and mute the commenter', () => {
+        const handlers = renderComment(makeComment());
+        expect(screen.queryByRole('button', { name: 'Edit' })).toBeNull();
+        fireEvent.click(screen.getByRole('button', { name: 'Report' }));
+        fireEvent.click(screen.getByRole('button', { name: 'Mute' }));
+        expect(handlers.handleReport).toHaveBeenCalledWith(expect.objectContaining({ id: 'comment-1' }));
+        expect(handlers.handleToggleMute).toHaveBeenCalledWith('commenter');
+    });
+
+    it('hides moderated comments from everyone but moderators', () => {
+        renderComment(makeComment({ hidden: true }));
+        expect(screen.getByText('[hidden by a moderator]')).toBeTruthy();
+        expect(screen.queryByText('Lovely story!')).toBeNull();
+    });
+
+    it('gives moderators a restore button for hidden comments', () => {
+        const handlers = renderComment(makeComment({ hidden: true }), { isModerator: true });
+        fireEvent.click(screen.getByRole('button', { name: 'Restore' }));
+        expect(handlers.handleModerate).toHaveBeenCalledWith(expect.objectContaining({ id: 'comment-1' }), 'restore');
+    });
+
+    it("marks Kairu's comments by role, not by name", () => {
+        renderComment(makeComment({ alias: 'Kairu Fan Club' }));
+        expect(screen.getByText('Kairu Fan Club').parentElement.className).not.toContain('text-yellow-700');
+        cleanup();
+        renderComment(makeComment({ alias: 'Kairu (The Guide)', byCreator: true }));
+        expect(screen.getByText('Kairu (The Guide)').parentElement.className).toContain('text-yellow-700');
+    });
+
+    it("doesn't let explorers react to their own comment", () => {
+        renderComment(makeComment({ commenterId: 'reader' }));
+        expect(screen.getByRole('button', { name: 'React' }).disabled).toBe(true);
+    });
+});
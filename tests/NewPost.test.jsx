@@ -0,0 +1,56 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { writes, resetWrites } from './mocks/firestore';
+import { POSTS_PATH, tagPath } from '../src/data';
+import { NewPost } from '../src/feed';
+
+vi.mock('firebase/firestore', () => import('./mocks/firestore'));
+
+const db = {};
+
+const postBox = () => screen.getByPlaceholderText(/What amazing wildlife encounter/);
+const submitButton = () => screen.getByRole('button', { name: /Post to the Community/ });
+
+describe('NewPost', () => {
+    beforeEach(() => resetWrites());
+
+    it('only enables posting once there is something to share', () => {
+        render(<NewPost db={db} storage={null} userId="explorer" isBanned={false} />);
+        expect(submitButton().disabled).toBe(true);
+        fireEvent.change(postBox(), { target: { value: '   ' } });
+        expect(submitButton().disabled).toBe(true);
+        fireEvent.change(postBox(), { target: { value: 'Hippos!' } });
+        expect(submitButton().disabled).toBe(false);
+    });
+
+    it('tells banned explorers why they cannot post', () => {
+        render(<NewPost db={db} storage={null} userId="explorer" isBanned />);
+        expect(screen.getByText(/banned from posting/)).toBeTruthy();
+        expect(postBox().disabled).toBe(true);
+    });
+
+    it('saves the post with empty counters and clears the box', async () => {
+        render(<NewPost db={db} storage={null} userId="explorer" isBanned={false} />);
+        fireEvent.change(postBox(), { target: { value: ' Zebras crossing at dawn #Migration ' } });
+        fireEvent.click(submitButton());
+
+        // The post and, in the same batch, the new use of its tag
+        await waitFor(() => expect(writes).toHaveLength(2));
+        const [post, tagUse] = writes;
+        expect(post.type).toBe('set');
+        expect(post.path.startsWith(`${POSTS_PATH}/`)).toBe(true);
+        expect(post.data).toMatchObject({
+            userId: 'explorer',
+            content: 'Zebras crossing at dawn #Migration',
+            tags: ['migration'],
+            photos: [],
+            sighting: null,
+            reactionCounts: {},
+            reactionTotal: 0,
+            commentCount: 0,
+        });
+        expect(tagUse).toMatchObject({ type: 'set', path: tagPath('migration'), data: { tag: 'migration', source: post.path, count: { increment: 1 } } });
+        expect(postBox().value).toBe('');
+    });
+});
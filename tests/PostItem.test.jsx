@@ -0,0 +1,206 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { writes, resetWrites, onSnapshot, writeBatch } from './mocks/firestore';
+import { postPath, reactionsPath, tagPath } from '../src/data';
+import { PostItem } from '../src/feed';
+
+vi.mock('firebase/firestore', () => import('./mocks/firestore'));
+vi.mock('../src/presence', () => ({
+    usePresence: () => ({ others: [], notifyTyping: vi.fn(), stopTyping: vi.fn() }),
+    TypingIndicator: () => null,
+}));
+
+const db = {};
+
+const moderation = () => ({
+    isBanned: false,
+    isModerator: false,
+    mutedUserIds: [],
+    report: vi.fn(),
+    toggleMute: vi.fn(),
+    setHidden: vi.fn(),
+});
+
+const makePost = (fields = {}) => ({
+    id: 'post-1',
+    userId: 'author',
+    content: 'Spotted a leopard near the river #BigCats',
+    tags: ['bigcats'],
+    timestamp: null,
+    reactionCounts: {},
+    reactionTotal: 0,
+    commentCount: 0,
+    ...fields,
+});
+
+// Feeds `comments` to the post's comment listener
+const showComments = (comments) => onSnapshot.mockImplementation((ref, ...args) => {
+    const onNext = args.find(arg => typeof arg === 'function');
+    if (ref.path === `${postPath('post-1')}/comments`) {
+        onNext({ docs: comments.map(comment => ({ id: comment.id, data: () => comment, metadata: { hasPendingWrites: false } })) });
+    }
+    return () => {};
+});
+
+const makeComment = (fields = {}) => ({ id: 'c1', userId: 'author', text: 'Where exactly?', parentId: null, depth: 0, timestamp: null, ...fields });
+
+const renderPost = (post, { userId = 'reader', moderationState = moderation(), onError, expanded = false } = {}) => (
+    render(<PostItem post={post} userId={userId} db={db} storage={null} moderation={moderationState} onError={onError} initiallyExpanded={expanded} />)
+);
+
+describe('PostItem', () => {
+    beforeEach(() => {
+        resetWrites();
+        onSnapshot.mockImplementation(() => () => {});
+    });
+
+    it('shows the post text with tag links', () => {
+        renderPost(makePost());
+        expect(screen.getByText(/Spotted a leopard/)).toBeTruthy();
+        expect(screen.getByRole('link', { name: '#BigCats' }).getAttribute('href')).toBe('#/tags/bigcats');
+    });
+
+    it('counts legacy likes as reactions', () => {
+        renderPost(makePost({ likes: ['a', 'b'], reactionCounts: { wow: 1 }, reactionTotal: 1 }));
+        expect(screen.getByRole('button', { name: '3 reactions, see who reacted' })).toBeTruthy();
+    });
+
+    it('replaces removed posts with a placeholder', () => {
+        renderPost(makePost({ deleted: true, content: '' }));
+        // Both the author and the text
+        expect(screen.getAllByText('[removed]')).toHaveLength(2);
+        expect(screen.getByRole('button', { name: 'React' }).disabled).toBe(true);
+    });
+
+    it('shows hidden posts to moderators only', () => {
+        const hidden = makePost({ id: 'post-2', hidden: true });
+        const { unmount } = renderPost(hidden);
+        expect(screen.getByText('[hidden by a moderator]')).toBeTruthy();
+        expect(screen.queryByText(/Spotted a leopard/)).toBeNull();
+        unmount();
+
+        renderPost(hidden, { moderationState: { ...moderation(), isModerator: true } });
+        expect(screen.getByText(/Spotted a leopard/)).toBeTruthy();
+        expect(screen.getByRole('button', { name: 'Restore' })).toBeTruthy();
+    });
+
+    it('offers edit and delete to the author only', () => {
+        const { unmount } = renderPost(makePost(), { userId: 'author' });
+        expect(screen.getByRole('button', { name: 'Edit' })).toBeTruthy();
+        expect(screen.getByRole('button', { name: 'Delete' })).toBeTruthy();
+        expect(screen.queryByRole('button', { name: 'Report' })).toBeNull();
+        unmount();
+
+        renderPost(makePost());
+        expect(screen.queryByRole('button', { name: 'Edit' })).toBeNull();
+        expect(screen.getByRole('button', { name: 'Report' })).toBeTruthy();
+    });
+
+    it('offers to unmute a muted author and reports failed moderation actions', async () => {
+        const moderationState = { ...moderation(), mutedUserIds: ['author'], toggleMute: vi.fn().mockResolvedValue(false), report: vi.fn().mockResolvedValue(null) };
+        const onError = vi.fn();
+        renderPost(makePost(), { moderationState, onError });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Report' }));
+        fireEvent.click(screen.getByRole('button', { name: 'Unmute explorer' }));
+        expect(moderationState.toggleMute).toHaveBeenCalledWith('author');
+        // A cancelled report isn't an error
+        await waitFor(() => expect(onError).toHaveBeenCalledTimes(1));
+        expect(onError).toHaveBeenCalledWith('Error updating your muted explorers.');
+    });
+
+    it('reports a post the author failed to delete', async () => {
+        writeBatch.mockImplementationOnce(() => ({
+            set() { return this; },
+            update() { return this; },
+            commit: () => Promise.reject(new Error('unavailable')),
+        }));
+        vi.spyOn(window, 'confirm').mockReturnValue(true);
+        const onError = vi.fn();
+        renderPost(makePost(), { userId: 'author', onError });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+        await waitFor(() => expect(onError).toHaveBeenCalledWith('Error deleting post. Please try again.'));
+        window.confirm.mockRestore();
+    });
+
+    it('loads comments only once the post is expanded', () => {
+        showComments([makeComment(), makeComment({ id: 'c2', text: 'By the river' })]);
+        const commentListeners = () => onSnapshot.mock.calls.filter(([ref]) => ref.path === `${postPath('post-1')}/comments`);
+        renderPost(makePost({ commentCount: 2 }));
+        expect(commentListeners()).toHaveLength(0);
+        expect(screen.getByRole('button', { name: '2 comments' })).toBeTruthy();
+        expect(screen.queryByText('By the river')).toBeNull();
+
+        fireEvent.click(screen.getByRole('button', { name: 'View all 2 comments' }));
+        expect(commentListeners()).toHaveLength(1);
+        expect(screen.getByText('By the river')).toBeTruthy();
+    });
+
+    it('writes a comment together with the comment counter', async () => {
+        renderPost(makePost());
+        fireEvent.change(screen.getByPlaceholderText(/Write a comment/), { target: { value: '  What a sighting! #BigCats ' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Send Comment' }));
+
+        await waitFor(() => expect(writes.some(write => write.data?.commentCount)).toBe(true));
+        const comment = writes.find(write => write.type === 'set' && write.path.startsWith(`${postPath('post-1')}/comments/`));
+        expect(comment.data).toMatchObject({ userId: 'reader', text: 'What a sighting! #BigCats', tags: ['bigcats'], parentId: null, depth: 0 });
+        expect(writes).toContainEqual({ type: 'update', path: postPath('post-1'), data: { commentCount: { increment: 1 }, lastCommentId: comment.path.split('/').pop() } });
+        expect(writes).toContainEqual(expect.objectContaining({ path: tagPath('bigcats'), data: expect.objectContaining({ source: comment.path, count: { increment: 1 } }) }));
+        expect(screen.getByPlaceholderText(/Write a comment/).value).toBe('');
+    });
+
+    it('puts a rejected reply back into a reopened reply form', async () => {
+        showComments([makeComment()]);
+        let rejectCommit;
+        writeBatch.mockImplementationOnce(() => ({
+            set() { return this; },
+            update() { return this; },
+            commit: () => new Promise((resolve, reject) => { rejectCommit = reject; }),
+        }));
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        renderPost(makePost({ commentCount: 1 }), { expanded: true });
+        fireEvent.click(screen.getByRole('button', { name: 'Reply' }));
+        fireEvent.change(screen.getByPlaceholderText(/Write a reply/), { target: { value: 'By the big fig tree' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Send Reply' }));
+        await waitFor(() => expect(screen.queryByPlaceholderText(/Write a reply/)).toBeNull());
+
+        rejectCommit(new Error('permission-denied'));
+        await waitFor(() => expect(screen.getByPlaceholderText(/Write a reply/).value).toBe('By the big fig tree'));
+        console.error.mockRestore();
+    });
+
+    it("doesn't let explorers react to their own post", () => {
+        renderPost(makePost(), { userId: 'author' });
+        expect(screen.getByRole('button', { name: 'React' }).disabled).toBe(true);
+    });
+
+    it("doesn't let explorers react to their own comment", () => {
+        showComments([makeComment({ userId: 'reader' })]);
+        renderPost(makePost({ commentCount: 1 }), { expanded: true });
+        const [postReact, commentReact] = screen.getAllByRole('button', { name: 'React' });
+        expect(postReact.disabled).toBe(false);
+        expect(commentReact.disabled).toBe(true);
+    });
+
+    it('records a reaction with the counters and notifies the author', async () => {
+        renderPost(makePost());
+        fireEvent.click(screen.getByRole('button', { name: 'React' }));
+        fireEvent.click(screen.getByRole('menuitemradio', { name: '❤️' }));
+
+        await waitFor(() => expect(writes.some(write => write.data?.type === 'reaction')).toBe(true));
+        expect(writes.find(write => write.data?.type === 'reaction').data).toMatchObject({ actorId: 'reader', fromUserId: 'reader', excerpt: makePost().content });
+        expect(writes).toContainEqual({
+            type: 'set',
+            path: `${reactionsPath(postPath('post-1'))}/reader`,
+            data: { userId: 'reader', type: 'heart', timestamp: { serverTimestamp: true } },
+        });
+        expect(writes).toContainEqual({
+            type: 'update',
+            path: postPath('post-1'),
+            data: { 'reactionCounts.heart': { increment: 1 }, reactionTotal: { increment: 1 } },
+        });
+    });
+});
@@ -0,0 +1,460 @@
+// @vitest-environment node
+import { readFileSync } from 'node:fs';
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, collection, collectionGroup, query, where, orderBy, limit, getDoc, getDocs, setDoc, updateDoc, deleteDoc, writeBatch, serverTimestamp, deleteField, increment, arrayUnion, Timestamp } from 'firebase/firestore';
+import {
+    postPath, postCommentsPath, STORIES_PATH, storyPath, STORY_COMMENTS_PATH, storyCommentPath,
+    profilePath, aliasPath, presencePath, tagPath, ROLES_DOC_PATH, REPORTS_PATH, BANS_PATH, notificationsPath,
+    mutesDocPath, storyDraftPath, storyStatsPath, editWithRevision, softDelete, publishedBy, readableStories,
+} from '../src/data';
+import { react } from '../src/reactions';
+import { applyModerationAction, reportContent } from '../src/moderation';
+import { saveProfile } from '../src/profiles';
+import { releaseScheduledTags, tagIndexWrites } from '../src/tags';
+import { createNotifications } from '../src/notifications';
+import { publishDraft, setStoryPinned } from '../src/creator';
+import { updateStoryStats } from '../src/stats';
+
+// --- Security rules, against the Firestore emulator (npm test starts it) ---
+// Writes go through the app's own helpers wherever there is one, so these tests also catch the
+// app and the rules drifting apart.
+
+let testEnv;
+
+const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+const anonymous = () => testEnv.unauthenticatedContext().firestore();
+
+// Documents written past the rules, as an admin would
+const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+
+const newPost = (userId, fields = {}) => ({
+    userId,
+    content: 'Elephants at the waterhole',
+    mentions: [],
+    tags: [],
+    photos: [],
+    sighting: null,
+    timestamp: serverTimestamp(),
+    reactionCounts: {},
+    reactionTotal: 0,
+    commentCount: 0,
+    ...fields,
+});
+
+const seededPost = (userId, fields = {}) => ({ ...newPost(userId, fields), timestamp: new Date(), ...fields });
+
+// The app's comment batch (PostItem's addComment): the comment and the post's counter together
+const addPostComment = (db, postId, userId, { bumpCount = true, tags = [] } = {}) => {
+    const batch = writeBatch(db);
+    const commentRef = doc(collection(db, postCommentsPath(postId)));
+    batch.set(commentRef, {
+        userId, text: 'So big!', mentions: [], tags, parentId: null, depth: 0, timestamp: serverTimestamp(),
+    });
+    if (bumpCount) batch.update(doc(db, postPath(postId)), { commentCount: increment(1), lastCommentId: commentRef.id });
+    tagIndexWrites(db, commentRef.path, [], tags)(batch);
+    return batch.commit();
+};
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-kairu',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    });
+});
+
+afterAll(() => testEnv?.cleanup());
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed(ROLES_DOC_PATH, { creators: ['kairu'], moderators: ['ranger'] });
+});
+
+describe('posts', () => {
+    it('can only be read when signed in', async () => {
+        await seed(postPath('p1'), seededPost('alice'));
+        await assertSucceeds(getDoc(doc(as('bob'), postPath('p1'))));
+        await assertFails(getDoc(doc(anonymous(), postPath('p1'))));
+    });
+
+    it('are created by their author with empty counters', async () => {
+        await assertSucceeds(setDoc(doc(as('alice'), postPath('p1')), newPost('alice')));
+        await assertFails(setDoc(doc(as('alice'), postPath('p2')), newPost('bob')));
+        await assertFails(setDoc(doc(as('alice'), postPath('p3')), newPost('alice', { reactionTotal: 50 })));
+        await assertFails(setDoc(doc(as('alice'), postPath('p4')), newPost('alice', { likes: ['x', 'y'] })));
+        await assertFails(setDoc(doc(as('alice'), postPath('p5')), newPost('alice', { timestamp: new Date(2020, 0, 1) })));
+    });
+
+    it("can't be created by banned explorers", async () => {
+        await seed(`${BANS_PATH}/alice`, { userId: 'alice' });
+        await assertFails(setDoc(doc(as('alice'), postPath('p1')), newPost('alice')));
+    });
+
+    it('are edited with a revision by their author only', async () => {
+        await seed(postPath('p1'), seededPost('alice'));
+        const edit = (db) => editWithRevision(db, postPath('p1'), { content: 'Edited', mentions: [], tags: [] }, { content: 'Elephants at the waterhole' }, 'alice');
+        await assertFails(edit(as('bob')));
+        await assertSucceeds(edit(as('alice')));
+        await assertFails(updateDoc(doc(as('alice'), postPath('p1')), { content: 'No revision' }));
+        await assertFails(updateDoc(doc(as('alice'), postPath('p1')), { userId: 'bob', editedAt: serverTimestamp(), editCount: increment(1) }));
+    });
+
+    it('are soft deleted by their author and never removed', async () => {
+        await seed(postPath('p1'), seededPost('alice'));
+        const cleared = { content: '', tags: [], photos: [], sighting: null };
+        await assertFails(softDelete(as('bob'), postPath('p1'), cleared, 'bob'));
+        await assertSucceeds(softDelete(as('alice'), postPath('p1'), cleared, 'alice'));
+        await assertFails(deleteDoc(doc(as('alice'), postPath('p1'))));
+    });
+
+    it('count a new comment only together with the comment', async () => {
+        await seed(postPath('p1'), seededPost('alice'));
+        await assertSucceeds(addPostComment(as('bob'), 'p1', 'bob'));
+        await assertFails(addPostComment(as('bob'), 'p1', 'bob', { bumpCount: false }));
+        await assertFails(updateDoc(doc(as('bob'), postPath('p1')), { commentCount: increment(5) }));
+        await assertFails(addPostComment(as('bob'), 'p1', 'carol'));
+        // The counter alone, naming a comment that isn't written or already exists
+        await assertFails(updateDoc(doc(as('bob'), postPath('p1')), { commentCount: increment(1), lastCommentId: 'nothing' }));
+        await seed(`${postCommentsPath('p1')}/old`, { userId: 'bob', text: 'Hi', parentId: null, depth: 0, timestamp: new Date() });
+        await assertFails(updateDoc(doc(as('bob'), postPath('p1')), { commentCount: increment(1), lastCommentId: 'old' }));
+    });
+});
+
+describe('reactions', () => {
+    beforeEach(() => seed(postPath('p1'), seededPost('alice')));
+
+    const currentPost = async () => (await testEnv.withSecurityRulesDisabled(async context => (
+        (await getDoc(doc(context.firestore(), postPath('p1')))).data()
+    )));
+
+    it('add, change and take back the explorer’s own reaction with the counters', async () => {
+        await assertSucceeds(react(as('bob'), postPath('p1'), await currentPost(), 'bob', 'heart'));
+        await assertSucceeds(react(as('bob'), postPath('p1'), await currentPost(), 'bob', 'lion'));
+        await assertSucceeds(react(as('bob'), postPath('p1'), await currentPost(), 'bob', 'lion'));
+    });
+
+    it("can't be written for someone else or without the counters", async () => {
+        const bob = as('bob');
+        await assertFails(setDoc(doc(bob, `${postPath('p1')}/reactions/carol`), { userId: 'carol', type: 'heart', timestamp: serverTimestamp() }));
+        await assertFails(setDoc(doc(bob, `${postPath('p1')}/reactions/bob`), { userId: 'bob', type: 'heart', timestamp: serverTimestamp() }));
+        await assertFails(updateDoc(doc(bob, postPath('p1')), { 'reactionCounts.heart': increment(10), reactionTotal: increment(10) }));
+    });
+
+    it("aren't given to a post comment by its author", async () => {
+        await seed(`${postCommentsPath('p1')}/c1`, { userId: 'alice', text: 'So big!', parentId: null, depth: 0, timestamp: new Date(), reactionCounts: {}, reactionTotal: 0 });
+        const item = { userId: 'alice', reactionCounts: {}, reactionTotal: 0 };
+        await assertFails(react(as('alice'), `${postCommentsPath('p1')}/c1`, item, 'alice', 'heart'));
+        await assertSucceeds(react(as('bob'), `${postCommentsPath('p1')}/c1`, item, 'bob', 'heart'));
+    });
+
+    it("aren't given to a post by its author", async () => {
+        await assertFails(react(as('alice'), postPath('p1'), await currentPost(), 'alice', 'heart'));
+    });
+
+    it('only accept known reaction types', async () => {
+        await assertFails(react(as('bob'), postPath('p1'), await currentPost(), 'bob', 'poop'));
+    });
+
+    it('replace a legacy like, which can only be taken back by its owner', async () => {
+        await seed(postPath('p2'), seededPost('alice', { likes: ['bob', 'carol'] }));
+        const legacyPost = { ...seededPost('alice'), likes: ['bob', 'carol'] };
+        await assertFails(updateDoc(doc(as('bob'), postPath('p2')), { likes: ['bob'] }));
+        await assertFails(updateDoc(doc(as('bob'), postPath('p2')), { likes: arrayUnion('dave') }));
+        await assertSucceeds(react(as('bob'), postPath('p2'), legacyPost, 'bob', 'wow'));
+    });
+});
+
+describe('stories', () => {
+    const story = { title: 'The Great Migration', content: 'Wildebeest everywhere', timestamp: serverTimestamp() };
+
+    it('are published by creators only', async () => {
+        await assertSucceeds(setDoc(doc(as('kairu'), storyPath('s1')), story));
+        await assertFails(setDoc(doc(as('ranger'), storyPath('s2')), story));
+        await assertFails(setDoc(doc(as('alice'), storyPath('s3')), story));
+        await assertFails(setDoc(doc(as('kairu'), storyPath('s4')), { ...story, authorId: 'alice' }));
+        await assertFails(updateDoc(doc(as('alice'), storyPath('s1')), { title: 'Mine now' }));
+        await assertSucceeds(getDoc(doc(as('alice'), storyPath('s1'))));
+    });
+
+    it('are hidden from explorers once unpublished', async () => {
+        await seed(storyPath('s1'), { ...story, timestamp: new Date(), unpublished: true });
+        await seed(storyPath('s2'), { ...story, timestamp: new Date(), unpublished: false });
+        await assertFails(getDoc(doc(as('alice'), storyPath('s1'))));
+        await assertSucceeds(getDoc(doc(as('kairu'), storyPath('s1'))));
+        const stories = (db, ...constraints) => getDocs(query(collection(db, STORIES_PATH), ...constraints, orderBy('timestamp', 'desc')));
+        expect((await assertSucceeds(stories(as('alice'), ...readableStories(Timestamp.now())))).docs.map(docSnap => docSnap.id)).toEqual(['s2']);
+        await assertFails(stories(as('alice'), publishedBy(Timestamp.now())));
+    });
+
+    it('have their scheduled tags counted by a reader once they are out', async () => {
+        const released = { ...story, timestamp: new Date(Date.now() - 1000), unpublished: false, tags: [], scheduledTags: ['migration'] };
+        await seed(storyPath('s1'), released);
+        await assertFails(updateDoc(doc(as('alice'), storyPath('s1')), { title: 'Mine now', tags: ['migration'], scheduledTags: deleteField() }));
+        await assertSucceeds(releaseScheduledTags(as('alice'), { id: 's1', ...released }));
+        expect((await getDoc(doc(as('alice'), tagPath('migration')))).data().count).toBe(1);
+        // Only once
+        await assertFails(releaseScheduledTags(as('bob'), { id: 's1', ...released }));
+    });
+
+    it("can't be published by explorers granting themselves the creator role", async () => {
+        await assertFails(setDoc(doc(as('alice'), ROLES_DOC_PATH), { creators: ['alice'] }));
+        await assertFails(setDoc(doc(as('alice'), `${STORIES_PATH}/s4`), story));
+    });
+});
+
+describe('story drafts', () => {
+    const draft = { title: 'Night Watch', content: 'Hyenas at dusk', photos: [], pinned: false, featured: true, publishAt: null };
+
+    it('are only seen by creators', async () => {
+        await assertSucceeds(setDoc(doc(as('kairu'), storyDraftPath('d1')), draft));
+        await assertSucceeds(getDoc(doc(as('kairu'), storyDraftPath('d1'))));
+        await assertFails(getDoc(doc(as('alice'), storyDraftPath('d1'))));
+        await assertFails(getDoc(doc(as('ranger'), storyDraftPath('d1'))));
+        await assertFails(setDoc(doc(as('alice'), storyDraftPath('d2')), draft));
+    });
+
+    it('are published as a story with the same id', async () => {
+        await seed(storyDraftPath('d1'), draft);
+        await expect(publishDraft(as('kairu'), 'd1', 'kairu')).resolves.toBe(true);
+
+        const story = await getDoc(doc(as('alice'), storyPath('d1')));
+        expect(story.data()).toMatchObject({ title: 'Night Watch', featured: true });
+        expect((await getDoc(doc(as('kairu'), storyDraftPath('d1')))).exists()).toBe(false);
+        // Publishing again (e.g. a second tab) does nothing
+        await expect(publishDraft(as('kairu'), 'd1', 'kairu')).resolves.toBe(false);
+    });
+
+    it("are scheduled out of explorers' sight until their publish time", async () => {
+        await seed(storyDraftPath('d2'), { ...draft, content: 'Hyenas at dusk #NightWatch' });
+        const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+        await expect(publishDraft(as('kairu'), 'd2', 'kairu', { publishAt })).resolves.toBe(true);
+        // Its tags aren't counted until it's out
+        expect((await getDoc(doc(as('kairu'), storyPath('d2')))).data()).toMatchObject({ tags: [], scheduledTags: ['nightwatch'] });
+        expect((await getDoc(doc(as('kairu'), tagPath('nightwatch')))).exists()).toBe(false);
+
+        await assertFails(getDoc(doc(as('alice'), storyPath('d2'))));
+        await assertSucceeds(getDoc(doc(as('kairu'), storyPath('d2'))));
+        const stories = (db, ...constraints) => getDocs(query(collection(db, STORIES_PATH), ...constraints, orderBy('timestamp', 'desc')));
+        expect((await assertSucceeds(stories(as('alice'), ...readableStories(Timestamp.now())))).size).toBe(0);
+        await assertFails(stories(as('alice')));
+    });
+
+    it('keep one story pinned', async () => {
+        await seed(storyPath('old'), { title: 'Old', content: 'Old news', pinned: true, timestamp: new Date() });
+        await seed(storyPath('new'), { title: 'New', content: 'New news', pinned: false, timestamp: new Date() });
+        await assertSucceeds(setStoryPinned(as('kairu'), 'new', true));
+        expect((await getDoc(doc(as('alice'), storyPath('old')))).data().pinned).toBe(false);
+        await assertFails(setStoryPinned(as('alice'), 'old', true));
+    });
+});
+
+describe('story stats', () => {
+    beforeEach(() => seed(storyPath('s1'), { title: 'The Great Migration', content: 'Wildebeest everywhere', timestamp: new Date() }));
+
+    it('count one view, comment or reaction at a time', async () => {
+        await assertSucceeds(updateStoryStats(as('alice'), 's1', 'views'));
+        await assertSucceeds(updateStoryStats(as('bob'), 's1', 'views'));
+        await assertSucceeds(updateStoryStats(as('bob'), 's1', 'comments'));
+        await assertFails(setDoc(doc(as('bob'), storyStatsPath('s1')), { views: increment(50) }, { merge: true }));
+        await assertFails(setDoc(doc(as('bob'), storyStatsPath('s1')), { views: 0 }, { merge: true }));
+        await assertFails(setDoc(doc(as('bob'), storyStatsPath('s1')), { shares: 1 }, { merge: true }));
+        await assertFails(updateStoryStats(as('bob'), 'missing', 'views'));
+    });
+
+    it('are only read by creators', async () => {
+        await assertSucceeds(updateStoryStats(as('alice'), 's1', 'views'));
+        await assertFails(getDoc(doc(as('alice'), storyStatsPath('s1'))));
+        await assertSucceeds(getDoc(doc(as('kairu'), storyStatsPath('s1'))));
+    });
+});
+
+describe('story comments', () => {
+    const comment = (userId) => ({ userId, storyId: 's1', text: 'Wow', mentions: [], tags: [], timestamp: serverTimestamp() });
+
+    it('are written by their author', async () => {
+        await assertSucceeds(setDoc(doc(as('alice'), storyCommentPath('c1')), comment('alice')));
+        await assertFails(setDoc(doc(as('alice'), storyCommentPath('c2')), comment('bob')));
+        await assertFails(setDoc(doc(as('alice'), `${STORY_COMMENTS_PATH}/c3`), { ...comment('alice'), storyId: null }));
+    });
+
+    it('take reactions from everyone but their author', async () => {
+        await seed(storyCommentPath('c1'), { ...comment('alice'), timestamp: new Date(), reactionCounts: {}, reactionTotal: 0 });
+        const item = { userId: 'alice', reactionCounts: {}, reactionTotal: 0 };
+        await assertFails(react(as('alice'), storyCommentPath('c1'), item, 'alice', 'heart'));
+        await assertSucceeds(react(as('bob'), storyCommentPath('c1'), item, 'bob', 'heart'));
+    });
+});
+
+describe('moderation', () => {
+    beforeEach(() => seed(postPath('p1'), seededPost('alice')));
+
+    it('lets moderators hide content, ban and log it', async () => {
+        await assertSucceeds(applyModerationAction(as('ranger'), 'ranger', 'hide', { targetPath: postPath('p1') }));
+        await assertSucceeds(applyModerationAction(as('ranger'), 'ranger', 'ban', { targetUserId: 'alice', note: 'Spam' }));
+        await assertSucceeds(applyModerationAction(as('kairu'), 'kairu', 'unban', { targetUserId: 'alice' }));
+    });
+
+    it("doesn't let explorers moderate", async () => {
+        await assertFails(applyModerationAction(as('bob'), 'bob', 'hide', { targetPath: postPath('p1') }));
+        await assertFails(applyModerationAction(as('bob'), 'bob', 'ban', { targetUserId: 'alice' }));
+        await assertFails(updateDoc(doc(as('alice'), postPath('p1')), { hidden: false }));
+    });
+
+    it('takes reports from anyone and shows them to moderators only', async () => {
+        const target = { targetType: 'post', targetPath: postPath('p1'), targetAuthorId: 'alice', excerpt: '' };
+        const reportRef = await assertSucceeds(reportContent(as('bob'), 'bob', target, 'Rude'));
+        await assertFails(getDoc(doc(as('bob'), `${REPORTS_PATH}/${reportRef.id}`)));
+        await assertSucceeds(getDoc(doc(as('ranger'), `${REPORTS_PATH}/${reportRef.id}`)));
+    });
+
+    it("doesn't let creators or moderators be banned", async () => {
+        await assertFails(applyModerationAction(as('ranger'), 'ranger', 'ban', { targetUserId: 'kairu' }));
+        await assertFails(applyModerationAction(as('kairu'), 'kairu', 'ban', { targetUserId: 'ranger' }));
+        await assertFails(setDoc(doc(as('kairu'), `${BANS_PATH}/ranger`), { userId: 'ranger' }));
+    });
+
+    it('lets explorers see their own ban only', async () => {
+        await seed(`${BANS_PATH}/alice`, { userId: 'alice' });
+        await assertSucceeds(getDoc(doc(as('alice'), `${BANS_PATH}/alice`)));
+        await assertFails(getDoc(doc(as('bob'), `${BANS_PATH}/alice`)));
+        await assertFails(deleteDoc(doc(as('alice'), `${BANS_PATH}/alice`)));
+    });
+});
+
+describe('profiles and aliases', () => {
+    it('claim an alias together with the profile', async () => {
+        await assertSucceeds(saveProfile(as('alice'), 'alice', { alias: 'Explorer Lion' }));
+        await assertSucceeds(saveProfile(as('alice'), 'alice', { alias: 'Explorer Zebra', bio: 'Stripes' }));
+        // The old alias is released for others
+        const oldAlias = await assertSucceeds(getDoc(doc(as('bob'), aliasPath('explorer lion'))));
+        expect(oldAlias.exists()).toBe(false);
+    });
+
+    it("can't take someone else's alias or profile", async () => {
+        await assertSucceeds(saveProfile(as('alice'), 'alice', { alias: 'Explorer Lion' }));
+        await assertFails(setDoc(doc(as('bob'), aliasPath('explorer lion')), { userId: 'bob' }));
+        await assertFails(deleteDoc(doc(as('bob'), aliasPath('explorer lion'))));
+        await assertFails(setDoc(doc(as('bob'), profilePath('alice')), { userId: 'alice', bio: 'Hacked' }, { merge: true }));
+        await assertFails(setDoc(doc(as('bob'), profilePath('bob')), { userId: 'bob', alias: 'Explorer Lion', aliasKey: 'explorer lion' }));
+    });
+
+    it('only take an alias with its own index key, and never a reserved one', async () => {
+        await assertSucceeds(saveProfile(as('bob'), 'bob', { alias: 'Explorer Zebra' }));
+        const profile = doc(as('bob'), profilePath('bob'));
+        // An alias without its key, or next to the key of another name
+        await assertFails(setDoc(profile, { userId: 'bob', alias: 'Kairu' }, { merge: true }));
+        await assertFails(setDoc(profile, { userId: 'bob', alias: 'Kairu', aliasKey: 'explorer zebra' }, { merge: true }));
+        // A matching key that names Kairu
+        const batch = writeBatch(as('bob'));
+        batch.set(doc(as('bob'), aliasPath('kairu the guide')), { userId: 'bob' });
+        batch.set(profile, { userId: 'bob', alias: 'Kairu  The Guide', aliasKey: 'kairu the guide' }, { merge: true });
+        await assertFails(batch.commit());
+        await assertSucceeds(setDoc(profile, { userId: 'bob', bio: 'Stripes' }, { merge: true }));
+    });
+
+    it('only take an alias the profile screen would accept', async () => {
+        const claim = (alias, key) => {
+            const batch = writeBatch(as('bob'));
+            batch.set(doc(as('bob'), aliasPath(key)), { userId: 'bob' });
+            batch.set(doc(as('bob'), profilePath('bob')), { userId: 'bob', alias, aliasKey: key }, { merge: true });
+            return batch.commit();
+        };
+        await assertFails(claim('Explorer '.repeat(4), 'explorer '.repeat(4).trim()));
+        await assertFails(claim('Lion#1', 'lion#1'));
+        await assertFails(claim('Ox', 'ox'));
+        await assertSucceeds(claim("Mama O'Hara-Swift", "mama o'hara-swift"));
+    });
+
+    it("list an explorer's newest comments across posts", async () => {
+        await seed(postPath('p1'), seededPost('alice'));
+        await assertSucceeds(addPostComment(as('bob'), 'p1', 'bob'));
+        const latest = query(collectionGroup(as('carol'), 'comments'), where('userId', '==', 'bob'), orderBy('timestamp', 'desc'), limit(20));
+        expect((await assertSucceeds(getDocs(latest))).size).toBe(1);
+        await assertFails(getDocs(query(collectionGroup(anonymous(), 'comments'), where('userId', '==', 'bob'))));
+    });
+
+    it('limit the bio length', async () => {
+        await assertFails(setDoc(doc(as('alice'), profilePath('alice')), { userId: 'alice', bio: 'x'.repeat(161) }));
+    });
+});
+
+describe('per-explorer data', () => {
+    beforeEach(() => seed(postPath('p1'), seededPost('alice')));
+
+    const notification = (actorId) => ({ type: 'reply', actorId, targetPath: postPath('p1'), excerpt: 'Elephants at' });
+
+    it('lets anyone notify an explorer as themselves', async () => {
+        await assertSucceeds(createNotifications(as('bob'), ['alice'], notification('bob')));
+        const forged = { ...notification('carol'), fromUserId: 'carol', recipientId: 'alice', read: false, timestamp: serverTimestamp() };
+        await assertFails(setDoc(doc(collection(as('bob'), notificationsPath('alice'))), forged));
+        await assertFails(setDoc(doc(collection(as('bob'), notificationsPath('alice'))), { ...forged, actorId: 'bob' }));
+    });
+
+    it('only quotes the start of the post or comment it points to', async () => {
+        await assertFails(createNotifications(as('bob'), ['alice'], { ...notification('bob'), excerpt: 'Send me your password' }));
+        await assertFails(createNotifications(as('bob'), ['alice'], { ...notification('bob'), targetPath: notificationsPath('alice') }));
+        await assertFails(createNotifications(as('bob'), ['alice'], { ...notification('bob'), targetPath: postPath('nothing') }));
+    });
+
+    it("don't let a notification name its sender or pose as a story", async () => {
+        await assertFails(createNotifications(as('bob'), ['alice'], { ...notification('bob'), actorAlias: 'Kairu' }));
+        await assertFails(createNotifications(as('bob'), ['alice'], { ...notification('bob'), fromStoryFeed: true }));
+        await assertFails(createNotifications(as('bob'), ['alice'], { ...notification('bob'), type: 'story' }));
+    });
+
+    it('lets only the recipient read notifications and mark them read', async () => {
+        await seed(`${notificationsPath('alice')}/n1`, { ...notification('bob'), recipientId: 'alice', read: false });
+        await assertFails(getDoc(doc(as('bob'), `${notificationsPath('alice')}/n1`)));
+        await assertSucceeds(updateDoc(doc(as('alice'), `${notificationsPath('alice')}/n1`), { read: true, readAt: serverTimestamp() }));
+        await assertFails(updateDoc(doc(as('alice'), `${notificationsPath('alice')}/n1`), { actorId: 'kairu' }));
+    });
+
+    it('keeps mutes and preferences private', async () => {
+        await assertSucceeds(setDoc(doc(as('alice'), mutesDocPath('alice')), { mutedUserIds: ['bob'] }));
+        await assertFails(getDoc(doc(as('bob'), mutesDocPath('alice'))));
+    });
+
+    it('lets explorers write their own heartbeat only', async () => {
+        const heartbeat = (uid) => ({ userId: uid, lastSeen: serverTimestamp(), viewing: null });
+        await assertSucceeds(setDoc(doc(as('alice'), presencePath('alice')), heartbeat('alice'), { merge: true }));
+        await assertFails(setDoc(doc(as('alice'), presencePath('bob')), heartbeat('bob')));
+        await assertFails(setDoc(doc(as('alice'), presencePath('alice')), { ...heartbeat('alice'), alias: 'Kairu' }));
+        await assertSucceeds(deleteDoc(doc(as('alice'), presencePath('alice'))));
+    });
+});
+
+describe('tag index', () => {
+    beforeEach(() => seed(postPath('p1'), seededPost('alice')));
+
+    const tagUse = (tag, source, count) => ({ tag, source, count: increment(count) });
+
+    it('moves counts one use at a time, together with the content', async () => {
+        await assertSucceeds(addPostComment(as('alice'), 'p1', 'alice', { tags: ['lions'] }));
+        await assertSucceeds(addPostComment(as('bob'), 'p1', 'bob', { tags: ['lions'] }));
+        await seed(`${postCommentsPath('p1')}/c1`, { userId: 'bob', text: '#lions', tags: ['lions'], parentId: null, depth: 0, timestamp: new Date() });
+        const commentPath = `${postCommentsPath('p1')}/c1`;
+        await assertSucceeds(softDelete(as('bob'), commentPath, { text: '', tags: [] }, 'bob', tagIndexWrites(as('bob'), commentPath, ['lions'], [])));
+        await assertFails(setDoc(doc(as('bob'), tagPath('lions')), { tag: 'lions', count: increment(100) }, { merge: true }));
+        await assertFails(setDoc(doc(as('bob'), tagPath('zebras')), { tag: 'zebras', count: 40 }));
+    });
+
+    it("can't be moved without the content gaining or losing the tag", async () => {
+        await assertSucceeds(addPostComment(as('bob'), 'p1', 'bob', { tags: ['lions'] }));
+        const lionsComment = (await testEnv.withSecurityRulesDisabled(async context => (
+            getDocs(query(collection(context.firestore(), postCommentsPath('p1')), where('tags', 'array-contains', 'lions')))
+        ))).docs[0].ref.path;
+        // Counting the same comment again, or taking off a use it never lost
+        await assertFails(setDoc(doc(as('bob'), tagPath('lions')), tagUse('lions', lionsComment, 1), { merge: true }));
+        await assertFails(setDoc(doc(as('bob'), tagPath('lions')), tagUse('lions', lionsComment, -1), { merge: true }));
+        // A document outside the content collections that happens to have tags
+        const batch = writeBatch(as('bob'));
+        batch.set(doc(as('bob'), profilePath('bob')), { userId: 'bob', tags: ['zebras'] }, { merge: true });
+        batch.set(doc(as('bob'), tagPath('zebras')), tagUse('zebras', profilePath('bob'), 1), { merge: true });
+        await assertFails(batch.commit());
+    });
+
+    it("can't be used by banned explorers", async () => {
+        await seed(`${BANS_PATH}/alice`, { userId: 'alice' });
+        await assertFails(addPostComment(as('alice'), 'p1', 'alice', { tags: ['lions'] }));
+    });
+});
@@ -0,0 +1,104 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { formatEditedLabel, formatExcerpt, formatText, formatTimestamp } from '../src/format';
+
+vi.mock('firebase/firestore', () => import('./mocks/firestore'));
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+describe('formatTimestamp', () => {
+    afterEach(() => vi.useRealTimers());
+
+    it('treats a missing (unconfirmed) timestamp as just now', () => {
+        expect(formatTimestamp(null)).toBe('Just now');
+    });
+
+    it('counts minutes and hours, then shows the date', () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2025-03-10T12:00:00'));
+        expect(formatTimestamp(minutesAgo(1))).toBe('1 minute ago');
+        expect(formatTimestamp(minutesAgo(5))).toBe('5 minutes ago');
+        expect(formatTimestamp(minutesAgo(3 * 60))).toBe('3 hours ago');
+        expect(formatTimestamp({ toDate: () => new Date('2025-03-04T09:00:00') })).toBe('Mar 4, 2025');
+    });
+
+    it('reports unreadable values', () => {
+        expect(formatTimestamp('not a date')).toBe('Unknown time');
+    });
+});
+
+describe('formatEditedLabel', () => {
+    it('lower-cases relative labels and puts "on" before dates', () => {
+        expect(formatEditedLabel(minutesAgo(5))).toBe('5 minutes ago');
+        expect(formatEditedLabel(null)).toBe('just now');
+        expect(formatEditedLabel(new Date('2024-01-15T12:00:00'))).toBe('on Jan 15, 2024');
+    });
+});
+
+describe('formatExcerpt', () => {
+    it('collapses whitespace and shortens long text', () => {
+        expect(formatExcerpt('  A lion\n\nat dawn  ')).toBe('A lion at dawn');
+        expect(formatExcerpt('The herd crossed the river', 9)).toBe('The herd…');
+        expect(formatExcerpt('')).toBe('');
+    });
+});
+
+describe('formatText', () => {
+    it('links mentions, tags and URLs and highlights other @names', () => {
+        const mentions = [{ userId: 'uid-1', alias: 'Explorer Lion' }];
+        render(<p>{formatText('Hi @Explorer Lion, see https://example.org about #Elephants with @WWF', mentions)}</p>);
+
+        expect(screen.getByRole('link', { name: '@Explorer Lion' }).getAttribute('href')).toBe('#/profile/uid-1');
+        const url = screen.getByRole('link', { name: 'https://example.org' });
+        expect(url.getAttribute('target')).toBe('_blank');
+        expect(url.getAttribute('rel')).toBe('noopener noreferrer');
+        expect(screen.getByRole('link', { name: '#Elephants' }).getAttribute('href')).toBe('#/tags/elephants');
+        expect(screen.getByText('@WWF').tagName).toBe('SPAN');
+    });
+
+    it('renders nothing for empty text', () => {
+        expect(formatText('')).toBeNull();
+    });
+
+    it('renders bold, italic, code, emoji shortcodes and line breaks', () => {
+        const { container } = render(<p>{formatText('**Big** *cat* _spotted_ at `10:30:45`\n:lion: :not_an_emoji:')}</p>);
+        expect(container.querySelector('strong').textContent).toBe('Big');
+        expect([...container.querySelectorAll('em')].map(em => em.textContent)).toEqual(['cat', 'spotted']);
+        expect(container.querySelector('code').textContent).toBe('10:30:45');
+        expect(container.querySelectorAll('br')).toHaveLength(1);
+        expect(container.textContent).toContain('🦁 :not_an_emoji:');
+    });
+
+    it('leaves arithmetic and snake_case alone', () => {
+        const { container } = render(<p>{formatText('2 * 3 * 4 and snake_case_name')}</p>);
+        expect(container.querySelector('em')).toBeNull();
+        expect(container.textContent).toBe('2 * 3 * 4 and snake_case_name');
+    });
+
+    it('keeps punctuation next to URLs, tags and names out of the link', () => {
+        render(<p>{formatText('Read (https://en.wikipedia.org/wiki/Lion_(disambiguation)), https://kws.go.ke. #Lions! @WWF, and www.example.org?')}</p>);
+        expect(screen.getByRole('link', { name: 'https://en.wikipedia.org/wiki/Lion_(disambiguation)' })).toBeTruthy();
+        expect(screen.getByRole('link', { name: 'https://kws.go.ke' }).getAttribute('href')).toBe('https://kws.go.ke/');
+        expect(screen.getByRole('link', { name: '#Lions' })).toBeTruthy();
+        expect(screen.getByText('@WWF').tagName).toBe('SPAN');
+        expect(screen.getByRole('link', { name: 'www.example.org' }).getAttribute('href')).toBe('https://www.example.org/');
+    });
+
+    it('renders [label](url) links and drops unsafe URLs', () => {
+        render(<p>{formatText('[KWS](https://www.kws.go.ke) [story](#/stories/s1) [x](javascript:alert(1)) [y](data:text/html,hi) ![img](https://example.org/a.jpg)')}</p>);
+        expect(screen.getByRole('link', { name: 'KWS' }).getAttribute('target')).toBe('_blank');
+        expect(screen.getByRole('link', { name: 'story' }).hasAttribute('target')).toBe(false);
+        expect(screen.queryByRole('link', { name: 'x' })).toBeNull();
+        expect(screen.queryByRole('link', { name: 'y' })).toBeNull();
+        // Images are only shown in stories; elsewhere they are links
+        expect(screen.queryByRole('img')).toBeNull();
+        expect(screen.getByRole('link', { name: 'img' }).getAttribute('href')).toBe('https://example.org/a.jpg');
+    });
+
+    it('never turns text into markup', () => {
+        const { container } = render(<p>{formatText('<script>alert(1)</script> <img src=x onerror=alert(1)> javascript:alert(1)')}</p>);
+        expect(container.querySelector('script, img, a')).toBeNull();
+        expect(container.textContent).toContain('<script>alert(1)</script>');
+    });
+});
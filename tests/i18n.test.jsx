@@ -0,0 +1,135 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { I18nProvider, LanguageSwitcher, getLocale, translate, useI18n } from '../src/i18n';
+import { NewCommentAnnouncer } from '../src/a11y';
+import { formatEditedLabel, formatTimestamp } from '../src/format';
+import { Lightbox } from '../src/photos';
+
+vi.mock('firebase/firestore', () => import('./mocks/firestore'));
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// Renders the switcher next to the probe; returns a getter for the i18n context (setLocale)
+const renderWithSwitcher = (Probe) => {
+    let i18n;
+    const Capture = () => {
+        i18n = useI18n();
+        return <Probe />;
+    };
+    render(
+        <I18nProvider>
+            <LanguageSwitcher />
+            <Capture />
+        </I18nProvider>
+    );
+    return () => i18n;
+};
+
+describe('translate', () => {
+    it('fills in placeholders and picks plural forms per language', () => {
+        expect(translate('feed.showReplies', { count: 1 }, 'en')).toBe('Show 1 reply');
+        expect(translate('feed.showReplies', { count: 4 }, 'en')).toBe('Show 4 replies');
+        expect(translate('feed.showReplies', { count: 1 }, 'sw')).toBe('Onyesha jibu 1');
+        expect(translate('feed.showReplies', { count: 4 }, 'sw')).toBe('Onyesha majibu 4');
+        expect(translate('presence.typingOne', { name: 'Simba' }, 'sw')).toBe('Simba anaandika…');
+        expect(translate('reactions.summary', { count: 1200 }, 'en')).toBe('1,200 reactions, see who reacted');
+    });
+
+    it('covers the notification, moderation and sightings screens', () => {
+        expect(translate('notifications.moreActors', { name: 'Simba', count: 1 }, 'en')).toBe('Simba and 1 other');
+        expect(translate('notifications.moreActors', { name: 'Simba', count: 3 }, 'en')).toBe('Simba and 3 others');
+        expect(translate('moderation.reportCount', { count: 2 }, 'sw')).toBe('ripoti 2');
+        expect(translate('sightings.species.african_elephant', {}, 'sw')).toBe('Tembo wa Afrika');
+    });
+
+    it('falls back to English, then to the key', () => {
+        expect(translate('app.tagline', {}, 'fr')).toBe('The Official Wildlife Family Hub');
+        expect(translate('no.such.key', {}, 'sw')).toBe('no.such.key');
+    });
+});
+
+describe('LanguageSwitcher', () => {
+    let i18n;
+    afterEach(() => {
+        // The locale is shared by every formatter; put it back for the next test
+        if (i18n) act(() => i18n().setLocale('en'));
+        i18n = null;
+    });
+
+    it('switches the interface and relative dates to Swahili, and remembers the choice', () => {
+        const Probe = () => {
+            const { t } = useI18n();
+            return (
+                <>
+                    <p>{t('app.tagline')}</p>
+                    <p>{formatTimestamp(minutesAgo(5))}</p>
+                    <p>{formatEditedLabel(minutesAgo(3 * 60))}</p>
+                </>
+            );
+        };
+        i18n = renderWithSwitcher(Probe);
+        expect(screen.getByText('The Official Wildlife Family Hub')).toBeTruthy();
+        expect(screen.getByText('5 minutes ago')).toBeTruthy();
+
+        fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'sw' } });
+
+        expect(getLocale()).toBe('sw');
+        expect(document.documentElement.lang).toBe('sw');
+        expect(window.localStorage.getItem('kairu-locale')).toBe('sw');
+        expect(screen.getByText('Kitovu Rasmi cha Familia ya Wanyamapori')).toBeTruthy();
+        expect(screen.getByText(new Intl.RelativeTimeFormat('sw').format(-5, 'minute'))).toBeTruthy();
+        expect(screen.getByText(new Intl.RelativeTimeFormat('sw').format(-3, 'hour'))).toBeTruthy();
+        expect(screen.getByRole('combobox', { name: 'Lugha' })).toBeTruthy();
+    });
+});
+
+describe('NewCommentAnnouncer', () => {
+    const arrived = (id, userId) => ({ id, userId, timestamp: { toMillis: () => Date.now() + 1000 } });
+    const earlier = (id, userId) => ({ id, userId, timestamp: { toMillis: () => Date.now() - 60 * 1000 } });
+
+    it("announces other explorers' new comments, not earlier or own ones", () => {
+        const { rerender } = render(<NewCommentAnnouncer comments={[]} userId="me" />);
+        const region = screen.getByRole('status');
+        expect(region.getAttribute('aria-live')).toBe('polite');
+
+        rerender(<NewCommentAnnouncer comments={[earlier('a', 'other'), arrived('b', 'me')]} userId="me" />);
+        expect(region.textContent).toBe('');
+
+        rerender(<NewCommentAnnouncer comments={[earlier('a', 'other'), arrived('b', 'me'), arrived('c', 'other'), arrived('d', 'another')]} userId="me" />);
+        expect(region.textContent).toBe('2 new comments');
+    });
+});
+
+describe('Lightbox', () => {
+    const photos = [
+        { url: 'https://example.org/1.jpg', alt: 'Lioness' },
+        { url: 'https://example.org/2.jpg', alt: 'Cubs' },
+    ];
+
+    it('keeps keyboard focus inside the viewer and gives it back on close', () => {
+        const Page = ({ isOpen }) => (
+            <>
+                <button>Open</button>
+                {isOpen && <Lightbox photos={photos} index={0} onIndexChange={() => {}} onClose={() => {}} />}
+            </>
+        );
+        const { rerender } = render(<Page isOpen={false} />);
+        const opener = screen.getByRole('button', { name: 'Open' });
+        opener.focus();
+
+        rerender(<Page isOpen />);
+        const close = screen.getByRole('button', { name: 'Close photo viewer' });
+        const next = screen.getByRole('button', { name: 'Next photo' });
+        expect(document.activeElement).toBe(close);
+
+        next.focus();
+        fireEvent.keyDown(document, { key: 'Tab' });
+        expect(document.activeElement).toBe(close);
+        fireEvent.keyDown(document, { key: 'Tab', shiftKey: true });
+        expect(document.activeElement).toBe(next);
+
+        rerender(<Page isOpen={false} />);
+        expect(document.activeElement).toBe(opener);
+    });
+});
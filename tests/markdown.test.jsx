@@ -0,0 +1,51 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { markdownToPlainText, renderMarkdown } from '../src/markdown';
+
+vi.mock('firebase/firestore', () => import('./mocks/firestore'));
+
+const renderStory = (text) => render(<div>{renderMarkdown(text)}</div>);
+
+describe('renderMarkdown', () => {
+    it('renders headings, lists, quotes and inline formatting', () => {
+        const { container } = renderStory('## At the river\n\nThe herd **crossed** at *dawn*.\n\n- Zebras\n- Wildebeest\n\n> Patience pays');
+        expect(screen.getByRole('heading', { name: 'At the river' }).tagName).toBe('H4');
+        expect(container.querySelector('strong').textContent).toBe('crossed');
+        expect(container.querySelector('em').textContent).toBe('dawn');
+        expect(screen.getAllByRole('listitem')).toHaveLength(2);
+        expect(container.querySelector('blockquote').textContent).toBe('Patience pays');
+    });
+
+    it('shows an image on its own line as a captioned photo', () => {
+        renderStory('![A lioness resting](https://example.com/lioness.jpg)');
+        expect(screen.getByRole('img', { name: 'A lioness resting' }).getAttribute('src')).toBe('https://example.com/lioness.jpg');
+        expect(screen.getByText('A lioness resting', { selector: 'figcaption' })).toBeTruthy();
+    });
+
+    it('drops unsafe link and image URLs but keeps their text', () => {
+        renderStory('[click me](javascript:alert(1)) and ![tracker](data:image/png;base64,AAAA)');
+        expect(screen.queryByRole('link')).toBeNull();
+        expect(screen.queryByRole('img')).toBeNull();
+        expect(screen.getByText(/click me/)).toBeTruthy();
+    });
+
+    it('opens external links in a new tab and keeps app links in place', () => {
+        renderStory('[KWS](https://www.kws.go.ke) and [the archive](#/stories)');
+        expect(screen.getByRole('link', { name: 'KWS' }).getAttribute('target')).toBe('_blank');
+        expect(screen.getByRole('link', { name: 'the archive' }).hasAttribute('target')).toBe(false);
+    });
+
+    it('never renders raw HTML', () => {
+        const { container } = renderStory('<img src=x onerror="alert(1)"> **still bold**');
+        expect(container.querySelector('img')).toBeNull();
+        expect(container.querySelector('strong').textContent).toBe('still bold');
+    });
+});
+
+describe('markdownToPlainText', () => {
+    it('strips the syntax for excerpts', () => {
+        expect(markdownToPlainText('## Dawn\n**Big** [cats](https://example.com) ![pride](https://example.com/p.jpg)'))
+            .toBe('Dawn\nBig cats pride');
+    });
+});
@@ -0,0 +1,98 @@
+import { vi } from 'vitest';
+
+// --- In-memory stand-in for 'firebase/firestore' in component tests ---
+// References are plain { path, id } objects, queries never return documents and listeners never
+// fire, and every write is recorded in `writes` so tests can check what a component saved.
+// Use with: vi.mock('firebase/firestore', () => import('./mocks/firestore'))
+
+export const writes = [];
+
+export const resetWrites = () => {
+    writes.length = 0;
+};
+
+const record = (type, ref, data) => {
+    writes.push({ type, path: ref.path, data });
+    return Promise.resolve();
+};
+
+let autoId = 0;
+
+const childPath = (parent, segments) => [parent?.path, ...segments].filter(Boolean).join('/');
+
+export const collection = (parent, ...segments) => ({ path: childPath(parent, segments) });
+
+// doc(db, path), doc(db, collectionPath, id), doc(collectionRef, id) or doc(collectionRef) for a new id
+export const doc = (parent, ...segments) => {
+    const path = segments.length ? childPath(parent, segments) : `${parent.path}/doc-${++autoId}`;
+    return { path, id: path.split('/').pop() };
+};
+
+export const collectionGroup = (db, collectionId) => ({ path: collectionId });
+export const query = (ref) => ref;
+export const where = (...args) => ({ where: args });
+export const orderBy = (...args) => ({ orderBy: args });
+export const limit = (count) => ({ limit: count });
+export const startAfter = (cursor) => ({ startAfter: cursor });
+export const endAt = (cursor) => ({ endAt: cursor });
+export const documentId = () => '__name__';
+
+export const onSnapshot = vi.fn(() => () => {});
+export const getDoc = vi.fn(async (ref) => ({ id: ref.id, ref, exists: () => false, data: () => undefined }));
+export const getDocs = vi.fn(async () => ({ docs: [], empty: true, size: 0, forEach: () => {} }));
+
+export const setDoc = vi.fn((ref, data) => record('set', ref, data));
+export const updateDoc = vi.fn((ref, data) => record('update', ref, data));
+export const deleteDoc = vi.fn((ref) => record('delete', ref));
+export const addDoc = vi.fn(async (ref, data) => {
+    const docRef = doc(ref);
+    await record('set', docRef, data);
+    return docRef;
+});
+
+export const writeBatch = vi.fn(() => {
+    const operations = [];
+    const batch = {
+        set: (ref, data) => { operations.push(['set', ref, data]); return batch; },
+        update: (ref, data) => { operations.push(['update', ref, data]); return batch; },
+        delete: (ref) => { operations.push(['delete', ref]); return batch; },
+        commit: () => Promise.all(operations.map(([type, ref, data]) => record(type, ref, data))),
+    };
+    return batch;
+});
+
+// Transactions run at once: reads go through getDoc and writes are recorded like any other
+export const runTransaction = vi.fn(async (db, updateFunction) => {
+    const transaction = {
+        get: (ref) => getDoc(ref),
+        set: (ref, data) => { record('set', ref, data); return transaction; },
+        update: (ref, data) => { record('update', ref, data); return transaction; },
+        delete: (ref) => { record('delete', ref); return transaction; },
+    };
+    return updateFunction(transaction);
+});
+
+// Field values are tagged objects, so assertions can match them with toEqual
+export const serverTimestamp = () => ({ serverTimestamp: true });
+export const deleteField = () => ({ deleteField: true });
+export const increment = (amount) => ({ increment: amount });
+export const arrayUnion = (...values) => ({ arrayUnion: values });
+export const arrayRemove = (...values) => ({ arrayRemove: values });
+
+const timestampFromMillis = (millis) => ({
+    seconds: Math.floor(millis / 1000),
+    toMillis: () => millis,
+    toDate: () => new Date(millis),
+});
+
+export const Timestamp = {
+    now: () => timestampFromMillis(Date.now()),
+    fromMillis: timestampFromMillis,
+    fromDate: (date) => timestampFromMillis(date.getTime()),
+};
+
+export const initializeFirestore = () => ({});
+export const persistentLocalCache = () => ({});
+export const persistentMultipleTabManager = () => ({});
+export const connectFirestoreEmulator = () => {};
+export const waitForPendingWrites = () => Promise.resolve();
@@ -0,0 +1,8 @@
+import { afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// Component tests render into one shared jsdom document; drafts live in localStorage
+afterEach(() => {
+    cleanup();
+    window.localStorage.clear();
+});
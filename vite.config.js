@@ -0,0 +1,34 @@
+import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+// The app reads its configuration from globals (__app_id, __firebase_config, ...) that a hosting
+// page may inject. For standalone builds they can be baked in from environment variables instead;
+// unset variables leave the globals to the hosting page.
+const GLOBALS_FROM_ENV = {
+    __app_id: 'KAIRU_APP_ID',
+    __firebase_config: 'KAIRU_FIREBASE_CONFIG',
+    __initial_auth_token: 'KAIRU_INITIAL_AUTH_TOKEN',
+    __kairu_roles: 'KAIRU_ROLES',
+    __firebase_emulators: 'KAIRU_FIREBASE_EMULATORS',
+    __link_preview_endpoint: 'KAIRU_LINK_PREVIEW_ENDPOINT',
+};
+
+const define = Object.fromEntries(Object.entries(GLOBALS_FROM_ENV)
+    .filter(([, variable]) => process.env[variable] !== undefined)
+    .map(([global, variable]) => [global, JSON.stringify(process.env[variable])]));
+
+export default defineConfig({
+    plugins: [react()],
+    // Relative asset URLs, so the build (and its service worker) also works from a sub-path
+    base: './',
+    // The service worker precaches the hashed build files listed here (public/service-worker.js)
+    build: { manifest: 'asset-manifest.json' },
+    define,
+    // Component and formatting tests run in jsdom; the security rules tests opt into node and need
+    // the Firestore emulator (npm test starts it)
+    test: {
+        environment: 'jsdom',
+        include: ['tests/**/*.test.{js,jsx}'],
+        setupFiles: ['tests/setup.js'],
+    },
+});